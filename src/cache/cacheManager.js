@@ -1,491 +1,2788 @@
-const Redis = require("ioredis");
-const ConsistentHashing = require("../utils/consistentHashing");
-const logger = require("../utils/logger");
-
-class CacheManager {
-    constructor(coordinationService) {
-        this.coordinationService = coordinationService;
-        this.consistentHashing = new ConsistentHashing();
-        this.nodeId = process.env.NODE_ID || "node1";
-        this.replicaFactor = parseInt(process.env.REPLICA_FACTOR || "3", 10);
-        this.redisClients = new Map();
-        this.localRedis = null;
-        this.communicationLayer = null;
-    }
-
-    /**
-     * Set the communication layer reference
-     * @param {Object} communicationLayer - Reference to the communication layer
-     */
-    setCommunicationLayer(communicationLayer) {
-        this.communicationLayer = communicationLayer;
-        logger.info("Communication layer reference set in cache manager");
-    }
-
-    /**
-     * Initialize the cache manager
-     */
-    async initialize() {
-        logger.info(`Initializing cache manager with node ID: ${this.nodeId}`);
-
-        // Initialize local Redis client
-        this.localRedis = new Redis({
-            host: process.env.REDIS_HOST || "localhost",
-            port: parseInt(process.env.REDIS_PORT || "6379", 10),
-            password: process.env.REDIS_PASSWORD || "",
-            keyPrefix: `${this.nodeId}:`,
-        });
-
-        // Subscribe to node updates
-        await this.coordinationService.subscribeToNodeUpdates(
-            this.handleNodeUpdates.bind(this)
-        );
-
-        // Register this node
-        await this.coordinationService.registerNode(this.nodeId, {
-            host: process.env.REDIS_HOST || "localhost",
-            port: parseInt(process.env.REDIS_PORT || "6379", 10),
-            grpcPort: parseInt(process.env.GRPC_PORT || "50051", 10),
-        });
-
-        // Get existing nodes and add them to the hash ring
-        const nodes = await this.coordinationService.getAllNodes();
-        for (const [nodeId, nodeInfo] of Object.entries(nodes)) {
-            this.addNodeToRing(nodeId, nodeInfo);
-        }
-
-        logger.info("Cache manager initialized successfully");
-    }
-
-    /**
-     * Handle node updates from the coordination service
-     * @param {Object} update - Node update information
-     */
-    async handleNodeUpdates(update) {
-        const { type, nodeId, nodeInfo } = update;
-
-        if (type === "add") {
-            logger.info(`Adding node ${nodeId} to the cache ring`);
-            this.addNodeToRing(nodeId, nodeInfo);
-        } else if (type === "remove") {
-            logger.info(`Removing node ${nodeId} from the cache ring`);
-            this.removeNodeFromRing(nodeId);
-        }
-    }
-
-    /**
-     * Add a node to the hash ring
-     * @param {string} nodeId - Node identifier
-     * @param {Object} nodeInfo - Node connection information
-     */
-    addNodeToRing(nodeId, nodeInfo) {
-        // Skip if this is the local node or already in the ring
-        if (nodeId === this.nodeId || this.redisClients.has(nodeId)) {
-            return;
-        }
-
-        // Create a Redis client for the node
-        const client = new Redis({
-            host: nodeInfo.host,
-            port: nodeInfo.port,
-            password: nodeInfo.password || "",
-        });
-
-        this.redisClients.set(nodeId, client);
-        this.consistentHashing.addNode(nodeId);
-    }
-
-    /**
-     * Remove a node from the hash ring
-     * @param {string} nodeId - Node identifier
-     */
-    removeNodeFromRing(nodeId) {
-        if (!this.redisClients.has(nodeId)) {
-            return;
-        }
-
-        // Close the Redis client
-        const client = this.redisClients.get(nodeId);
-        client.quit();
-
-        // Remove from our maps
-        this.redisClients.delete(nodeId);
-        this.consistentHashing.removeNode(nodeId);
-    }
-
-    /**
-     * Get a value from the cache
-     * @param {string} key - Cache key
-     * @returns {Promise<any>} - Cached value or null
-     */
-    async get(key) {
-        const targetNodes = this.consistentHashing.getReplicaNodes(
-            key,
-            this.replicaFactor
-        );
-
-        if (targetNodes.length === 0) {
-            logger.warn(`No nodes available to retrieve key: ${key}`);
-            return null;
-        }
-
-        let highestTimestamp = -1;
-        let latestValue = null;
-
-        // Try to get from each replica node and return the most recent value
-        for (const nodeId of targetNodes) {
-            try {
-                let value;
-
-                if (nodeId === this.nodeId) {
-                    // Get from local Redis
-                    value = await this.localRedis.get(key);
-                } else {
-                    // Get from remote Redis
-                    const client = this.redisClients.get(nodeId);
-                    if (!client) {
-                        logger.warn(
-                            `Redis client for node ${nodeId} not found`
-                        );
-                        continue;
-                    }
-                    value = await client.get(`${nodeId}:${key}`);
-                }
-
-                if (value !== null) {
-                    // Try to parse JSON
-                    try {
-                        const parsed = JSON.parse(value);
-
-                        // Check if this is a timestamped value
-                        if (
-                            parsed &&
-                            typeof parsed.timestamp === "number" &&
-                            "data" in parsed
-                        ) {
-                            // If this value is newer than what we've seen, keep it
-                            if (parsed.timestamp > highestTimestamp) {
-                                highestTimestamp = parsed.timestamp;
-                                latestValue = parsed.data;
-                                logger.debug(
-                                    `Found newer value for ${key} on node ${nodeId} with timestamp ${parsed.timestamp}`
-                                );
-                            }
-                        } else {
-                            // Old format or non-timestamped value, use it if we don't have anything better
-                            if (highestTimestamp === -1) {
-                                latestValue = parsed;
-                            }
-                        }
-                    } catch (e) {
-                        // Not JSON, use it if we don't have anything better
-                        if (highestTimestamp === -1) {
-                            latestValue = value;
-                        }
-                    }
-                }
-            } catch (error) {
-                logger.error(
-                    `Error retrieving key ${key} from node ${nodeId}: ${error.message}`
-                );
-            }
-        }
-
-        return latestValue;
-    }
-
-    /**
-     * Set a value in the cache
-     * @param {string} key - Cache key
-     * @param {any} value - Value to cache
-     * @param {number} ttl - Time to live in seconds (optional)
-     * @returns {Promise<boolean>} - Success status
-     */
-    async set(key, value, ttl) {
-        const targetNodes = this.consistentHashing.getReplicaNodes(
-            key,
-            this.replicaFactor
-        );
-
-        if (targetNodes.length === 0) {
-            logger.warn(`No nodes available to store key: ${key}`);
-            return false;
-        }
-
-        // Add timestamp to value for conflict resolution
-        const timestamp = Date.now();
-        const wrappedValue = {
-            timestamp,
-            data: value,
-        };
-
-        // Convert wrapped value to string
-        const stringValue = JSON.stringify(wrappedValue);
-
-        // Store in all replica nodes determined by consistent hashing
-        const promises = targetNodes.map(async (nodeId) => {
-            try {
-                if (nodeId === this.nodeId) {
-                    // Store in local Redis
-                    if (ttl) {
-                        await this.localRedis.set(key, stringValue, "EX", ttl);
-                    } else {
-                        await this.localRedis.set(key, stringValue);
-                    }
-                } else {
-                    // Store in remote Redis
-                    const client = this.redisClients.get(nodeId);
-                    if (!client) {
-                        logger.warn(
-                            `Redis client for node ${nodeId} not found`
-                        );
-                        return false;
-                    }
-
-                    if (ttl) {
-                        await client.set(
-                            `${nodeId}:${key}`,
-                            stringValue,
-                            "EX",
-                            ttl
-                        );
-                    } else {
-                        await client.set(`${nodeId}:${key}`, stringValue);
-                    }
-                }
-                return true;
-            } catch (error) {
-                logger.error(
-                    `Error storing key ${key} to node ${nodeId}: ${error.message}`
-                );
-                return false;
-            }
-        });
-
-        // Wait for all direct Redis operations to complete
-        await Promise.all(promises);
-
-        // Immediately replicate to ALL nodes using the communication layer for maximum consistency
-        // This ensures eventual synchronization across ALL nodes in the cluster
-        try {
-            if (this.communicationLayer) {
-                // First replication attempt
-                await this.communicationLayer.replicateData(
-                    key,
-                    stringValue,
-                    ttl
-                );
-                logger.info(
-                    `Replication initiated for key=${key} across all nodes with timestamp ${timestamp}`
-                );
-
-                // Add a second replication attempt after a short delay
-                // This helps catch any nodes that might have missed the first attempt
-                setTimeout(async () => {
-                    try {
-                        await this.communicationLayer.replicateData(
-                            key,
-                            stringValue,
-                            ttl
-                        );
-                        logger.info(
-                            `Secondary replication completed for key=${key} with timestamp ${timestamp}`
-                        );
-                    } catch (retryError) {
-                        logger.warn(
-                            `Secondary replication attempt failed: ${retryError.message}`
-                        );
-                    }
-                }, 1000);
-            }
-            return true;
-        } catch (error) {
-            logger.error(
-                `Error during cache replication for key=${key}: ${error.message}`
-            );
-            // Even if replication fails, we still return true if the direct Redis operations succeeded
-            return true;
-        }
-    }
-
-    /**
-     * Delete a value from the cache
-     * @param {string} key - Cache key
-     * @returns {Promise<boolean>} - Success status
-     */
-    async delete(key) {
-        // For delete operations, we want to be more aggressive to ensure consistency
-        // Let's try to delete from all available nodes, not just the replica nodes
-        let allNodes = [];
-
-        try {
-            // First, get all available nodes
-            const nodes = await this.coordinationService.getAllNodes();
-            allNodes = Object.keys(nodes);
-
-            logger.info(
-                `Deleting key ${key} from all ${allNodes.length} nodes for maximum consistency`
-            );
-        } catch (error) {
-            logger.error(
-                `Error getting all nodes for deletion: ${error.message}`
-            );
-
-            // Fall back to replica nodes if we can't get all nodes
-            allNodes = this.consistentHashing.getReplicaNodes(
-                key,
-                this.replicaFactor
-            );
-
-            logger.warn(
-                `Falling back to replica nodes (${allNodes.length}) for deletion of key ${key}`
-            );
-        }
-
-        if (allNodes.length === 0) {
-            logger.warn(`No nodes available to delete key: ${key}`);
-            return false;
-        }
-
-        // Delete from all nodes
-        const promises = allNodes.map(async (nodeId) => {
-            try {
-                if (nodeId === this.nodeId) {
-                    // Delete from local Redis
-                    await this.localRedis.del(key);
-                    logger.info(
-                        `Deleted key ${key} from local node ${this.nodeId}`
-                    );
-                } else {
-                    // Delete from remote Redis
-                    const client = this.redisClients.get(nodeId);
-                    if (!client) {
-                        logger.warn(
-                            `Redis client for node ${nodeId} not found`
-                        );
-                        return false;
-                    }
-                    await client.del(`${nodeId}:${key}`);
-                    logger.info(
-                        `Deleted key ${key} from remote node ${nodeId}`
-                    );
-                }
-                return true;
-            } catch (error) {
-                logger.error(
-                    `Error deleting key ${key} from node ${nodeId}: ${error.message}`
-                );
-                return false;
-            }
-        });
-
-        // Wait for all direct Redis operations to complete
-        await Promise.all(promises);
-
-        // Now invalidate the cache on ALL nodes using the communication layer
-        // This ensures eventual synchronization across ALL nodes in the cluster
-        try {
-            if (this.communicationLayer) {
-                // Use a more aggressive approach for deletions
-                await this.communicationLayer.invalidateCache(key);
-
-                // Wait a short time and try again to catch any nodes that might have missed it
-                setTimeout(async () => {
-                    try {
-                        await this.communicationLayer.invalidateCache(key);
-                        logger.info(
-                            `Performed secondary invalidation for key=${key}`
-                        );
-                    } catch (retryError) {
-                        logger.warn(
-                            `Secondary invalidation attempt failed: ${retryError.message}`
-                        );
-                    }
-                }, 2000);
-
-                logger.info(
-                    `Invalidation initiated for key=${key} across all nodes`
-                );
-            }
-            return true;
-        } catch (error) {
-            logger.error(
-                `Error during cache invalidation for key=${key}: ${error.message}`
-            );
-            // Even if invalidation fails, we still return true if the direct Redis operations succeeded
-            return true;
-        }
-    }
-
-    /**
-     * Get cache stats for monitoring
-     * @returns {Promise<Object>} - Cache statistics
-     */
-    async getStats() {
-        try {
-            const info = await this.localRedis.info();
-            const dbSize = await this.localRedis.dbsize();
-
-            // Parse Redis INFO command output
-            const stats = {
-                keys: dbSize,
-                memory: {},
-                connected_clients: 0,
-                connections: {},
-            };
-
-            // Parse the INFO sections
-            const sections = info.split("#");
-            for (const section of sections) {
-                const lines = section.split("\r\n");
-                for (const line of lines) {
-                    if (line.includes(":")) {
-                        const [key, value] = line.split(":");
-
-                        if (key === "used_memory_human") {
-                            stats.memory.used = value;
-                        } else if (key === "used_memory_peak_human") {
-                            stats.memory.peak = value;
-                        } else if (key === "connected_clients") {
-                            stats.connected_clients = parseInt(value, 10);
-                        } else if (key === "total_connections_received") {
-                            stats.connections.total = parseInt(value, 10);
-                        } else if (key === "rejected_connections") {
-                            stats.connections.rejected = parseInt(value, 10);
-                        }
-                    }
-                }
-            }
-
-            return stats;
-        } catch (error) {
-            logger.error(`Error getting cache stats: ${error.message}`);
-            return {
-                error: error.message,
-            };
-        }
-    }
-
-    /**
-     * Shutdown the cache manager
-     */
-    async shutdown() {
-        logger.info("Shutting down cache manager");
-
-        // Unregister from coordination service
-        await this.coordinationService.unregisterNode(this.nodeId);
-
-        // Close all Redis connections
-        if (this.localRedis) {
-            await this.localRedis.quit();
-        }
-
-        for (const client of this.redisClients.values()) {
-            await client.quit();
-        }
-
-        logger.info("Cache manager shutdown completed");
-    }
-}
-
-module.exports = CacheManager;
+const os = require("os");
+const Redis = require("ioredis");
+const ConsistentHashing = require("../utils/consistentHashing");
+const { createPlacementStrategy } = require("../utils/placement");
+const HybridLogicalClock = require("../utils/hybridLogicalClock");
+const VectorClock = require("../utils/vectorClock");
+const HintedHandoff = require("../replication/hintedHandoff");
+const AntiEntropy = require("../replication/antiEntropy");
+const Rebalancer = require("../replication/rebalancer");
+const Drainer = require("../replication/drainer");
+const Bootstrapper = require("../replication/bootstrapper");
+const RingVersion = require("../replication/ringVersion");
+const NearCache = require("./nearCache");
+const logger = require("../utils/logger");
+const {
+    InvalidConsistencyLevelError,
+    QuorumNotReachedError,
+    InvalidContextError,
+} = require("../utils/errors");
+
+class CacheManager {
+    constructor(coordinationService) {
+        this.coordinationService = coordinationService;
+        this.consistentHashing = createPlacementStrategy();
+        this.nodeId = process.env.NODE_ID || "node1";
+        this.replicaFactor = parseInt(process.env.REPLICA_FACTOR || "3", 10);
+
+        // Tunable consistency: W replicas must acknowledge a write and R replicas
+        // must agree on a read. Both default to a majority of the replica factor.
+        const majority = Math.floor(this.replicaFactor / 2) + 1;
+        this.writeQuorum = parseInt(
+            process.env.WRITE_QUORUM || String(majority),
+            10
+        );
+        this.readQuorum = parseInt(
+            process.env.READ_QUORUM || String(majority),
+            10
+        );
+        this.defaultConsistency = process.env.DEFAULT_CONSISTENCY || "quorum";
+        this.clock = new HybridLogicalClock(this.nodeId);
+
+        // Deletes leave a tombstone for this many seconds so older values that are
+        // replicated late, or held by a node that was down, cannot come back
+        this.tombstoneGracePeriod = parseInt(
+            process.env.TOMBSTONE_GRACE_PERIOD || "86400",
+            10
+        );
+
+        // Keys under these prefixes keep concurrent writes as siblings instead of
+        // letting the last writer win
+        this.vectorClockPrefixes = (process.env.VECTOR_CLOCK_PREFIXES || "")
+            .split(",")
+            .map((prefix) => prefix.trim())
+            .filter(Boolean);
+        // Bounded-load routing: a forwarded read skips replicas with more than
+        // (1 + epsilon) times the average number of reads in flight
+        this.loadBoundEpsilon = parseFloat(
+            process.env.LOAD_BOUND_EPSILON || "0.25"
+        );
+        this.inFlight = new Map();
+
+        // In-process LRU of values read from the replicas, evicted when the key is written anywhere
+        this.nearCache = new NearCache({
+            maxEntries: parseInt(
+                process.env.NEAR_CACHE_MAX_ENTRIES || "10000",
+                10
+            ),
+            maxBytes: parseInt(
+                process.env.NEAR_CACHE_MAX_BYTES || String(64 * 2 ** 20),
+                10
+            ),
+            maxStaleness: parseInt(
+                process.env.NEAR_CACHE_MAX_STALENESS || "5000",
+                10
+            ),
+        });
+
+        this.keyLocks = new Map();
+        this.redisClients = new Map();
+        this.nodeInfos = new Map();
+        this.nodeInfo = null;
+
+        // Lifecycle state of this node and the epoch it was published at, see NODE_STATES
+        this.state = null;
+        this.epoch = 0;
+        this.joining = null;
+
+        // Capacity of this node relative to the others, set from NODE_WEIGHT when it starts
+        this.weight = 1;
+
+        // Failure domain of this node, such as an availability zone or a rack.
+        // Replicas of a key are spread across as many zones as possible.
+        this.zone = process.env.NODE_ZONE || null;
+        this.localRedis = null;
+        this.communicationLayer = null;
+        this.monitoringSystem = null;
+        this.hintedHandoff = new HintedHandoff(this);
+        this.antiEntropy = new AntiEntropy(this);
+        this.rebalancer = new Rebalancer(this);
+        this.drainer = new Drainer(this);
+        this.bootstrapper = new Bootstrapper(this);
+        this.ringVersion = new RingVersion(this);
+    }
+
+    /**
+     * Set the communication layer reference
+     * @param {Object} communicationLayer - Reference to the communication layer
+     */
+    setCommunicationLayer(communicationLayer) {
+        this.communicationLayer = communicationLayer;
+        logger.info("Communication layer reference set in cache manager");
+    }
+
+    /**
+     * Set the monitoring system reference
+     * @param {Object} monitoringSystem - Reference to the monitoring system
+     */
+    setMonitoringSystem(monitoringSystem) {
+        this.monitoringSystem = monitoringSystem;
+        logger.info("Monitoring system reference set in cache manager");
+    }
+
+    /**
+     * Initialize the cache manager
+     */
+    async initialize() {
+        logger.info(`Initializing cache manager with node ID: ${this.nodeId}`);
+
+        // Initialize local Redis client
+        this.localRedis = new Redis({
+            host: process.env.REDIS_HOST || "localhost",
+            port: parseInt(process.env.REDIS_PORT || "6379", 10),
+            password: process.env.REDIS_PASSWORD || "",
+            keyPrefix: `${this.nodeId}:`,
+        });
+
+        // Subscribe to node updates
+        await this.coordinationService.subscribeToNodeUpdates(
+            this.handleNodeUpdates.bind(this)
+        );
+
+        // Register this node with the addresses other nodes use to reach it
+        // and its weight, which sets its share of the keyspace
+        this.weight = await this._resolveWeight();
+        this.nodeInfo = {
+            host: process.env.REDIS_HOST || "localhost",
+            port: parseInt(process.env.REDIS_PORT || "6379", 10),
+            grpcHost: process.env.GRPC_ADVERTISE_HOST || os.hostname(),
+            grpcPort: parseInt(
+                process.env.GRPC_ADVERTISE_PORT ||
+                    process.env.GRPC_PORT ||
+                    "50051",
+                10
+            ),
+            weight: this.weight,
+            zone: this.zone,
+            placement: this.consistentHashing.getSettings(),
+        };
+        await this.setState("joining");
+
+        // Get existing nodes and add them to the hash ring
+        const nodes = await this.coordinationService.getAllNodes();
+        for (const [nodeId, nodeInfo] of Object.entries(nodes)) {
+            this.addNodeToRing(nodeId, nodeInfo);
+        }
+
+        // Adopt the ring the leader published, nodes may have left since they registered
+        await this.ringVersion.start();
+
+        // Run for leader once the ring is known, controller tasks may rely on it
+        await this.coordinationService.startLeaderElection(this.nodeId);
+
+        // Deliver writes that were kept for unreachable nodes
+        this.hintedHandoff.start();
+
+        // Periodically reconcile replicas with their peers
+        this.antiEntropy.start();
+
+        logger.info("Cache manager initialized successfully");
+    }
+
+    /**
+     * Move this node to a lifecycle state and publish it to every node with a new epoch
+     * @param {string} state - One of CacheManager.NODE_STATES
+     */
+    async setState(state) {
+        if (!CacheManager.NODE_STATES.includes(state)) {
+            throw new Error(`Unknown node state ${state}`);
+        }
+
+        const registered = this.state !== null;
+        this.state = state;
+        this.epoch = Math.max(Date.now(), this.epoch + 1);
+        logger.info(
+            `Node ${this.nodeId} is now ${state} at epoch ${this.epoch}`
+        );
+
+        const nodeInfo = { ...this.nodeInfo, state, epoch: this.epoch };
+        if (registered) {
+            await this.coordinationService.updateNode(this.nodeId, nodeInfo);
+        } else {
+            await this.coordinationService.registerNode(this.nodeId, nodeInfo);
+        }
+    }
+
+    /**
+     * Change the weight of this node at runtime and publish it, so every node
+     * moves its virtual nodes and rebalances the keys that change hands
+     * @param {number} weight - New relative capacity, a positive number
+     */
+    async setWeight(weight) {
+        if (!(weight > 0)) {
+            throw new Error(`Invalid node weight ${weight}`);
+        }
+
+        this.weight = weight;
+        this.nodeInfo = { ...this.nodeInfo, weight };
+        await this.setState(this.state);
+
+        // Apply it here as well, some backends do not report changes of the local node
+        await this.handleNodeUpdates({
+            type: "add",
+            nodeId: this.nodeId,
+            nodeInfo: {
+                ...this.nodeInfo,
+                state: this.state,
+                epoch: this.epoch,
+            },
+        });
+    }
+
+    /**
+     * Get the weight this node starts with: NODE_WEIGHT, or the Redis maxmemory
+     * limit in GiB when NODE_WEIGHT is "maxmemory"
+     * @private
+     * @returns {Promise<number>} - Weight of this node
+     */
+    async _resolveWeight() {
+        const setting = process.env.NODE_WEIGHT || "1";
+        if (setting === "maxmemory") {
+            try {
+                const [, maxmemory] = await this.localRedis.config(
+                    "GET",
+                    "maxmemory"
+                );
+                const bytes = parseInt(maxmemory, 10);
+                if (bytes > 0) {
+                    return bytes / 2 ** 30;
+                }
+                logger.warn(
+                    "Redis has no maxmemory limit, using node weight 1"
+                );
+            } catch (error) {
+                logger.warn(
+                    `Could not read the Redis maxmemory limit, using node weight 1: ${error.message}`
+                );
+            }
+            return 1;
+        }
+
+        const weight = parseFloat(setting);
+        if (!(weight > 0)) {
+            throw new Error(
+                `NODE_WEIGHT must be a positive number or "maxmemory", got ${setting}`
+            );
+        }
+        return weight;
+    }
+
+    /**
+     * Get the weight a node advertises, 1 for nodes that advertise none
+     * @private
+     * @param {Object} nodeInfo - Node information
+     * @returns {number} - Weight of the node
+     */
+    _nodeWeight(nodeInfo) {
+        return nodeInfo && nodeInfo.weight > 0 ? nodeInfo.weight : 1;
+    }
+
+    /**
+     * Load the ranges of this node from their current owners, then serve
+     * reads. Needs the gRPC clients, so it is called once the communication
+     * layer is initialized.
+     * @returns {Promise<Object>} - Bootstrap status once the node has joined
+     */
+    join() {
+        if (!this.joining) {
+            this.joining = this._join().catch((error) => {
+                logger.error(`Failed to join the cluster: ${error.message}`);
+                return this.bootstrapper.getStatus();
+            });
+        }
+        return this.joining;
+    }
+
+    /**
+     * Run the bootstrap and move this node to the active state
+     * @private
+     * @returns {Promise<Object>} - Bootstrap status
+     */
+    async _join() {
+        const status = await this.bootstrapper.run();
+
+        // Ranges the bootstrap missed are repaired by anti-entropy and read repair
+        if (status.rangesFailed > 0) {
+            logger.warn(
+                `Node ${this.nodeId} could not load ${status.rangesFailed} of its ranges, serving reads anyway`
+            );
+        }
+
+        // A drain or shutdown may have started in the meantime
+        if (this.state === "joining") {
+            await this.setState("active");
+        }
+        return status;
+    }
+
+    /**
+     * Handle node updates from the coordination service
+     * @param {Object} update - Node update information
+     */
+    async handleNodeUpdates(update) {
+        const { type, nodeId, nodeInfo } = update;
+        const previousRing = this.consistentHashing.clone();
+        let change = { type, nodeId };
+
+        // This node takes itself out of the ring when it drains or leaves
+        if (
+            nodeId === this.nodeId &&
+            CacheManager.DEPARTING_STATES.includes(this.state)
+        ) {
+            return;
+        }
+
+        // Backends may deliver the states of a node out of order
+        const known =
+            nodeId === this.nodeId
+                ? { epoch: this.epoch }
+                : this.nodeInfos.get(nodeId);
+        if (type === "add" && known && nodeInfo.epoch < known.epoch) {
+            logger.debug(
+                `Ignoring state ${nodeInfo.state} of node ${nodeId} from older epoch ${nodeInfo.epoch}`
+            );
+            return;
+        }
+
+        const state = type === "add" ? this._nodeState(nodeInfo) : null;
+        if (CacheManager.DEPARTING_STATES.includes(state)) {
+            // The node takes no new writes, and a draining node hands its ranges over itself
+            logger.info(
+                `Node ${nodeId} is ${state}, removing it from the cache ring`
+            );
+            this.removeNodeFromRing(nodeId);
+            change = {
+                type: state === "draining" ? "drain" : "remove",
+                nodeId,
+            };
+        } else if (type === "add") {
+            const previousWeight = this.consistentHashing.getWeight(nodeId);
+            const weight = this._nodeWeight(nodeInfo);
+            const inRing = previousWeight !== null;
+            const zone = (nodeInfo && nodeInfo.zone) || null;
+            if (inRing && previousWeight !== weight) {
+                logger.info(
+                    `Weight of node ${nodeId} changed from ${previousWeight} to ${weight}, moving its virtual nodes`
+                );
+                change = { type: "weight", nodeId };
+            } else if (
+                inRing &&
+                this.consistentHashing.getZone(nodeId) !== zone
+            ) {
+                logger.info(
+                    `Zone of node ${nodeId} changed to ${zone}, moving replicas`
+                );
+                change = { type: "zone", nodeId };
+            } else {
+                logger.info(`Adding ${state} node ${nodeId} to the cache ring`);
+            }
+            this.addNodeToRing(nodeId, nodeInfo);
+
+            // A node that comes back catches up on the writes it missed
+            if (nodeId !== this.nodeId) {
+                this.hintedHandoff.replayHints(nodeId, nodeInfo);
+            }
+        } else if (type === "remove") {
+            logger.info(`Removing node ${nodeId} from the cache ring`);
+            this.removeNodeFromRing(nodeId);
+        }
+
+        // Move the keys whose replica set changed to their new owners
+        this.rebalancer.onRingChange(
+            previousRing,
+            this.consistentHashing.clone(),
+            change
+        );
+        this.ringVersion.onRingChange();
+    }
+
+    /**
+     * Add a node to the hash ring
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection information
+     */
+    addNodeToRing(nodeId, nodeInfo) {
+        const weight = this._nodeWeight(nodeInfo);
+        const zone = (nodeInfo && nodeInfo.zone) || null;
+
+        // Nodes placing keys differently disagree on the owners of every key
+        const placement = JSON.stringify(this.consistentHashing.getSettings());
+        if (
+            nodeInfo &&
+            nodeInfo.placement &&
+            JSON.stringify(nodeInfo.placement) !== placement
+        ) {
+            logger.error(
+                `Node ${nodeId} uses placement ${JSON.stringify(
+                    nodeInfo.placement
+                )} but this node uses ${placement}`
+            );
+        }
+
+        // The local node owns ranges like any other node, but needs no remote client
+        if (nodeId === this.nodeId) {
+            if (!this.consistentHashing.getAllNodes().has(nodeId)) {
+                this.consistentHashing.addNode(nodeId, weight, zone);
+            } else {
+                this.consistentHashing.setWeight(nodeId, weight);
+                this.consistentHashing.setZone(nodeId, zone);
+            }
+            return;
+        }
+
+        // A node already in the ring may have re-registered with new addresses,
+        // a new weight or a new zone
+        if (this.redisClients.has(nodeId)) {
+            const previous = this.nodeInfos.get(nodeId);
+            this.nodeInfos.set(nodeId, nodeInfo);
+            this.consistentHashing.setWeight(nodeId, weight);
+            this.consistentHashing.setZone(nodeId, zone);
+            if (
+                previous.host === nodeInfo.host &&
+                previous.port === nodeInfo.port
+            ) {
+                return;
+            }
+
+            logger.info(
+                `Redis address of node ${nodeId} changed, reconnecting`
+            );
+            this.redisClients.get(nodeId).quit();
+            this.redisClients.set(nodeId, this._createNodeRedis(nodeInfo));
+            return;
+        }
+
+        this.redisClients.set(nodeId, this._createNodeRedis(nodeInfo));
+        this.nodeInfos.set(nodeId, nodeInfo);
+        this.consistentHashing.addNode(nodeId, weight, zone);
+    }
+
+    /**
+     * Create a Redis client for a remote node
+     * @private
+     * @param {Object} nodeInfo - Node connection information
+     * @returns {Object} - ioredis client
+     */
+    _createNodeRedis(nodeInfo) {
+        return new Redis({
+            host: nodeInfo.host,
+            port: nodeInfo.port,
+            password: nodeInfo.password || "",
+        });
+    }
+
+    /**
+     * Remove a node from the hash ring
+     * @param {string} nodeId - Node identifier
+     */
+    removeNodeFromRing(nodeId) {
+        if (!this.redisClients.has(nodeId)) {
+            return;
+        }
+
+        // Close the Redis client
+        const client = this.redisClients.get(nodeId);
+        client.quit();
+
+        if (this.communicationLayer) {
+            this.communicationLayer.closeClient(nodeId);
+        }
+
+        // Remove from our maps
+        this.redisClients.delete(nodeId);
+        this.nodeInfos.delete(nodeId);
+        this.consistentHashing.removeNode(nodeId);
+    }
+
+    /**
+     * Get a value from the cache
+     * @param {string} key - Cache key
+     * @param {Object} options - Read options
+     * @param {string} options.consistency - Consistency level (one, quorum, all)
+     * @param {boolean} options.forwarded - Set when another node forwarded the read, so it is not forwarded again
+     * @returns {Promise<any>} - Cached value or null. For keys using vector clocks,
+     * an array of sibling values when concurrent writes are unresolved.
+     */
+    async get(key, options = {}) {
+        // Siblings and their context are always read from the replicas
+        if (this.usesVectorClocks(key)) {
+            const result = await this.getWithContext(key, options);
+            if (!result) {
+                return null;
+            }
+            return result.siblings.length === 1
+                ? result.siblings[0]
+                : result.siblings;
+        }
+
+        // Reads at consistency all, and reads another node forwarded here, skip the near-cache
+        const nearCached =
+            this.nearCache.enabled &&
+            !options.forwarded &&
+            this._resolveConsistency(options.consistency) !== "all";
+        if (nearCached) {
+            const entry = this.nearCache.get(key);
+            this._recordLookup("l1", Boolean(entry), options);
+            if (entry) {
+                return entry.value;
+            }
+        }
+
+        const since = this.nearCache.begin();
+        const entry = await this.getEntry(key, options);
+        this._recordLookup("l2", entry !== null, options);
+        if (!entry) {
+            return null;
+        }
+        if (nearCached) {
+            this.nearCache.set(key, entry.value, since, entry.pttl);
+        }
+        return entry.value;
+    }
+
+    /**
+     * Read a value and the time it has left to live from its replicas,
+     * bypassing the near-cache, and forwarding the read if this node holds none
+     * @param {string} key - Cache key, not under a vector clock prefix
+     * @param {Object} options - Read options, see get
+     * @returns {Promise<Object|null>} - { value, pttl } or null if the key is missing. pttl is
+     * in milliseconds, -1 if the key does not expire and 0 if an older owner did not tell.
+     */
+    async getEntry(key, options = {}) {
+        const forwarded = await this._forwardRead(key, options);
+        if (forwarded) {
+            return forwarded.result === null
+                ? null
+                : { value: forwarded.result, pttl: forwarded.pttl };
+        }
+
+        const replies = await this._quorumRead(key, options);
+        const latest = this._latestReply(replies);
+        if (!latest) {
+            return null;
+        }
+
+        // Later writes through this node must order after what was just read
+        this._observeVersion(latest.version);
+        if (latest.tombstone) {
+            return null;
+        }
+        return {
+            value: latest.data,
+            pttl: replies.find((reply) => reply.value === latest).pttl,
+        };
+    }
+
+    /**
+     * Count a lookup in the near-cache (l1) or on the replicas (l2). Reads
+     * forwarded from another node were counted there.
+     * @private
+     * @param {string} tier - l1 or l2
+     * @param {boolean} hit - Whether the value was found
+     * @param {Object} options - Read options, see get
+     */
+    _recordLookup(tier, hit, options) {
+        if (this.monitoringSystem && !options.forwarded) {
+            this.monitoringSystem.recordTierHitOrMiss(tier, hit);
+        }
+    }
+
+    /**
+     * Get every sibling of a value along with the causal context to pass to the next write
+     * @param {string} key - Cache key
+     * @param {Object} options - Read options
+     * @param {string} options.consistency - Consistency level (one, quorum, all)
+     * @returns {Promise<Object|null>} - { siblings, context } or null if the key is missing
+     */
+    async getWithContext(key, options = {}) {
+        const result = await this._readSiblings(key, options);
+        this._recordLookup("l2", result !== null, options);
+        return result;
+    }
+
+    /**
+     * Read every sibling of a value from its replicas, forwarding the read if this node holds none
+     * @private
+     * @param {string} key - Cache key
+     * @param {Object} options - Read options, see getWithContext
+     * @returns {Promise<Object|null>} - { siblings, context } or null if the key is missing
+     */
+    async _readSiblings(key, options) {
+        const forwarded = await this._forwardRead(key, options);
+        if (forwarded) {
+            return forwarded.result;
+        }
+
+        const replies = await this._quorumRead(key, options);
+        const { siblings, deleted } = this._mergeValues(
+            replies.map((reply) => reply.value)
+        );
+        if (deleted) {
+            this._observeVersion(deleted);
+        }
+        if (siblings.length === 0) {
+            return null;
+        }
+
+        this._observeVersion(this._newestSibling(siblings).version);
+        return this._siblingsResult(siblings);
+    }
+
+    /**
+     * Get the nodes that store a key
+     * @param {string} key - Cache key
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.forRead - Skip replicas that do not serve reads, unless none does
+     * @returns {Array<string>} - Replica node identifiers
+     */
+    getReplicaNodes(key, options = {}) {
+        const replicas = this.consistentHashing.getReplicaNodes(
+            key,
+            this.replicaFactor
+        );
+        if (!options.forRead) {
+            return replicas;
+        }
+
+        // Joining nodes take writes but may not hold the key yet
+        const readable = replicas.filter(
+            (nodeId) => this.getNodeState(nodeId) === "active"
+        );
+        return readable.length > 0 ? readable : replicas;
+    }
+
+    /**
+     * Get the lifecycle state of a node in the ring
+     * @param {string} nodeId - Node identifier
+     * @returns {string|null} - One of CacheManager.NODE_STATES, null for unknown nodes
+     */
+    getNodeState(nodeId) {
+        if (nodeId === this.nodeId) {
+            return this.state;
+        }
+        const nodeInfo = this.nodeInfos.get(nodeId);
+        return nodeInfo ? this._nodeState(nodeInfo) : null;
+    }
+
+    /**
+     * Read the lifecycle state from a node's information
+     * @private
+     * @param {Object} nodeInfo - Node information
+     * @returns {string} - Lifecycle state, active for nodes that publish none
+     */
+    _nodeState(nodeInfo) {
+        return nodeInfo.state || "active";
+    }
+
+    /**
+     * Check whether a key keeps concurrent writes as siblings
+     * @param {string} key - Cache key
+     * @returns {boolean} - True if the key is under a vector clock prefix
+     */
+    usesVectorClocks(key) {
+        return this.vectorClockPrefixes.some((prefix) =>
+            key.startsWith(prefix)
+        );
+    }
+
+    /**
+     * Hand a read over to an owner of the key when this node is not one of them
+     * @private
+     * @param {string} key - Cache key
+     * @param {Object} options - Read options, see get
+     * @returns {Promise<Object|null>} - { result, pttl } as returned by the owner, or null
+     *                                   if the replicas have to be read from here
+     */
+    async _forwardRead(key, options) {
+        const consistency = this._resolveConsistency(options.consistency);
+        const replicas = this.getReplicaNodes(key, { forRead: true });
+        if (
+            options.forwarded ||
+            !this.communicationLayer ||
+            replicas.length === 0 ||
+            replicas.includes(this.nodeId)
+        ) {
+            return null;
+        }
+
+        const owners = this._boundedLoadOrder(replicas);
+        if (owners[0] !== replicas[0]) {
+            logger.debug(
+                `Node ${replicas[0]} is over its load bound, forwarding read of key ${key} to node ${owners[0]}`
+            );
+            if (this.monitoringSystem) {
+                this.monitoringSystem.recordLoadOverflow(replicas[0]);
+            }
+        }
+
+        for (const nodeId of owners) {
+            const nodeInfo = this.nodeInfos.get(nodeId);
+            if (!nodeInfo) {
+                continue;
+            }
+
+            try {
+                const { result, pttl } = await this._trackInFlight(nodeId, () =>
+                    this.communicationLayer.forwardGet(
+                        nodeId,
+                        nodeInfo,
+                        key,
+                        consistency
+                    )
+                );
+                return { result, pttl };
+            } catch (error) {
+                logger.warn(
+                    `Could not forward read of key ${key} to node ${nodeId}: ${error.message}`
+                );
+            }
+        }
+
+        // No owner answered, read the replicas directly
+        return null;
+    }
+
+    /**
+     * Order replicas for routing a read with bounded loads: replicas under
+     * the load bound first, in order of preference, then the others from the
+     * least loaded
+     * @private
+     * @param {Array<string>} replicas - Replica node identifiers, in order of preference
+     * @returns {Array<string>} - The same replicas, in the order to try them
+     */
+    _boundedLoadOrder(replicas) {
+        const bound = this._getLoadBound();
+        const load = (nodeId) => this.inFlight.get(nodeId) || 0;
+
+        return [
+            ...replicas.filter((nodeId) => load(nodeId) < bound),
+            ...replicas
+                .filter((nodeId) => load(nodeId) >= bound)
+                .sort((a, b) => load(a) - load(b)),
+        ];
+    }
+
+    /**
+     * Get the number of reads in flight a node may have before reads are
+     * routed to its next replica: (1 + epsilon) times the average load,
+     * counting the read being routed
+     * @private
+     * @returns {number} - Load bound
+     */
+    _getLoadBound() {
+        let total = 1;
+        for (const count of this.inFlight.values()) {
+            total += count;
+        }
+
+        const nodeCount = Math.max(
+            1,
+            this.consistentHashing.getAllNodes().size
+        );
+        return Math.ceil((total / nodeCount) * (1 + this.loadBoundEpsilon));
+    }
+
+    /**
+     * Count a read as in flight to a node while it runs
+     * @private
+     * @param {string} nodeId - Node the read is routed to
+     * @param {Function} read - Function running the read
+     * @returns {Promise<any>} - Result of the read
+     */
+    async _trackInFlight(nodeId, read) {
+        this._setInFlight(nodeId, (this.inFlight.get(nodeId) || 0) + 1);
+        try {
+            return await read();
+        } finally {
+            this._setInFlight(nodeId, this.inFlight.get(nodeId) - 1);
+        }
+    }
+
+    /**
+     * Record the number of reads in flight to a node
+     * @private
+     * @param {string} nodeId - Node identifier
+     * @param {number} count - Reads in flight
+     */
+    _setInFlight(nodeId, count) {
+        if (count > 0) {
+            this.inFlight.set(nodeId, count);
+        } else {
+            this.inFlight.delete(nodeId);
+        }
+
+        if (this.monitoringSystem) {
+            this.monitoringSystem.updateInFlight(nodeId, count);
+        }
+    }
+
+    /**
+     * Get the reads in flight per node and the current load bound
+     * @returns {Object} - { epsilon, bound, inFlight } where inFlight maps node IDs to reads in flight
+     */
+    getLoadStatus() {
+        const inFlight = {};
+        for (const nodeId of this.consistentHashing.getAllNodes()) {
+            inFlight[nodeId] = this.inFlight.get(nodeId) || 0;
+        }
+
+        return {
+            epsilon: this.loadBoundEpsilon,
+            bound: this._getLoadBound(),
+            inFlight,
+        };
+    }
+
+    /**
+     * Read the replicas of a key until the read quorum is reached
+     * @private
+     * @param {string} key - Cache key
+     * @param {Object} options - Read options, see get
+     * @returns {Promise<Array<Object>>} - Replies of the replicas that answered
+     */
+    async _quorumRead(key, options) {
+        const targetNodes = this.getReplicaNodes(key, { forRead: true });
+
+        if (targetNodes.length === 0) {
+            logger.warn(`No nodes available to retrieve key: ${key}`);
+            return [];
+        }
+
+        const readQuorum = this._requiredReplicas(
+            "read",
+            options.consistency,
+            targetNodes.length
+        );
+
+        // Read the first replicas in bounded-load order, so a preferred
+        // replica at the load bound gives way to the next one
+        const ordered = this._boundedLoadOrder(targetNodes);
+        const skipped = targetNodes
+            .slice(0, readQuorum)
+            .filter((nodeId) => !ordered.slice(0, readQuorum).includes(nodeId));
+        for (const nodeId of skipped) {
+            logger.debug(
+                `Node ${nodeId} is over its load bound, reading key ${key} from another replica`
+            );
+            if (this.monitoringSystem) {
+                this.monitoringSystem.recordLoadOverflow(nodeId);
+            }
+        }
+
+        // Stale replicas among those read are repaired in the background once
+        // they all answered
+        const replies = await this._readReplicas(
+            key,
+            ordered,
+            readQuorum,
+            (allReplies) => this._readRepair(key, allReplies)
+        );
+
+        if (replies.length < readQuorum) {
+            logger.warn(
+                `Read quorum not reached for key ${key}: ${replies.length}/${readQuorum}`
+            );
+            throw new QuorumNotReachedError("read", readQuorum, replies.length);
+        }
+
+        return replies;
+    }
+
+    /**
+     * Set a value in the cache
+     * @param {string} key - Cache key
+     * @param {any} value - Value to cache
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @param {Object} options - Write options
+     * @param {string} options.consistency - Consistency level (one, quorum, all)
+     * @param {string} options.context - Causal context from a previous read, for keys using vector clocks
+     * @returns {Promise<boolean>} - Success status
+     */
+    async set(key, value, ttl, options = {}) {
+        const acknowledged = await this._write(key, value, ttl, options);
+        return acknowledged > 0;
+    }
+
+    /**
+     * Write a value to its replicas and replicate it further once the write quorum is reached
+     * @private
+     * @param {string} key - Cache key
+     * @param {any} value - Value to cache
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @param {Object} options - Write options, see set
+     * @returns {Promise<number>} - Number of replicas that acknowledged the write
+     */
+    async _write(key, value, ttl, options) {
+        const targetNodes = this.consistentHashing.getReplicaNodes(
+            key,
+            this.replicaFactor
+        );
+
+        if (targetNodes.length === 0) {
+            logger.warn(`No nodes available to store key: ${key}`);
+            return 0;
+        }
+
+        const writeQuorum = this._requiredReplicas(
+            "write",
+            options.consistency,
+            targetNodes.length
+        );
+
+        // Keys using vector clocks keep concurrent writes as siblings, so replicas
+        // merge the new value instead of overwriting it
+        const vectorClocked = this.usesVectorClocks(key);
+        let context = new VectorClock();
+        if (vectorClocked && options.context) {
+            context = VectorClock.decodeContext(options.context);
+            if (!context) {
+                throw new InvalidContextError();
+            }
+        }
+
+        // Version the value with the hybrid logical clock for conflict resolution
+        const version = this.clock.now();
+        const stringValue = vectorClocked
+            ? this._serializeSiblings([
+                  {
+                      clock: context.increment(this.nodeId, version),
+                      data: value,
+                  },
+              ])
+            : this._serializeValue(version, value);
+
+        // Store on every replica through its owning node, which keeps its copy if
+        // it is newer and merges siblings, so concurrent writes cannot land out of order
+        const promises = targetNodes.map(async (nodeId) => {
+            try {
+                return await this._applyOnNode(nodeId, key, stringValue, ttl);
+            } catch (error) {
+                logger.error(
+                    `Error storing key ${key} to node ${nodeId}: ${error.message}`
+                );
+                return false;
+            }
+        });
+
+        const results = await Promise.all(promises);
+        const acknowledged = results.filter(Boolean).length;
+
+        if (acknowledged < writeQuorum) {
+            logger.warn(
+                `Write quorum not reached for key ${key}: ${acknowledged}/${writeQuorum}`
+            );
+            throw new QuorumNotReachedError("write", writeQuorum, acknowledged);
+        }
+
+        await this._replicate(key, stringValue, ttl, version);
+        return acknowledged;
+    }
+
+    /**
+     * Store a value on a replica through its owning node, so writes of the same
+     * key are version-checked and serialized by that node. Undelivered values
+     * are kept as hints.
+     * @private
+     * @param {string} nodeId - Replica node
+     * @param {string} key - Cache key
+     * @param {string} stringValue - Serialized versioned value, siblings or tombstone
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @returns {Promise<boolean>} - True if the replica has the value or a newer one
+     */
+    async _applyOnNode(nodeId, key, stringValue, ttl) {
+        if (nodeId === this.nodeId) {
+            await this.applyReplicatedValue(key, stringValue, ttl);
+            return true;
+        }
+
+        const nodeInfo = this.nodeInfos.get(nodeId);
+        const delivered =
+            Boolean(this.communicationLayer && nodeInfo) &&
+            (await this.communicationLayer.replicateDataToNode(
+                nodeId,
+                nodeInfo,
+                key,
+                stringValue,
+                ttl
+            ));
+
+        if (!delivered) {
+            await this.hintedHandoff.storeHint(nodeId, key, stringValue, ttl);
+        }
+        return delivered;
+    }
+
+    /**
+     * Store a batch of values on a replica through its owning node, see _applyOnNode
+     * @private
+     * @param {string} nodeId - Replica node
+     * @param {Array<Object>} entries - Values to store ({ key, value, ttl })
+     * @returns {Promise<Set<string>>} - Keys the replica has the value or a newer one of
+     */
+    async _applyBatchOnNode(nodeId, entries) {
+        const stored = new Set();
+
+        if (nodeId === this.nodeId) {
+            await Promise.all(
+                entries.map(async ({ key, value, ttl }) => {
+                    try {
+                        await this.applyReplicatedValue(key, value, ttl);
+                        stored.add(key);
+                    } catch (error) {
+                        logger.error(
+                            `Error storing key ${key} to node ${nodeId}: ${error.message}`
+                        );
+                    }
+                })
+            );
+            return stored;
+        }
+
+        const nodeInfo = this.nodeInfos.get(nodeId);
+        if (this.communicationLayer && nodeInfo) {
+            const delivered =
+                await this.communicationLayer.replicateBatchToNode(
+                    nodeId,
+                    nodeInfo,
+                    entries
+                );
+            delivered.forEach((key) => stored.add(key));
+        } else {
+            logger.warn(`Node ${nodeId} is not reachable`);
+        }
+
+        // Keep failed writes as hints so the node catches up once it is back
+        await Promise.all(
+            entries
+                .filter(({ key }) => !stored.has(key))
+                .map(({ key, value, ttl }) =>
+                    this.hintedHandoff.storeHint(nodeId, key, value, ttl)
+                )
+        );
+        return stored;
+    }
+
+    /**
+     * Delete a value from the cache
+     * @param {string} key - Cache key
+     * @param {Object} options - Write options
+     * @param {string} options.consistency - Consistency level (one, quorum, all)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async delete(key, options = {}) {
+        // Only the replica nodes hold the key
+        const replicaNodes = this.getReplicaNodes(key);
+        const writeQuorum = this._requiredReplicas(
+            "write",
+            options.consistency,
+            replicaNodes.length
+        );
+
+        if (replicaNodes.length === 0) {
+            logger.warn(`No nodes available to delete key: ${key}`);
+            return false;
+        }
+
+        // Replace the value with a versioned tombstone rather than removing it
+        const tombstone = this._serializeTombstone(this.clock.now());
+
+        // Store the tombstone on every replica node, where it only replaces older versions
+        const promises = replicaNodes.map(async (nodeId) => {
+            try {
+                const stored = await this._applyOnNode(
+                    nodeId,
+                    key,
+                    tombstone,
+                    this.tombstoneGracePeriod
+                );
+                if (stored) {
+                    logger.info(`Deleted key ${key} from node ${nodeId}`);
+                }
+                return stored;
+            } catch (error) {
+                logger.error(
+                    `Error deleting key ${key} from node ${nodeId}: ${error.message}`
+                );
+                return false;
+            }
+        });
+
+        const results = await Promise.all(promises);
+        const acknowledged = results.filter(Boolean).length;
+
+        if (acknowledged < writeQuorum) {
+            logger.warn(
+                `Delete quorum not reached for key ${key}: ${acknowledged}/${writeQuorum}`
+            );
+            throw new QuorumNotReachedError("write", writeQuorum, acknowledged);
+        }
+
+        await this._invalidate(key, tombstone);
+        return true;
+    }
+
+    /**
+     * Get several values from the cache in one call
+     * @param {Array<string>} keys - Cache keys
+     * @param {Object} options - Read options
+     * @param {string} options.consistency - Consistency level (one, quorum, all)
+     * @returns {Promise<Array<Object>>} - Per-key results ({ key, found, value } or { key, error }).
+     *                                   Keys using vector clocks also get siblings and context.
+     */
+    async mget(keys, options = {}) {
+        const consistency = this._resolveConsistency(options.consistency);
+        const uniqueKeys = [...new Set(keys)];
+        const keysByNode = this._groupKeysByNode(uniqueKeys, {
+            forRead: true,
+        });
+        const replicaCounts = this._countReplicas(keysByNode);
+        const latest = new Map();
+        const replicaValues = new Map();
+        const responded = new Map();
+
+        // Fetch every node's share of the keys in parallel with a single MGET each
+        const promises = Array.from(keysByNode.entries()).map(
+            async ([nodeId, nodeKeys]) => {
+                const client = this._getNodeClient(nodeId);
+                if (!client) {
+                    logger.warn(`Redis client for node ${nodeId} not found`);
+                    return;
+                }
+
+                try {
+                    const values = await client.mget(
+                        nodeKeys.map((key) => this._storageKey(nodeId, key))
+                    );
+
+                    values.forEach((value, index) => {
+                        const key = nodeKeys[index];
+                        responded.set(key, (responded.get(key) || 0) + 1);
+
+                        if (value === null) {
+                            return;
+                        }
+
+                        const parsed = this._parseStoredValue(value);
+                        if (this.usesVectorClocks(key)) {
+                            replicaValues.set(key, [
+                                ...(replicaValues.get(key) || []),
+                                parsed,
+                            ]);
+                        }
+
+                        const current = latest.get(key);
+                        if (
+                            !current ||
+                            HybridLogicalClock.compare(
+                                parsed.version,
+                                current.version
+                            ) > 0
+                        ) {
+                            latest.set(key, parsed);
+                        }
+                    });
+                } catch (error) {
+                    logger.error(
+                        `Error retrieving ${nodeKeys.length} keys from node ${nodeId}: ${error.message}`
+                    );
+                }
+            }
+        );
+
+        await Promise.all(promises);
+
+        for (const entry of latest.values()) {
+            this._observeVersion(entry.version);
+        }
+
+        // Keys using vector clocks return the siblings of every replica
+        const merged = new Map();
+        for (const [key, values] of replicaValues) {
+            merged.set(key, this._mergeValues(values));
+        }
+
+        return keys.map((key) => {
+            const readQuorum = this._requiredReplicas(
+                "read",
+                consistency,
+                replicaCounts.get(key) || 0
+            );
+            const replies = responded.get(key) || 0;
+            if (replies === 0 || replies < readQuorum) {
+                return {
+                    key,
+                    error: new QuorumNotReachedError(
+                        "read",
+                        readQuorum,
+                        replies
+                    ).message,
+                };
+            }
+
+            const entry = latest.get(key);
+            if (
+                !entry ||
+                (merged.has(key)
+                    ? merged.get(key).siblings.length === 0
+                    : entry.tombstone)
+            ) {
+                return { key, found: false, value: null };
+            }
+
+            if (merged.has(key)) {
+                const result = this._siblingsResult(merged.get(key).siblings);
+                return {
+                    key,
+                    found: true,
+                    value:
+                        result.siblings.length === 1
+                            ? result.siblings[0]
+                            : null,
+                    ...result,
+                };
+            }
+            return { key, found: true, value: entry.data };
+        });
+    }
+
+    /**
+     * Set several values in the cache in one call
+     * @param {Array<Object>} entries - Entries of the form { key, value, ttl }, plus an
+     *                                  optional context for keys using vector clocks
+     * @param {Object} options - Write options
+     * @param {string} options.consistency - Consistency level (one, quorum, all)
+     * @returns {Promise<Array<Object>>} - Per-key results ({ key, success, replicas } or { key, success, error })
+     */
+    async mset(entries, options = {}) {
+        const consistency = this._resolveConsistency(options.consistency);
+        const versions = new Map();
+        const stringValues = new Map();
+        const ttls = new Map();
+
+        // Keys using vector clocks are merged on each replica, one key at a time
+        const merged = new Map();
+        await Promise.all(
+            entries
+                .filter(({ key }) => this.usesVectorClocks(key))
+                .map(async ({ key, value, ttl, context }) => {
+                    try {
+                        const replicas = await this._write(key, value, ttl, {
+                            consistency,
+                            context,
+                        });
+                        merged.set(
+                            key,
+                            replicas > 0
+                                ? { key, success: true, replicas }
+                                : {
+                                      key,
+                                      success: false,
+                                      error: "No nodes available to store key",
+                                  }
+                        );
+                    } catch (error) {
+                        merged.set(key, {
+                            key,
+                            success: false,
+                            error: error.message,
+                        });
+                    }
+                })
+        );
+
+        for (const { key, value, ttl } of entries) {
+            if (merged.has(key)) {
+                continue;
+            }
+
+            const version = this.clock.now();
+            versions.set(key, version);
+            stringValues.set(key, this._serializeValue(version, value));
+            ttls.set(key, ttl);
+        }
+
+        const keysByNode = this._groupKeysByNode(
+            Array.from(stringValues.keys())
+        );
+        const replicaCounts = this._countReplicas(keysByNode);
+        const acks = new Map();
+
+        // Send every node its share of the entries in parallel, in one batch each
+        await Promise.all(
+            Array.from(keysByNode.entries()).map(async ([nodeId, nodeKeys]) => {
+                const stored = await this._applyBatchOnNode(
+                    nodeId,
+                    nodeKeys.map((key) => ({
+                        key,
+                        value: stringValues.get(key),
+                        ttl: ttls.get(key),
+                    }))
+                );
+                for (const key of stored) {
+                    acks.set(key, (acks.get(key) || 0) + 1);
+                }
+            })
+        );
+
+        // Only keys that reached the write quorum are replicated further
+        const errors = new Map();
+        for (const key of stringValues.keys()) {
+            const writeQuorum = this._requiredReplicas(
+                "write",
+                consistency,
+                replicaCounts.get(key) || 0
+            );
+            const acknowledged = acks.get(key) || 0;
+            if (acknowledged === 0 || acknowledged < writeQuorum) {
+                errors.set(
+                    key,
+                    new QuorumNotReachedError(
+                        "write",
+                        writeQuorum,
+                        acknowledged
+                    ).message
+                );
+            }
+        }
+
+        const stored = Array.from(stringValues.keys()).filter(
+            (key) => !errors.has(key)
+        );
+        await Promise.all(
+            stored.map((key) =>
+                this._replicate(
+                    key,
+                    stringValues.get(key),
+                    ttls.get(key),
+                    versions.get(key)
+                )
+            )
+        );
+
+        return entries.map(({ key }) => {
+            if (merged.has(key)) {
+                return merged.get(key);
+            }
+            return errors.has(key)
+                ? { key, success: false, error: errors.get(key) }
+                : { key, success: true, replicas: acks.get(key) };
+        });
+    }
+
+    /**
+     * Delete several values from the cache in one call
+     * @param {Array<string>} keys - Cache keys
+     * @param {Object} options - Write options
+     * @param {string} options.consistency - Consistency level (one, quorum, all)
+     * @returns {Promise<Array<Object>>} - Per-key results ({ key, success } or { key, success, error })
+     */
+    async mdel(keys, options = {}) {
+        const consistency = this._resolveConsistency(options.consistency);
+        const uniqueKeys = [...new Set(keys)];
+        const keysByNode = this._groupKeysByNode(uniqueKeys);
+        const replicaCounts = this._countReplicas(keysByNode);
+        const acks = new Map();
+
+        const tombstones = new Map();
+        for (const key of uniqueKeys) {
+            tombstones.set(key, this._serializeTombstone(this.clock.now()));
+        }
+
+        // Send every node its share of the tombstones in parallel, in one batch each
+        await Promise.all(
+            Array.from(keysByNode.entries()).map(async ([nodeId, nodeKeys]) => {
+                const stored = await this._applyBatchOnNode(
+                    nodeId,
+                    nodeKeys.map((key) => ({
+                        key,
+                        value: tombstones.get(key),
+                        ttl: this.tombstoneGracePeriod,
+                    }))
+                );
+                for (const key of stored) {
+                    acks.set(key, (acks.get(key) || 0) + 1);
+                }
+            })
+        );
+
+        const errors = new Map();
+        for (const key of uniqueKeys) {
+            const writeQuorum = this._requiredReplicas(
+                "write",
+                consistency,
+                replicaCounts.get(key) || 0
+            );
+            const acknowledged = acks.get(key) || 0;
+            if (acknowledged === 0 || acknowledged < writeQuorum) {
+                errors.set(
+                    key,
+                    new QuorumNotReachedError(
+                        "write",
+                        writeQuorum,
+                        acknowledged
+                    ).message
+                );
+            }
+        }
+
+        // Invalidate on the rest of the cluster, same as a single-key delete
+        await Promise.all(
+            uniqueKeys
+                .filter((key) => !errors.has(key))
+                .map((key) => this._invalidate(key, tombstones.get(key)))
+        );
+
+        return keys.map((key) =>
+            errors.has(key)
+                ? { key, success: false, error: errors.get(key) }
+                : { key, success: true }
+        );
+    }
+
+    /**
+     * Store a value written through this node or received from another one if it
+     * is newer than the local copy.
+     * Values with siblings are merged with the local copy instead.
+     * @param {string} key - Cache key
+     * @param {string} value - Serialized versioned value
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @returns {Promise<boolean>} - True if stored, false if the local copy is newer or equal
+     */
+    async applyReplicatedValue(key, value, ttl) {
+        const incoming = this._parseStoredValue(value);
+
+        // The version check and the write must not interleave with another write of the key
+        const stored = await this.withKeyLock(key, () =>
+            incoming.siblings || this.usesVectorClocks(key)
+                ? this._mergeSiblingValue(key, incoming, ttl)
+                : this._applyNewerValue(key, value, incoming, ttl)
+        );
+
+        // Nodes that read the key through this one may cache the older value
+        if (stored && this.communicationLayer) {
+            const readers = this.nearCache.takeReaders(key);
+            if (readers.length > 0) {
+                this.communicationLayer.evictNearCache(key, readers);
+            }
+        }
+        return stored;
+    }
+
+    /**
+     * Store a value if it is newer than the local copy
+     * @private
+     * @param {string} key - Cache key
+     * @param {string} value - Serialized versioned value
+     * @param {Object} incoming - Parsed value
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @returns {Promise<boolean>} - True if stored, false if the local copy is newer or equal
+     */
+    async _applyNewerValue(key, value, incoming, ttl) {
+        // Tombstones always expire, even when received without a TTL
+        if (incoming.tombstone && !ttl) {
+            ttl = this.tombstoneGracePeriod;
+        }
+
+        const incomingVersion = incoming.version;
+        const encodedVersion = HybridLogicalClock.encode(incomingVersion);
+        this._observeVersion(incomingVersion);
+
+        // Check if we already have this key with a version
+        const existingValue = await this.localRedis.get(key);
+        if (existingValue !== null) {
+            const existingVersion =
+                this._parseStoredValue(existingValue).version;
+
+            // Only update if incoming is newer, values without a version are always replaced
+            if (
+                existingVersion.wallTime >= 0 &&
+                HybridLogicalClock.compare(incomingVersion, existingVersion) <=
+                    0
+            ) {
+                logger.info(
+                    `Skipping replication for key ${key} - existing version ${HybridLogicalClock.encode(
+                        existingVersion
+                    )} is newer than or equal to incoming ${encodedVersion}`
+                );
+                return false;
+            }
+        }
+
+        if (ttl) {
+            await this.localRedis.set(key, value, "EX", ttl);
+        } else {
+            await this.localRedis.set(key, value);
+        }
+
+        logger.info(
+            `Successfully replicated key ${key} on local node with version ${encodedVersion}`
+        );
+        return true;
+    }
+
+    /**
+     * Merge incoming siblings into the local copy of a key
+     * @private
+     * @param {string} key - Cache key
+     * @param {Object} incoming - Parsed incoming value
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @returns {Promise<boolean>} - True if the local copy changed
+     */
+    async _mergeSiblingValue(key, incoming, ttl) {
+        this._observeVersion(incoming.version);
+
+        const existingValue = await this.localRedis.get(key);
+        const existing =
+            existingValue === null
+                ? null
+                : this._parseStoredValue(existingValue);
+        const merged = this._mergeValues([existing, incoming]);
+        const stringValue = this._serializeMerged(merged);
+
+        if (
+            !stringValue ||
+            (existing &&
+                this._valueVersion(existing) ===
+                    this._valueVersion(this._parseStoredValue(stringValue)))
+        ) {
+            logger.info(
+                `Skipping replication for key ${key} - siblings already up to date`
+            );
+            return false;
+        }
+
+        // A key whose siblings were all deleted is stored as a plain tombstone
+        if (merged.siblings.length === 0) {
+            ttl = this.tombstoneGracePeriod;
+        }
+        if (ttl) {
+            await this.localRedis.set(key, stringValue, "EX", ttl);
+        } else {
+            await this.localRedis.set(key, stringValue);
+        }
+
+        logger.info(
+            `Successfully merged key ${key} on local node, ${merged.siblings.length} sibling(s)`
+        );
+        return true;
+    }
+
+    /**
+     * Run a read-modify-write of a local key after any other one in progress for the same key
+     * @param {string} key - Cache key, or the name of internal state kept per key
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<any>} - Result of fn
+     */
+    async withKeyLock(key, fn) {
+        const previous = this.keyLocks.get(key) || Promise.resolve();
+        const run = previous.then(fn);
+        const tail = run.catch(() => {});
+        this.keyLocks.set(key, tail);
+
+        try {
+            return await run;
+        } finally {
+            if (this.keyLocks.get(key) === tail) {
+                this.keyLocks.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Walk every cache key stored on the local node, skipping internal keys
+     * @param {Function} onBatch - Called with each batch of keys, may return a promise
+     * @param {number} batchSize - Number of keys requested per SCAN call
+     */
+    async scanLocalKeys(onBatch, batchSize = 500) {
+        // SCAN patterns are not prefixed by ioredis, so match and strip the prefix here
+        const prefix = `${this.nodeId}:`;
+        let cursor = "0";
+
+        do {
+            const [nextCursor, storageKeys] = await this.localRedis.scan(
+                cursor,
+                "MATCH",
+                `${prefix}*`,
+                "COUNT",
+                batchSize
+            );
+            cursor = nextCursor;
+
+            const keys = storageKeys
+                .map((storageKey) => storageKey.slice(prefix.length))
+                .filter(
+                    (key) => !key.startsWith(CacheManager.INTERNAL_KEY_PREFIX)
+                );
+            if (keys.length > 0) {
+                await onBatch(keys);
+            }
+        } while (cursor !== "0");
+    }
+
+    /**
+     * Read raw values and remaining TTLs of keys stored on the local node
+     * @param {Array<string>} keys - Cache keys
+     * @returns {Promise<Array<Object>>} - Entries of the form { key, value, ttl }, missing keys are left out
+     */
+    async getLocalEntries(keys) {
+        if (keys.length === 0) {
+            return [];
+        }
+
+        const pipeline = this.localRedis.pipeline();
+        for (const key of keys) {
+            pipeline.get(key);
+            pipeline.pttl(key);
+        }
+        const results = await pipeline.exec();
+
+        const entries = [];
+        keys.forEach((key, index) => {
+            const [getError, value] = results[index * 2];
+            const [pttlError, pttl] = results[index * 2 + 1];
+            if (getError || pttlError || value === null) {
+                return;
+            }
+
+            // TTL in whole seconds, 0 for keys without an expiry
+            entries.push({
+                key,
+                value,
+                ttl: pttl > 0 ? Math.ceil(pttl / 1000) : 0,
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Get the version of a raw stored value, as compared by compareVersions
+     * @param {string} value - Raw value read from Redis
+     * @returns {string} - Version identifier
+     */
+    getValueVersion(value) {
+        return this._valueVersion(this._parseStoredValue(value));
+    }
+
+    /**
+     * Compare two versions returned by getValueVersion
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number|null} - Negative if a is older, positive if a is newer, 0 if equal,
+     *                          null if the versions are concurrent and must be merged
+     */
+    compareVersions(a, b) {
+        if (a.startsWith("vc:") !== b.startsWith("vc:")) {
+            // A timestamp version may be a tombstone, so merge both ways
+            return null;
+        }
+        if (a.startsWith("vc:")) {
+            const order = this._versionClock(a).compare(this._versionClock(b));
+            if (order === VectorClock.AFTER) {
+                return 1;
+            }
+            if (order === VectorClock.BEFORE) {
+                return -1;
+            }
+            return order === VectorClock.EQUAL && a === b ? 0 : null;
+        }
+
+        return HybridLogicalClock.compare(
+            HybridLogicalClock.decode(a),
+            HybridLogicalClock.decode(b)
+        );
+    }
+
+    /**
+     * Merge raw stored values whose versions are concurrent, as a replica
+     * receiving both of them would
+     * @param {Array<string>} values - Raw stored values
+     * @returns {string|null} - Serialized merged value, or null if every value was deleted long ago
+     */
+    mergeStoredValues(values) {
+        return this._serializeMerged(
+            this._mergeValues(
+                values.map((value) => this._parseStoredValue(value))
+            )
+        );
+    }
+
+    /**
+     * Replicate a stored value to the key's replica nodes through the communication layer
+     * @private
+     * @param {string} key - Cache key
+     * @param {string} stringValue - Serialized versioned value
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @param {Object} version - Clock timestamp of the write
+     */
+    async _replicate(key, stringValue, ttl, version) {
+        const encodedVersion = HybridLogicalClock.encode(version);
+        this.nearCache.invalidate(key);
+
+        // Replicate again with retries, so replicas that missed the write still receive it
+        try {
+            if (this.communicationLayer) {
+                // First replication attempt
+                await this.communicationLayer.replicateData(
+                    key,
+                    stringValue,
+                    ttl
+                );
+                logger.info(
+                    `Replication initiated for key=${key} across its replica nodes with version ${encodedVersion}`
+                );
+
+                // Add a second replication attempt after a short delay
+                // This helps catch any nodes that might have missed the first attempt
+                setTimeout(async () => {
+                    try {
+                        await this.communicationLayer.replicateData(
+                            key,
+                            stringValue,
+                            ttl
+                        );
+                        logger.info(
+                            `Secondary replication completed for key=${key} with version ${encodedVersion}`
+                        );
+                    } catch (retryError) {
+                        logger.warn(
+                            `Secondary replication attempt failed: ${retryError.message}`
+                        );
+                    }
+                }, 1000);
+            }
+        } catch (error) {
+            // Even if replication fails, the write quorum was already reached
+            logger.error(
+                `Error during cache replication for key=${key}: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Invalidate a deleted key on its replica nodes through the communication layer
+     * @private
+     * @param {string} key - Cache key
+     * @param {string} tombstone - Serialized tombstone of the delete
+     */
+    async _invalidate(key, tombstone) {
+        this.nearCache.invalidate(key);
+
+        // Send the tombstone again with retries, so replicas that missed the delete still receive it
+        try {
+            if (this.communicationLayer) {
+                // Use a more aggressive approach for deletions
+                await this.communicationLayer.invalidateCache(key, tombstone);
+
+                // Wait a short time and try again to catch any nodes that might have missed it
+                setTimeout(async () => {
+                    try {
+                        await this.communicationLayer.invalidateCache(
+                            key,
+                            tombstone
+                        );
+                        logger.info(
+                            `Performed secondary invalidation for key=${key}`
+                        );
+                    } catch (retryError) {
+                        logger.warn(
+                            `Secondary invalidation attempt failed: ${retryError.message}`
+                        );
+                    }
+                }, 2000);
+
+                logger.info(
+                    `Invalidation initiated for key=${key} across its replica nodes`
+                );
+            }
+        } catch (error) {
+            // Even if invalidation fails, the delete quorum was already reached
+            logger.error(
+                `Error during cache invalidation for key=${key}: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Validate a requested consistency level, falling back to the default
+     * @private
+     * @param {string} consistency - Requested consistency level (optional)
+     * @returns {string} - Consistency level to use
+     */
+    _resolveConsistency(consistency) {
+        const level = consistency || this.defaultConsistency;
+        if (!CacheManager.CONSISTENCY_LEVELS.includes(level)) {
+            throw new InvalidConsistencyLevelError(level);
+        }
+        return level;
+    }
+
+    /**
+     * Number of replicas that must acknowledge an operation
+     * @private
+     * @param {string} operation - Operation type (read, write)
+     * @param {string} consistency - Requested consistency level (optional)
+     * @param {number} replicaCount - Number of replicas that hold the key
+     * @returns {number} - Required number of acknowledgements
+     */
+    _requiredReplicas(operation, consistency, replicaCount) {
+        const level = this._resolveConsistency(consistency);
+
+        let required;
+        if (level === "one") {
+            required = 1;
+        } else if (level === "all") {
+            required = this.replicaFactor;
+        } else {
+            required =
+                operation === "read" ? this.readQuorum : this.writeQuorum;
+        }
+
+        // A cluster smaller than the replica factor can never return more replicas
+        return Math.min(required, replicaCount);
+    }
+
+    /**
+     * Read a key from the first replicas needed for the quorum, in parallel,
+     * and from the next ones while the replies cannot reach it anymore
+     * @private
+     * @param {string} key - Cache key
+     * @param {Array<string>} targetNodes - Replica nodes for the key, in the order to read them
+     * @param {number} required - Number of agreeing replies to wait for
+     * @param {Function} onComplete - Called with every reply once all replicas read answered (optional)
+     * @returns {Promise<Array<Object>>} - Replies received ({ nodeId, value, raw, pttl })
+     */
+    _readReplicas(key, targetNodes, required, onComplete) {
+        return new Promise((resolve) => {
+            const replies = [];
+            let next = 0;
+            let pending = 0;
+            let agreeing = 0;
+            let done = false;
+
+            const finish = () => {
+                if (!done) {
+                    done = true;
+                    resolve(replies.slice());
+                }
+            };
+
+            const read = (nodeId) => {
+                pending++;
+                this._trackInFlight(nodeId, () =>
+                    this._readFromNode(nodeId, key)
+                )
+                    .then((reply) => {
+                        if (!reply) {
+                            return;
+                        }
+                        replies.push(reply);
+
+                        // Return early once enough replicas agree on the newest value
+                        const latest = this._latestReply(replies);
+                        agreeing = replies.filter(
+                            (other) =>
+                                this._valueVersion(other.value) ===
+                                this._valueVersion(latest)
+                        ).length;
+                        if (agreeing >= required) {
+                            finish();
+                        }
+                    })
+                    .finally(() => {
+                        pending--;
+                        readMore();
+                        if (pending === 0) {
+                            finish();
+                            if (onComplete) {
+                                onComplete(replies);
+                            }
+                        }
+                    });
+            };
+
+            // Read further replicas while the ones read so far and those
+            // still answering cannot make up the quorum
+            const readMore = () => {
+                while (
+                    !done &&
+                    next < targetNodes.length &&
+                    agreeing + pending < required
+                ) {
+                    read(targetNodes[next++]);
+                }
+            };
+
+            readMore();
+            if (pending === 0) {
+                finish();
+            }
+        });
+    }
+
+    /**
+     * Read a key and its remaining time to live from a single node
+     * @private
+     * @param {string} nodeId - Node identifier
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - { nodeId, value, raw, pttl } where value is the parsed
+     *                                   stored value or null on a miss, or null if the node failed
+     */
+    async _readFromNode(nodeId, key) {
+        const client = this._getNodeClient(nodeId);
+        if (!client) {
+            logger.warn(`Redis client for node ${nodeId} not found`);
+            return null;
+        }
+
+        try {
+            const storageKey = this._storageKey(nodeId, key);
+            const [[getError, raw], [pttlError, pttl]] = await client
+                .pipeline()
+                .get(storageKey)
+                .pttl(storageKey)
+                .exec();
+            if (getError || pttlError) {
+                throw getError || pttlError;
+            }
+
+            return {
+                nodeId,
+                value: raw === null ? null : this._parseStoredValue(raw),
+                raw,
+                pttl,
+            };
+        } catch (error) {
+            logger.error(
+                `Error retrieving key ${key} from node ${nodeId}: ${error.message}`
+            );
+            return null;
+        }
+    }
+
+    /**
+     * Push the newest value back to replicas that returned an older value or nothing
+     * @private
+     * @param {string} key - Cache key
+     * @param {Array<Object>} replies - Every reply from _readReplicas
+     */
+    async _readRepair(key, replies) {
+        const source = this.usesVectorClocks(key)
+            ? this._mergedSource(replies)
+            : this._latestSource(replies);
+        if (!source) {
+            return;
+        }
+
+        // The key expired between the read and the repair
+        if (source.pttl === -2) {
+            return;
+        }
+        const ttl = source.pttl > 0 ? Math.ceil(source.pttl / 1000) : 0;
+
+        const staleReplies = replies.filter((reply) =>
+            source.isStale(reply.value)
+        );
+
+        await Promise.all(
+            staleReplies.map(async ({ nodeId, value }) => {
+                const reason = value ? "stale" : "missing";
+                logger.info(
+                    `Read repair for key ${key} on node ${nodeId} (${reason}) with version ${source.version}`
+                );
+
+                try {
+                    let repaired;
+                    if (nodeId === this.nodeId) {
+                        repaired = await this.applyReplicatedValue(
+                            key,
+                            source.raw,
+                            ttl
+                        );
+                    } else {
+                        // Go through the replication path so the remote node
+                        // keeps any value that became newer in the meantime
+                        const nodeInfo = this.nodeInfos.get(nodeId);
+                        if (!this.communicationLayer || !nodeInfo) {
+                            logger.warn(
+                                `Cannot repair key ${key} on node ${nodeId}: node is not reachable`
+                            );
+                            return;
+                        }
+                        repaired =
+                            await this.communicationLayer.replicateDataToNode(
+                                nodeId,
+                                nodeInfo,
+                                key,
+                                source.raw,
+                                ttl
+                            );
+                    }
+
+                    if (repaired && this.monitoringSystem) {
+                        this.monitoringSystem.recordReadRepair(reason);
+                    }
+                } catch (error) {
+                    logger.error(
+                        `Error repairing key ${key} on node ${nodeId}: ${error.message}`
+                    );
+                }
+            })
+        );
+    }
+
+    /**
+     * Pick the newest reply as the source of a read repair
+     * @private
+     * @param {Array<Object>} replies - Replies from _readFromNode
+     * @returns {Object|null} - { raw, pttl, version, isStale } or null if there is nothing to repair
+     */
+    _latestSource(replies) {
+        const latest = this._latestReply(replies);
+
+        // Values without a version cannot be ordered, so there is nothing to repair
+        if (!latest || latest.version.wallTime < 0) {
+            return null;
+        }
+
+        const { raw, pttl } = replies.find((reply) => reply.value === latest);
+        return {
+            raw,
+            pttl,
+            version: HybridLogicalClock.encode(latest.version),
+            isStale: (value) =>
+                !value ||
+                HybridLogicalClock.compare(value.version, latest.version) < 0,
+        };
+    }
+
+    /**
+     * Merge the siblings of every reply into the source of a read repair
+     * @private
+     * @param {Array<Object>} replies - Replies from _readFromNode
+     * @returns {Object|null} - { raw, pttl, version, isStale } or null if every replica missed
+     */
+    _mergedSource(replies) {
+        const raw = this._serializeMerged(
+            this._mergeValues(replies.map((reply) => reply.value))
+        );
+        if (!raw) {
+            return null;
+        }
+
+        const latest = this._latestReply(replies);
+        const version = this._valueVersion(this._parseStoredValue(raw));
+        return {
+            raw,
+            pttl: replies.find((reply) => reply.value === latest).pttl,
+            version,
+            isStale: (value) => !value || this._valueVersion(value) !== version,
+        };
+    }
+
+    /**
+     * Pick the most recent value among replica replies
+     * @private
+     * @param {Array<Object>} replies - Replies from _readFromNode
+     * @returns {Object|null} - Newest parsed value ({ version, data }) or null if every replica missed
+     */
+    _latestReply(replies) {
+        let latest = null;
+
+        for (const { value } of replies) {
+            // Values without a version only win if nothing better was found
+            if (
+                value &&
+                (!latest ||
+                    HybridLogicalClock.compare(value.version, latest.version) >
+                        0)
+            ) {
+                latest = value;
+            }
+        }
+
+        return latest;
+    }
+
+    /**
+     * Version identifier used to decide whether replicas agree
+     * @private
+     * @param {Object|null} value - Parsed stored value or null on a miss
+     * @returns {string} - Version identifier
+     */
+    _valueVersion(value) {
+        if (!value) {
+            return "miss";
+        }
+        if (value.siblings) {
+            return this._siblingsVersion(value.siblings, value.deleted);
+        }
+        return HybridLogicalClock.encode(value.version);
+    }
+
+    /**
+     * Version identifier of a set of siblings, equal for equal sets
+     * @private
+     * @param {Array<Object>} siblings - Siblings of the form { clock, data }
+     * @param {Object} deleted - Timestamp of the latest delete of the key (optional)
+     * @returns {string} - Version identifier
+     */
+    _siblingsVersion(siblings, deleted) {
+        return `vc:${JSON.stringify({
+            clocks: siblings.map(({ clock }) => clock.toString()).sort(),
+            deleted: deleted ? HybridLogicalClock.encode(deleted) : null,
+        })}`;
+    }
+
+    /**
+     * Merge the clocks of a version returned by getValueVersion
+     * @private
+     * @param {string} version - Version identifier
+     * @returns {VectorClock} - Clock descending from every sibling, empty for timestamp versions
+     */
+    _versionClock(version) {
+        if (!version.startsWith("vc:")) {
+            return new VectorClock();
+        }
+        return JSON.parse(version.slice(3)).clocks.reduce(
+            (merged, clock) => merged.merge(new VectorClock(JSON.parse(clock))),
+            new VectorClock()
+        );
+    }
+
+    /**
+     * Get the siblings of a parsed value, a timestamped value becomes a single
+     * sibling that any vector clock write supersedes
+     * @private
+     * @param {Object} value - Parsed stored value
+     * @returns {Array<Object>} - Siblings of the form { clock, data }
+     */
+    _toSiblings(value) {
+        return (
+            value.siblings || [{ clock: new VectorClock(), data: value.data }]
+        );
+    }
+
+    /**
+     * Merge parsed values of a key using vector clocks. Siblings written before
+     * the latest delete are dropped.
+     * @private
+     * @param {Array<Object|null>} values - Parsed stored values, null for misses
+     * @returns {Object} - { siblings, deleted } where deleted is the timestamp of the latest delete or null
+     */
+    _mergeValues(values) {
+        const present = values.filter(Boolean);
+
+        let deleted = null;
+        for (const value of present) {
+            const marker = value.tombstone ? value.version : value.deleted;
+            if (
+                marker &&
+                (!deleted || HybridLogicalClock.compare(marker, deleted) > 0)
+            ) {
+                deleted = marker;
+            }
+        }
+
+        // Deletes older than the grace period are forgotten, like expired tombstones
+        if (
+            deleted &&
+            deleted.wallTime < Date.now() - this.tombstoneGracePeriod * 1000
+        ) {
+            deleted = null;
+        }
+
+        const siblings = this._mergeSiblings(
+            present
+                .filter((value) => !value.tombstone)
+                .flatMap((value) => this._toSiblings(value))
+        ).filter(
+            (sibling) =>
+                !deleted ||
+                HybridLogicalClock.compare(
+                    this._newestSibling([sibling]).version,
+                    deleted
+                ) > 0
+        );
+
+        return { siblings, deleted };
+    }
+
+    /**
+     * Drop the siblings that another sibling descends from
+     * @private
+     * @param {Array<Object>} siblings - Siblings of the form { clock, data }
+     * @returns {Array<Object>} - Concurrent siblings
+     */
+    _mergeSiblings(siblings) {
+        const merged = [];
+
+        for (const sibling of siblings) {
+            const superseded = merged.some((other) => {
+                const order = other.clock.compare(sibling.clock);
+                return (
+                    order === VectorClock.AFTER || order === VectorClock.EQUAL
+                );
+            });
+            if (superseded) {
+                continue;
+            }
+
+            for (let i = merged.length - 1; i >= 0; i--) {
+                if (
+                    sibling.clock.compare(merged[i].clock) === VectorClock.AFTER
+                ) {
+                    merged.splice(i, 1);
+                }
+            }
+            merged.push(sibling);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Find the sibling written last
+     * @private
+     * @param {Array<Object>} siblings - Siblings of the form { clock, data }
+     * @returns {Object} - { version, data } where version is the newest clock timestamp
+     */
+    _newestSibling(siblings) {
+        let newest = {
+            version: HybridLogicalClock.fromWallTime(-1),
+            data: siblings.length > 0 ? siblings[0].data : null,
+        };
+
+        for (const { clock, data } of siblings) {
+            for (const entry of Object.values(clock.entries)) {
+                const version = HybridLogicalClock.decode(entry);
+                if (HybridLogicalClock.compare(version, newest.version) > 0) {
+                    newest = { version, data };
+                }
+            }
+        }
+
+        return newest;
+    }
+
+    /**
+     * Build the client view of a set of siblings
+     * @private
+     * @param {Array<Object>} siblings - Siblings of the form { clock, data }
+     * @returns {Object} - { siblings, context } where siblings holds the values
+     */
+    _siblingsResult(siblings) {
+        return {
+            siblings: siblings.map(({ data }) => data),
+            context: VectorClock.encodeContext(
+                siblings.map(({ clock }) => clock)
+            ),
+        };
+    }
+
+    /**
+     * Count how many replica nodes each key was assigned to
+     * @private
+     * @param {Map<string, Array<string>>} keysByNode - Result of _groupKeysByNode
+     * @returns {Map<string, number>} - Map of key to replica count
+     */
+    _countReplicas(keysByNode) {
+        const counts = new Map();
+        for (const nodeKeys of keysByNode.values()) {
+            for (const key of nodeKeys) {
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Group keys by the replica nodes that own them
+     * @private
+     * @param {Array<string>} keys - Cache keys
+     * @param {Object} options - Lookup options, see getReplicaNodes
+     * @returns {Map<string, Array<string>>} - Map of nodeId to the keys it holds
+     */
+    _groupKeysByNode(keys, options = {}) {
+        const keysByNode = new Map();
+
+        for (const key of keys) {
+            const targetNodes = this.getReplicaNodes(key, options);
+
+            for (const nodeId of targetNodes) {
+                if (!keysByNode.has(nodeId)) {
+                    keysByNode.set(nodeId, []);
+                }
+                keysByNode.get(nodeId).push(key);
+            }
+        }
+
+        return keysByNode;
+    }
+
+    /**
+     * Get the Redis client holding a node's data
+     * @private
+     * @param {string} nodeId - Node identifier
+     * @returns {Object|null} - ioredis client or null if the node is unknown
+     */
+    _getNodeClient(nodeId) {
+        if (nodeId === this.nodeId) {
+            return this.localRedis;
+        }
+        return this.redisClients.get(nodeId) || null;
+    }
+
+    /**
+     * Get the key under which a node stores a cache key
+     * @private
+     * @param {string} nodeId - Node identifier
+     * @param {string} key - Cache key
+     * @returns {string} - Storage key (the local client applies its own prefix)
+     */
+    _storageKey(nodeId, key) {
+        return nodeId === this.nodeId ? key : `${nodeId}:${key}`;
+    }
+
+    /**
+     * Serialize a value with its version
+     * @private
+     * @param {Object} version - Clock timestamp of the write
+     * @param {any} data - Value to store
+     * @returns {string} - Serialized value
+     */
+    _serializeValue(version, data) {
+        return JSON.stringify({
+            hlc: HybridLogicalClock.encode(version),
+            data,
+        });
+    }
+
+    /**
+     * Serialize the tombstone left by a delete
+     * @private
+     * @param {Object} version - Clock timestamp of the delete
+     * @returns {string} - Serialized tombstone
+     */
+    _serializeTombstone(version) {
+        return JSON.stringify({
+            hlc: HybridLogicalClock.encode(version),
+            tombstone: true,
+        });
+    }
+
+    /**
+     * Serialize concurrent values with their vector clocks
+     * @private
+     * @param {Array<Object>} siblings - Siblings of the form { clock, data }
+     * @param {Object} deleted - Timestamp of the latest delete of the key (optional)
+     * @returns {string} - Serialized value
+     */
+    _serializeSiblings(siblings, deleted) {
+        return JSON.stringify({
+            siblings: siblings.map(({ clock, data }) => ({ clock, data })),
+            ...(deleted && { deleted: HybridLogicalClock.encode(deleted) }),
+        });
+    }
+
+    /**
+     * Serialize the result of _mergeValues
+     * @private
+     * @param {Object} merged - { siblings, deleted }
+     * @returns {string|null} - Serialized siblings, a tombstone if none is left, or null if there is nothing to store
+     */
+    _serializeMerged({ siblings, deleted }) {
+        if (siblings.length > 0) {
+            return this._serializeSiblings(siblings, deleted);
+        }
+        return deleted ? this._serializeTombstone(deleted) : null;
+    }
+
+    /**
+     * Parse a raw stored value into its version and data
+     * @private
+     * @param {string} value - Raw value read from Redis
+     * @returns {Object} - { version, data }, plus tombstone for deleted keys and siblings and
+     *                     deleted for values with vector clocks. The version wall time is -1
+     *                     for values without one
+     */
+    _parseStoredValue(value) {
+        try {
+            const parsed = JSON.parse(value);
+
+            // Concurrent values kept with their vector clocks, the newest one
+            // stands in for the key where a single value is expected
+            if (
+                parsed &&
+                typeof parsed === "object" &&
+                Array.isArray(parsed.siblings)
+            ) {
+                const siblings = parsed.siblings.map(({ clock, data }) => ({
+                    clock: new VectorClock(clock),
+                    data,
+                }));
+                return {
+                    ...this._newestSibling(siblings),
+                    siblings,
+                    deleted: HybridLogicalClock.decode(parsed.deleted),
+                };
+            }
+
+            // Tombstone left by a delete
+            if (parsed && typeof parsed === "object" && parsed.tombstone) {
+                const version = HybridLogicalClock.decode(parsed.hlc);
+                if (version) {
+                    return { version, data: null, tombstone: true };
+                }
+            }
+
+            if (parsed && typeof parsed === "object" && "data" in parsed) {
+                // Value versioned with the hybrid logical clock
+                const version = HybridLogicalClock.decode(parsed.hlc);
+                if (version) {
+                    return { version, data: parsed.data };
+                }
+
+                // Value written with a wall-clock timestamp
+                if (typeof parsed.timestamp === "number") {
+                    return {
+                        version: HybridLogicalClock.fromWallTime(
+                            parsed.timestamp
+                        ),
+                        data: parsed.data,
+                    };
+                }
+            }
+
+            // Old format or non-timestamped value
+            return {
+                version: HybridLogicalClock.fromWallTime(-1),
+                data: parsed,
+            };
+        } catch (e) {
+            // Not JSON, return the raw string
+            return {
+                version: HybridLogicalClock.fromWallTime(-1),
+                data: value,
+            };
+        }
+    }
+
+    /**
+     * Move the local clock past the version of a value read or received
+     * @private
+     * @param {Object} version - Value version
+     */
+    _observeVersion(version) {
+        if (version.wallTime >= 0) {
+            this.clock.update(version);
+        }
+    }
+
+    /**
+     * Get cache stats for monitoring
+     * @returns {Promise<Object>} - Cache statistics
+     */
+    async getStats() {
+        try {
+            const info = await this.localRedis.info();
+            const dbSize = await this.localRedis.dbsize();
+
+            // Parse Redis INFO command output
+            const stats = {
+                keys: dbSize,
+                memory: {},
+                connected_clients: 0,
+                connections: {},
+                nearCache: this.nearCache.getStats(),
+            };
+
+            // Parse the INFO sections
+            const sections = info.split("#");
+            for (const section of sections) {
+                const lines = section.split("\r\n");
+                for (const line of lines) {
+                    if (line.includes(":")) {
+                        const [key, value] = line.split(":");
+
+                        if (key === "used_memory_human") {
+                            stats.memory.used = value;
+                        } else if (key === "used_memory_peak_human") {
+                            stats.memory.peak = value;
+                        } else if (key === "connected_clients") {
+                            stats.connected_clients = parseInt(value, 10);
+                        } else if (key === "total_connections_received") {
+                            stats.connections.total = parseInt(value, 10);
+                        } else if (key === "rejected_connections") {
+                            stats.connections.rejected = parseInt(value, 10);
+                        }
+                    }
+                }
+            }
+
+            return stats;
+        } catch (error) {
+            logger.error(`Error getting cache stats: ${error.message}`);
+            return {
+                error: error.message,
+            };
+        }
+    }
+
+    /**
+     * Drain this node: hand its ranges over to the nodes inheriting them, then
+     * leave the cluster
+     * @returns {Promise<Object>} - Drain status once it has ended
+     */
+    async drain() {
+        return this.drainer.drain();
+    }
+
+    /**
+     * Get the registered nodes with their health
+     * @returns {Promise<Array<Object>>} - Nodes of the form { nodeId, info, state, epoch, local, inRing, healthy },
+     *                                     healthy is null when it cannot be checked
+     */
+    async getClusterNodes() {
+        const nodes = await this.coordinationService.getAllNodes();
+        const ringNodes = this.consistentHashing.getAllNodes();
+
+        return Promise.all(
+            Object.entries(nodes).map(async ([nodeId, nodeInfo]) => {
+                let healthy = null;
+                if (nodeId === this.nodeId) {
+                    healthy = true;
+                } else if (this.communicationLayer) {
+                    healthy = await this.communicationLayer.checkNodeHealth(
+                        nodeId,
+                        nodeInfo
+                    );
+                }
+
+                return {
+                    nodeId,
+                    info: nodeInfo,
+                    state: this._nodeState(nodeInfo),
+                    epoch: nodeInfo.epoch || null,
+                    local: nodeId === this.nodeId,
+                    inRing: ringNodes.has(nodeId),
+                    healthy,
+                };
+            })
+        );
+    }
+
+    /**
+     * Describe the hash ring as this node sees it
+     * @returns {Object} - { strategy, epoch, replicaFactor, nodes } and the settings of
+     *                     the placement strategy, where epoch is the version of the
+     *                     published ring this node uses and nodes lists the
+     *                     weight and tokens of each node, the share of the keyspace
+     *                     its weight entitles it to and the share it owns
+     */
+    getRingLayout() {
+        const ownership = this.consistentHashing.getOwnership();
+        const expected = this.consistentHashing.getExpectedOwnership();
+        const nodes = {};
+        for (const [nodeId, share] of Object.entries(ownership)) {
+            nodes[nodeId] = {
+                weight: this.consistentHashing.getWeight(nodeId),
+                expectedShare: expected[nodeId],
+                share,
+                tokens: [],
+            };
+        }
+        for (const { token, nodeId } of this.consistentHashing.getTokens()) {
+            nodes[nodeId].tokens.push(token);
+        }
+
+        return {
+            ...this.consistentHashing.getSettings(),
+            epoch: this.ringVersion.epoch,
+            replicaFactor: this.replicaFactor,
+            nodes,
+        };
+    }
+
+    /**
+     * Measure how evenly the keyspace is spread across the nodes, see
+     * ConsistentHashing.getBalanceReport
+     * @returns {Object} - { strategy, replicaFactor, primary, replicas } where primary
+     *                     counts the keys each node owns as first replica and replicas
+     *                     every copy it holds
+     */
+    getBalanceReport() {
+        return {
+            ...this.consistentHashing.getSettings(),
+            replicaFactor: this.replicaFactor,
+            primary: this.consistentHashing.getBalanceReport(1),
+            replicas: this.consistentHashing.getBalanceReport(
+                this.replicaFactor
+            ),
+        };
+    }
+
+    /**
+     * Find the replicas of a key and what each of them stores for it
+     * @param {string} key - Cache key
+     * @returns {Promise<Object>} - { key, hash, replicas } where each replica is
+     *                              { nodeId, reachable, holdsKey, tombstone, version, ttl },
+     *                              ttl in seconds
+     */
+    async locateKey(key) {
+        const replicas = await Promise.all(
+            this.getReplicaNodes(key).map(async (nodeId) => {
+                const reply = await this._readFromNode(nodeId, key);
+                const zone = this.consistentHashing.getZone(nodeId);
+                if (!reply || !reply.value) {
+                    return {
+                        nodeId,
+                        zone,
+                        reachable: reply !== null,
+                        holdsKey: false,
+                        tombstone: false,
+                        version: null,
+                        ttl: null,
+                    };
+                }
+
+                const { value, pttl } = reply;
+                const tombstone = value.siblings
+                    ? value.siblings.length === 0
+                    : Boolean(value.tombstone);
+                return {
+                    nodeId,
+                    zone,
+                    reachable: true,
+                    holdsKey: !tombstone,
+                    tombstone,
+                    version: this._valueVersion(value),
+                    // Redis answers -1 for keys without an expiry
+                    ttl: pttl >= 0 ? Math.ceil(pttl / 1000) : null,
+                };
+            })
+        );
+
+        return {
+            key,
+            hash: this.consistentHashing.getKeyHash(key),
+            replicas,
+            sharedZones: this._findSharedZones(
+                replicas.map(({ nodeId }) => nodeId)
+            ),
+        };
+    }
+
+    /**
+     * Report the token ranges whose replicas share a zone. Replicas only share
+     * a zone when there are fewer zones than the replica factor, or when some
+     * zones are missing from the ring.
+     * @returns {Object} - { replicaFactor, zones, sharedRanges, sharedShare } where zones maps
+     *                     each zone to its nodes, sharedRanges lists the ranges of the form
+     *                     { start, end, replicas, sharedZones } and sharedShare is the
+     *                     fraction of the keyspace they cover
+     */
+    getZoneReport() {
+        const zones = {};
+        for (const nodeId of this.consistentHashing.getAllNodes()) {
+            const zone = this.consistentHashing.getZone(nodeId) || "none";
+            zones[zone] = zones[zone] || [];
+            zones[zone].push(nodeId);
+        }
+
+        const sharedRanges = [];
+        let sharedShare = 0;
+        for (const range of this.consistentHashing.getRanges(
+            this.replicaFactor
+        )) {
+            const sharedZones = this._findSharedZones(range.nodes);
+            if (sharedZones.length === 0) {
+                continue;
+            }
+
+            sharedRanges.push({
+                start: range.start,
+                end: range.end,
+                replicas: range.nodes.map((nodeId) => ({
+                    nodeId,
+                    zone: this.consistentHashing.getZone(nodeId),
+                })),
+                sharedZones,
+            });
+            sharedShare += ConsistentHashing.rangeShare(range);
+        }
+
+        return {
+            replicaFactor: this.replicaFactor,
+            zones,
+            sharedRanges,
+            sharedShare,
+        };
+    }
+
+    /**
+     * Find the zones holding more than one of a set of replicas
+     * @private
+     * @param {Array<string>} nodeIds - Replica node identifiers
+     * @returns {Array<string>} - Zones shared by replicas, nodes without a zone are never counted
+     */
+    _findSharedZones(nodeIds) {
+        const seen = new Set();
+        const shared = new Set();
+        for (const nodeId of nodeIds) {
+            const zone = this.consistentHashing.getZone(nodeId);
+            if (zone && seen.has(zone)) {
+                shared.add(zone);
+            }
+            seen.add(zone);
+        }
+        return Array.from(shared);
+    }
+
+    /**
+     * Shutdown the cache manager
+     */
+    async shutdown() {
+        logger.info("Shutting down cache manager");
+
+        this.hintedHandoff.stop();
+        this.antiEntropy.stop();
+        this.ringVersion.stop();
+
+        // Hand the leadership over, then unregister from coordination service,
+        // which a drain has already done
+        if (this.state !== null && !this.drainer.isDrained()) {
+            // Let the other nodes take this node out of their ring right away
+            await this.setState("leaving").catch((error) =>
+                logger.warn(`Failed to publish leaving state: ${error.message}`)
+            );
+            await this.coordinationService.stopLeaderElection();
+            await this.coordinationService.unregisterNode(this.nodeId);
+        }
+
+        // Close all Redis connections
+        if (this.localRedis) {
+            await this.localRedis.quit();
+        }
+
+        for (const client of this.redisClients.values()) {
+            await client.quit();
+        }
+
+        logger.info("Cache manager shutdown completed");
+    }
+}
+
+CacheManager.CONSISTENCY_LEVELS = ["one", "quorum", "all"];
+
+// Lifecycle of a node: joining nodes take writes but serve no reads until they
+// hold their ranges, draining nodes hand their ranges over before they leave
+CacheManager.NODE_STATES = ["joining", "active", "draining", "leaving"];
+
+// States of nodes that are no longer part of the ring
+CacheManager.DEPARTING_STATES = ["draining", "leaving"];
+
+// Keys starting with this prefix hold node bookkeeping, not cache entries
+CacheManager.INTERNAL_KEY_PREFIX = "__";
+
+module.exports = CacheManager;
@@ -0,0 +1,201 @@
+/**
+ * Bounded in-process LRU cache (L1) of values read from the replicas (L2).
+ * Entries leave when they are invalidated, when the entry or byte limit
+ * pushes them out, when the key expires in Redis, and once they are older
+ * than the maximum staleness, which bounds how long a value can outlive an
+ * invalidation that was lost.
+ */
+class NearCache {
+    /**
+     * @param {Object} options - Limits, the cache is disabled when any of them is 0
+     * @param {number} options.maxEntries - Maximum number of entries
+     * @param {number} options.maxBytes - Maximum size of the keys and serialized values, in bytes
+     * @param {number} options.maxStaleness - Milliseconds an entry may be served after it was read
+     */
+    constructor({
+        maxEntries = 10000,
+        maxBytes = 64 * 2 ** 20,
+        maxStaleness = 5000,
+    } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.maxStaleness = maxStaleness;
+        this.enabled = maxEntries > 0 && maxBytes > 0 && maxStaleness > 0;
+
+        // Map iteration follows insertion order, so the first entry is the least recently used
+        this.entries = new Map();
+        this.bytes = 0;
+
+        // Generation at which each key was last invalidated, so a read that
+        // overlapped an invalidation does not cache the value it read before it.
+        // Only the latest ones are kept, older reads are refused below the floor.
+        this.generation = 0;
+        this.invalidations = new Map();
+        this.floor = 0;
+
+        // Nodes that read each key through this one since it was last
+        // written, and may hold it in their own near-cache
+        this.readers = new Map();
+    }
+
+    /**
+     * Get the token to pass to set for a read that is about to start
+     * @returns {number} - Current invalidation generation
+     */
+    begin() {
+        return this.generation;
+    }
+
+    /**
+     * Get a cached value and mark it as recently used
+     * @param {string} key - Cache key
+     * @returns {Object|null} - { value }, or null if the key is not cached or too stale
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (Date.now() >= entry.expiresAt) {
+            this._remove(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return { value: JSON.parse(entry.json) };
+    }
+
+    /**
+     * Cache a value read from the replicas, unless the key was invalidated
+     * since the read started
+     * @param {string} key - Cache key
+     * @param {any} value - JSON-serializable value
+     * @param {number} since - Token returned by begin before the read
+     * @param {number} pttl - Milliseconds the key had left to live when it was read, -1 if it does
+     * not expire. Values whose time to live is unknown are not cached.
+     * @returns {boolean} - True if the value was cached
+     */
+    set(key, value, since, pttl) {
+        if (
+            !this.enabled ||
+            !(pttl > 0 || pttl === -1) ||
+            since < this.floor ||
+            (this.invalidations.get(key) || 0) > since
+        ) {
+            return false;
+        }
+
+        const json = JSON.stringify(value);
+        const size = Buffer.byteLength(key) + Buffer.byteLength(json);
+        if (size > this.maxBytes) {
+            return false;
+        }
+
+        this._remove(key);
+        // An entry never outlives the key in Redis
+        const lifetime =
+            pttl > 0 ? Math.min(pttl, this.maxStaleness) : this.maxStaleness;
+        this.entries.set(key, { json, size, expiresAt: Date.now() + lifetime });
+        this.bytes += size;
+
+        while (
+            this.entries.size > this.maxEntries ||
+            this.bytes > this.maxBytes
+        ) {
+            this._remove(this.entries.keys().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Drop the cached value of a key that was written, and keep reads in
+     * flight from caching the value they got before the write
+     * @param {string} key - Cache key
+     */
+    invalidate(key) {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.generation++;
+        this.invalidations.delete(key);
+        this.invalidations.set(key, this.generation);
+        if (this.invalidations.size > this.maxEntries) {
+            const [oldest, generation] = this.invalidations
+                .entries()
+                .next().value;
+            this.invalidations.delete(oldest);
+            this.floor = generation;
+        }
+
+        this._remove(key);
+    }
+
+    /**
+     * Remember that another node reads a key through this one and may cache
+     * the value. Only the most recently read keys are kept, the nodes that
+     * read the others rely on the maximum staleness.
+     * @param {string} key - Cache key
+     * @param {string} nodeId - Node the read was forwarded by
+     */
+    trackReader(key, nodeId) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const readers = this.readers.get(key) || new Set();
+        this.readers.delete(key);
+        readers.add(nodeId);
+        this.readers.set(key, readers);
+        if (this.readers.size > this.maxEntries) {
+            this.readers.delete(this.readers.keys().next().value);
+        }
+    }
+
+    /**
+     * Get the nodes that may cache a key that was just written, and forget them
+     * @param {string} key - Cache key
+     * @returns {Array<string>} - Node identifiers
+     */
+    takeReaders(key) {
+        const readers = this.readers.get(key);
+        if (!readers) {
+            return [];
+        }
+
+        this.readers.delete(key);
+        return [...readers];
+    }
+
+    /**
+     * Describe the cache and its limits
+     * @returns {Object} - { enabled, entries, bytes, maxEntries, maxBytes, maxStaleness }
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            maxStaleness: this.maxStaleness,
+        };
+    }
+
+    /**
+     * Remove an entry if it is cached
+     * @private
+     * @param {string} key - Cache key
+     */
+    _remove(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.bytes -= entry.size;
+        }
+    }
+}
+
+module.exports = NearCache;
@@ -1,924 +1,2098 @@
-const grpc = require("@grpc/grpc-js");
-const protoLoader = require("@grpc/proto-loader");
-const path = require("path");
-const fs = require("fs");
-const logger = require("../utils/logger");
-
-class CommunicationLayer {
-    constructor(cacheManager) {
-        this.cacheManager = cacheManager;
-        this.server = null;
-        this.clients = new Map();
-        this.nodeId = process.env.NODE_ID || "node1";
-        this.port = parseInt(process.env.GRPC_PORT || "50051", 10);
-
-        // Explicitly set Docker environment
-        process.env.IN_DOCKER = "true";
-        process.env.DOCKER_ENV = "true";
-
-        // Log environment detection
-        logger.info("Running in Docker environment (forced setting)");
-    }
-
-    /**
-     * Initialize the communication layer
-     */
-    async initialize() {
-        logger.info("Initializing gRPC communication layer");
-
-        // Create proto directory if it doesn't exist
-        const protoDir = path.join(__dirname, "protos");
-        if (!fs.existsSync(protoDir)) {
-            fs.mkdirSync(protoDir, { recursive: true });
-        }
-
-        // Create proto file if it doesn't exist
-        const protoPath = path.join(protoDir, "cache.proto");
-        if (!fs.existsSync(protoPath)) {
-            this.createProtoFile(protoPath);
-        }
-
-        // Load proto definition
-        const packageDefinition = protoLoader.loadSync(protoPath, {
-            keepCase: true,
-            longs: String,
-            enums: String,
-            defaults: true,
-            oneofs: true,
-        });
-
-        this.protoDescriptor = grpc.loadPackageDefinition(packageDefinition);
-
-        // Start gRPC server
-        await this.startServer();
-
-        logger.info("gRPC communication layer initialized successfully");
-        return true;
-    }
-
-    /**
-     * Create the proto file for gRPC service definition
-     * @param {string} filePath - Path to create the proto file
-     */
-    createProtoFile(filePath) {
-        const protoContent = `syntax = "proto3";
-
-package cache;
-
-service CacheService {
-  // Invalidate a cache entry
-  rpc InvalidateCache(InvalidateRequest) returns (InvalidateResponse) {}
-  
-  // Replicate data to another node
-  rpc ReplicateData(ReplicateRequest) returns (ReplicateResponse) {}
-  
-  // Health check
-  rpc HealthCheck(HealthCheckRequest) returns (HealthCheckResponse) {}
-}
-
-message InvalidateRequest {
-  string key = 1;
-  string originator_node_id = 2;
-}
-
-message InvalidateResponse {
-  bool success = 1;
-  string message = 2;
-}
-
-message ReplicateRequest {
-  string key = 1;
-  string value = 2;
-  int32 ttl = 3;
-  string originator_node_id = 4;
-}
-
-message ReplicateResponse {
-  bool success = 1;
-  string message = 2;
-}
-
-message HealthCheckRequest {
-  string node_id = 1;
-}
-
-message HealthCheckResponse {
-  bool status = 1;
-  string message = 2;
-}`;
-
-        fs.writeFileSync(filePath, protoContent);
-        logger.info(`Created proto file at ${filePath}`);
-    }
-
-    /**
-     * Start the gRPC server
-     */
-    async startServer() {
-        this.server = new grpc.Server();
-
-        // Add service implementation
-        this.server.addService(
-            this.protoDescriptor.cache.CacheService.service,
-            {
-                invalidateCache: this.handleInvalidateCache.bind(this),
-                replicateData: this.handleReplicateData.bind(this),
-                healthCheck: this.handleHealthCheck.bind(this),
-            }
-        );
-
-        // Start server
-        return new Promise((resolve, reject) => {
-            this.server.bindAsync(
-                `0.0.0.0:${this.port}`,
-                grpc.ServerCredentials.createInsecure(),
-                (err) => {
-                    if (err) {
-                        logger.error(
-                            `Failed to start gRPC server: ${err.message}`
-                        );
-                        reject(err);
-                        return;
-                    }
-
-                    this.server.start();
-                    logger.info(`gRPC server running on port ${this.port}`);
-                    resolve(true);
-                }
-            );
-        });
-    }
-
-    /**
-     * Handle invalidate cache request
-     * @param {Object} call - gRPC call object
-     * @param {Function} callback - gRPC callback
-     */
-    async handleInvalidateCache(call, callback) {
-        const { key, originator_node_id } = call.request;
-
-        logger.info(
-            `Received invalidate request for key ${key} from node ${originator_node_id}`
-        );
-
-        try {
-            // Only delete from local Redis to avoid infinite recursion
-            if (this.cacheManager.localRedis) {
-                // We need to handle both prefixed and non-prefixed keys
-                // First, try with current node's prefix
-                const nodePrefix = `${this.nodeId}:`;
-
-                // Try directly as received - for compatibility with older formats
-                await this.cacheManager.localRedis.del(key);
-
-                // Also try with our node prefix - since localRedis might use prefixes
-                if (!key.startsWith(nodePrefix)) {
-                    await this.cacheManager.localRedis.del(
-                        `${nodePrefix}${key}`
-                    );
-                }
-
-                logger.info(
-                    `Successfully invalidated key ${key} on local node`
-                );
-
-                callback(null, {
-                    success: true,
-                    message: "Cache invalidated successfully",
-                });
-            } else {
-                callback(null, {
-                    success: false,
-                    message: "Local Redis client not initialized",
-                });
-            }
-        } catch (error) {
-            logger.error(`Error invalidating cache: ${error.message}`);
-
-            callback(null, {
-                success: false,
-                message: error.message,
-            });
-        }
-    }
-
-    /**
-     * Handle replicate data request
-     * @param {Object} call - gRPC call object
-     * @param {Function} callback - gRPC callback
-     */
-    async handleReplicateData(call, callback) {
-        const { key, value, ttl, originator_node_id } = call.request;
-
-        logger.info(
-            `Received replicate request for key ${key} from node ${originator_node_id}`
-        );
-
-        try {
-            // Store in local Redis
-            if (this.cacheManager.localRedis) {
-                // Make sure we prioritize successful replication
-                try {
-                    // Check if the incoming value has a timestamp (part of conflict resolution)
-                    let incomingTimestamp = 0;
-                    let parsedValue = value;
-
-                    try {
-                        const parsed = JSON.parse(value);
-                        if (
-                            parsed &&
-                            typeof parsed.timestamp === "number" &&
-                            "data" in parsed
-                        ) {
-                            incomingTimestamp = parsed.timestamp;
-                            parsedValue = value; // Keep the entire wrapped object
-                            logger.debug(
-                                `Incoming value has timestamp: ${incomingTimestamp}`
-                            );
-                        }
-                    } catch (parseError) {
-                        // Not a JSON value, proceed with original value
-                        logger.debug(
-                            `Incoming value is not JSON, no timestamp available`
-                        );
-                    }
-
-                    // Check if we already have this key with a timestamp
-                    let shouldUpdate = true;
-                    const existingValue =
-                        await this.cacheManager.localRedis.get(key);
-
-                    if (existingValue) {
-                        try {
-                            const existingParsed = JSON.parse(existingValue);
-                            if (
-                                existingParsed &&
-                                typeof existingParsed.timestamp === "number"
-                            ) {
-                                const existingTimestamp =
-                                    existingParsed.timestamp;
-
-                                // Only update if incoming is newer
-                                if (incomingTimestamp <= existingTimestamp) {
-                                    logger.info(
-                                        `Skipping replication for key ${key} - existing timestamp ${existingTimestamp} is newer than or equal to incoming ${incomingTimestamp}`
-                                    );
-                                    shouldUpdate = false;
-
-                                    callback(null, {
-                                        success: true,
-                                        message:
-                                            "Skipped replication due to older timestamp",
-                                    });
-                                    return;
-                                } else {
-                                    logger.info(
-                                        `Accepting replication for key ${key} - incoming timestamp ${incomingTimestamp} is newer than existing ${existingTimestamp}`
-                                    );
-                                }
-                            }
-                        } catch (existingParseError) {
-                            // Existing value is not JSON or doesn't have a timestamp
-                            // We'll overwrite it with our timestamped value
-                            logger.debug(
-                                `Existing value doesn't have a timestamp, will update with timestamped value`
-                            );
-                        }
-                    }
-
-                    if (shouldUpdate) {
-                        // Store the value with the key directly
-                        if (ttl) {
-                            await this.cacheManager.localRedis.set(
-                                key,
-                                parsedValue,
-                                "EX",
-                                ttl
-                            );
-                        } else {
-                            await this.cacheManager.localRedis.set(
-                                key,
-                                parsedValue
-                            );
-                        }
-
-                        logger.info(
-                            `Successfully replicated key ${key} on local node with timestamped value`
-                        );
-
-                        callback(null, {
-                            success: true,
-                            message: "Data replicated successfully",
-                        });
-                    }
-                } catch (innerError) {
-                    logger.error(
-                        `Inner error replicating data: ${innerError.message}`
-                    );
-                    callback(null, {
-                        success: false,
-                        message: innerError.message,
-                    });
-                }
-            } else {
-                callback(null, {
-                    success: false,
-                    message: "Local Redis client not initialized",
-                });
-            }
-        } catch (error) {
-            logger.error(`Error replicating data: ${error.message}`);
-
-            callback(null, {
-                success: false,
-                message: error.message,
-            });
-        }
-    }
-
-    /**
-     * Handle health check request
-     * @param {Object} call - gRPC call object
-     * @param {Function} callback - gRPC callback
-     */
-    handleHealthCheck(call, callback) {
-        const { node_id } = call.request;
-
-        logger.debug(`Received health check from node ${node_id}`);
-
-        callback(null, {
-            status: true,
-            message: "Node is healthy",
-        });
-    }
-
-    /**
-     * Get or create gRPC client for a node
-     * @param {string} nodeId - Node identifier
-     * @param {Object} nodeInfo - Node connection info
-     * @returns {Object} - gRPC client
-     */
-    getClient(nodeId, nodeInfo) {
-        if (this.clients.has(nodeId)) {
-            return this.clients.get(nodeId);
-        }
-
-        // Determine the proper gRPC port - docker services use standard port offsets
-        let grpcPort;
-        if (nodeInfo.grpcPort) {
-            grpcPort = nodeInfo.grpcPort;
-        } else {
-            // Default port offset based on node number (e.g., node1=50051, node2=50052)
-            const nodeNumber = nodeId.replace("node", "");
-            grpcPort = 50050 + parseInt(nodeNumber, 10);
-            logger.info(
-                `Using derived gRPC port ${grpcPort} for node ${nodeId}`
-            );
-        }
-
-        // Always use Docker service names in containerized environment
-        // Docker service names follow the pattern "cache-service1", "cache-service2", etc.
-        const nodeNumber = nodeId.replace("node", "");
-        const serviceName = `cache-service${nodeNumber}`;
-
-        logger.info(
-            `Using Docker service name ${serviceName} for node ${nodeId}`
-        );
-        const address = `${serviceName}:${grpcPort}`;
-
-        logger.info(`Creating gRPC client for ${nodeId} at address ${address}`);
-
-        try {
-            const client = new this.protoDescriptor.cache.CacheService(
-                address,
-                grpc.credentials.createInsecure(),
-                {
-                    "grpc.keepalive_time_ms": 10000,
-                    "grpc.keepalive_timeout_ms": 5000,
-                    "grpc.keepalive_permit_without_calls": 1,
-                    "grpc.http2.max_pings_without_data": 0,
-                    "grpc.http2.min_time_between_pings_ms": 10000,
-                    "grpc.http2.min_ping_interval_without_data_ms": 5000,
-                }
-            );
-
-            this.clients.set(nodeId, client);
-            return client;
-        } catch (error) {
-            logger.error(
-                `Error creating gRPC client for ${nodeId}: ${error.message}`
-            );
-            throw error;
-        }
-    }
-
-    /**
-     * Invalidate cache on other nodes
-     * @param {string} key - Cache key to invalidate
-     * @returns {Promise<boolean>} - Success status
-     */
-    async invalidateCache(key) {
-        try {
-            const nodes =
-                await this.cacheManager.coordinationService.getAllNodes();
-            const promises = [];
-            const MAX_RETRIES = 3; // Increase max retries
-
-            logger.info(
-                `Invalidating cache for key=${key} on all nodes. Available nodes: ${Object.keys(
-                    nodes
-                ).join(", ")}`
-            );
-
-            if (Object.keys(nodes).length <= 1) {
-                logger.warn(
-                    `Only found ${
-                        Object.keys(nodes).length
-                    } nodes for invalidation: ${Object.keys(nodes)}`
-                );
-            }
-
-            for (const [nodeId, nodeInfo] of Object.entries(nodes)) {
-                // Skip local node
-                if (nodeId === this.nodeId) {
-                    logger.debug(
-                        `Skipping local node ${nodeId} for invalidation`
-                    );
-                    continue;
-                }
-
-                logger.info(
-                    `Adding node ${nodeId} to invalidation targets for key=${key}`
-                );
-                promises.push(
-                    this.invalidateCacheOnNodeWithRetry(
-                        nodeId,
-                        nodeInfo,
-                        key,
-                        MAX_RETRIES
-                    )
-                );
-            }
-
-            if (promises.length === 0) {
-                logger.warn(`No remote nodes found to invalidate key=${key}`);
-                return true; // Successfully did nothing
-            }
-
-            // Wait for all promises to settle with timeout
-            const INVALIDATION_TIMEOUT = 8000; // 8 seconds timeout
-            const timeoutPromise = new Promise((resolve) => {
-                setTimeout(() => {
-                    logger.warn(
-                        `Invalidation timeout after ${INVALIDATION_TIMEOUT}ms for key=${key}`
-                    );
-                    resolve({ status: "timeout" });
-                }, INVALIDATION_TIMEOUT);
-            });
-
-            // Race all promises against the timeout
-            const results = await Promise.race([
-                Promise.allSettled(promises),
-                timeoutPromise,
-            ]);
-
-            if (results.status === "timeout") {
-                logger.warn(`Invalidation timed out for key=${key}`);
-                return true; // Consider it a success to avoid blocking operations
-            }
-
-            const successCount = results.filter(
-                (result) =>
-                    result.status === "fulfilled" && result.value === true
-            ).length;
-
-            logger.info(
-                `Invalidation complete for key=${key}. Success on ${successCount}/${promises.length} nodes.`
-            );
-
-            // Return true if at least one invalidation succeeded or if we didn't need to invalidate any nodes
-            return successCount > 0 || promises.length === 0;
-        } catch (error) {
-            logger.error(
-                `Error in invalidateCache for key=${key}: ${error.message}`
-            );
-            return false;
-        }
-    }
-
-    /**
-     * Invalidate cache on a specific node with retry mechanism
-     * @param {string} nodeId - Node identifier
-     * @param {Object} nodeInfo - Node connection info
-     * @param {string} key - Cache key to invalidate
-     * @param {number} retriesLeft - Number of retries left
-     * @returns {Promise<boolean>} - Success status
-     */
-    async invalidateCacheOnNodeWithRetry(nodeId, nodeInfo, key, retriesLeft) {
-        try {
-            const result = await this.invalidateCacheOnNode(
-                nodeId,
-                nodeInfo,
-                key
-            );
-            if (result) {
-                logger.info(
-                    `Successfully invalidated key=${key} on node ${nodeId}`
-                );
-                return true;
-            }
-
-            // If failed and we have retries left, try again after delay
-            if (retriesLeft > 0) {
-                const delay = 500 * (4 - retriesLeft); // Progressive backoff: 500ms, 1000ms, 1500ms
-                logger.info(
-                    `Retrying invalidation to node ${nodeId} for key=${key}. Retries left: ${retriesLeft}, waiting ${delay}ms`
-                );
-                await new Promise((resolve) => setTimeout(resolve, delay)); // Use variable delay
-                return this.invalidateCacheOnNodeWithRetry(
-                    nodeId,
-                    nodeInfo,
-                    key,
-                    retriesLeft - 1
-                );
-            }
-
-            logger.warn(
-                `Failed to invalidate cache on node ${nodeId} for key=${key} after all retry attempts`
-            );
-            return false;
-        } catch (error) {
-            logger.error(
-                `Error in invalidation retry to node ${nodeId}: ${error.message}`
-            );
-
-            // If we have retries left, try again
-            if (retriesLeft > 0) {
-                const delay = 500 * (4 - retriesLeft); // Progressive backoff
-                logger.info(
-                    `Retrying after error for node ${nodeId}. Retries left: ${retriesLeft}, waiting ${delay}ms`
-                );
-                await new Promise((resolve) => setTimeout(resolve, delay)); // Use variable delay
-                return this.invalidateCacheOnNodeWithRetry(
-                    nodeId,
-                    nodeInfo,
-                    key,
-                    retriesLeft - 1
-                );
-            }
-
-            return false;
-        }
-    }
-
-    /**
-     * Invalidate cache on a specific node
-     * @param {string} nodeId - Node identifier
-     * @param {Object} nodeInfo - Node connection info
-     * @param {string} key - Cache key to invalidate
-     * @returns {Promise<boolean>} - Success status
-     */
-    invalidateCacheOnNode(nodeId, nodeInfo, key) {
-        return new Promise((resolve) => {
-            try {
-                const client = this.getClient(nodeId, nodeInfo);
-
-                client.invalidateCache(
-                    {
-                        key,
-                        originator_node_id: this.nodeId,
-                    },
-                    (error, response) => {
-                        if (error) {
-                            logger.error(
-                                `Error invalidating cache on node ${nodeId}: ${error.message}`
-                            );
-                            resolve(false);
-                            return;
-                        }
-
-                        if (!response.success) {
-                            logger.warn(
-                                `Failed to invalidate cache on node ${nodeId}: ${response.message}`
-                            );
-                            resolve(false);
-                            return;
-                        }
-
-                        logger.info(
-                            `Cache invalidated on node ${nodeId} for key ${key}`
-                        );
-                        resolve(true);
-                    }
-                );
-            } catch (error) {
-                logger.error(
-                    `Error connecting to node ${nodeId}: ${error.message}`
-                );
-                resolve(false);
-            }
-        });
-    }
-
-    /**
-     * Replicate data to other nodes
-     * @param {string} key - Cache key
-     * @param {string} value - Value to replicate
-     * @param {number} ttl - Time to live in seconds
-     * @returns {Promise<boolean>} - Success status
-     */
-    async replicateData(key, value, ttl) {
-        try {
-            const nodes =
-                await this.cacheManager.coordinationService.getAllNodes();
-            const promises = [];
-            const MAX_RETRIES = 3; // Increase max retries from 2 to 3
-
-            logger.info(
-                `Replicating data for key=${key} to all nodes. Available nodes: ${Object.keys(
-                    nodes
-                ).join(", ")}`
-            );
-
-            if (Object.keys(nodes).length <= 1) {
-                logger.warn(
-                    `Only found ${
-                        Object.keys(nodes).length
-                    } nodes for replication: ${Object.keys(nodes)}`
-                );
-            }
-
-            for (const [nodeId, nodeInfo] of Object.entries(nodes)) {
-                // Skip local node
-                if (nodeId === this.nodeId) {
-                    logger.debug(
-                        `Skipping local node ${nodeId} for replication`
-                    );
-                    continue;
-                }
-
-                logger.info(
-                    `Adding node ${nodeId} to replication targets for key=${key}`
-                );
-
-                // Use retry mechanism for each node
-                promises.push(
-                    this.replicateDataToNodeWithRetry(
-                        nodeId,
-                        nodeInfo,
-                        key,
-                        value,
-                        ttl,
-                        MAX_RETRIES
-                    )
-                );
-            }
-
-            if (promises.length === 0) {
-                logger.warn(`No remote nodes found to replicate key=${key}`);
-                return true; // Successfully did nothing
-            }
-
-            // Wait for all promises to settle with timeout
-            const REPLICATION_TIMEOUT = 8000; // 8 seconds timeout
-            const timeoutPromise = new Promise((resolve) => {
-                setTimeout(() => {
-                    logger.warn(
-                        `Replication timeout after ${REPLICATION_TIMEOUT}ms for key=${key}`
-                    );
-                    resolve({ status: "timeout" });
-                }, REPLICATION_TIMEOUT);
-            });
-
-            // Race all promises against the timeout
-            const results = await Promise.race([
-                Promise.allSettled(promises),
-                timeoutPromise,
-            ]);
-
-            if (results.status === "timeout") {
-                logger.warn(`Replication timed out for key=${key}`);
-                return true; // Consider it a success to avoid blocking operations
-            }
-
-            const successCount = results.filter(
-                (result) =>
-                    result.status === "fulfilled" && result.value === true
-            ).length;
-
-            logger.info(
-                `Replication complete for key=${key}. Success on ${successCount}/${promises.length} nodes.`
-            );
-
-            // Return true if at least one replication succeeded or if we didn't need to replicate to any nodes
-            return successCount > 0 || promises.length === 0;
-        } catch (error) {
-            logger.error(
-                `Error in replicateData for key=${key}: ${error.message}`
-            );
-            return false;
-        }
-    }
-
-    /**
-     * Replicate data to a specific node with retry mechanism
-     * @param {string} nodeId - Node identifier
-     * @param {Object} nodeInfo - Node connection info
-     * @param {string} key - Cache key
-     * @param {string} value - Value to replicate
-     * @param {number} ttl - Time to live in seconds
-     * @param {number} retriesLeft - Number of retries left
-     * @returns {Promise<boolean>} - Success status
-     */
-    async replicateDataToNodeWithRetry(
-        nodeId,
-        nodeInfo,
-        key,
-        value,
-        ttl,
-        retriesLeft
-    ) {
-        try {
-            const result = await this.replicateDataToNode(
-                nodeId,
-                nodeInfo,
-                key,
-                value,
-                ttl
-            );
-            if (result) {
-                logger.info(
-                    `Successfully replicated key=${key} to node ${nodeId}`
-                );
-                return true;
-            }
-
-            // If failed and we have retries left, try again after delay
-            if (retriesLeft > 0) {
-                const delay = 500 * (4 - retriesLeft); // Progressive backoff: 500ms, 1000ms, 1500ms
-                logger.info(
-                    `Retrying replication to node ${nodeId} for key=${key}. Retries left: ${retriesLeft}, waiting ${delay}ms`
-                );
-                await new Promise((resolve) => setTimeout(resolve, delay)); // Use variable delay
-                return this.replicateDataToNodeWithRetry(
-                    nodeId,
-                    nodeInfo,
-                    key,
-                    value,
-                    ttl,
-                    retriesLeft - 1
-                );
-            }
-
-            logger.warn(
-                `Failed to replicate data to node ${nodeId} for key=${key} after all retry attempts`
-            );
-            return false;
-        } catch (error) {
-            logger.error(
-                `Error in replication retry to node ${nodeId}: ${error.message}`
-            );
-
-            // If we have retries left, try again
-            if (retriesLeft > 0) {
-                const delay = 500 * (4 - retriesLeft); // Progressive backoff
-                logger.info(
-                    `Retrying after error for node ${nodeId}. Retries left: ${retriesLeft}, waiting ${delay}ms`
-                );
-                await new Promise((resolve) => setTimeout(resolve, delay)); // Use variable delay
-                return this.replicateDataToNodeWithRetry(
-                    nodeId,
-                    nodeInfo,
-                    key,
-                    value,
-                    ttl,
-                    retriesLeft - 1
-                );
-            }
-
-            return false;
-        }
-    }
-
-    /**
-     * Replicate data to a specific node
-     * @param {string} nodeId - Node identifier
-     * @param {Object} nodeInfo - Node connection info
-     * @param {string} key - Cache key
-     * @param {string} value - Value to replicate
-     * @param {number} ttl - Time to live in seconds
-     * @returns {Promise<boolean>} - Success status
-     */
-    replicateDataToNode(nodeId, nodeInfo, key, value, ttl) {
-        return new Promise((resolve) => {
-            try {
-                const client = this.getClient(nodeId, nodeInfo);
-
-                client.replicateData(
-                    {
-                        key,
-                        value,
-                        ttl: ttl || 0,
-                        originator_node_id: this.nodeId,
-                    },
-                    (error, response) => {
-                        if (error) {
-                            logger.error(
-                                `Error replicating data to node ${nodeId}: ${error.message}`
-                            );
-                            resolve(false);
-                            return;
-                        }
-
-                        if (!response.success) {
-                            logger.warn(
-                                `Failed to replicate data to node ${nodeId}: ${response.message}`
-                            );
-                            resolve(false);
-                            return;
-                        }
-
-                        logger.info(
-                            `Data replicated to node ${nodeId} for key ${key}`
-                        );
-                        resolve(true);
-                    }
-                );
-            } catch (error) {
-                logger.error(
-                    `Error connecting to node ${nodeId}: ${error.message}`
-                );
-                resolve(false);
-            }
-        });
-    }
-
-    /**
-     * Check if a node is healthy
-     * @param {string} nodeId - Node identifier
-     * @param {Object} nodeInfo - Node connection info
-     * @returns {Promise<boolean>} - Health status
-     */
-    async checkNodeHealth(nodeId, nodeInfo) {
-        return new Promise((resolve) => {
-            try {
-                const client = this.getClient(nodeId, nodeInfo);
-
-                client.healthCheck(
-                    {
-                        node_id: this.nodeId,
-                    },
-                    (error, response) => {
-                        if (error) {
-                            logger.warn(
-                                `Node ${nodeId} health check failed: ${error.message}`
-                            );
-                            resolve(false);
-                            return;
-                        }
-
-                        if (!response.status) {
-                            logger.warn(
-                                `Node ${nodeId} reported unhealthy status: ${response.message}`
-                            );
-                            resolve(false);
-                            return;
-                        }
-
-                        logger.debug(`Node ${nodeId} is healthy`);
-                        resolve(true);
-                    }
-                );
-            } catch (error) {
-                logger.warn(
-                    `Error connecting to node ${nodeId}: ${error.message}`
-                );
-                resolve(false);
-            }
-        });
-    }
-
-    /**
-     * Shutdown the communication layer
-     */
-    async shutdown() {
-        logger.info("Shutting down communication layer");
-
-        // Close all gRPC clients
-        this.clients.clear();
-
-        // Stop gRPC server
-        if (this.server) {
-            return new Promise((resolve) => {
-                this.server.tryShutdown(() => {
-                    logger.info("gRPC server shut down");
-                    resolve();
-                });
-            });
-        }
-
-        return Promise.resolve();
-    }
-}
-
-module.exports = CommunicationLayer;
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+const path = require("path");
+const fs = require("fs");
+const logger = require("../utils/logger");
+const HybridLogicalClock = require("../utils/hybridLogicalClock");
+const ConsistentHashing = require("../utils/consistentHashing");
+
+// Metadata key carrying the ring epoch of the sender of a call or response
+const RING_EPOCH_METADATA = "ring-epoch";
+
+class CommunicationLayer {
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.server = null;
+        this.clients = new Map();
+        this.nodeId = process.env.NODE_ID || "node1";
+        this.port = parseInt(process.env.GRPC_PORT || "50051", 10);
+
+        // Optional override of the advertised addresses, for example
+        // "{nodeId}.cache.default.svc.cluster.local:{grpcPort}"
+        this.addressTemplate = process.env.GRPC_ADDRESS_TEMPLATE || null;
+
+        // Set by a coordination backend that gossips over gRPC
+        this.gossipHandler = null;
+    }
+
+    /**
+     * Initialize the communication layer
+     */
+    async initialize() {
+        logger.info("Initializing gRPC communication layer");
+
+        // Create proto directory if it doesn't exist
+        const protoDir = path.join(__dirname, "protos");
+        if (!fs.existsSync(protoDir)) {
+            fs.mkdirSync(protoDir, { recursive: true });
+        }
+
+        // Create or update the proto file so new RPCs are always available
+        const protoPath = path.join(protoDir, "cache.proto");
+        this.createProtoFile(protoPath);
+
+        // Load proto definition
+        const packageDefinition = protoLoader.loadSync(protoPath, {
+            keepCase: true,
+            longs: String,
+            enums: String,
+            defaults: true,
+            oneofs: true,
+        });
+
+        this.protoDescriptor = grpc.loadPackageDefinition(packageDefinition);
+
+        // Start gRPC server
+        await this.startServer();
+
+        logger.info("gRPC communication layer initialized successfully");
+        return true;
+    }
+
+    /**
+     * Create the proto file for gRPC service definition, rewriting it if it is outdated
+     * @param {string} filePath - Path to create the proto file
+     */
+    createProtoFile(filePath) {
+        const protoContent = `syntax = "proto3";
+
+package cache;
+
+service CacheService {
+  // Invalidate a cache entry
+  rpc InvalidateCache(InvalidateRequest) returns (InvalidateResponse) {}
+  
+  // Replicate data to another node
+  rpc ReplicateData(ReplicateRequest) returns (ReplicateResponse) {}
+
+  // Replicate a batch of keys to another node
+  rpc ReplicateBatch(ReplicateBatchRequest) returns (ReplicateBatchResponse) {}
+  
+  // Health check
+  rpc HealthCheck(HealthCheckRequest) returns (HealthCheckResponse) {}
+
+  // Anti-entropy: Merkle tree over the keys shared with the requesting node
+  rpc GetMerkleTree(MerkleTreeRequest) returns (MerkleTreeResponse) {}
+
+  // Anti-entropy: key versions in a set of Merkle tree leaves
+  rpc GetRangeDigests(RangeDigestRequest) returns (RangeDigestResponse) {}
+
+  // Fetch stored values for a set of keys
+  rpc FetchKeys(FetchKeysRequest) returns (FetchKeysResponse) {}
+
+  // Rebalancing: stream keys to a node that became their owner
+  rpc MigrateKeys(stream MigrateRequest) returns (MigrateResponse) {}
+
+  // Bootstrap: stream the keys of a set of token ranges to a joining node
+  rpc StreamRange(StreamRangeRequest) returns (stream StreamRangeResponse) {}
+
+  // Read a key through one of its owners
+  rpc ForwardGet(ForwardGetRequest) returns (ForwardGetResponse) {}
+
+  // SWIM membership: ping, indirect ping or member list exchange
+  rpc Gossip(GossipRequest) returns (GossipResponse) {}
+}
+
+message InvalidateRequest {
+  string key = 1;
+  string originator_node_id = 2;
+  string hlc = 3;
+  string tombstone = 4;
+  bool near_cache_only = 5;
+}
+
+message InvalidateResponse {
+  bool success = 1;
+  string message = 2;
+  string hlc = 3;
+}
+
+message ReplicateRequest {
+  string key = 1;
+  string value = 2;
+  int32 ttl = 3;
+  string originator_node_id = 4;
+  string hlc = 5;
+}
+
+message ReplicateResponse {
+  bool success = 1;
+  string message = 2;
+  string hlc = 3;
+}
+
+message ReplicateBatchRequest {
+  string node_id = 1;
+  repeated KeyValue entries = 2;
+  string hlc = 3;
+}
+
+message ReplicateBatchResponse {
+  repeated string failed_keys = 1;
+  string hlc = 2;
+}
+
+message HealthCheckRequest {
+  string node_id = 1;
+  string hlc = 2;
+}
+
+message HealthCheckResponse {
+  bool status = 1;
+  string message = 2;
+  string hlc = 3;
+}
+
+message MerkleTreeRequest {
+  string node_id = 1;
+  int32 leaf_count = 2;
+  string hlc = 3;
+}
+
+message MerkleTreeResponse {
+  string root = 1;
+  repeated string leaves = 2;
+  string hlc = 3;
+}
+
+message RangeDigestRequest {
+  string node_id = 1;
+  int32 leaf_count = 2;
+  repeated int32 leaves = 3;
+  string hlc = 4;
+}
+
+message KeyDigest {
+  string key = 1;
+  string version = 2;
+}
+
+message RangeDigestResponse {
+  repeated KeyDigest digests = 1;
+  string hlc = 2;
+}
+
+message FetchKeysRequest {
+  string node_id = 1;
+  repeated string keys = 2;
+  string hlc = 3;
+}
+
+message KeyValue {
+  string key = 1;
+  string value = 2;
+  int32 ttl = 3;
+}
+
+message FetchKeysResponse {
+  repeated KeyValue entries = 1;
+  string hlc = 2;
+}
+
+message MigrateRequest {
+  string node_id = 1;
+  string migration_id = 2;
+  repeated KeyValue entries = 3;
+  string hlc = 4;
+}
+
+message MigrateResponse {
+  int32 applied = 1;
+  int32 skipped = 2;
+  string hlc = 3;
+}
+
+message TokenRange {
+  uint32 start = 1;
+  uint32 end = 2;
+}
+
+message StreamRangeRequest {
+  string node_id = 1;
+  repeated TokenRange ranges = 2;
+  int32 batch_size = 3;
+  string hlc = 4;
+}
+
+message StreamRangeResponse {
+  repeated KeyValue entries = 1;
+  string hlc = 2;
+}
+
+message ForwardGetRequest {
+  string node_id = 1;
+  string key = 2;
+  string consistency = 3;
+  string hlc = 4;
+}
+
+message ForwardGetResponse {
+  bool found = 1;
+  string value = 2;
+  string hlc = 3;
+  int64 pttl = 4;
+}
+
+message GossipMember {
+  string node_id = 1;
+  string node_info = 2;
+  int64 incarnation = 3;
+  string status = 4;
+}
+
+message GossipRequest {
+  string node_id = 1;
+  string target = 2;
+  string target_info = 3;
+  repeated GossipMember updates = 4;
+  bool sync = 5;
+  string hlc = 6;
+}
+
+message GossipResponse {
+  bool ack = 1;
+  repeated GossipMember updates = 2;
+  string hlc = 3;
+}`;
+
+        if (
+            fs.existsSync(filePath) &&
+            fs.readFileSync(filePath, "utf8") === protoContent
+        ) {
+            return;
+        }
+
+        fs.writeFileSync(filePath, protoContent);
+        logger.info(`Created proto file at ${filePath}`);
+    }
+
+    /**
+     * Start the gRPC server
+     */
+    async startServer() {
+        // Every message carries the sender's clock and merges it on receipt,
+        // and every call and response the sender's ring epoch
+        this.server = new grpc.Server({
+            interceptors: [
+                this._serverClockInterceptor.bind(this),
+                this._serverEpochInterceptor.bind(this),
+            ],
+        });
+
+        // Add service implementation
+        this.server.addService(
+            this.protoDescriptor.cache.CacheService.service,
+            {
+                invalidateCache: this.handleInvalidateCache.bind(this),
+                replicateData: this.handleReplicateData.bind(this),
+                replicateBatch: this.handleReplicateBatch.bind(this),
+                healthCheck: this.handleHealthCheck.bind(this),
+                getMerkleTree: this.handleGetMerkleTree.bind(this),
+                getRangeDigests: this.handleGetRangeDigests.bind(this),
+                fetchKeys: this.handleFetchKeys.bind(this),
+                migrateKeys: this.handleMigrateKeys.bind(this),
+                streamRange: this.handleStreamRange.bind(this),
+                forwardGet: this.handleForwardGet.bind(this),
+                gossip: this.handleGossip.bind(this),
+            }
+        );
+
+        // Start server
+        return new Promise((resolve, reject) => {
+            this.server.bindAsync(
+                `0.0.0.0:${this.port}`,
+                grpc.ServerCredentials.createInsecure(),
+                (err) => {
+                    if (err) {
+                        logger.error(
+                            `Failed to start gRPC server: ${err.message}`
+                        );
+                        reject(err);
+                        return;
+                    }
+
+                    this.server.start();
+                    logger.info(`gRPC server running on port ${this.port}`);
+                    resolve(true);
+                }
+            );
+        });
+    }
+
+    /**
+     * Handle invalidate cache request
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    async handleInvalidateCache(call, callback) {
+        const { key, originator_node_id, tombstone, near_cache_only } =
+            call.request;
+
+        // The local copy in the near-cache is stale once the key is written elsewhere
+        this.cacheManager.nearCache.invalidate(key);
+        if (near_cache_only) {
+            logger.debug(
+                `Evicted key ${key} from the near-cache for node ${originator_node_id}`
+            );
+            callback(null, {
+                success: true,
+                message: "Near-cache entry evicted",
+            });
+            return;
+        }
+
+        logger.info(
+            `Received invalidate request for key ${key} from node ${originator_node_id}`
+        );
+        if (
+            this._rejectStaleEpoch(call, callback, `invalidation of key ${key}`)
+        ) {
+            return;
+        }
+
+        try {
+            // Store the tombstone so older values replicated late are rejected
+            if (this.cacheManager.localRedis && tombstone) {
+                await this.cacheManager.applyReplicatedValue(key, tombstone, 0);
+
+                callback(null, {
+                    success: true,
+                    message: "Cache invalidated successfully",
+                });
+            } else if (this.cacheManager.localRedis) {
+                // Only delete from local Redis to avoid infinite recursion
+                // We need to handle both prefixed and non-prefixed keys
+                // First, try with current node's prefix
+                const nodePrefix = `${this.nodeId}:`;
+
+                // Try directly as received - for compatibility with older formats
+                await this.cacheManager.localRedis.del(key);
+
+                // Also try with our node prefix - since localRedis might use prefixes
+                if (!key.startsWith(nodePrefix)) {
+                    await this.cacheManager.localRedis.del(
+                        `${nodePrefix}${key}`
+                    );
+                }
+
+                logger.info(
+                    `Successfully invalidated key ${key} on local node`
+                );
+
+                callback(null, {
+                    success: true,
+                    message: "Cache invalidated successfully",
+                });
+            } else {
+                callback(null, {
+                    success: false,
+                    message: "Local Redis client not initialized",
+                });
+            }
+        } catch (error) {
+            logger.error(`Error invalidating cache: ${error.message}`);
+
+            callback(null, {
+                success: false,
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Handle replicate data request
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    async handleReplicateData(call, callback) {
+        const { key, value, ttl, originator_node_id } = call.request;
+        this.cacheManager.nearCache.invalidate(key);
+
+        logger.info(
+            `Received replicate request for key ${key} from node ${originator_node_id}`
+        );
+        if (this._rejectStaleEpoch(call, callback, `write of key ${key}`)) {
+            return;
+        }
+
+        try {
+            // Store in local Redis
+            if (this.cacheManager.localRedis) {
+                // Only overwrite the local copy if the incoming value is newer
+                const stored = await this.cacheManager.applyReplicatedValue(
+                    key,
+                    value,
+                    ttl
+                );
+
+                callback(null, {
+                    success: true,
+                    message: stored
+                        ? "Data replicated successfully"
+                        : "Skipped replication due to older version",
+                });
+            } else {
+                callback(null, {
+                    success: false,
+                    message: "Local Redis client not initialized",
+                });
+            }
+        } catch (error) {
+            logger.error(`Error replicating data: ${error.message}`);
+
+            callback(null, {
+                success: false,
+                message: error.message,
+            });
+        }
+    }
+
+    /**
+     * Handle a batch of replicated keys, storing each one that is newer than the local copy
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    async handleReplicateBatch(call, callback) {
+        const { node_id, entries } = call.request;
+        for (const { key } of entries) {
+            this.cacheManager.nearCache.invalidate(key);
+        }
+
+        logger.info(
+            `Received replicate request for ${entries.length} keys from node ${node_id}`
+        );
+        if (
+            this._rejectStaleEpoch(
+                call,
+                callback,
+                `write of ${entries.length} keys`
+            )
+        ) {
+            return;
+        }
+
+        const failed = [];
+        await Promise.all(
+            entries.map(async ({ key, value, ttl }) => {
+                try {
+                    await this.cacheManager.applyReplicatedValue(
+                        key,
+                        value,
+                        ttl
+                    );
+                } catch (error) {
+                    logger.error(
+                        `Error replicating key ${key}: ${error.message}`
+                    );
+                    failed.push(key);
+                }
+            })
+        );
+
+        callback(null, { failed_keys: failed });
+    }
+
+    /**
+     * Handle health check request
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    handleHealthCheck(call, callback) {
+        const { node_id } = call.request;
+
+        logger.debug(`Received health check from node ${node_id}`);
+
+        callback(null, {
+            status: true,
+            message: "Node is healthy",
+        });
+    }
+
+    /**
+     * Handle Merkle tree request from a node running anti-entropy
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    async handleGetMerkleTree(call, callback) {
+        const { node_id, leaf_count } = call.request;
+
+        logger.debug(`Received Merkle tree request from node ${node_id}`);
+
+        try {
+            const tree = await this.cacheManager.antiEntropy.getTree(
+                node_id,
+                leaf_count
+            );
+            callback(null, { root: tree.root, leaves: tree.leaves });
+        } catch (error) {
+            logger.error(`Error building Merkle tree: ${error.message}`);
+            callback({ code: grpc.status.INTERNAL, message: error.message });
+        }
+    }
+
+    /**
+     * Handle range digest request from a node running anti-entropy
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    async handleGetRangeDigests(call, callback) {
+        const { node_id, leaf_count, leaves } = call.request;
+
+        logger.debug(
+            `Received digest request for ${leaves.length} ranges from node ${node_id}`
+        );
+
+        try {
+            const digests = await this.cacheManager.antiEntropy.getRangeDigests(
+                node_id,
+                leaf_count,
+                leaves
+            );
+            callback(null, { digests });
+        } catch (error) {
+            logger.error(`Error building range digests: ${error.message}`);
+            callback({ code: grpc.status.INTERNAL, message: error.message });
+        }
+    }
+
+    /**
+     * Handle fetch keys request
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    async handleFetchKeys(call, callback) {
+        const { node_id, keys } = call.request;
+
+        logger.debug(
+            `Received fetch request for ${keys.length} keys from node ${node_id}`
+        );
+
+        try {
+            const entries = await this.cacheManager.getLocalEntries(keys);
+            callback(null, { entries });
+        } catch (error) {
+            logger.error(`Error fetching keys: ${error.message}`);
+            callback({ code: grpc.status.INTERNAL, message: error.message });
+        }
+    }
+
+    /**
+     * Stream the local keys of a set of token ranges to a joining node
+     * @param {Object} call - gRPC server-streaming call object
+     */
+    async handleStreamRange(call) {
+        const { node_id, ranges, batch_size } = call.request;
+        let cancelled = false;
+        let sent = 0;
+        call.on("cancelled", () => {
+            cancelled = true;
+        });
+
+        // A joining node with an older ring may ask for ranges it does not own
+        if (
+            this._rejectStaleEpoch(
+                call,
+                (error) => call.emit("error", error),
+                `range stream for node ${node_id}`
+            )
+        ) {
+            return;
+        }
+
+        logger.info(
+            `Streaming ${ranges.length} token ranges to joining node ${node_id}`
+        );
+
+        try {
+            await this.cacheManager.scanLocalKeys(async (keys) => {
+                if (cancelled) {
+                    throw new Error(`Node ${node_id} cancelled the stream`);
+                }
+
+                const inRange = keys.filter((key) => {
+                    const hash =
+                        this.cacheManager.consistentHashing.getKeyHash(key);
+                    return ranges.some((range) =>
+                        ConsistentHashing.rangeContains(range, hash)
+                    );
+                });
+                const entries = await this.cacheManager.getLocalEntries(
+                    inRange
+                );
+                if (entries.length === 0) {
+                    return;
+                }
+
+                // Wait while the joining node is behind, it paces the stream
+                sent += entries.length;
+                if (!call.write({ entries })) {
+                    await new Promise((resolve) => {
+                        call.once("drain", resolve);
+                        call.once("cancelled", resolve);
+                    });
+                }
+            }, batch_size || 100);
+
+            logger.info(`Streamed ${sent} keys to joining node ${node_id}`);
+            call.end();
+        } catch (error) {
+            logger.warn(
+                `Error streaming ranges to node ${node_id}: ${error.message}`
+            );
+            if (!cancelled) {
+                call.emit("error", {
+                    code: grpc.status.INTERNAL,
+                    message: error.message,
+                });
+            }
+        }
+    }
+
+    /**
+     * Handle a read forwarded by a node that does not own the key
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    async handleForwardGet(call, callback) {
+        const { node_id, key, consistency } = call.request;
+
+        logger.debug(
+            `Received forwarded read for key ${key} from node ${node_id}`
+        );
+
+        // The reader is told when the key is written from now on, so it does
+        // not keep a value it caches from this read
+        this.cacheManager.nearCache.trackReader(key, node_id);
+
+        try {
+            // Read the replicas from here even if our view of the ring disagrees
+            const options = {
+                consistency: consistency || undefined,
+                forwarded: true,
+            };
+            let result;
+            let pttl = 0;
+            if (this.cacheManager.usesVectorClocks(key)) {
+                result = await this.cacheManager.getWithContext(key, options);
+            } else {
+                // The time to live bounds how long the reader may keep the value in its near-cache
+                const entry = await this.cacheManager.getEntry(key, options);
+                result = entry ? entry.value : null;
+                pttl = entry ? entry.pttl : 0;
+            }
+
+            callback(null, {
+                found: result !== null,
+                value: result === null ? "" : JSON.stringify(result),
+                pttl,
+            });
+        } catch (error) {
+            logger.warn(
+                `Error serving forwarded read for key ${key}: ${error.message}`
+            );
+            callback({ code: grpc.status.UNAVAILABLE, message: error.message });
+        }
+    }
+
+    /**
+     * Handle a gossip message by passing it to the coordination backend
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    async handleGossip(call, callback) {
+        if (!this.gossipHandler) {
+            callback({
+                code: grpc.status.UNIMPLEMENTED,
+                message: "This node does not use gossip membership",
+            });
+            return;
+        }
+
+        try {
+            callback(null, await this.gossipHandler(call.request));
+        } catch (error) {
+            logger.warn(`Error handling gossip message: ${error.message}`);
+            callback({ code: grpc.status.UNAVAILABLE, message: error.message });
+        }
+    }
+
+    /**
+     * Handle a stream of keys migrated to this node after a ring change
+     * @param {Object} call - gRPC call object
+     * @param {Function} callback - gRPC callback
+     */
+    handleMigrateKeys(call, callback) {
+        // The sender planned the migration with an older ring, it plans it again once refreshed
+        if (this._rejectStaleEpoch(call, callback, "migration")) {
+            return;
+        }
+
+        let applied = 0;
+        let skipped = 0;
+        let sourceNodeId = null;
+        let migrationId = null;
+        let failure = null;
+        let pending = Promise.resolve();
+
+        call.on("data", (request) => {
+            sourceNodeId = request.node_id;
+            migrationId = request.migration_id;
+
+            // Apply one batch at a time, pausing the stream so the sender waits for us
+            call.pause();
+            pending = pending.then(async () => {
+                try {
+                    for (const { key, value, ttl } of request.entries) {
+                        const stored =
+                            await this.cacheManager.applyReplicatedValue(
+                                key,
+                                value,
+                                ttl
+                            );
+                        if (stored) {
+                            applied++;
+                        } else {
+                            skipped++;
+                        }
+                    }
+                } catch (error) {
+                    failure = failure || error;
+                } finally {
+                    call.resume();
+                }
+            });
+        });
+
+        call.on("end", async () => {
+            await pending;
+
+            if (failure) {
+                logger.error(
+                    `Error applying migration ${migrationId} from node ${sourceNodeId}: ${failure.message}`
+                );
+                callback({
+                    code: grpc.status.INTERNAL,
+                    message: failure.message,
+                });
+                return;
+            }
+
+            this.cacheManager.rebalancer.recordReceived(applied);
+            logger.info(
+                `Received migration ${migrationId} from node ${sourceNodeId}: ${applied} keys applied, ${skipped} skipped`
+            );
+            callback(null, { applied, skipped });
+        });
+
+        call.on("error", (error) => {
+            logger.warn(
+                `Migration stream from node ${sourceNodeId} failed: ${error.message}`
+            );
+        });
+    }
+
+    /**
+     * Set the function answering gossip messages
+     * @param {Function} handler - Receives the request and resolves to the response
+     */
+    setGossipHandler(handler) {
+        this.gossipHandler = handler;
+    }
+
+    /**
+     * Get or create gRPC client for a node
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @returns {Object} - gRPC client
+     */
+    getClient(nodeId, nodeInfo) {
+        const address = this.getNodeAddress(nodeId, nodeInfo);
+
+        // Reuse the client unless the node moved to another address
+        const cached = this.clients.get(nodeId);
+        if (cached && cached.address === address) {
+            return cached.client;
+        }
+        if (cached) {
+            logger.info(
+                `Address of node ${nodeId} changed from ${cached.address} to ${address}`
+            );
+            this.closeClient(nodeId);
+        }
+
+        logger.info(`Creating gRPC client for ${nodeId} at address ${address}`);
+
+        try {
+            const client = this._createClient(address);
+
+            this.clients.set(nodeId, { address, client });
+            return client;
+        } catch (error) {
+            logger.error(
+                `Error creating gRPC client for ${nodeId}: ${error.message}`
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Invalidate cache on other nodes
+     * @param {string} key - Cache key to invalidate
+     * @param {string} tombstone - Serialized tombstone of the delete (optional)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async invalidateCache(key, tombstone) {
+        try {
+            const nodes = this._getOwnerInfos(key);
+            const promises = [];
+            const MAX_RETRIES = 3; // Increase max retries
+
+            logger.info(
+                `Invalidating cache for key=${key} on its replica nodes: ${Object.keys(
+                    nodes
+                ).join(", ")}`
+            );
+
+            for (const [nodeId, nodeInfo] of Object.entries(nodes)) {
+                // Skip local node
+                if (nodeId === this.nodeId) {
+                    logger.debug(
+                        `Skipping local node ${nodeId} for invalidation`
+                    );
+                    continue;
+                }
+
+                logger.info(
+                    `Adding node ${nodeId} to invalidation targets for key=${key}`
+                );
+                promises.push(
+                    this.invalidateCacheOnNodeWithRetry(
+                        nodeId,
+                        nodeInfo,
+                        key,
+                        MAX_RETRIES,
+                        tombstone
+                    )
+                );
+            }
+
+            if (promises.length === 0) {
+                logger.warn(`No remote nodes found to invalidate key=${key}`);
+                return true; // Successfully did nothing
+            }
+
+            // Wait for all promises to settle with timeout
+            const INVALIDATION_TIMEOUT = 8000; // 8 seconds timeout
+            const timeoutPromise = new Promise((resolve) => {
+                setTimeout(() => {
+                    logger.warn(
+                        `Invalidation timeout after ${INVALIDATION_TIMEOUT}ms for key=${key}`
+                    );
+                    resolve({ status: "timeout" });
+                }, INVALIDATION_TIMEOUT);
+            });
+
+            // Race all promises against the timeout
+            const results = await Promise.race([
+                Promise.allSettled(promises),
+                timeoutPromise,
+            ]);
+
+            if (results.status === "timeout") {
+                logger.warn(`Invalidation timed out for key=${key}`);
+                return true; // Consider it a success to avoid blocking operations
+            }
+
+            const successCount = results.filter(
+                (result) =>
+                    result.status === "fulfilled" && result.value === true
+            ).length;
+
+            logger.info(
+                `Invalidation complete for key=${key}. Success on ${successCount}/${promises.length} nodes.`
+            );
+
+            // Return true if at least one invalidation succeeded or if we didn't need to invalidate any nodes
+            return successCount > 0 || promises.length === 0;
+        } catch (error) {
+            logger.error(
+                `Error in invalidateCache for key=${key}: ${error.message}`
+            );
+            return false;
+        }
+    }
+
+    /**
+     * Invalidate cache on a specific node with retry mechanism
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {string} key - Cache key to invalidate
+     * @param {number} retriesLeft - Number of retries left
+     * @param {string} tombstone - Serialized tombstone of the delete (optional)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async invalidateCacheOnNodeWithRetry(
+        nodeId,
+        nodeInfo,
+        key,
+        retriesLeft,
+        tombstone
+    ) {
+        try {
+            const result = await this.invalidateCacheOnNode(
+                nodeId,
+                nodeInfo,
+                key,
+                tombstone
+            );
+            if (result) {
+                logger.info(
+                    `Successfully invalidated key=${key} on node ${nodeId}`
+                );
+                return true;
+            }
+
+            // If failed and we have retries left, try again after delay
+            if (retriesLeft > 0) {
+                const delay = 500 * (4 - retriesLeft); // Progressive backoff: 500ms, 1000ms, 1500ms
+                logger.info(
+                    `Retrying invalidation to node ${nodeId} for key=${key}. Retries left: ${retriesLeft}, waiting ${delay}ms`
+                );
+                await new Promise((resolve) => setTimeout(resolve, delay)); // Use variable delay
+                return this.invalidateCacheOnNodeWithRetry(
+                    nodeId,
+                    nodeInfo,
+                    key,
+                    retriesLeft - 1,
+                    tombstone
+                );
+            }
+
+            logger.warn(
+                `Failed to invalidate cache on node ${nodeId} for key=${key} after all retry attempts`
+            );
+            return false;
+        } catch (error) {
+            logger.error(
+                `Error in invalidation retry to node ${nodeId}: ${error.message}`
+            );
+
+            // If we have retries left, try again
+            if (retriesLeft > 0) {
+                const delay = 500 * (4 - retriesLeft); // Progressive backoff
+                logger.info(
+                    `Retrying after error for node ${nodeId}. Retries left: ${retriesLeft}, waiting ${delay}ms`
+                );
+                await new Promise((resolve) => setTimeout(resolve, delay)); // Use variable delay
+                return this.invalidateCacheOnNodeWithRetry(
+                    nodeId,
+                    nodeInfo,
+                    key,
+                    retriesLeft - 1,
+                    tombstone
+                );
+            }
+
+            return false;
+        }
+    }
+
+    /**
+     * Invalidate cache on a specific node
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {string} key - Cache key to invalidate
+     * @param {string} tombstone - Serialized tombstone of the delete (optional)
+     * @param {boolean} redirected - Set when the write was already redirected after a stale epoch
+     * @returns {Promise<boolean>} - Success status
+     */
+    invalidateCacheOnNode(
+        nodeId,
+        nodeInfo,
+        key,
+        tombstone,
+        redirected = false
+    ) {
+        return new Promise((resolve) => {
+            try {
+                const client = this.getClient(nodeId, nodeInfo);
+
+                client.invalidateCache(
+                    {
+                        key,
+                        originator_node_id: this.nodeId,
+                        tombstone: tombstone || "",
+                    },
+                    (error, response) => {
+                        if (
+                            this.isStaleEpoch(error) &&
+                            tombstone &&
+                            !redirected
+                        ) {
+                            resolve(
+                                this._redirectWrite(
+                                    nodeId,
+                                    key,
+                                    tombstone,
+                                    0,
+                                    (target, targetInfo) =>
+                                        this.invalidateCacheOnNode(
+                                            target,
+                                            targetInfo,
+                                            key,
+                                            tombstone,
+                                            true
+                                        )
+                                )
+                            );
+                            return;
+                        }
+
+                        if (error) {
+                            logger.error(
+                                `Error invalidating cache on node ${nodeId}: ${error.message}`
+                            );
+                            resolve(false);
+                            return;
+                        }
+
+                        if (!response.success) {
+                            logger.warn(
+                                `Failed to invalidate cache on node ${nodeId}: ${response.message}`
+                            );
+                            resolve(false);
+                            return;
+                        }
+
+                        logger.info(
+                            `Cache invalidated on node ${nodeId} for key ${key}`
+                        );
+                        resolve(true);
+                    }
+                );
+            } catch (error) {
+                logger.error(
+                    `Error connecting to node ${nodeId}: ${error.message}`
+                );
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Evict a written key from the near-cache of other nodes, without waiting
+     * for the answers. A lost eviction is bounded by the maximum staleness.
+     * @param {string} key - Cache key
+     * @param {Array<string>} nodeIds - Nodes that may cache the key
+     */
+    evictNearCache(key, nodeIds) {
+        for (const nodeId of nodeIds) {
+            const nodeInfo = this.cacheManager.nodeInfos.get(nodeId);
+            if (nodeId === this.nodeId || !nodeInfo) {
+                continue;
+            }
+
+            this._unaryCall(
+                nodeId,
+                nodeInfo,
+                "invalidateCache",
+                {
+                    key,
+                    originator_node_id: this.nodeId,
+                    near_cache_only: true,
+                },
+                2000
+            ).catch(() => {});
+        }
+    }
+
+    /**
+     * Replicate data to other nodes
+     * @param {string} key - Cache key
+     * @param {string} value - Value to replicate
+     * @param {number} ttl - Time to live in seconds
+     * @returns {Promise<boolean>} - Success status
+     */
+    async replicateData(key, value, ttl) {
+        try {
+            const nodes = this._getOwnerInfos(key);
+            const promises = [];
+            const MAX_RETRIES = 3; // Increase max retries from 2 to 3
+
+            logger.info(
+                `Replicating data for key=${key} to its replica nodes: ${Object.keys(
+                    nodes
+                ).join(", ")}`
+            );
+
+            for (const [nodeId, nodeInfo] of Object.entries(nodes)) {
+                // Skip local node
+                if (nodeId === this.nodeId) {
+                    logger.debug(
+                        `Skipping local node ${nodeId} for replication`
+                    );
+                    continue;
+                }
+
+                logger.info(
+                    `Adding node ${nodeId} to replication targets for key=${key}`
+                );
+
+                // Use retry mechanism for each node
+                promises.push(
+                    this.replicateDataToNodeWithRetry(
+                        nodeId,
+                        nodeInfo,
+                        key,
+                        value,
+                        ttl,
+                        MAX_RETRIES
+                    )
+                );
+            }
+
+            if (promises.length === 0) {
+                logger.warn(`No remote nodes found to replicate key=${key}`);
+                return true; // Successfully did nothing
+            }
+
+            // Wait for all promises to settle with timeout
+            const REPLICATION_TIMEOUT = 8000; // 8 seconds timeout
+            const timeoutPromise = new Promise((resolve) => {
+                setTimeout(() => {
+                    logger.warn(
+                        `Replication timeout after ${REPLICATION_TIMEOUT}ms for key=${key}`
+                    );
+                    resolve({ status: "timeout" });
+                }, REPLICATION_TIMEOUT);
+            });
+
+            // Race all promises against the timeout
+            const results = await Promise.race([
+                Promise.allSettled(promises),
+                timeoutPromise,
+            ]);
+
+            if (results.status === "timeout") {
+                logger.warn(`Replication timed out for key=${key}`);
+                return true; // Consider it a success to avoid blocking operations
+            }
+
+            const successCount = results.filter(
+                (result) =>
+                    result.status === "fulfilled" && result.value === true
+            ).length;
+
+            logger.info(
+                `Replication complete for key=${key}. Success on ${successCount}/${promises.length} nodes.`
+            );
+
+            // Return true if at least one replication succeeded or if we didn't need to replicate to any nodes
+            return successCount > 0 || promises.length === 0;
+        } catch (error) {
+            logger.error(
+                `Error in replicateData for key=${key}: ${error.message}`
+            );
+            return false;
+        }
+    }
+
+    /**
+     * Get the connection info of the nodes that own a key
+     * @private
+     * @param {string} key - Cache key
+     * @returns {Object} - Map of nodeId to node connection info
+     */
+    _getOwnerInfos(key) {
+        const nodes = {};
+        for (const nodeId of this.cacheManager.getReplicaNodes(key)) {
+            const nodeInfo = this.cacheManager.nodeInfos.get(nodeId);
+            if (nodeInfo) {
+                nodes[nodeId] = nodeInfo;
+            }
+        }
+        return nodes;
+    }
+
+    /**
+     * Replicate data to a specific node with retry mechanism
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {string} key - Cache key
+     * @param {string} value - Value to replicate
+     * @param {number} ttl - Time to live in seconds
+     * @param {number} retriesLeft - Number of retries left
+     * @returns {Promise<boolean>} - Success status
+     */
+    async replicateDataToNodeWithRetry(
+        nodeId,
+        nodeInfo,
+        key,
+        value,
+        ttl,
+        retriesLeft
+    ) {
+        try {
+            const result = await this.replicateDataToNode(
+                nodeId,
+                nodeInfo,
+                key,
+                value,
+                ttl
+            );
+            if (result) {
+                logger.info(
+                    `Successfully replicated key=${key} to node ${nodeId}`
+                );
+                return true;
+            }
+
+            // If failed and we have retries left, try again after delay
+            if (retriesLeft > 0) {
+                const delay = 500 * (4 - retriesLeft); // Progressive backoff: 500ms, 1000ms, 1500ms
+                logger.info(
+                    `Retrying replication to node ${nodeId} for key=${key}. Retries left: ${retriesLeft}, waiting ${delay}ms`
+                );
+                await new Promise((resolve) => setTimeout(resolve, delay)); // Use variable delay
+                return this.replicateDataToNodeWithRetry(
+                    nodeId,
+                    nodeInfo,
+                    key,
+                    value,
+                    ttl,
+                    retriesLeft - 1
+                );
+            }
+
+            logger.warn(
+                `Failed to replicate data to node ${nodeId} for key=${key} after all retry attempts`
+            );
+
+            // Keep the write as a hint so the node catches up once it is back
+            await this.cacheManager.hintedHandoff.storeHint(
+                nodeId,
+                key,
+                value,
+                ttl
+            );
+            return false;
+        } catch (error) {
+            logger.error(
+                `Error in replication retry to node ${nodeId}: ${error.message}`
+            );
+
+            // If we have retries left, try again
+            if (retriesLeft > 0) {
+                const delay = 500 * (4 - retriesLeft); // Progressive backoff
+                logger.info(
+                    `Retrying after error for node ${nodeId}. Retries left: ${retriesLeft}, waiting ${delay}ms`
+                );
+                await new Promise((resolve) => setTimeout(resolve, delay)); // Use variable delay
+                return this.replicateDataToNodeWithRetry(
+                    nodeId,
+                    nodeInfo,
+                    key,
+                    value,
+                    ttl,
+                    retriesLeft - 1
+                );
+            }
+
+            return false;
+        }
+    }
+
+    /**
+     * Replicate data to a specific node
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {string} key - Cache key
+     * @param {string} value - Value to replicate
+     * @param {number} ttl - Time to live in seconds
+     * @param {boolean} redirected - Set when the write was already redirected after a stale epoch
+     * @returns {Promise<boolean>} - Success status
+     */
+    replicateDataToNode(nodeId, nodeInfo, key, value, ttl, redirected = false) {
+        return new Promise((resolve) => {
+            try {
+                const client = this.getClient(nodeId, nodeInfo);
+
+                client.replicateData(
+                    {
+                        key,
+                        value,
+                        ttl: ttl || 0,
+                        originator_node_id: this.nodeId,
+                    },
+                    (error, response) => {
+                        if (this.isStaleEpoch(error) && !redirected) {
+                            resolve(
+                                this._redirectWrite(
+                                    nodeId,
+                                    key,
+                                    value,
+                                    ttl,
+                                    (target, targetInfo) =>
+                                        this.replicateDataToNode(
+                                            target,
+                                            targetInfo,
+                                            key,
+                                            value,
+                                            ttl,
+                                            true
+                                        )
+                                )
+                            );
+                            return;
+                        }
+
+                        if (error) {
+                            logger.error(
+                                `Error replicating data to node ${nodeId}: ${error.message}`
+                            );
+                            resolve(false);
+                            return;
+                        }
+
+                        if (!response.success) {
+                            logger.warn(
+                                `Failed to replicate data to node ${nodeId}: ${response.message}`
+                            );
+                            resolve(false);
+                            return;
+                        }
+
+                        logger.info(
+                            `Data replicated to node ${nodeId} for key ${key}`
+                        );
+                        resolve(true);
+                    }
+                );
+            } catch (error) {
+                logger.error(
+                    `Error connecting to node ${nodeId}: ${error.message}`
+                );
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Replicate a batch of keys to a specific node, redirecting them to their
+     * owners if the node has a newer ring
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {Array<Object>} entries - Values to replicate ({ key, value, ttl })
+     * @returns {Promise<Array<string>>} - Keys that were stored or skipped for an older version
+     */
+    async replicateBatchToNode(nodeId, nodeInfo, entries) {
+        try {
+            const response = await this._unaryCall(
+                nodeId,
+                nodeInfo,
+                "replicateBatch",
+                {
+                    node_id: this.nodeId,
+                    entries: entries.map(({ key, value, ttl }) => ({
+                        key,
+                        value,
+                        ttl: ttl || 0,
+                    })),
+                }
+            );
+            const failed = new Set(response.failed_keys);
+            return entries
+                .map(({ key }) => key)
+                .filter((key) => !failed.has(key));
+        } catch (error) {
+            if (!this.isStaleEpoch(error)) {
+                return [];
+            }
+
+            const redirected = await Promise.all(
+                entries.map(({ key, value, ttl }) =>
+                    this._redirectWrite(
+                        nodeId,
+                        key,
+                        value,
+                        ttl,
+                        (target, targetInfo) =>
+                            this.replicateDataToNode(
+                                target,
+                                targetInfo,
+                                key,
+                                value,
+                                ttl,
+                                true
+                            )
+                    )
+                )
+            );
+            return entries
+                .filter((entry, index) => redirected[index])
+                .map(({ key }) => key);
+        }
+    }
+
+    /**
+     * Check if a node is healthy
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @returns {Promise<boolean>} - Health status
+     */
+    async checkNodeHealth(nodeId, nodeInfo) {
+        return new Promise((resolve) => {
+            try {
+                const client = this.getClient(nodeId, nodeInfo);
+
+                client.healthCheck(
+                    {
+                        node_id: this.nodeId,
+                    },
+                    (error, response) => {
+                        if (error) {
+                            logger.warn(
+                                `Node ${nodeId} health check failed: ${error.message}`
+                            );
+                            resolve(false);
+                            return;
+                        }
+
+                        if (!response.status) {
+                            logger.warn(
+                                `Node ${nodeId} reported unhealthy status: ${response.message}`
+                            );
+                            resolve(false);
+                            return;
+                        }
+
+                        logger.debug(`Node ${nodeId} is healthy`);
+                        resolve(true);
+                    }
+                );
+            } catch (error) {
+                logger.warn(
+                    `Error connecting to node ${nodeId}: ${error.message}`
+                );
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Get the gRPC address of a node, as advertised in its node info or
+     * built from GRPC_ADDRESS_TEMPLATE
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @returns {string} - Address of the form host:port
+     */
+    getNodeAddress(nodeId, nodeInfo) {
+        // Nodes registered before addresses were advertised only list their Redis host
+        const grpcHost = nodeInfo.grpcHost || nodeInfo.host;
+        const grpcPort = nodeInfo.grpcPort || 50051;
+
+        if (this.addressTemplate) {
+            return this.addressTemplate
+                .replace(/\{nodeId\}/g, nodeId)
+                .replace(/\{grpcHost\}/g, grpcHost)
+                .replace(/\{grpcPort\}/g, grpcPort);
+        }
+        return `${grpcHost}:${grpcPort}`;
+    }
+
+    /**
+     * Close the gRPC client of a node, a new one is created on the next call
+     * @param {string} nodeId - Node identifier
+     */
+    closeClient(nodeId) {
+        const cached = this.clients.get(nodeId);
+        if (cached) {
+            cached.client.close();
+            this.clients.delete(nodeId);
+        }
+    }
+
+    /**
+     * Get the Merkle tree a node holds for the keys it shares with this node
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {number} leafCount - Number of leaves in the tree
+     * @returns {Promise<Object>} - { root, leaves }
+     */
+    getMerkleTree(nodeId, nodeInfo, leafCount) {
+        return this._unaryCall(nodeId, nodeInfo, "getMerkleTree", {
+            node_id: this.nodeId,
+            leaf_count: leafCount,
+        });
+    }
+
+    /**
+     * Get the key versions a node holds in a set of Merkle tree leaves
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {number} leafCount - Number of leaves in the tree
+     * @param {Array<number>} leaves - Leaf indexes
+     * @returns {Promise<Array<Object>>} - Digests of the form { key, version }
+     */
+    async getRangeDigests(nodeId, nodeInfo, leafCount, leaves) {
+        const response = await this._unaryCall(
+            nodeId,
+            nodeInfo,
+            "getRangeDigests",
+            { node_id: this.nodeId, leaf_count: leafCount, leaves }
+        );
+        return response.digests;
+    }
+
+    /**
+     * Fetch stored values for a set of keys from a node
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {Array<string>} keys - Cache keys
+     * @returns {Promise<Array<Object>>} - Entries of the form { key, value, ttl }
+     */
+    async fetchKeys(nodeId, nodeInfo, keys) {
+        const response = await this._unaryCall(nodeId, nodeInfo, "fetchKeys", {
+            node_id: this.nodeId,
+            keys,
+        });
+        return response.entries;
+    }
+
+    /**
+     * Read a key through one of its owners
+     * @param {string} nodeId - Owner node identifier
+     * @param {Object} nodeInfo - Owner connection info
+     * @param {string} key - Cache key
+     * @param {string} consistency - Consistency level of the read
+     * @returns {Promise<Object>} - { result, pttl } with what the owner's getEntry or
+     * getWithContext returned, and the milliseconds the key has left to live (0 if unknown)
+     */
+    async forwardGet(nodeId, nodeInfo, key, consistency) {
+        const response = await this._unaryCall(nodeId, nodeInfo, "forwardGet", {
+            node_id: this.nodeId,
+            key,
+            consistency,
+        });
+        return {
+            result: response.found ? JSON.parse(response.value) : null,
+            pttl: Number(response.pttl),
+        };
+    }
+
+    /**
+     * Send a gossip message to a node
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {Object} request - Gossip request
+     * @param {number} timeout - Deadline in milliseconds
+     * @returns {Promise<Object>} - Gossip response
+     */
+    gossip(nodeId, nodeInfo, request, timeout) {
+        return this._unaryCall(nodeId, nodeInfo, "gossip", request, timeout);
+    }
+
+    /**
+     * Send a gossip message to a seed address, before its node is known
+     * @param {string} address - Seed address of the form host:port
+     * @param {Object} request - Gossip request
+     * @param {number} timeout - Deadline in milliseconds
+     * @returns {Promise<Object>} - Gossip response
+     */
+    gossipSeed(address, request, timeout) {
+        return new Promise((resolve, reject) => {
+            const client = this._createClient(address);
+            client.gossip(
+                request,
+                { deadline: Date.now() + timeout },
+                (error, response) => {
+                    client.close();
+                    if (error) {
+                        reject(error);
+                        return;
+                    }
+                    resolve(response);
+                }
+            );
+        });
+    }
+
+    /**
+     * Open a stream for migrating keys to a node
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {string} migrationId - Migration identifier
+     * @returns {Object} - Stream with write(entries) and end() methods returning promises,
+     * end() resolves to { applied, skipped }
+     */
+    openMigrationStream(nodeId, nodeInfo, migrationId) {
+        const client = this.getClient(nodeId, nodeInfo);
+
+        let call;
+        const done = new Promise((resolve, reject) => {
+            call = client.migrateKeys((error, response) => {
+                if (error) {
+                    logger.warn(
+                        `Migration ${migrationId} to node ${nodeId} failed: ${error.message}`
+                    );
+                    reject(error);
+                    return;
+                }
+                resolve(response);
+            });
+        });
+
+        // A stream that fails before anyone waits on it must not raise an unhandled rejection
+        done.catch(() => {});
+        const closed = done.then(() => {
+            throw new Error(`Migration stream to node ${nodeId} closed early`);
+        });
+        closed.catch(() => {});
+
+        return {
+            write: (entries) => {
+                const message = {
+                    node_id: this.nodeId,
+                    migration_id: migrationId,
+                    entries,
+                };
+
+                // Wait for the stream to drain so large migrations do not buffer in memory
+                if (call.write(message)) {
+                    return Promise.resolve();
+                }
+                return Promise.race([
+                    new Promise((resolve) => call.once("drain", resolve)),
+                    closed,
+                ]);
+            },
+            end: () => {
+                call.end();
+                return done;
+            },
+            cancel: () => call.cancel(),
+        };
+    }
+
+    /**
+     * Receive the keys a node holds in a set of token ranges
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {Array<Object>} ranges - Token ranges of the form { start, end }
+     * @param {number} batchSize - Keys per streamed batch
+     * @param {Function} onBatch - Called with each batch of entries { key, value, ttl },
+     * the stream is paused until the returned promise settles
+     * @returns {Promise<number>} - Number of entries received
+     */
+    streamRange(nodeId, nodeInfo, ranges, batchSize, onBatch) {
+        return new Promise((resolve, reject) => {
+            let received = 0;
+            let failure = null;
+            let pending = Promise.resolve();
+
+            const call = this.getClient(nodeId, nodeInfo).streamRange({
+                node_id: this.nodeId,
+                ranges,
+                batch_size: batchSize,
+            });
+
+            call.on("data", ({ entries }) => {
+                received += entries.length;
+
+                // Handle one batch at a time, pausing the stream so the sender waits for us
+                call.pause();
+                pending = pending.then(async () => {
+                    try {
+                        await onBatch(entries);
+                        call.resume();
+                    } catch (error) {
+                        failure = failure || error;
+                        call.cancel();
+                    }
+                });
+            });
+
+            call.on("end", async () => {
+                await pending;
+                if (failure) {
+                    reject(failure);
+                    return;
+                }
+                resolve(received);
+            });
+
+            call.on("error", async (error) => {
+                await pending;
+                logger.warn(
+                    `Range stream from node ${nodeId} failed: ${error.message}`
+                );
+                reject(failure || error);
+            });
+        });
+    }
+
+    /**
+     * Create a gRPC client for an address
+     * @private
+     * @param {string} address - Address of the form host:port
+     * @returns {Object} - gRPC client
+     */
+    _createClient(address) {
+        return new this.protoDescriptor.cache.CacheService(
+            address,
+            grpc.credentials.createInsecure(),
+            {
+                "grpc.keepalive_time_ms": 10000,
+                "grpc.keepalive_timeout_ms": 5000,
+                "grpc.keepalive_permit_without_calls": 1,
+                "grpc.http2.max_pings_without_data": 0,
+                "grpc.http2.min_time_between_pings_ms": 10000,
+                "grpc.http2.min_ping_interval_without_data_ms": 5000,
+                interceptors: [
+                    this._clientClockInterceptor.bind(this),
+                    this._clientEpochInterceptor.bind(this),
+                ],
+            }
+        );
+    }
+
+    /**
+     * Call a unary RPC on a node with a deadline
+     * @private
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @param {string} method - RPC method name
+     * @param {Object} request - Request message
+     * @param {number} timeout - Deadline in milliseconds
+     * @returns {Promise<Object>} - Response message
+     */
+    _unaryCall(nodeId, nodeInfo, method, request, timeout = 10000) {
+        return new Promise((resolve, reject) => {
+            try {
+                const client = this.getClient(nodeId, nodeInfo);
+
+                client[method](
+                    request,
+                    { deadline: Date.now() + timeout },
+                    (error, response) => {
+                        if (error) {
+                            logger.warn(
+                                `${method} call to node ${nodeId} failed: ${error.message}`
+                            );
+                            reject(error);
+                            return;
+                        }
+                        resolve(response);
+                    }
+                );
+            } catch (error) {
+                logger.error(
+                    `Error connecting to node ${nodeId}: ${error.message}`
+                );
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Client interceptor that stamps outgoing messages with the local clock
+     * and merges the clock of every response
+     * @private
+     * @param {Object} options - Call options
+     * @param {Function} nextCall - Next call in the chain
+     * @returns {Object} - Intercepting call
+     */
+    _clientClockInterceptor(options, nextCall) {
+        const requester = new grpc.RequesterBuilder()
+            .withStart((metadata, listener, next) => {
+                next(
+                    metadata,
+                    new grpc.ListenerBuilder()
+                        .withOnReceiveMessage((message, nextMessage) => {
+                            this._observeClock(message);
+                            nextMessage(message);
+                        })
+                        .build()
+                );
+            })
+            .withSendMessage((message, next) => {
+                next(this._stampClock(message));
+            })
+            .build();
+
+        return new grpc.InterceptingCall(nextCall(options), requester);
+    }
+
+    /**
+     * Server interceptor that merges the clock of every request and stamps
+     * responses with the local clock
+     * @private
+     * @param {Object} methodDescriptor - Called method
+     * @param {Object} call - Server call
+     * @returns {Object} - Intercepting server call
+     */
+    _serverClockInterceptor(methodDescriptor, call) {
+        const responder = new grpc.ResponderBuilder()
+            .withStart((next) => {
+                next(
+                    new grpc.ServerListenerBuilder()
+                        .withOnReceiveMessage((message, nextMessage) => {
+                            this._observeClock(message);
+                            nextMessage(message);
+                        })
+                        .build()
+                );
+            })
+            .withSendMessage((message, next) => {
+                next(this._stampClock(message));
+            })
+            .build();
+
+        return new grpc.ServerInterceptingCall(call, responder);
+    }
+
+    /**
+     * Add the current clock value to a message
+     * @private
+     * @param {Object} message - Outgoing message
+     * @returns {Object} - Message with an hlc field
+     */
+    _stampClock(message) {
+        return {
+            ...message,
+            hlc: HybridLogicalClock.encode(this.cacheManager.clock.now()),
+        };
+    }
+
+    /**
+     * Merge the clock carried by a received message
+     * @private
+     * @param {Object} message - Incoming message
+     */
+    _observeClock(message) {
+        if (message && message.hlc) {
+            this.cacheManager.clock.observe(message.hlc);
+        }
+    }
+
+    /**
+     * Client interceptor that sends the local ring epoch with every call and
+     * notes the epoch of every response
+     * @private
+     * @param {Object} options - Call options
+     * @param {Function} nextCall - Next call in the chain
+     * @returns {Object} - Intercepting call
+     */
+    _clientEpochInterceptor(options, nextCall) {
+        const requester = new grpc.RequesterBuilder()
+            .withStart((metadata, listener, next) => {
+                next(
+                    this._stampEpoch(metadata),
+                    new grpc.ListenerBuilder()
+                        .withOnReceiveMetadata((metadata, nextMetadata) => {
+                            this._observeEpoch(metadata);
+                            nextMetadata(metadata);
+                        })
+                        .withOnReceiveStatus((status, nextStatus) => {
+                            this._observeEpoch(status.metadata);
+                            nextStatus(status);
+                        })
+                        .build()
+                );
+            })
+            .build();
+
+        return new grpc.InterceptingCall(nextCall(options), requester);
+    }
+
+    /**
+     * Server interceptor that notes the ring epoch of every call and sends
+     * the local one with every response, errors included
+     * @private
+     * @param {Object} methodDescriptor - Called method
+     * @param {Object} call - Server call
+     * @returns {Object} - Intercepting server call
+     */
+    _serverEpochInterceptor(methodDescriptor, call) {
+        const responder = new grpc.ResponderBuilder()
+            .withStart((next) => {
+                next(
+                    new grpc.ServerListenerBuilder()
+                        .withOnReceiveMetadata((metadata, nextMetadata) => {
+                            this._observeEpoch(metadata);
+                            nextMetadata(metadata);
+                        })
+                        .build()
+                );
+            })
+            .withSendMetadata((metadata, next) => {
+                next(this._stampEpoch(metadata));
+            })
+            .withSendStatus((status, next) => {
+                next({
+                    ...status,
+                    metadata: this._stampEpoch(
+                        status.metadata || new grpc.Metadata()
+                    ),
+                });
+            })
+            .build();
+
+        return new grpc.ServerInterceptingCall(call, responder);
+    }
+
+    /**
+     * Add the local ring epoch to call or response metadata
+     * @private
+     * @param {Object} metadata - gRPC metadata
+     * @returns {Object} - The same metadata
+     */
+    _stampEpoch(metadata) {
+        metadata.set(
+            RING_EPOCH_METADATA,
+            String(this.cacheManager.ringVersion.epoch)
+        );
+        return metadata;
+    }
+
+    /**
+     * Read the ring epoch carried by call or response metadata
+     * @private
+     * @param {Object} metadata - gRPC metadata (optional)
+     * @returns {number|null} - The epoch, null if the sender sent none
+     */
+    _readEpoch(metadata) {
+        const [value] = metadata ? metadata.get(RING_EPOCH_METADATA) : [];
+        return value === undefined ? null : parseInt(value, 10);
+    }
+
+    /**
+     * Refresh the ring if the metadata of a call or response carries a newer epoch
+     * @private
+     * @param {Object} metadata - gRPC metadata (optional)
+     */
+    _observeEpoch(metadata) {
+        const epoch = this._readEpoch(metadata);
+        if (epoch !== null) {
+            this.cacheManager.ringVersion.observe(epoch);
+        }
+    }
+
+    /**
+     * Reject a write that the sender routed with an older ring than this node's
+     * @private
+     * @param {Object} call - gRPC call object
+     * @param {Function} reject - Called with the gRPC error, the unary callback or a stream's error emitter
+     * @param {string} description - What is rejected, for the log
+     * @returns {boolean} - True if the write was rejected
+     */
+    _rejectStaleEpoch(call, reject, description) {
+        const { ringVersion, monitoringSystem } = this.cacheManager;
+        const epoch = this._readEpoch(call.metadata);
+        if (!ringVersion.isStale(epoch)) {
+            return false;
+        }
+
+        logger.warn(
+            `Rejecting ${description} routed with ring epoch ${epoch}, current epoch is ${ringVersion.epoch}`
+        );
+        if (monitoringSystem) {
+            monitoringSystem.recordStaleEpochWrite();
+        }
+        reject({
+            code: grpc.status.FAILED_PRECONDITION,
+            message: `Stale ring epoch ${epoch}, current epoch is ${ringVersion.epoch}`,
+        });
+        return true;
+    }
+
+    /**
+     * Check whether a call failed because it was routed with a stale ring epoch
+     * @param {Object} error - gRPC error, or null
+     * @returns {boolean} - True for a stale epoch rejection
+     */
+    isStaleEpoch(error) {
+        return Boolean(error) && error.code === grpc.status.FAILED_PRECONDITION;
+    }
+
+    /**
+     * Send a write rejected for a stale epoch to the owners of its key once
+     * the ring is refreshed, storing it here if this node has become one
+     * @private
+     * @param {string} nodeId - Node that rejected the write
+     * @param {string} key - Cache key
+     * @param {string} value - Serialized value or tombstone
+     * @param {number} ttl - Time to live in seconds
+     * @param {Function} send - Called with (nodeId, nodeInfo) of each remote owner, resolves to a success status
+     * @returns {Promise<boolean>} - True if an owner took the write
+     */
+    async _redirectWrite(nodeId, key, value, ttl, send) {
+        try {
+            await this.cacheManager.ringVersion.refresh();
+            const owners = this.cacheManager.getReplicaNodes(key);
+            logger.info(
+                `Node ${nodeId} has a newer ring, redirecting key ${key} to ${owners.join(
+                    ", "
+                )} at epoch ${this.cacheManager.ringVersion.epoch}`
+            );
+
+            const results = await Promise.all(
+                owners.map(async (owner) => {
+                    if (owner === this.nodeId) {
+                        await this.cacheManager.applyReplicatedValue(
+                            key,
+                            value,
+                            ttl
+                        );
+                        return true;
+                    }
+
+                    const ownerInfo = this.cacheManager.nodeInfos.get(owner);
+                    return Boolean(ownerInfo) && send(owner, ownerInfo);
+                })
+            );
+            return results.some(Boolean);
+        } catch (error) {
+            logger.error(
+                `Error redirecting key ${key} after a stale epoch: ${error.message}`
+            );
+            return false;
+        }
+    }
+
+    /**
+     * Shutdown the communication layer
+     */
+    async shutdown() {
+        logger.info("Shutting down communication layer");
+
+        // Close all gRPC clients
+        for (const nodeId of Array.from(this.clients.keys())) {
+            this.closeClient(nodeId);
+        }
+
+        // Stop gRPC server
+        if (this.server) {
+            return new Promise((resolve) => {
+                this.server.tryShutdown(() => {
+                    logger.info("gRPC server shut down");
+                    resolve();
+                });
+            });
+        }
+
+        return Promise.resolve();
+    }
+}
+
+module.exports = CommunicationLayer;
@@ -0,0 +1,135 @@
+const logger = require("../utils/logger");
+
+/**
+ * Runs cluster-wide tasks on the elected leader only. Tasks are started when
+ * the node becomes leader and stopped when it loses the leadership, so each
+ * one runs on exactly one node at a time.
+ */
+class ClusterController {
+    constructor() {
+        this.tasks = new Map();
+        this.active = false;
+    }
+
+    /**
+     * Register a task
+     * @param {string} name - Task name
+     * @param {Object} task - { start, stop } functions, both optional and possibly async
+     */
+    register(name, task) {
+        if (this.tasks.has(name)) {
+            throw new Error(`Controller task ${name} is already registered`);
+        }
+
+        this.tasks.set(name, task);
+        logger.info(`Registered controller task ${name}`);
+        if (this.active) {
+            this._run(name, task, "start");
+        }
+    }
+
+    /**
+     * Register a task run at a fixed interval while this node is leader
+     * @param {string} name - Task name
+     * @param {number} interval - Milliseconds between runs
+     * @param {Function} run - Function to run, possibly async
+     */
+    registerPeriodic(name, interval, run) {
+        let timer = null;
+        let running = false;
+
+        this.register(name, {
+            start: () => {
+                timer = setInterval(async () => {
+                    // Skip a run while the previous one is still going
+                    if (running) {
+                        return;
+                    }
+                    running = true;
+                    try {
+                        await run();
+                    } catch (error) {
+                        logger.error(
+                            `Controller task ${name} failed: ${error.message}`
+                        );
+                    } finally {
+                        running = false;
+                    }
+                }, interval);
+            },
+            stop: () => {
+                clearInterval(timer);
+                timer = null;
+            },
+        });
+    }
+
+    /**
+     * Remove a task, stopping it if it runs
+     * @param {string} name - Task name
+     * @returns {Promise<boolean>} - True if the task was registered
+     */
+    async unregister(name) {
+        const task = this.tasks.get(name);
+        if (!task) {
+            return false;
+        }
+
+        this.tasks.delete(name);
+        if (this.active) {
+            await this._run(name, task, "stop");
+        }
+        return true;
+    }
+
+    /**
+     * Start or stop every task after a leadership change
+     * @param {boolean} active - Whether this node is the leader
+     */
+    async setActive(active) {
+        if (active === this.active) {
+            return;
+        }
+
+        this.active = active;
+        logger.info(
+            `${active ? "Starting" : "Stopping"} ${
+                this.tasks.size
+            } controller tasks`
+        );
+        for (const [name, task] of this.tasks) {
+            await this._run(name, task, active ? "start" : "stop");
+        }
+    }
+
+    /**
+     * Get the names of the registered tasks
+     * @returns {Array<string>} - Task names
+     */
+    getTaskNames() {
+        return Array.from(this.tasks.keys());
+    }
+
+    /**
+     * Call the start or stop function of a task
+     * @private
+     * @param {string} name - Task name
+     * @param {Object} task - Task
+     * @param {string} phase - start or stop
+     */
+    async _run(name, task, phase) {
+        if (!task[phase]) {
+            return;
+        }
+
+        try {
+            await task[phase]();
+        } catch (error) {
+            logger.error(
+                `Controller task ${name} failed to ${phase}: ${error.message}`
+            );
+        }
+    }
+}
+
+module.exports = ClusterController;
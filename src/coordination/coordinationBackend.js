@@ -0,0 +1,279 @@
+const logger = require("../utils/logger");
+
+/**
+ * Interface of a coordination backend: node membership, leader election,
+ * locks and a small key/value store shared by the cluster. Backends extend
+ * this class and report membership by passing every new node list to
+ * _notifyNodeChanges, which turns it into add and remove events for the
+ * subscribers.
+ */
+class CoordinationBackend {
+    constructor() {
+        this.nodeCallbacks = [];
+        this.lastKnownNodes = {};
+        this.election = null;
+    }
+
+    /**
+     * Connect to the backend
+     * @returns {Promise<boolean>} - Success status
+     */
+    async initialize() {
+        throw this._notImplemented("initialize");
+    }
+
+    /**
+     * Register a node in the cluster
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node information (host, port, etc.)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async registerNode(nodeId, nodeInfo) {
+        throw this._notImplemented("registerNode");
+    }
+
+    /**
+     * Unregister a node from the cluster
+     * @param {string} nodeId - Node identifier
+     * @returns {Promise<boolean>} - Success status
+     */
+    async unregisterNode(nodeId) {
+        throw this._notImplemented("unregisterNode");
+    }
+
+    /**
+     * Replace the information of a registered node. Subscribers see the
+     * change as an add event carrying the new information.
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node information (host, port, etc.)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async updateNode(nodeId, nodeInfo) {
+        return this.registerNode(nodeId, nodeInfo);
+    }
+
+    /**
+     * Get all registered nodes
+     * @returns {Promise<Object>} - Map of nodeId to nodeInfo
+     */
+    async getAllNodes() {
+        throw this._notImplemented("getAllNodes");
+    }
+
+    /**
+     * Acquire a cluster-wide lock
+     * @param {string} name - Lock name
+     * @param {Object} options - { waitTimeout } in milliseconds, 0 to give up at once
+     * @returns {Promise<Object|null>} - Lock handle { name, id, token }, or null if it is held elsewhere
+     */
+    async acquireLock(name, options = {}) {
+        throw this._notImplemented("acquireLock");
+    }
+
+    /**
+     * Release a lock returned by acquireLock
+     * @param {Object} lock - Lock handle
+     * @returns {Promise<boolean>} - True if the lock was still held
+     */
+    async releaseLock(lock) {
+        throw this._notImplemented("releaseLock");
+    }
+
+    /**
+     * Check whether a lock returned by acquireLock is still held
+     * @param {Object} lock - Lock handle
+     * @returns {Promise<boolean>} - True if the lock is held
+     */
+    async isLockHeld(lock) {
+        throw this._notImplemented("isLockHeld");
+    }
+
+    /**
+     * Read a value from the shared key/value store
+     * @param {string} key - Key
+     * @returns {Promise<any>} - The value, or null if missing
+     */
+    async getValue(key) {
+        throw this._notImplemented("getValue");
+    }
+
+    /**
+     * Write a value to the shared key/value store
+     * @param {string} key - Key
+     * @param {any} value - JSON-serializable value
+     * @returns {Promise<boolean>} - Success status
+     */
+    async setValue(key, value) {
+        throw this._notImplemented("setValue");
+    }
+
+    /**
+     * Delete a value from the shared key/value store
+     * @param {string} key - Key
+     * @returns {Promise<boolean>} - True if the key existed
+     */
+    async deleteValue(key) {
+        throw this._notImplemented("deleteValue");
+    }
+
+    /**
+     * Check whether every node of the cluster sees the same key/value store
+     * @returns {boolean} - False if values only reach the nodes of this process
+     */
+    hasSharedValues() {
+        return true;
+    }
+
+    /**
+     * Disconnect from the backend
+     */
+    async shutdown() {
+        throw this._notImplemented("shutdown");
+    }
+
+    /**
+     * Run for leader. Unless a backend has its own election, the member with
+     * the lowest node ID leads, which every member agrees on once they see
+     * the same member list.
+     * @param {string} nodeId - Identifier of the candidate node
+     * @param {Function} callback - Called with the leader's node ID, or null, whenever it changes
+     */
+    async startElection(nodeId, callback) {
+        this.election = { nodeId, callback, leader: undefined };
+        this._electLowestNode(await this.getAllNodes());
+    }
+
+    /**
+     * Stop running for leader
+     */
+    async stopElection() {
+        this.election = null;
+    }
+
+    /**
+     * Receive the communication layer, for backends that talk to other nodes over gRPC
+     * @param {Object} communicationLayer - Reference to the communication layer
+     */
+    setCommunicationLayer(communicationLayer) {}
+
+    /**
+     * Subscribe to node updates
+     * @param {Function} callback - Function to call when nodes change
+     */
+    async subscribeToNodeUpdates(callback) {
+        this.nodeCallbacks.push(callback);
+        logger.info("Subscribed to node updates");
+        return true;
+    }
+
+    /**
+     * Unsubscribe from node updates
+     * @param {Function} callback - Function to unsubscribe
+     */
+    async unsubscribeFromNodeUpdates(callback) {
+        const index = this.nodeCallbacks.indexOf(callback);
+        if (index !== -1) {
+            this.nodeCallbacks.splice(index, 1);
+            logger.info("Unsubscribed from node updates");
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Compare a node list with the last one seen and notify subscribers of the differences
+     * @protected
+     * @param {Object} currentNodes - Map of nodeId to nodeInfo
+     */
+    _notifyNodeChanges(currentNodes) {
+        const lastNodes = this.lastKnownNodes || {};
+
+        // Check for added or updated nodes
+        for (const [nodeId, nodeInfo] of Object.entries(currentNodes)) {
+            const lastNodeInfo = lastNodes[nodeId];
+
+            // Node is new or has changed
+            if (
+                !lastNodeInfo ||
+                JSON.stringify(lastNodeInfo) !== JSON.stringify(nodeInfo)
+            ) {
+                logger.info(`Node added/updated: ${nodeId}`);
+                this._notify({ type: "add", nodeId, nodeInfo });
+            }
+        }
+
+        // Check for removed nodes
+        for (const nodeId of Object.keys(lastNodes)) {
+            if (!currentNodes[nodeId]) {
+                logger.info(`Node removed: ${nodeId}`);
+                this._notify({ type: "remove", nodeId });
+            }
+        }
+
+        // Update last known state
+        this.lastKnownNodes = currentNodes;
+
+        if (this.election) {
+            this._electLowestNode(currentNodes);
+        }
+    }
+
+    /**
+     * Make the member with the lowest node ID the leader
+     * @private
+     * @param {Object} nodes - Map of nodeId to nodeInfo
+     */
+    _electLowestNode(nodes) {
+        const [leader = null] = Object.keys(nodes).sort();
+        this._setLeader(leader);
+    }
+
+    /**
+     * Report a new leader to the election callback
+     * @protected
+     * @param {string|null} leader - Node ID of the leader
+     */
+    _setLeader(leader) {
+        if (!this.election || this.election.leader === leader) {
+            return;
+        }
+
+        this.election.leader = leader;
+        try {
+            this.election.callback(leader);
+        } catch (error) {
+            logger.error(`Error in leadership callback: ${error.message}`);
+        }
+    }
+
+    /**
+     * Call every subscriber with a node event
+     * @private
+     * @param {Object} event - { type, nodeId, nodeInfo }
+     */
+    _notify(event) {
+        for (const callback of this.nodeCallbacks) {
+            try {
+                callback(event);
+            } catch (callbackError) {
+                logger.error(
+                    `Error in node ${event.type} callback: ${callbackError.message}`
+                );
+            }
+        }
+    }
+
+    /**
+     * Build the error thrown by methods a backend does not implement
+     * @private
+     * @param {string} method - Method name
+     * @returns {Error} - The error
+     */
+    _notImplemented(method) {
+        return new Error(
+            `${this.constructor.name} does not implement ${method}`
+        );
+    }
+}
+
+module.exports = CoordinationBackend;
@@ -0,0 +1,628 @@
+const MemoryBackend = require("./memoryBackend");
+const logger = require("../utils/logger");
+
+/**
+ * Coordination backend discovering members with the SWIM gossip protocol
+ * over the gRPC server, without an external coordinator.
+ *
+ * Every protocol period the node pings one member. If no ack arrives in
+ * time it asks a few other members to ping it on its behalf, and only if
+ * none of them gets an ack is the member suspected. A suspect that does not
+ * refute the suspicion before the suspicion timeout is declared dead.
+ * Membership changes ride along on the pings and acks, each one a limited
+ * number of times, and nodes periodically exchange their full member list
+ * to heal partitions.
+ *
+ * Each member carries an incarnation number that only the member itself
+ * increases, to refute a suspicion. It starts at the wall-clock time so a
+ * restarted node is not mistaken for its dead predecessor.
+ *
+ * Locks and the key/value store are kept in process memory, so they only
+ * coordinate the callers of a single process.
+ */
+class GossipBackend extends MemoryBackend {
+    constructor() {
+        super(`gossip:${process.env.NODE_ID || "node1"}`);
+        this.communicationLayer = null;
+        this.self = null;
+        this.members = new Map();
+        this.updates = new Map();
+        this.probeOrder = [];
+        this.probing = false;
+        this.probeTimer = null;
+        this.syncTimer = null;
+
+        this.seeds = (process.env.GOSSIP_SEEDS || "")
+            .split(",")
+            .map((seed) => seed.trim())
+            .filter((seed) => seed);
+        this.protocolPeriod = parseInt(
+            process.env.GOSSIP_INTERVAL || "2000",
+            10
+        );
+        this.pingTimeout = parseInt(
+            process.env.GOSSIP_PING_TIMEOUT || "500",
+            10
+        );
+        this.indirectProbes = parseInt(
+            process.env.GOSSIP_INDIRECT_PROBES || "3",
+            10
+        );
+        this.suspicionTimeout = parseInt(
+            process.env.GOSSIP_SUSPICION_TIMEOUT || "6000",
+            10
+        );
+        this.syncInterval = parseInt(
+            process.env.GOSSIP_SYNC_INTERVAL || "30000",
+            10
+        );
+
+        // Updates piggybacked on one message, and how often each one is
+        // sent, scaled by the log of the cluster size
+        this.maxPiggyback = 10;
+        this.retransmitMultiplier = 4;
+
+        // Dead members are remembered for a while so late gossip cannot revive them
+        this.deadRetention = 3600000;
+    }
+
+    /**
+     * Set the communication layer used to exchange gossip
+     * @param {Object} communicationLayer - Reference to the communication layer
+     */
+    setCommunicationLayer(communicationLayer) {
+        this.communicationLayer = communicationLayer;
+        communicationLayer.setGossipHandler(this.handleGossip.bind(this));
+    }
+
+    /**
+     * Register the local node and start probing. Other nodes are found
+     * through the seeds, a node can only register itself.
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node information (host, port, etc.)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async registerNode(nodeId, nodeInfo) {
+        this.self = {
+            nodeId,
+            nodeInfo: JSON.parse(JSON.stringify(nodeInfo)),
+            incarnation: Math.max(
+                Date.now(),
+                this.self ? this.self.incarnation + 1 : 0
+            ),
+            status: "alive",
+        };
+        this._enqueue(this.self);
+        this._publish();
+        logger.info(`Node ${nodeId} registered successfully`);
+
+        if (!this.probeTimer) {
+            this.probeTimer = setInterval(
+                () => this._probeRound(),
+                this.protocolPeriod
+            );
+            this.syncTimer = setInterval(() => this._sync(), this.syncInterval);
+        }
+        return true;
+    }
+
+    /**
+     * Leave the cluster, telling a few members so they do not have to detect it
+     * @param {string} nodeId - Node identifier
+     * @returns {Promise<boolean>} - Success status
+     */
+    async unregisterNode(nodeId) {
+        if (!this.self || this.self.nodeId !== nodeId) {
+            return false;
+        }
+
+        this._stop();
+        this.self = { ...this.self, status: "dead" };
+        this._enqueue(this.self);
+
+        const targets = this._randomMembers(
+            this.indirectProbes,
+            (member) => member.status !== "dead"
+        );
+        await Promise.all(
+            targets.map((member) => this._send(member, {}).catch(() => {}))
+        );
+
+        this.self = null;
+        this._publish();
+        logger.info(`Node ${nodeId} unregistered successfully`);
+        return true;
+    }
+
+    /**
+     * Get the members that are alive or suspected
+     * @returns {Promise<Object>} - Map of nodeId to nodeInfo
+     */
+    async getAllNodes() {
+        return this._liveNodes();
+    }
+
+    /**
+     * Values are kept in process memory, other nodes do not see them
+     * @returns {boolean} - Always false
+     */
+    hasSharedValues() {
+        return false;
+    }
+
+    /**
+     * Stop probing and leave the cluster
+     */
+    async shutdown() {
+        if (this.self) {
+            await this.unregisterNode(this.self.nodeId);
+        }
+        this._stop();
+        for (const member of this.members.values()) {
+            clearTimeout(member.suspicionTimer);
+        }
+        await super.shutdown();
+    }
+
+    /**
+     * Answer a gossip message from another node: a ping, a request to ping a
+     * third node, or a full member list exchange
+     * @param {Object} request - { node_id, target, target_info, updates, sync }
+     * @returns {Promise<Object>} - { ack, updates }
+     */
+    async handleGossip(request) {
+        this._applyUpdates(request.updates || []);
+
+        let ack = true;
+        if (request.target) {
+            const member = this.members.get(request.target) || {
+                nodeId: request.target,
+                nodeInfo: JSON.parse(request.target_info),
+            };
+            ack = await this._ping(member);
+        }
+
+        return {
+            ack,
+            updates: request.sync ? this._fullState() : this._piggyback(),
+        };
+    }
+
+    /**
+     * Probe the next member of the round-robin order
+     * @private
+     */
+    async _probeRound() {
+        if (this.probing || !this.self) {
+            return;
+        }
+        this.probing = true;
+
+        try {
+            this._pruneDead();
+
+            // Keep contacting the seeds until another member is known
+            const member = this._nextProbeTarget();
+            if (!member) {
+                await this._sync();
+                return;
+            }
+
+            if (await this._ping(member)) {
+                return;
+            }
+
+            // Rule out a problem between us and the member before suspecting it
+            const helpers = this._randomMembers(
+                this.indirectProbes,
+                (other) =>
+                    other.status === "alive" && other.nodeId !== member.nodeId
+            );
+            const acks = await Promise.all(
+                helpers.map((helper) =>
+                    this._send(
+                        helper,
+                        {
+                            target: member.nodeId,
+                            target_info: JSON.stringify(member.nodeInfo),
+                        },
+                        this.pingTimeout * 2
+                    )
+                        .then((response) => response.ack)
+                        .catch(() => false)
+                )
+            );
+
+            const current = this.members.get(member.nodeId);
+            if (
+                !acks.includes(true) &&
+                current &&
+                current.status === "alive" &&
+                current.incarnation === member.incarnation
+            ) {
+                logger.warn(
+                    `Node ${member.nodeId} did not answer direct or indirect probes`
+                );
+                this._applyUpdate({ ...current, status: "suspect" });
+            }
+        } catch (error) {
+            logger.error(`Error during gossip probe: ${error.message}`);
+        } finally {
+            this.probing = false;
+        }
+    }
+
+    /**
+     * Exchange full member lists with a random member, or with the seeds
+     * while no other member is known
+     * @private
+     */
+    async _sync() {
+        if (!this.self) {
+            return;
+        }
+
+        const [member] = this._randomMembers(
+            1,
+            (other) => other.status === "alive"
+        );
+        if (member) {
+            await this._send(member, { sync: true }, this.pingTimeout * 2)
+                .then((response) => this._applyUpdates(response.updates))
+                .catch(() => {});
+            return;
+        }
+
+        for (const seed of this.seeds) {
+            try {
+                const response = await this.communicationLayer.gossipSeed(
+                    seed,
+                    this._request({ sync: true, updates: this._fullState() }),
+                    this.pingTimeout * 2
+                );
+                this._applyUpdates(response.updates);
+
+                // Nodes share one seed list, so a seed may be this node itself
+                if (
+                    this._randomMembers(1, (other) => other.status === "alive")
+                        .length === 0
+                ) {
+                    continue;
+                }
+                logger.info(`Joined the cluster through seed ${seed}`);
+                return;
+            } catch (error) {
+                logger.warn(
+                    `Could not join through seed ${seed}: ${error.message}`
+                );
+            }
+        }
+    }
+
+    /**
+     * Ping a member directly
+     * @private
+     * @param {Object} member - Member to ping
+     * @returns {Promise<boolean>} - True if it acknowledged in time
+     */
+    async _ping(member) {
+        try {
+            const response = await this._send(member, {});
+            return response.ack;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Send a gossip message to a member and apply the updates of its answer
+     * @private
+     * @param {Object} member - Receiving member
+     * @param {Object} fields - Message fields besides the sender and the piggybacked updates
+     * @param {number} timeout - Deadline in milliseconds
+     * @returns {Promise<Object>} - Response message
+     */
+    async _send(member, fields, timeout = this.pingTimeout) {
+        const request = this._request({
+            updates: fields.sync ? this._fullState() : this._piggyback(),
+            ...fields,
+        });
+        const response = await this.communicationLayer.gossip(
+            member.nodeId,
+            member.nodeInfo,
+            request,
+            timeout
+        );
+        if (!fields.sync) {
+            this._applyUpdates(response.updates || []);
+        }
+        return response;
+    }
+
+    /**
+     * Build a gossip request
+     * @private
+     * @param {Object} fields - Message fields
+     * @returns {Object} - Request message
+     */
+    _request(fields) {
+        return {
+            node_id: this.self ? this.self.nodeId : "",
+            target: "",
+            target_info: "",
+            sync: false,
+            ...fields,
+        };
+    }
+
+    /**
+     * Apply the member updates of a received message
+     * @private
+     * @param {Array<Object>} updates - Wire updates { node_id, node_info, incarnation, status }
+     */
+    _applyUpdates(updates) {
+        for (const update of updates) {
+            this._applyUpdate({
+                nodeId: update.node_id,
+                nodeInfo: JSON.parse(update.node_info),
+                incarnation: Number(update.incarnation),
+                status: update.status,
+            });
+        }
+    }
+
+    /**
+     * Merge one member update into the member list. A higher incarnation
+     * always wins, for the same incarnation dead beats suspect and suspect
+     * beats alive.
+     * @private
+     * @param {Object} update - { nodeId, nodeInfo, incarnation, status }
+     */
+    _applyUpdate(update) {
+        const { nodeId, nodeInfo, incarnation, status } = update;
+        if (this.self && nodeId === this.self.nodeId) {
+            this._refute(update);
+            return;
+        }
+
+        const member = {
+            nodeId,
+            nodeInfo,
+            incarnation,
+            status,
+            changedAt: Date.now(),
+        };
+
+        const existing = this.members.get(nodeId);
+        if (existing) {
+            const newer = incarnation > existing.incarnation;
+            const stronger =
+                incarnation === existing.incarnation &&
+                GossipBackend.STATUS_RANK[status] >
+                    GossipBackend.STATUS_RANK[existing.status];
+            if (!newer && !stronger) {
+                return;
+            }
+            clearTimeout(existing.suspicionTimer);
+        } else if (status === "dead") {
+            // Remember it so that older gossip about it is ignored
+            this.members.set(nodeId, member);
+            return;
+        }
+
+        this.members.set(nodeId, member);
+        this._enqueue(member);
+
+        if (member.status === "suspect") {
+            logger.info(`Node ${member.nodeId} is suspected to be down`);
+            member.suspicionTimer = setTimeout(
+                () => this._confirmDead(member),
+                this.suspicionTimeout
+            );
+        } else if (member.status === "dead") {
+            logger.info(`Node ${member.nodeId} is dead`);
+        }
+
+        this._publish();
+    }
+
+    /**
+     * Declare a suspect dead if nobody refuted the suspicion
+     * @private
+     * @param {Object} member - Suspected member
+     */
+    _confirmDead(member) {
+        if (this.members.get(member.nodeId) === member) {
+            this._applyUpdate({ ...member, status: "dead" });
+        }
+    }
+
+    /**
+     * Answer gossip claiming this node is suspect or dead by raising its incarnation
+     * @private
+     * @param {Object} update - Update about this node
+     */
+    _refute(update) {
+        // A leaving node lets the news of its departure spread
+        if (
+            this.self.status !== "alive" ||
+            update.status === "alive" ||
+            update.incarnation < this.self.incarnation
+        ) {
+            return;
+        }
+
+        logger.warn(
+            `Refuting gossip that this node is ${update.status} at incarnation ${update.incarnation}`
+        );
+        this.self = { ...this.self, incarnation: update.incarnation + 1 };
+        this._enqueue(this.self);
+    }
+
+    /**
+     * Queue a member state for dissemination, replacing older news about it
+     * @private
+     * @param {Object} member - Member state
+     */
+    _enqueue(member) {
+        this.updates.set(member.nodeId, {
+            update: {
+                node_id: member.nodeId,
+                node_info: JSON.stringify(member.nodeInfo),
+                incarnation: member.incarnation,
+                status: member.status,
+            },
+            transmissions: 0,
+        });
+    }
+
+    /**
+     * Pick the updates to piggyback on an outgoing message, least sent first
+     * @private
+     * @returns {Array<Object>} - Wire updates
+     */
+    _piggyback() {
+        const limit = Math.max(
+            1,
+            Math.ceil(
+                this.retransmitMultiplier * Math.log10(this.members.size + 2)
+            )
+        );
+        const entries = Array.from(this.updates.entries())
+            .sort((a, b) => a[1].transmissions - b[1].transmissions)
+            .slice(0, this.maxPiggyback);
+
+        for (const [nodeId, entry] of entries) {
+            entry.transmissions++;
+            if (entry.transmissions >= limit) {
+                this.updates.delete(nodeId);
+            }
+        }
+        return entries.map(([, entry]) => entry.update);
+    }
+
+    /**
+     * Get the state of every member, this node included
+     * @private
+     * @returns {Array<Object>} - Wire updates
+     */
+    _fullState() {
+        const members = Array.from(this.members.values());
+        if (this.self) {
+            members.push(this.self);
+        }
+        return members.map((member) => ({
+            node_id: member.nodeId,
+            node_info: JSON.stringify(member.nodeInfo),
+            incarnation: member.incarnation,
+            status: member.status,
+        }));
+    }
+
+    /**
+     * Get the next member to probe, visiting members in a shuffled round-robin order
+     * @private
+     * @returns {Object|null} - Member or null if there is none
+     */
+    _nextProbeTarget() {
+        while (this.probeOrder.length > 0) {
+            const member = this.members.get(this.probeOrder.pop());
+            if (member && member.status !== "dead") {
+                return member;
+            }
+        }
+
+        this.probeOrder = this._shuffle(
+            Array.from(this.members.values())
+                .filter((member) => member.status !== "dead")
+                .map((member) => member.nodeId)
+        );
+        const nodeId = this.probeOrder.pop();
+        return nodeId ? this.members.get(nodeId) : null;
+    }
+
+    /**
+     * Pick random members
+     * @private
+     * @param {number} count - Number of members
+     * @param {Function} filter - Predicate members must match
+     * @returns {Array<Object>} - Members
+     */
+    _randomMembers(count, filter) {
+        return this._shuffle(
+            Array.from(this.members.values()).filter(filter)
+        ).slice(0, count);
+    }
+
+    /**
+     * Shuffle an array in place
+     * @private
+     * @param {Array} items - Items
+     * @returns {Array} - The same array
+     */
+    _shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Forget members that have been dead for longer than the retention
+     * @private
+     */
+    _pruneDead() {
+        const now = Date.now();
+        for (const [nodeId, member] of this.members) {
+            if (
+                member.status === "dead" &&
+                now - member.changedAt > this.deadRetention
+            ) {
+                this.members.delete(nodeId);
+            }
+        }
+    }
+
+    /**
+     * Get this node and the members that are alive or suspected
+     * @private
+     * @returns {Object} - Map of nodeId to nodeInfo
+     */
+    _liveNodes() {
+        const nodes = {};
+        if (this.self) {
+            nodes[this.self.nodeId] = this.self.nodeInfo;
+        }
+        for (const member of this.members.values()) {
+            if (member.status !== "dead") {
+                nodes[member.nodeId] = member.nodeInfo;
+            }
+        }
+        return JSON.parse(JSON.stringify(nodes));
+    }
+
+    /**
+     * Report the current member list to the subscribers
+     * @private
+     */
+    _publish() {
+        this._notifyNodeChanges(this._liveNodes());
+    }
+
+    /**
+     * Stop the protocol timers
+     * @private
+     */
+    _stop() {
+        clearInterval(this.probeTimer);
+        clearInterval(this.syncTimer);
+        this.probeTimer = null;
+        this.syncTimer = null;
+    }
+}
+
+// Precedence of member states with the same incarnation
+GossipBackend.STATUS_RANK = { alive: 0, suspect: 1, dead: 2 };
+
+module.exports = GossipBackend;
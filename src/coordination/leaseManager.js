@@ -0,0 +1,177 @@
+const logger = require("../utils/logger");
+const { LockNotHeldError } = require("../utils/errors");
+
+/**
+ * Time-limited locks handed to clients. A lease wraps a backend lock with an
+ * expiry kept in the backend key/value store, so any node can renew or
+ * release it, and the node that granted it releases it once it expires.
+ * The fencing token of the backend lock grows with every grant, so
+ * downstream systems can reject writes from a holder whose lease expired.
+ */
+class LeaseManager {
+    /**
+     * @param {Object} backend - Coordination backend
+     */
+    constructor(backend) {
+        this.backend = backend;
+        this.timers = new Map();
+    }
+
+    /**
+     * Acquire a lease
+     * @param {string} name - Lock name
+     * @param {Object} options - { ttl, waitTimeout } in milliseconds
+     * @returns {Promise<Object|null>} - Lease { name, id, token, expiresAt }, or null if the lock is held elsewhere
+     */
+    async acquire(name, { ttl, waitTimeout = 0 }) {
+        const lock = await this.backend.acquireLock(name, { waitTimeout });
+        if (!lock) {
+            return null;
+        }
+
+        const lease = { ...lock, expiresAt: Date.now() + ttl };
+        try {
+            await this.backend.setValue(this._leaseKey(name), lease);
+        } catch (error) {
+            await this.backend.releaseLock(lock);
+            throw error;
+        }
+
+        this._scheduleExpiry(lease);
+        logger.info(`Granted lease on lock ${name} with token ${lease.token}`);
+        return lease;
+    }
+
+    /**
+     * Extend a lease
+     * @param {string} name - Lock name
+     * @param {string} id - Lease identifier
+     * @param {number} ttl - New time to live in milliseconds, counted from now
+     * @returns {Promise<Object>} - The renewed lease
+     * @throws {LockNotHeldError} - If the lease expired or was released
+     */
+    async renew(name, id, ttl) {
+        const lease = await this._getHeldLease(name, id);
+
+        lease.expiresAt = Date.now() + ttl;
+        await this.backend.setValue(this._leaseKey(name), lease);
+        if (this.timers.has(id)) {
+            this._scheduleExpiry(lease);
+        }
+        return lease;
+    }
+
+    /**
+     * Release a lease
+     * @param {string} name - Lock name
+     * @param {string} id - Lease identifier
+     * @throws {LockNotHeldError} - If the lease expired or was released
+     */
+    async release(name, id) {
+        const lease = await this._getHeldLease(name, id);
+        await this._end(lease);
+        logger.info(`Released lease on lock ${name}`);
+    }
+
+    /**
+     * Stop the expiry timers. Leases granted here stay in the backend until
+     * it releases them, when the node's session ends with ZooKeeper.
+     */
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    /**
+     * Read a lease and check that it is still held
+     * @private
+     * @param {string} name - Lock name
+     * @param {string} id - Lease identifier
+     * @returns {Promise<Object>} - The lease
+     * @throws {LockNotHeldError} - If the lease expired or was released
+     */
+    async _getHeldLease(name, id) {
+        const lease = await this.backend.getValue(this._leaseKey(name));
+        if (
+            !lease ||
+            lease.id !== id ||
+            lease.expiresAt <= Date.now() ||
+            !(await this.backend.isLockHeld(lease))
+        ) {
+            throw new LockNotHeldError(name);
+        }
+        return lease;
+    }
+
+    /**
+     * Release the lock of a lease granted here once it expires
+     * @private
+     * @param {Object} lease - Lease
+     */
+    _scheduleExpiry(lease) {
+        clearTimeout(this.timers.get(lease.id));
+        this.timers.set(
+            lease.id,
+            setTimeout(
+                () =>
+                    this._expire(lease).catch((error) =>
+                        logger.error(
+                            `Failed to expire lease on lock ${lease.name}: ${error.message}`
+                        )
+                    ),
+                Math.max(lease.expiresAt - Date.now(), 0)
+            )
+        );
+    }
+
+    /**
+     * End a lease unless another node renewed it in the meantime
+     * @private
+     * @param {Object} lease - Lease as granted
+     */
+    async _expire(lease) {
+        this.timers.delete(lease.id);
+
+        const current = await this.backend.getValue(this._leaseKey(lease.name));
+        if (current && current.id === lease.id) {
+            if (current.expiresAt > Date.now()) {
+                this._scheduleExpiry(current);
+                return;
+            }
+            logger.info(`Lease on lock ${lease.name} expired`);
+        }
+        await this._end(lease);
+    }
+
+    /**
+     * Release the lock of a lease and forget the lease
+     * @private
+     * @param {Object} lease - Lease
+     */
+    async _end(lease) {
+        clearTimeout(this.timers.get(lease.id));
+        this.timers.delete(lease.id);
+
+        // Forget the lease while its lock still keeps newer leases out
+        const current = await this.backend.getValue(this._leaseKey(lease.name));
+        if (current && current.id === lease.id) {
+            await this.backend.deleteValue(this._leaseKey(lease.name));
+        }
+
+        await this.backend.releaseLock(lease);
+    }
+
+    /**
+     * Key of a lease in the backend key/value store
+     * @private
+     * @param {string} name - Lock name
+     * @returns {string} - Key
+     */
+    _leaseKey(name) {
+        return `leases/${name}`;
+    }
+}
+
+module.exports = LeaseManager;
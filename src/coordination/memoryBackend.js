@@ -0,0 +1,253 @@
+const CoordinationBackend = require("./coordinationBackend");
+const logger = require("../utils/logger");
+
+// Clusters shared by every backend of the process, by name
+const clusters = new Map();
+let nextLockId = 1;
+
+/**
+ * Get or create the shared state of an in-process cluster
+ * @param {string} name - Cluster name
+ * @returns {Object} - { nodes, backends, locks, values }
+ */
+function getCluster(name) {
+    if (!clusters.has(name)) {
+        clusters.set(name, {
+            nodes: new Map(),
+            backends: new Set(),
+            locks: new Map(),
+            values: new Map(),
+        });
+    }
+    return clusters.get(name);
+}
+
+/**
+ * Coordination backend keeping the cluster in process memory. Backends
+ * created with the same cluster name see each other, which lets several
+ * nodes run in one process for tests without a ZooKeeper server.
+ */
+class MemoryBackend extends CoordinationBackend {
+    /**
+     * @param {string} clusterName - Name of the in-process cluster to join
+     */
+    constructor(clusterName = "default") {
+        super();
+        this.clusterName = clusterName;
+        this.cluster = null;
+        this.registeredNodes = new Set();
+        this.heldLocks = new Map();
+    }
+
+    /**
+     * Join the in-process cluster
+     * @returns {Promise<boolean>} - Success status
+     */
+    async initialize() {
+        logger.info(
+            `Initializing in-memory coordination for cluster ${this.clusterName}`
+        );
+        this.cluster = getCluster(this.clusterName);
+        this.cluster.backends.add(this);
+        this._notifyNodeChanges(await this.getAllNodes());
+        return true;
+    }
+
+    /**
+     * Register a node in the cluster
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node information (host, port, etc.)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async registerNode(nodeId, nodeInfo) {
+        this.cluster.nodes.set(nodeId, JSON.parse(JSON.stringify(nodeInfo)));
+        this.registeredNodes.add(nodeId);
+        logger.info(`Node ${nodeId} registered successfully`);
+        this._broadcast();
+        return true;
+    }
+
+    /**
+     * Unregister a node from the cluster
+     * @param {string} nodeId - Node identifier
+     * @returns {Promise<boolean>} - Success status
+     */
+    async unregisterNode(nodeId) {
+        this.registeredNodes.delete(nodeId);
+        if (!this.cluster.nodes.delete(nodeId)) {
+            return false;
+        }
+        logger.info(`Node ${nodeId} unregistered successfully`);
+        this._broadcast();
+        return true;
+    }
+
+    /**
+     * Get all registered nodes
+     * @returns {Promise<Object>} - Map of nodeId to nodeInfo
+     */
+    async getAllNodes() {
+        const nodes = {};
+        for (const [nodeId, nodeInfo] of this.cluster.nodes) {
+            nodes[nodeId] = JSON.parse(JSON.stringify(nodeInfo));
+        }
+        return nodes;
+    }
+
+    /**
+     * Acquire a lock, queueing behind the current holder for up to waitTimeout
+     * @param {string} name - Lock name
+     * @param {Object} options - { waitTimeout } in milliseconds, 0 to give up at once
+     * @returns {Promise<Object|null>} - Lock handle { name, id, token }, or null if it is held elsewhere
+     */
+    async acquireLock(name, { waitTimeout = 0 } = {}) {
+        if (!this.cluster.locks.has(name)) {
+            this.cluster.locks.set(name, {
+                holder: null,
+                waiters: [],
+                lastToken: 0,
+            });
+        }
+        const lock = this.cluster.locks.get(name);
+        const id = `${this.clusterName}:${name}:${nextLockId++}`;
+
+        if (!lock.holder) {
+            return this._grantLock(name, lock, id);
+        }
+        if (waitTimeout <= 0) {
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            const waiter = {
+                grant: () => {
+                    clearTimeout(waiter.timer);
+                    resolve(this._grantLock(name, lock, id));
+                },
+                timer: setTimeout(() => {
+                    lock.waiters.splice(lock.waiters.indexOf(waiter), 1);
+                    resolve(null);
+                }, waitTimeout),
+            };
+            lock.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Release a lock returned by acquireLock
+     * @param {Object} handle - Lock handle
+     * @returns {Promise<boolean>} - True if the lock was still held
+     */
+    async releaseLock(handle) {
+        const lock = this.cluster.locks.get(handle.name);
+        if (!lock || lock.holder !== handle.id) {
+            return false;
+        }
+
+        this.heldLocks.delete(handle.id);
+        lock.holder = null;
+        logger.info(`Released lock ${handle.name}`);
+
+        const next = lock.waiters.shift();
+        if (next) {
+            next.grant();
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a lock returned by acquireLock is still held
+     * @param {Object} handle - Lock handle
+     * @returns {Promise<boolean>} - True if the lock is held
+     */
+    async isLockHeld(handle) {
+        const lock = this.cluster.locks.get(handle.name);
+        return Boolean(lock) && lock.holder === handle.id;
+    }
+
+    /**
+     * Read a value from the shared key/value store
+     * @param {string} key - Key
+     * @returns {Promise<any>} - The value, or null if missing
+     */
+    async getValue(key) {
+        const value = this.cluster.values.get(key);
+        return value === undefined ? null : JSON.parse(value);
+    }
+
+    /**
+     * Write a value to the shared key/value store
+     * @param {string} key - Key
+     * @param {any} value - JSON-serializable value
+     * @returns {Promise<boolean>} - Success status
+     */
+    async setValue(key, value) {
+        this.cluster.values.set(key, JSON.stringify(value));
+        return true;
+    }
+
+    /**
+     * Delete a value from the shared key/value store
+     * @param {string} key - Key
+     * @returns {Promise<boolean>} - True if the key existed
+     */
+    async deleteValue(key) {
+        return this.cluster.values.delete(key);
+    }
+
+    /**
+     * Leave the cluster, dropping the nodes and locks of this backend like an
+     * expired ZooKeeper session would
+     */
+    async shutdown() {
+        logger.info("Shutting down coordination service");
+        this.nodeCallbacks = [];
+        if (!this.cluster) {
+            return;
+        }
+
+        for (const [id, name] of this.heldLocks) {
+            await this.releaseLock({ name, id });
+        }
+        for (const nodeId of this.registeredNodes) {
+            this.cluster.nodes.delete(nodeId);
+        }
+        this.registeredNodes.clear();
+        this.cluster.backends.delete(this);
+        this._broadcast();
+        this.cluster = null;
+    }
+
+    /**
+     * Make a lock handle the holder of a lock
+     * @private
+     * @param {string} name - Lock name
+     * @param {Object} lock - Shared lock state
+     * @param {string} id - Handle identifier
+     * @returns {Object} - Lock handle
+     */
+    _grantLock(name, lock, id) {
+        lock.holder = id;
+        lock.lastToken++;
+        this.heldLocks.set(id, name);
+        logger.info(`Acquired lock ${name}`);
+        return { name, id, token: lock.lastToken };
+    }
+
+    /**
+     * Tell every backend of the cluster about the new node list, asynchronously
+     * like a ZooKeeper watch
+     * @private
+     */
+    _broadcast() {
+        for (const backend of this.cluster.backends) {
+            setImmediate(async () => {
+                if (backend.cluster) {
+                    backend._notifyNodeChanges(await backend.getAllNodes());
+                }
+            });
+        }
+    }
+}
+
+module.exports = MemoryBackend;
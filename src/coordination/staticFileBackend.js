@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const MemoryBackend = require("./memoryBackend");
+const logger = require("../utils/logger");
+
+/**
+ * Coordination backend reading the member list from a JSON or YAML file,
+ * for deployments without ZooKeeper. The file is watched and edits are
+ * reported as node additions and removals. It lists nodes either as a map
+ * of nodeId to node information or as an array of entries with an id:
+ *
+ *   nodes:
+ *     node1: { host: redis1, port: 6379, grpcHost: cache-service1, grpcPort: 50051 }
+ *
+ * Locks and the key/value store are kept in process memory, so they only
+ * coordinate the callers of a single process.
+ */
+class StaticFileBackend extends MemoryBackend {
+    /**
+     * @param {string} filePath - Path of the member list
+     */
+    constructor(filePath = process.env.COORDINATION_FILE || "cluster.json") {
+        const resolved = path.resolve(filePath);
+        super(`static:${resolved}`);
+        this.filePath = resolved;
+        this.fileNodes = {};
+        this.localNodes = {};
+        this.pollInterval = 2000;
+        this.watching = false;
+    }
+
+    /**
+     * Load the member list and start watching the file
+     * @returns {Promise<boolean>} - Success status
+     */
+    async initialize() {
+        logger.info(`Reading cluster members from ${this.filePath}`);
+
+        // A node cannot place keys without a member list, so fail at startup
+        this.fileNodes = await this._readNodes();
+        await super.initialize();
+
+        fs.watchFile(this.filePath, { interval: this.pollInterval }, () =>
+            this._reload()
+        );
+        this.watching = true;
+        return true;
+    }
+
+    /**
+     * Register a local node. The file stays the source of truth, the node is
+     * only listed locally until the file mentions it.
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node information (host, port, etc.)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async registerNode(nodeId, nodeInfo) {
+        if (!this.fileNodes[nodeId]) {
+            logger.warn(
+                `Node ${nodeId} is not listed in ${this.filePath}, other nodes will not see it`
+            );
+        }
+        this.localNodes[nodeId] = JSON.parse(JSON.stringify(nodeInfo));
+        this._notifyNodeChanges(await this.getAllNodes());
+        return true;
+    }
+
+    /**
+     * Unregister a local node
+     * @param {string} nodeId - Node identifier
+     * @returns {Promise<boolean>} - Success status
+     */
+    async unregisterNode(nodeId) {
+        if (!this.localNodes[nodeId]) {
+            return false;
+        }
+        delete this.localNodes[nodeId];
+        this._notifyNodeChanges(await this.getAllNodes());
+        return true;
+    }
+
+    /**
+     * Get the nodes listed in the file, plus local nodes it does not list
+     * @returns {Promise<Object>} - Map of nodeId to nodeInfo
+     */
+    async getAllNodes() {
+        const nodes = { ...this.localNodes, ...this.fileNodes };
+
+        // Local nodes publish their lifecycle state on top of their file entry
+        for (const [nodeId, nodeInfo] of Object.entries(this.localNodes)) {
+            if (this.fileNodes[nodeId] && nodeInfo.state) {
+                nodes[nodeId] = {
+                    ...this.fileNodes[nodeId],
+                    state: nodeInfo.state,
+                    epoch: nodeInfo.epoch,
+                };
+            }
+        }
+        return JSON.parse(JSON.stringify(nodes));
+    }
+
+    /**
+     * Values are kept in process memory, other nodes do not see them
+     * @returns {boolean} - Always false
+     */
+    hasSharedValues() {
+        return false;
+    }
+
+    /**
+     * Stop watching the file
+     */
+    async shutdown() {
+        if (this.watching) {
+            fs.unwatchFile(this.filePath);
+            this.watching = false;
+        }
+        await super.shutdown();
+    }
+
+    /**
+     * Read the file again after a change, keeping the previous list if it is invalid
+     * @private
+     */
+    async _reload() {
+        try {
+            this.fileNodes = await this._readNodes();
+            this._notifyNodeChanges(await this.getAllNodes());
+        } catch (error) {
+            logger.error(
+                `Ignoring invalid member list ${this.filePath}: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Read and parse the member list
+     * @private
+     * @returns {Promise<Object>} - Map of nodeId to nodeInfo
+     */
+    async _readNodes() {
+        const content = await fs.promises.readFile(this.filePath, "utf8");
+        const extension = path.extname(this.filePath).toLowerCase();
+        const document =
+            extension === ".yaml" || extension === ".yml"
+                ? yaml.safeLoad(content)
+                : JSON.parse(content);
+
+        const listed = document && document.nodes;
+        if (!listed || typeof listed !== "object") {
+            throw new Error("Expected a nodes map or array");
+        }
+
+        if (!Array.isArray(listed)) {
+            return listed;
+        }
+
+        const nodes = {};
+        for (const { id, ...nodeInfo } of listed) {
+            if (!id) {
+                throw new Error("Every node entry needs an id");
+            }
+            nodes[id] = nodeInfo;
+        }
+        return nodes;
+    }
+}
+
+module.exports = StaticFileBackend;
@@ -0,0 +1,926 @@
+const zookeeper = require("node-zookeeper-client");
+const CoordinationBackend = require("./coordinationBackend");
+const logger = require("../utils/logger");
+
+/**
+ * Coordination backend storing members as ephemeral znodes, so a node that
+ * loses its session leaves the cluster on its own
+ */
+class ZooKeeperBackend extends CoordinationBackend {
+    constructor() {
+        super();
+        this.client = null;
+        this.nodeWatchers = new Map();
+        this.watchedNodes = new Set();
+        this.basePath = "/redis-cache/nodes";
+        this.lockPath = "/redis-cache/locks";
+        this.kvPath = "/redis-cache/kv";
+        this.electionPath = "/redis-cache/election";
+        this.ephemeralNodePath = null;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 10;
+        this.reconnectDelay = 1000; // 1 second, will increase exponentially
+        this.nodePollingInterval = null;
+        this.sessionTimeout = 30000; // 30 seconds
+        this.connected = false;
+    }
+
+    /**
+     * Initialize the coordination service
+     */
+    async initialize() {
+        logger.info("Initializing coordination service");
+
+        try {
+            const zookeeperHosts =
+                process.env.ZOOKEEPER_HOSTS || "localhost:2181";
+
+            logger.info(`Connecting to ZooKeeper hosts: ${zookeeperHosts}`);
+
+            // Create ZooKeeper client
+            this.client = zookeeper.createClient(zookeeperHosts, {
+                sessionTimeout: this.sessionTimeout,
+                spinDelay: 1000,
+                retries: 3,
+            });
+
+            // Setup event listeners
+            this.client.on("connected", () => {
+                logger.info("Connected to ZooKeeper");
+                this.connected = true;
+                this.reconnectAttempts = 0;
+            });
+
+            this.client.on("disconnected", () => {
+                logger.warn("Disconnected from ZooKeeper");
+                this.connected = false;
+                this.reconnect();
+            });
+
+            this.client.on("expired", () => {
+                logger.warn("ZooKeeper session expired");
+                this.connected = false;
+                this.reconnect();
+            });
+
+            this.client.on("authenticationFailed", () => {
+                logger.error("ZooKeeper authentication failed");
+            });
+
+            // Connect to ZooKeeper
+            return new Promise((resolve, reject) => {
+                this.client.once("connected", async () => {
+                    try {
+                        // Create base path if it doesn't exist
+                        await this._ensureBasePath();
+
+                        // Watch for node changes
+                        this.watchNodes();
+
+                        resolve(true);
+                    } catch (error) {
+                        logger.error(
+                            `Failed to initialize ZooKeeper paths: ${error.message}`
+                        );
+
+                        // Fall back to polling
+                        this._startNodePolling();
+
+                        // Still resolve as true since we can use polling
+                        resolve(true);
+                    }
+                });
+
+                this.client.once("error", (error) => {
+                    logger.error(
+                        `Failed to connect to ZooKeeper: ${error.message}`
+                    );
+
+                    // Fall back to polling
+                    this._startNodePolling();
+
+                    // Resolve with polling as fallback
+                    resolve(true);
+                });
+
+                this.client.connect();
+            });
+        } catch (error) {
+            logger.error(
+                `Failed to initialize coordination service: ${error.message}`
+            );
+            // Fall back to polling
+            this._startNodePolling();
+
+            // Return true since we have a fallback mechanism
+            return true;
+        }
+    }
+
+    /**
+     * Ensure base path exists
+     * @private
+     */
+    _ensureBasePath() {
+        return this._ensurePath(this.basePath);
+    }
+
+    /**
+     * Create a path and its missing parents
+     * @private
+     * @param {string} path - ZooKeeper path
+     */
+    _ensurePath(path) {
+        return new Promise((resolve, reject) => {
+            // First check if the root exists
+            this.client.exists("/", (error, stat) => {
+                if (error) {
+                    logger.error(`Error checking root path: ${error.message}`);
+                    reject(error);
+                    return;
+                }
+
+                // Split the path and create each segment
+                const paths = path.split("/").filter((p) => p);
+                let currentPath = "";
+
+                const createNextPath = (index) => {
+                    if (index >= paths.length) {
+                        resolve();
+                        return;
+                    }
+
+                    currentPath += "/" + paths[index];
+
+                    this.client.exists(currentPath, (existsError, stat) => {
+                        if (existsError) {
+                            logger.error(
+                                `Error checking path: ${currentPath}: ${existsError.message}`
+                            );
+                            reject(existsError);
+                            return;
+                        }
+
+                        if (stat) {
+                            // Path exists, create next level
+                            createNextPath(index + 1);
+                        } else {
+                            // Create path
+                            this.client.create(
+                                currentPath,
+                                null,
+                                (createError) => {
+                                    if (
+                                        createError &&
+                                        createError.code !==
+                                            zookeeper.Exception.NODE_EXISTS
+                                    ) {
+                                        logger.error(
+                                            `Error creating path ${currentPath}: ${createError.message}`
+                                        );
+                                        reject(createError);
+                                        return;
+                                    }
+
+                                    logger.info(
+                                        `Created ZooKeeper path: ${currentPath}`
+                                    );
+
+                                    // Continue with next path
+                                    createNextPath(index + 1);
+                                }
+                            );
+                        }
+                    });
+                };
+
+                createNextPath(0);
+            });
+        });
+    }
+
+    /**
+     * Reconnect to ZooKeeper if connection is lost
+     */
+    async reconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            logger.error("Maximum reconnect attempts reached, giving up");
+            return false;
+        }
+
+        const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts);
+        this.reconnectAttempts++;
+
+        logger.info(
+            `Attempting to reconnect in ${delay}ms (attempt ${this.reconnectAttempts})`
+        );
+
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                try {
+                    if (this.client) {
+                        this.client.close();
+                    }
+
+                    const zookeeperHosts =
+                        process.env.ZOOKEEPER_HOSTS || "localhost:2181";
+                    this.client = zookeeper.createClient(zookeeperHosts, {
+                        sessionTimeout: this.sessionTimeout,
+                        spinDelay: 1000,
+                        retries: 3,
+                    });
+
+                    this.client.on("connected", () => {
+                        logger.info("Reconnected to ZooKeeper");
+                        this.connected = true;
+                        this.reconnectAttempts = 0;
+                        this._ensureBasePath();
+
+                        // Rewatch nodes
+                        this.watchNodes();
+
+                        // The election znode went away with the old session
+                        if (this.election) {
+                            this._joinElection().catch((error) =>
+                                logger.error(
+                                    `Failed to rejoin the leader election: ${error.message}`
+                                )
+                            );
+                        }
+                        resolve(true);
+                    });
+
+                    this.client.on("disconnected", () => {
+                        logger.warn("Disconnected from ZooKeeper");
+                        this.connected = false;
+                        this.reconnect();
+                    });
+
+                    this.client.connect();
+                } catch (error) {
+                    logger.error(`Failed to reconnect: ${error.message}`);
+
+                    // Try again recursively after delay
+                    setTimeout(() => {
+                        resolve(this.reconnect());
+                    }, this.reconnectDelay);
+                }
+            }, delay);
+        });
+    }
+
+    /**
+     * Register a node in the coordination service
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node information (host, port, etc.)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async registerNode(nodeId, nodeInfo) {
+        return new Promise((resolve, reject) => {
+            try {
+                const nodePath = `${this.basePath}/${nodeId}`;
+                const nodeData = Buffer.from(JSON.stringify(nodeInfo));
+
+                // Store path for later cleanup
+                this.ephemeralNodePath = nodePath;
+
+                // Create an ephemeral node
+                this.client.create(
+                    nodePath,
+                    nodeData,
+                    zookeeper.CreateMode.EPHEMERAL,
+                    (error) => {
+                        if (error) {
+                            // If node already exists, try to delete it first
+                            if (
+                                error.code === zookeeper.Exception.NODE_EXISTS
+                            ) {
+                                this.client.remove(nodePath, (removeError) => {
+                                    if (removeError) {
+                                        logger.error(
+                                            `Failed to remove existing node ${nodeId}: ${removeError.message}`
+                                        );
+                                        reject(removeError);
+                                        return;
+                                    }
+
+                                    // Now try to create it again
+                                    this.client.create(
+                                        nodePath,
+                                        nodeData,
+                                        zookeeper.CreateMode.EPHEMERAL,
+                                        (createError) => {
+                                            if (createError) {
+                                                logger.error(
+                                                    `Failed to register node ${nodeId}: ${createError.message}`
+                                                );
+                                                reject(createError);
+                                                return;
+                                            }
+
+                                            logger.info(
+                                                `Node ${nodeId} registered successfully`
+                                            );
+                                            resolve(true);
+                                        }
+                                    );
+                                });
+                            } else {
+                                logger.error(
+                                    `Failed to register node ${nodeId}: ${error.message}`
+                                );
+                                reject(error);
+                            }
+                            return;
+                        }
+
+                        logger.info(`Node ${nodeId} registered successfully`);
+                        resolve(true);
+                    }
+                );
+            } catch (error) {
+                logger.error(
+                    `Failed to register node ${nodeId}: ${error.message}`
+                );
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Replace the data of a registered node, keeping its ephemeral znode
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node information (host, port, etc.)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async updateNode(nodeId, nodeInfo) {
+        const nodePath = `${this.basePath}/${nodeId}`;
+
+        try {
+            await this._call((callback) =>
+                this.client.setData(
+                    nodePath,
+                    Buffer.from(JSON.stringify(nodeInfo)),
+                    -1,
+                    callback
+                )
+            );
+        } catch (error) {
+            if (error.code !== zookeeper.Exception.NO_NODE) {
+                throw error;
+            }
+            return this.registerNode(nodeId, nodeInfo);
+        }
+
+        logger.info(`Node ${nodeId} updated successfully`);
+        return true;
+    }
+
+    /**
+     * Unregister a node from the coordination service
+     * @param {string} nodeId - Node identifier
+     * @returns {Promise<boolean>} - Success status
+     */
+    async unregisterNode(nodeId) {
+        return new Promise((resolve) => {
+            try {
+                const nodePath = `${this.basePath}/${nodeId}`;
+
+                this.client.remove(nodePath, (error) => {
+                    if (error) {
+                        logger.error(
+                            `Failed to unregister node ${nodeId}: ${error.message}`
+                        );
+                        resolve(false);
+                        return;
+                    }
+
+                    logger.info(`Node ${nodeId} unregistered successfully`);
+                    resolve(true);
+                });
+            } catch (error) {
+                logger.error(
+                    `Failed to unregister node ${nodeId}: ${error.message}`
+                );
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Get all registered nodes
+     * @returns {Promise<Object>} - Map of nodeId to nodeInfo
+     */
+    async getAllNodes() {
+        return new Promise((resolve) => {
+            try {
+                this.client.getChildren(this.basePath, (error, children) => {
+                    if (error) {
+                        logger.error(
+                            `Failed to get all nodes: ${error.message}`
+                        );
+                        resolve({});
+                        return;
+                    }
+
+                    if (!children || children.length === 0) {
+                        resolve({});
+                        return;
+                    }
+
+                    const nodes = {};
+                    let completed = 0;
+
+                    // Get data for each child node
+                    children.forEach((nodeId) => {
+                        const nodePath = `${this.basePath}/${nodeId}`;
+
+                        this.client.getData(nodePath, (dataError, data) => {
+                            completed++;
+
+                            if (!dataError && data) {
+                                try {
+                                    const nodeInfo = JSON.parse(
+                                        data.toString()
+                                    );
+                                    nodes[nodeId] = nodeInfo;
+                                } catch (parseError) {
+                                    logger.error(
+                                        `Error parsing node data for ${nodeId}: ${parseError.message}`
+                                    );
+                                }
+                            }
+
+                            if (completed === children.length) {
+                                resolve(nodes);
+                            }
+                        });
+                    });
+                });
+            } catch (error) {
+                logger.error(`Failed to get all nodes: ${error.message}`);
+                resolve({});
+            }
+        });
+    }
+
+    /**
+     * Watch for node changes and notify subscribers
+     */
+    watchNodes() {
+        try {
+            // Setup watcher function for child changes
+            const watcher = (event) => {
+                logger.info(`ZooKeeper event: ${event.type} - ${event.path}`);
+
+                if (event.type === zookeeper.Event.NODE_CHILDREN_CHANGED) {
+                    // Get updated list of nodes when children change
+                    this._processNodeChanges();
+                }
+
+                // Re-register the watcher
+                this.client.getChildren(
+                    this.basePath,
+                    watcher,
+                    () => {} // Empty callback
+                );
+            };
+
+            // Initial watch setup
+            this.client.getChildren(
+                this.basePath,
+                watcher,
+                (error, children) => {
+                    if (error) {
+                        logger.error(
+                            `Error setting up node watcher: ${error.message}`
+                        );
+                        // Fall back to polling
+                        this._startNodePolling();
+                        return;
+                    }
+
+                    // Process initial node list
+                    this._processNodeChanges();
+                }
+            );
+
+            return true;
+        } catch (error) {
+            logger.error(`Failed to watch nodes: ${error.message}`);
+            // Fall back to polling for node changes
+            this._startNodePolling();
+            return false;
+        }
+    }
+
+    /**
+     * Process changes to nodes and notify subscribers
+     * @private
+     */
+    async _processNodeChanges() {
+        try {
+            const nodes = await this.getAllNodes();
+            this._watchNodeData(Object.keys(nodes));
+            this._notifyNodeChanges(nodes);
+        } catch (error) {
+            logger.error(`Error processing node changes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Watch the data of registered nodes, the children watch only reports
+     * nodes joining and leaving, not updates of their information
+     * @private
+     * @param {Array<string>} nodeIds - Registered node IDs
+     */
+    _watchNodeData(nodeIds) {
+        for (const nodeId of nodeIds) {
+            if (this.watchedNodes.has(nodeId)) {
+                continue;
+            }
+            this.watchedNodes.add(nodeId);
+
+            // ZooKeeper watches fire once, the next node list sets a new one
+            this.client.exists(
+                `${this.basePath}/${nodeId}`,
+                (event) => {
+                    this.watchedNodes.delete(nodeId);
+                    if (event.type === zookeeper.Event.NODE_DATA_CHANGED) {
+                        this._processNodeChanges();
+                    }
+                },
+                (error) => {
+                    if (error) {
+                        this.watchedNodes.delete(nodeId);
+                    }
+                }
+            );
+        }
+    }
+
+    /**
+     * Start polling for node changes as a fallback
+     * @private
+     */
+    _startNodePolling() {
+        // Clear any existing polling interval
+        if (this.nodePollingInterval) {
+            clearInterval(this.nodePollingInterval);
+        }
+
+        // Store the last known node state
+        this.lastKnownNodes = {};
+
+        // Poll every 2 seconds instead of 5 seconds to improve consistency
+        const POLLING_INTERVAL = 2000;
+
+        // Set up polling
+        this.nodePollingInterval = setInterval(async () => {
+            try {
+                this._notifyNodeChanges(await this.getAllNodes());
+            } catch (error) {
+                logger.error(`Error during node polling: ${error.message}`);
+            }
+        }, POLLING_INTERVAL);
+
+        logger.info(
+            `Node polling started with interval of ${POLLING_INTERVAL}ms`
+        );
+    }
+
+    /**
+     * Run for leader by queueing an ephemeral sequential znode. The candidate
+     * with the lowest sequence number leads, and the others take over when
+     * its session ends.
+     * @param {string} nodeId - Identifier of the candidate node
+     * @param {Function} callback - Called with the leader's node ID, or null, whenever it changes
+     */
+    async startElection(nodeId, callback) {
+        this.election = { nodeId, callback, leader: undefined, path: null };
+        await this._joinElection();
+    }
+
+    /**
+     * Stop running for leader, handing the leadership over if this node holds it
+     */
+    async stopElection() {
+        const election = this.election;
+        this.election = null;
+        if (election && election.path && this.client) {
+            await this._remove(election.path).catch((error) =>
+                logger.error(`Failed to leave the election: ${error.message}`)
+            );
+        }
+    }
+
+    /**
+     * Create this node's election znode and watch the candidates
+     * @private
+     */
+    async _joinElection() {
+        const election = this.election;
+        await this._ensurePath(this.electionPath);
+        election.path = await this._call((callback) =>
+            this.client.create(
+                `${this.electionPath}/candidate-`,
+                Buffer.from(election.nodeId),
+                zookeeper.CreateMode.EPHEMERAL_SEQUENTIAL,
+                callback
+            )
+        );
+        logger.info(`Joined leader election as ${election.path}`);
+        this._watchElection();
+    }
+
+    /**
+     * Find the leader among the candidates, and again whenever they change
+     * @private
+     */
+    _watchElection() {
+        if (!this.election) {
+            return;
+        }
+
+        this.client.getChildren(
+            this.electionPath,
+            () => this._watchElection(),
+            (error, children) => {
+                if (error) {
+                    logger.error(
+                        `Error watching leader election: ${error.message}`
+                    );
+                    return;
+                }
+
+                // Sequence suffixes are zero-padded, so names sort in queue order
+                const [first] = children.sort();
+                if (!first) {
+                    this._setLeader(null);
+                    return;
+                }
+
+                this.client.getData(
+                    `${this.electionPath}/${first}`,
+                    (dataError, data) => {
+                        // A vanished candidate triggers the watch again
+                        if (!dataError && data) {
+                            this._setLeader(data.toString());
+                        }
+                    }
+                );
+            }
+        );
+    }
+
+    /**
+     * Acquire a lock by queueing an ephemeral sequential znode under the lock's
+     * path. The lowest znode holds the lock, the others wait for the one just
+     * before them to go away, and the sequence number is the fencing token.
+     * @param {string} name - Lock name
+     * @param {Object} options - { waitTimeout } in milliseconds, 0 to give up at once
+     * @returns {Promise<Object|null>} - Lock handle { name, id, token }, or null if it is held elsewhere
+     */
+    async acquireLock(name, { waitTimeout = 0 } = {}) {
+        const lockDir = `${this.lockPath}/${encodeURIComponent(name)}`;
+        const deadline = Date.now() + waitTimeout;
+
+        await this._ensurePath(lockDir);
+        const path = await this._call((callback) =>
+            this.client.create(
+                `${lockDir}/lock-`,
+                null,
+                zookeeper.CreateMode.EPHEMERAL_SEQUENTIAL,
+                callback
+            )
+        );
+        const ownName = path.slice(lockDir.length + 1);
+
+        try {
+            for (;;) {
+                // Sequence suffixes are zero-padded, so names sort in queue order
+                const children = (
+                    await this._call((callback) =>
+                        this.client.getChildren(lockDir, callback)
+                    )
+                ).sort();
+                const index = children.indexOf(ownName);
+                if (index === -1) {
+                    throw new Error(`Lock znode ${path} was removed`);
+                }
+                if (index === 0) {
+                    logger.info(`Acquired lock ${name}`);
+                    return {
+                        name,
+                        id: path,
+                        token: parseInt(ownName.slice("lock-".length), 10),
+                    };
+                }
+
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    break;
+                }
+                await this._waitForRemoval(
+                    `${lockDir}/${children[index - 1]}`,
+                    remaining
+                );
+            }
+        } catch (error) {
+            logger.error(`Failed to acquire lock ${name}: ${error.message}`);
+            await this._remove(path).catch(() => {});
+            throw error;
+        }
+
+        await this._remove(path).catch(() => {});
+        return null;
+    }
+
+    /**
+     * Release a lock returned by acquireLock
+     * @param {Object} lock - Lock handle
+     * @returns {Promise<boolean>} - True if the lock was still held
+     */
+    async releaseLock(lock) {
+        const removed = await this._remove(lock.id);
+        if (removed) {
+            logger.info(`Released lock ${lock.name}`);
+        }
+        return removed;
+    }
+
+    /**
+     * Check whether a lock returned by acquireLock is still held. The lock
+     * znode goes away when it is released or when the session that created
+     * it ends.
+     * @param {Object} lock - Lock handle
+     * @returns {Promise<boolean>} - True if the lock is held
+     */
+    async isLockHeld(lock) {
+        const stat = await this._call((callback) =>
+            this.client.exists(lock.id, callback)
+        );
+        return Boolean(stat);
+    }
+
+    /**
+     * Read a value from the shared key/value store
+     * @param {string} key - Key
+     * @returns {Promise<any>} - The value, or null if missing
+     */
+    async getValue(key) {
+        try {
+            const data = await this._call((callback) =>
+                this.client.getData(this._kvNodePath(key), callback)
+            );
+            return data ? JSON.parse(data.toString()) : null;
+        } catch (error) {
+            if (error.code === zookeeper.Exception.NO_NODE) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write a value to the shared key/value store
+     * @param {string} key - Key
+     * @param {any} value - JSON-serializable value
+     * @returns {Promise<boolean>} - Success status
+     */
+    async setValue(key, value) {
+        const path = this._kvNodePath(key);
+        const data = Buffer.from(JSON.stringify(value));
+
+        await this._ensurePath(this.kvPath);
+        try {
+            await this._call((callback) =>
+                this.client.create(path, data, callback)
+            );
+        } catch (error) {
+            if (error.code !== zookeeper.Exception.NODE_EXISTS) {
+                throw error;
+            }
+            await this._call((callback) =>
+                this.client.setData(path, data, -1, callback)
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Delete a value from the shared key/value store
+     * @param {string} key - Key
+     * @returns {Promise<boolean>} - True if the key existed
+     */
+    async deleteValue(key) {
+        return this._remove(this._kvNodePath(key));
+    }
+
+    /**
+     * Path of the znode holding a key of the key/value store
+     * @private
+     * @param {string} key - Key
+     * @returns {string} - ZooKeeper path
+     */
+    _kvNodePath(key) {
+        return `${this.kvPath}/${encodeURIComponent(key)}`;
+    }
+
+    /**
+     * Remove a znode
+     * @private
+     * @param {string} path - ZooKeeper path
+     * @returns {Promise<boolean>} - False if the znode did not exist
+     */
+    async _remove(path) {
+        try {
+            await this._call((callback) =>
+                this.client.remove(path, -1, callback)
+            );
+            return true;
+        } catch (error) {
+            if (error.code === zookeeper.Exception.NO_NODE) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Wait until a znode is removed or a timeout elapses
+     * @private
+     * @param {string} path - ZooKeeper path
+     * @param {number} timeout - Maximum wait in milliseconds
+     */
+    _waitForRemoval(path, timeout) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, timeout);
+            const done = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+
+            this.client.exists(path, done, (error, stat) => {
+                if (error || !stat) {
+                    done();
+                }
+            });
+        });
+    }
+
+    /**
+     * Turn a node-zookeeper-client call into a promise
+     * @private
+     * @param {Function} operation - Function receiving the (error, result) callback
+     * @returns {Promise<any>} - Result of the call
+     */
+    _call(operation) {
+        return new Promise((resolve, reject) => {
+            operation((error, result) =>
+                error ? reject(error) : resolve(result)
+            );
+        });
+    }
+
+    /**
+     * Shutdown the coordination service
+     */
+    async shutdown() {
+        logger.info("Shutting down coordination service");
+
+        // Clear polling interval if it exists
+        if (this.nodePollingInterval) {
+            clearInterval(this.nodePollingInterval);
+            this.nodePollingInterval = null;
+            logger.info("Node polling stopped");
+        }
+
+        // Clear all callbacks
+        this.nodeCallbacks = [];
+
+        // Close ZooKeeper client
+        try {
+            if (this.client) {
+                // If we registered an ephemeral node, it will be automatically
+                // removed when the session is closed
+
+                try {
+                    this.client.close();
+                    logger.info("ZooKeeper client closed");
+                } catch (clientError) {
+                    logger.error(
+                        `Error closing ZooKeeper client: ${clientError.message}`
+                    );
+                }
+                this.client = null;
+            }
+        } catch (error) {
+            logger.error(
+                `Error during ZooKeeper client shutdown: ${error.message}`
+            );
+        }
+    }
+}
+
+module.exports = ZooKeeperBackend;
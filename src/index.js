@@ -1,184 +1,727 @@
-require("dotenv").config();
-const express = require("express");
-const CacheManager = require("./cache/cacheManager");
-const CoordinationService = require("./coordination/coordinationService");
-const CommunicationLayer = require("./communication/communicationLayer");
-const MonitoringSystem = require("./monitoring/monitoringSystem");
-const logger = require("./utils/logger");
-
-const app = express();
-const PORT = process.env.API_PORT || 3000;
-
-// Initialize services
-const coordinationService = new CoordinationService();
-const cacheManager = new CacheManager(coordinationService);
-const communicationLayer = new CommunicationLayer(cacheManager);
-const monitoringSystem = new MonitoringSystem(cacheManager);
-
-// Set communication layer reference in cache manager
-cacheManager.setCommunicationLayer(communicationLayer);
-
-// Middleware
-app.use(express.json());
-
-// Health check endpoint
-app.get("/health", (req, res) => {
-    res.status(200).json({ status: "ok" });
-});
-
-// Cache API endpoints
-app.get("/cache/:key", async (req, res) => {
-    const startTime = process.hrtime();
-    try {
-        const value = await cacheManager.get(req.params.key);
-
-        // Record operation completion time
-        const endTime = process.hrtime(startTime);
-        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
-        monitoringSystem.recordResponseTime("get", durationInSeconds);
-
-        if (value === null) {
-            // Record cache miss and operation result
-            monitoringSystem.recordHitOrMiss(false);
-            monitoringSystem.recordOperation("get", false);
-            return res.status(404).json({ error: "Key not found" });
-        }
-
-        // Record cache hit and operation result
-        monitoringSystem.recordHitOrMiss(true);
-        monitoringSystem.recordOperation("get", true);
-        res.json({ key: req.params.key, value });
-    } catch (error) {
-        // Record error and operation result
-        monitoringSystem.recordError("get", error.name || "unknown");
-        monitoringSystem.recordOperation("get", false);
-
-        logger.error(
-            `Error retrieving key ${req.params.key}: ${error.message}`
-        );
-        res.status(500).json({ error: error.message });
-    }
-});
-
-app.post("/cache", async (req, res) => {
-    const startTime = process.hrtime();
-    try {
-        const { key, value, ttl } = req.body;
-        if (!key || value === undefined) {
-            // Record error for bad request
-            monitoringSystem.recordError("set", "BadRequest");
-            monitoringSystem.recordOperation("set", false);
-            return res
-                .status(400)
-                .json({ error: "Key and value are required" });
-        }
-
-        // Our cacheManager.set now handles the timestamping internally
-        await cacheManager.set(key, value, ttl);
-
-        // Record operation completion time and result
-        const endTime = process.hrtime(startTime);
-        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
-        monitoringSystem.recordResponseTime("set", durationInSeconds);
-        monitoringSystem.recordOperation("set", true);
-
-        res.status(201).json({ message: "Cached successfully" });
-    } catch (error) {
-        // Record error and operation result
-        monitoringSystem.recordError("set", error.name || "unknown");
-        monitoringSystem.recordOperation("set", false);
-
-        logger.error(`Error setting cache: ${error.message}`);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-app.delete("/cache/:key", async (req, res) => {
-    const startTime = process.hrtime();
-    try {
-        await cacheManager.delete(req.params.key);
-
-        // Record operation completion time and result
-        const endTime = process.hrtime(startTime);
-        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
-        monitoringSystem.recordResponseTime("delete", durationInSeconds);
-        monitoringSystem.recordOperation("delete", true);
-
-        res.json({ message: "Key deleted successfully" });
-    } catch (error) {
-        // Record error and operation result
-        monitoringSystem.recordError("delete", error.name || "unknown");
-        monitoringSystem.recordOperation("delete", false);
-
-        logger.error(`Error deleting key ${req.params.key}: ${error.message}`);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Monitoring endpoint
-app.get("/metrics", async (req, res) => {
-    try {
-        const metrics = await monitoringSystem.getMetrics();
-        res.set("Content-Type", "text/plain");
-        res.send(metrics);
-    } catch (error) {
-        logger.error(`Error retrieving metrics: ${error.message}`);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Start the server
-async function startup() {
-    try {
-        // Initialize coordination service
-        await coordinationService.initialize();
-        logger.info("Coordination service initialized");
-
-        // Initialize cache manager
-        await cacheManager.initialize();
-        logger.info("Cache manager initialized");
-
-        // Start communication layer
-        await communicationLayer.initialize();
-        logger.info("Communication layer initialized");
-
-        // Start monitoring system
-        await monitoringSystem.initialize();
-        logger.info("Monitoring system initialized");
-
-        // Log environment information for debugging
-        logger.info(
-            `Environment: NODE_ID=${process.env.NODE_ID}, REDIS_HOST=${process.env.REDIS_HOST}, REDIS_PORT=${process.env.REDIS_PORT}, GRPC_PORT=${process.env.GRPC_PORT}, API_PORT=${PORT}`
-        );
-
-        // Start HTTP API server
-        app.listen(PORT, () => {
-            logger.info(`Server running on port ${PORT}`);
-        });
-
-        // Handle graceful shutdown
-        process.on("SIGTERM", shutdown);
-        process.on("SIGINT", shutdown);
-    } catch (error) {
-        logger.error(`Failed to start server: ${error.message}`);
-        process.exit(1);
-    }
-}
-
-async function shutdown() {
-    logger.info("Shutting down server...");
-
-    try {
-        await communicationLayer.shutdown();
-        await cacheManager.shutdown();
-        await coordinationService.shutdown();
-        await monitoringSystem.shutdown();
-        logger.info("Graceful shutdown completed");
-        process.exit(0);
-    } catch (error) {
-        logger.error(`Error during shutdown: ${error.message}`);
-        process.exit(1);
-    }
-}
-
-startup();
+require("dotenv").config();
+const express = require("express");
+const CacheManager = require("./cache/cacheManager");
+const CoordinationService = require("./coordination/coordinationService");
+const CommunicationLayer = require("./communication/communicationLayer");
+const MonitoringSystem = require("./monitoring/monitoringSystem");
+const logger = require("./utils/logger");
+const {
+    InvalidConsistencyLevelError,
+    QuorumNotReachedError,
+    InvalidContextError,
+    LockNotHeldError,
+} = require("./utils/errors");
+
+const app = express();
+const PORT = process.env.API_PORT || 3000;
+
+// Initialize services
+const coordinationService = new CoordinationService();
+const cacheManager = new CacheManager(coordinationService);
+const communicationLayer = new CommunicationLayer(cacheManager);
+const monitoringSystem = new MonitoringSystem(cacheManager);
+
+// Set communication layer reference in cache manager
+cacheManager.setCommunicationLayer(communicationLayer);
+
+// Gossip membership runs over the gRPC server
+coordinationService.setCommunicationLayer(communicationLayer);
+
+// Set monitoring system reference in cache manager
+cacheManager.setMonitoringSystem(monitoringSystem);
+
+// Middleware
+app.use(express.json());
+
+/**
+ * Read the consistency level requested by a client, either from the
+ * `consistency` query parameter or the `X-Consistency-Level` header
+ * @param {Object} req - Express request
+ * @returns {string|undefined} - Requested consistency level
+ */
+function getConsistency(req) {
+    return req.query.consistency || req.get("X-Consistency-Level");
+}
+
+/**
+ * Map an error raised by the cache manager to an HTTP status code
+ * @param {Error} error - Error raised while handling a request
+ * @returns {number} - HTTP status code
+ */
+function getErrorStatus(error) {
+    if (
+        error instanceof InvalidConsistencyLevelError ||
+        error instanceof InvalidContextError
+    ) {
+        return 400;
+    }
+    if (error instanceof QuorumNotReachedError) {
+        return 503;
+    }
+    if (error instanceof LockNotHeldError) {
+        return 409;
+    }
+    return 500;
+}
+
+/**
+ * Check whether a key falls under the prefix the nodes keep for their own
+ * bookkeeping, such as hints. Rebalancing, anti-entropy, bootstrap and drains
+ * skip those keys, so clients cannot store them.
+ * @param {string} key - Cache key
+ * @returns {boolean} - True if the key is reserved
+ */
+function isReservedKey(key) {
+    return key.startsWith(CacheManager.INTERNAL_KEY_PREFIX);
+}
+
+/**
+ * Answer with status 400 if a client uses a reserved key
+ * @param {Object} res - Express response
+ * @param {string} operation - Operation recorded in the metrics
+ * @param {string} key - Cache key
+ * @returns {boolean} - True if the request was refused
+ */
+function refuseReservedKey(res, operation, key) {
+    if (!isReservedKey(key)) {
+        return false;
+    }
+
+    monitoringSystem.recordError(operation, "BadRequest");
+    monitoringSystem.recordOperation(operation, false);
+    res.status(400).json({
+        error: `Keys starting with ${CacheManager.INTERNAL_KEY_PREFIX} are reserved`,
+    });
+    return true;
+}
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+    res.status(200).json({ status: "ok" });
+});
+
+// Cache API endpoints
+app.get("/cache/:key", async (req, res) => {
+    const startTime = process.hrtime();
+    if (refuseReservedKey(res, "get", req.params.key)) {
+        return;
+    }
+    try {
+        // Keys using vector clocks answer with every sibling and a causal context
+        const options = { consistency: getConsistency(req) };
+        const value = cacheManager.usesVectorClocks(req.params.key)
+            ? await cacheManager.getWithContext(req.params.key, options)
+            : await cacheManager.get(req.params.key, options);
+
+        // Record operation completion time
+        const endTime = process.hrtime(startTime);
+        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
+        monitoringSystem.recordResponseTime("get", durationInSeconds);
+
+        if (value === null) {
+            // Record cache miss and operation result
+            monitoringSystem.recordHitOrMiss(false);
+            monitoringSystem.recordOperation("get", false);
+            return res.status(404).json({ error: "Key not found" });
+        }
+
+        // Record cache hit and operation result
+        monitoringSystem.recordHitOrMiss(true);
+        monitoringSystem.recordOperation("get", true);
+        if (cacheManager.usesVectorClocks(req.params.key)) {
+            const { siblings, context } = value;
+            return res.json({
+                key: req.params.key,
+                value: siblings.length === 1 ? siblings[0] : null,
+                siblings,
+                context,
+            });
+        }
+        res.json({ key: req.params.key, value });
+    } catch (error) {
+        // Record error and operation result
+        monitoringSystem.recordError("get", error.name || "unknown");
+        monitoringSystem.recordOperation("get", false);
+
+        logger.error(
+            `Error retrieving key ${req.params.key}: ${error.message}`
+        );
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.post("/cache", async (req, res) => {
+    const startTime = process.hrtime();
+    try {
+        const { key, value, ttl, context } = req.body;
+        if (!key || value === undefined) {
+            // Record error for bad request
+            monitoringSystem.recordError("set", "BadRequest");
+            monitoringSystem.recordOperation("set", false);
+            return res
+                .status(400)
+                .json({ error: "Key and value are required" });
+        }
+        if (refuseReservedKey(res, "set", String(key))) {
+            return;
+        }
+
+        // Our cacheManager.set now handles the timestamping internally
+        await cacheManager.set(key, value, ttl, {
+            consistency: getConsistency(req),
+            context,
+        });
+
+        // Record operation completion time and result
+        const endTime = process.hrtime(startTime);
+        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
+        monitoringSystem.recordResponseTime("set", durationInSeconds);
+        monitoringSystem.recordOperation("set", true);
+
+        res.status(201).json({ message: "Cached successfully" });
+    } catch (error) {
+        // Record error and operation result
+        monitoringSystem.recordError("set", error.name || "unknown");
+        monitoringSystem.recordOperation("set", false);
+
+        logger.error(`Error setting cache: ${error.message}`);
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.delete("/cache/:key", async (req, res) => {
+    const startTime = process.hrtime();
+    if (refuseReservedKey(res, "delete", req.params.key)) {
+        return;
+    }
+    try {
+        await cacheManager.delete(req.params.key, {
+            consistency: getConsistency(req),
+        });
+
+        // Record operation completion time and result
+        const endTime = process.hrtime(startTime);
+        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
+        monitoringSystem.recordResponseTime("delete", durationInSeconds);
+        monitoringSystem.recordOperation("delete", true);
+
+        res.json({ message: "Key deleted successfully" });
+    } catch (error) {
+        // Record error and operation result
+        monitoringSystem.recordError("delete", error.name || "unknown");
+        monitoringSystem.recordOperation("delete", false);
+
+        logger.error(`Error deleting key ${req.params.key}: ${error.message}`);
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Batch cache API endpoints
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || "1000", 10);
+
+const isValidKey = (key) => typeof key === "string" && key.length > 0;
+const isClientKey = (key) => isValidKey(key) && !isReservedKey(key);
+const isValidEntry = (entry) =>
+    Boolean(entry) && isClientKey(entry.key) && entry.value !== undefined;
+
+/**
+ * Validate the list of items sent to a batch endpoint
+ * @param {Array} items - Items from the request body
+ * @param {string} field - Name of the request body field
+ * @param {Function} isValidItem - Predicate every item must satisfy
+ * @param {string} invalidItemMessage - Error message for an invalid item
+ * @returns {string|null} - Error message or null if the batch is valid
+ */
+function validateBatch(items, field, isValidItem, invalidItemMessage) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return `${field} must be a non-empty array`;
+    }
+    if (items.length > MAX_BATCH_SIZE) {
+        return `${field} must not contain more than ${MAX_BATCH_SIZE} items`;
+    }
+    if (!items.every(isValidItem)) {
+        return invalidItemMessage;
+    }
+    return null;
+}
+
+app.post("/cache/mget", async (req, res) => {
+    const startTime = process.hrtime();
+    try {
+        const { keys } = req.body;
+        const validationError = validateBatch(
+            keys,
+            "keys",
+            isClientKey,
+            `keys must be non-empty strings not starting with ${CacheManager.INTERNAL_KEY_PREFIX}`
+        );
+        if (validationError) {
+            monitoringSystem.recordError("mget", "BadRequest");
+            monitoringSystem.recordOperation("mget", false);
+            return res.status(400).json({ error: validationError });
+        }
+
+        const results = await cacheManager.mget(keys, {
+            consistency: getConsistency(req),
+        });
+
+        // Record operation completion time
+        const endTime = process.hrtime(startTime);
+        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
+        monitoringSystem.recordResponseTime("mget", durationInSeconds);
+
+        // Record a hit or miss for every key that could be read
+        let failed = 0;
+        for (const result of results) {
+            if (result.error) {
+                failed++;
+                monitoringSystem.recordError("mget", "ReplicaUnavailable");
+            } else {
+                monitoringSystem.recordHitOrMiss(result.found);
+            }
+        }
+        monitoringSystem.recordOperation("mget", failed === 0);
+
+        // 207 Multi-Status signals that only part of the batch succeeded
+        res.status(failed > 0 ? 207 : 200).json({ results, failed });
+    } catch (error) {
+        // Record error and operation result
+        monitoringSystem.recordError("mget", error.name || "unknown");
+        monitoringSystem.recordOperation("mget", false);
+
+        logger.error(`Error retrieving keys: ${error.message}`);
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.post("/cache/mset", async (req, res) => {
+    const startTime = process.hrtime();
+    try {
+        const { entries } = req.body;
+        const validationError = validateBatch(
+            entries,
+            "entries",
+            isValidEntry,
+            `Every entry requires a key not starting with ${CacheManager.INTERNAL_KEY_PREFIX} and a value`
+        );
+        if (validationError) {
+            monitoringSystem.recordError("mset", "BadRequest");
+            monitoringSystem.recordOperation("mset", false);
+            return res.status(400).json({ error: validationError });
+        }
+
+        const results = await cacheManager.mset(entries, {
+            consistency: getConsistency(req),
+        });
+
+        // Record operation completion time and result
+        const endTime = process.hrtime(startTime);
+        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
+        monitoringSystem.recordResponseTime("mset", durationInSeconds);
+
+        const failed = results.filter((result) => !result.success).length;
+        if (failed > 0) {
+            monitoringSystem.recordError("mset", "ReplicaUnavailable");
+        }
+        monitoringSystem.recordOperation("mset", failed === 0);
+
+        res.status(failed > 0 ? 207 : 201).json({ results, failed });
+    } catch (error) {
+        // Record error and operation result
+        monitoringSystem.recordError("mset", error.name || "unknown");
+        monitoringSystem.recordOperation("mset", false);
+
+        logger.error(`Error setting cache entries: ${error.message}`);
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.post("/cache/mdel", async (req, res) => {
+    const startTime = process.hrtime();
+    try {
+        const { keys } = req.body;
+        const validationError = validateBatch(
+            keys,
+            "keys",
+            isClientKey,
+            `keys must be non-empty strings not starting with ${CacheManager.INTERNAL_KEY_PREFIX}`
+        );
+        if (validationError) {
+            monitoringSystem.recordError("mdel", "BadRequest");
+            monitoringSystem.recordOperation("mdel", false);
+            return res.status(400).json({ error: validationError });
+        }
+
+        const results = await cacheManager.mdel(keys, {
+            consistency: getConsistency(req),
+        });
+
+        // Record operation completion time and result
+        const endTime = process.hrtime(startTime);
+        const durationInSeconds = endTime[0] + endTime[1] / 1e9;
+        monitoringSystem.recordResponseTime("mdel", durationInSeconds);
+
+        const failed = results.filter((result) => !result.success).length;
+        if (failed > 0) {
+            monitoringSystem.recordError("mdel", "ReplicaUnavailable");
+        }
+        monitoringSystem.recordOperation("mdel", failed === 0);
+
+        res.status(failed > 0 ? 207 : 200).json({ results, failed });
+    } catch (error) {
+        // Record error and operation result
+        monitoringSystem.recordError("mdel", error.name || "unknown");
+        monitoringSystem.recordOperation("mdel", false);
+
+        logger.error(`Error deleting keys: ${error.message}`);
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Lock and lease API
+const LOCK_DEFAULT_TTL = parseInt(process.env.LOCK_DEFAULT_TTL || "30000", 10);
+const LOCK_MAX_TTL = parseInt(process.env.LOCK_MAX_TTL || "300000", 10);
+const LOCK_MAX_WAIT = parseInt(process.env.LOCK_MAX_WAIT || "30000", 10);
+
+/**
+ * Read a duration in milliseconds from a request body
+ * @param {any} value - Value sent by the client
+ * @param {number} defaultValue - Duration used when the client sent none
+ * @param {number} min - Smallest valid duration
+ * @param {number} max - Largest valid duration
+ * @returns {number|null} - The duration, or null if it is invalid
+ */
+function parseDuration(value, defaultValue, min, max) {
+    if (value === undefined) {
+        return defaultValue;
+    }
+    return Number.isInteger(value) && value >= min && value <= max
+        ? value
+        : null;
+}
+
+/**
+ * Format a lease for a response
+ * @param {Object} lease - Lease returned by the coordination service
+ * @returns {Object} - Response body
+ */
+function formatLease(lease) {
+    return {
+        name: lease.name,
+        leaseId: lease.id,
+        token: lease.token,
+        expiresAt: new Date(lease.expiresAt).toISOString(),
+    };
+}
+
+/**
+ * Record the duration and result of a lock operation
+ * @param {string} operation - Operation type
+ * @param {Array<number>} startTime - process.hrtime() at the start of the request
+ * @param {boolean} success - Whether the operation was successful
+ */
+function recordLockOperation(operation, startTime, success) {
+    const endTime = process.hrtime(startTime);
+    const durationInSeconds = endTime[0] + endTime[1] / 1e9;
+    monitoringSystem.recordResponseTime(operation, durationInSeconds);
+    monitoringSystem.recordOperation(operation, success);
+}
+
+// Operation recorded for each method of the lock endpoints
+const LOCK_OPERATIONS = {
+    POST: "lock_acquire",
+    PUT: "lock_renew",
+    DELETE: "lock_release",
+};
+
+// Refuse locks the backend cannot share with the other nodes, and lock
+// names the cluster keeps for itself
+app.use("/locks/:name", (req, res, next) => {
+    const operation = LOCK_OPERATIONS[req.method];
+    if (!operation) {
+        return next();
+    }
+
+    if (!coordinationService.hasSharedValues()) {
+        monitoringSystem.recordError(operation, "NotImplemented");
+        monitoringSystem.recordOperation(operation, false);
+        return res.status(501).json({
+            error: "Locks need a coordination backend shared by the cluster",
+        });
+    }
+
+    const prefix = CoordinationService.INTERNAL_LOCK_PREFIX;
+    if (!req.params.name.startsWith(prefix)) {
+        return next();
+    }
+
+    monitoringSystem.recordError(operation, "BadRequest");
+    monitoringSystem.recordOperation(operation, false);
+    res.status(400).json({
+        error: `Lock names starting with ${prefix} are reserved`,
+    });
+});
+
+app.post("/locks/:name", async (req, res) => {
+    const startTime = process.hrtime();
+    const { name } = req.params;
+    const ttl = parseDuration(req.body.ttl, LOCK_DEFAULT_TTL, 1, LOCK_MAX_TTL);
+    const waitTimeout = parseDuration(
+        req.body.waitTimeout,
+        0,
+        0,
+        LOCK_MAX_WAIT
+    );
+    if (ttl === null || waitTimeout === null) {
+        monitoringSystem.recordError("lock_acquire", "BadRequest");
+        monitoringSystem.recordOperation("lock_acquire", false);
+        return res.status(400).json({
+            error: `ttl must be between 1 and ${LOCK_MAX_TTL} and waitTimeout between 0 and ${LOCK_MAX_WAIT} milliseconds`,
+        });
+    }
+
+    try {
+        const lease = await coordinationService.acquireLease(name, {
+            ttl,
+            waitTimeout,
+        });
+        recordLockOperation("lock_acquire", startTime, lease !== null);
+
+        if (!lease) {
+            return res
+                .status(409)
+                .json({ error: `Lock ${name} is held by another client` });
+        }
+        res.status(201).json(formatLease(lease));
+    } catch (error) {
+        monitoringSystem.recordError("lock_acquire", error.name || "unknown");
+        monitoringSystem.recordOperation("lock_acquire", false);
+
+        logger.error(`Error acquiring lock ${name}: ${error.message}`);
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.put("/locks/:name/renew", async (req, res) => {
+    const startTime = process.hrtime();
+    const { name } = req.params;
+    const { leaseId } = req.body;
+    const ttl = parseDuration(req.body.ttl, LOCK_DEFAULT_TTL, 1, LOCK_MAX_TTL);
+    if (!isValidKey(leaseId) || ttl === null) {
+        monitoringSystem.recordError("lock_renew", "BadRequest");
+        monitoringSystem.recordOperation("lock_renew", false);
+        return res.status(400).json({
+            error: `leaseId is required and ttl must be between 1 and ${LOCK_MAX_TTL} milliseconds`,
+        });
+    }
+
+    try {
+        const lease = await coordinationService.renewLease(name, leaseId, ttl);
+        recordLockOperation("lock_renew", startTime, true);
+
+        res.json(formatLease(lease));
+    } catch (error) {
+        monitoringSystem.recordError("lock_renew", error.name || "unknown");
+        monitoringSystem.recordOperation("lock_renew", false);
+
+        logger.error(`Error renewing lock ${name}: ${error.message}`);
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.delete("/locks/:name", async (req, res) => {
+    const startTime = process.hrtime();
+    const { name } = req.params;
+    const leaseId = (req.body && req.body.leaseId) || req.query.leaseId;
+    if (!isValidKey(leaseId)) {
+        monitoringSystem.recordError("lock_release", "BadRequest");
+        monitoringSystem.recordOperation("lock_release", false);
+        return res.status(400).json({ error: "leaseId is required" });
+    }
+
+    try {
+        await coordinationService.releaseLease(name, leaseId);
+        recordLockOperation("lock_release", startTime, true);
+
+        res.json({ message: "Lock released successfully" });
+    } catch (error) {
+        monitoringSystem.recordError("lock_release", error.name || "unknown");
+        monitoringSystem.recordOperation("lock_release", false);
+
+        logger.error(`Error releasing lock ${name}: ${error.message}`);
+        res.status(getErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Anti-entropy status endpoint
+app.get("/admin/anti-entropy", (req, res) => {
+    res.json(cacheManager.antiEntropy.getStatus());
+});
+
+// Rebalancing status endpoint
+app.get("/admin/migrations", (req, res) => {
+    res.json(cacheManager.rebalancer.getStatus());
+});
+
+// Drain endpoints: hand this node's ranges over to other nodes and leave the cluster
+app.post("/admin/drain", (req, res) => {
+    cacheManager.drain();
+    res.status(202).json(cacheManager.drainer.getStatus());
+});
+
+app.get("/admin/drain", (req, res) => {
+    res.json(cacheManager.drainer.getStatus());
+});
+
+// Weight endpoint: change this node's share of the keyspace, moving keys to match
+app.put("/admin/weight", async (req, res) => {
+    const weight = Number(req.body.weight);
+    if (!(weight > 0)) {
+        return res
+            .status(400)
+            .json({ error: "weight must be a positive number" });
+    }
+
+    try {
+        await cacheManager.setWeight(weight);
+        res.json({ nodeId: cacheManager.nodeId, weight });
+    } catch (error) {
+        logger.error(`Error changing node weight: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Zone report endpoint: token ranges whose replicas share a failure domain
+app.get("/admin/zones", (req, res) => {
+    res.json(cacheManager.getZoneReport());
+});
+
+// Load endpoint: reads in flight per node and the bound used to route forwarded reads
+app.get("/admin/load", (req, res) => {
+    res.json(cacheManager.getLoadStatus());
+});
+
+// Bootstrap status endpoint: progress of loading this node's ranges when it joined
+app.get("/admin/bootstrap", (req, res) => {
+    res.json(cacheManager.bootstrapper.getStatus());
+});
+
+// Leader election endpoint
+app.get("/cluster/leader", (req, res) => {
+    res.json({
+        nodeId: cacheManager.nodeId,
+        leader: coordinationService.getLeader(),
+        isLeader: coordinationService.isLeader(),
+        controllerTasks: coordinationService.controller.getTaskNames(),
+    });
+});
+
+// Cluster topology endpoints
+app.get("/cluster/nodes", async (req, res) => {
+    try {
+        res.json({
+            nodeId: cacheManager.nodeId,
+            nodes: await cacheManager.getClusterNodes(),
+        });
+    } catch (error) {
+        logger.error(`Error listing cluster nodes: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get("/cluster/ring", (req, res) => {
+    res.json(cacheManager.getRingLayout());
+});
+
+app.get("/cluster/balance", (req, res) => {
+    res.json(cacheManager.getBalanceReport());
+});
+
+app.get("/cluster/locate/:key", async (req, res) => {
+    try {
+        res.json(await cacheManager.locateKey(req.params.key));
+    } catch (error) {
+        logger.error(`Error locating key ${req.params.key}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Monitoring endpoint
+app.get("/metrics", async (req, res) => {
+    try {
+        const metrics = await monitoringSystem.getMetrics();
+        res.set("Content-Type", "text/plain");
+        res.send(metrics);
+    } catch (error) {
+        logger.error(`Error retrieving metrics: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Start the server
+async function startup() {
+    try {
+        // Initialize coordination service
+        await coordinationService.initialize();
+        logger.info("Coordination service initialized");
+
+        // Initialize cache manager
+        await cacheManager.initialize();
+        logger.info("Cache manager initialized");
+
+        // Start communication layer
+        await communicationLayer.initialize();
+        logger.info("Communication layer initialized");
+
+        // Load this node's ranges from their owners in the background, reads
+        // go to other replicas until it is done
+        cacheManager.join();
+
+        // Start monitoring system
+        await monitoringSystem.initialize();
+        logger.info("Monitoring system initialized");
+
+        // Log environment information for debugging
+        logger.info(
+            `Environment: NODE_ID=${process.env.NODE_ID}, REDIS_HOST=${process.env.REDIS_HOST}, REDIS_PORT=${process.env.REDIS_PORT}, GRPC_PORT=${process.env.GRPC_PORT}, API_PORT=${PORT}`
+        );
+
+        // Start HTTP API server
+        app.listen(PORT, () => {
+            logger.info(`Server running on port ${PORT}`);
+        });
+
+        // Handle graceful shutdown
+        process.on("SIGTERM", shutdown);
+        process.on("SIGINT", shutdown);
+    } catch (error) {
+        logger.error(`Failed to start server: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+async function shutdown() {
+    logger.info("Shutting down server...");
+
+    try {
+        // Hand the owned ranges over before leaving, when asked to
+        if (process.env.DRAIN_ON_SHUTDOWN === "true") {
+            const { status, error } = await cacheManager.drain();
+            if (status !== "drained") {
+                logger.warn(`Drain before shutdown failed: ${error}`);
+            }
+        }
+
+        await communicationLayer.shutdown();
+        await cacheManager.shutdown();
+        await coordinationService.shutdown();
+        await monitoringSystem.shutdown();
+        logger.info("Graceful shutdown completed");
+        process.exit(0);
+    } catch (error) {
+        logger.error(`Error during shutdown: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+startup();
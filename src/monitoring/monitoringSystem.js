@@ -1,266 +1,523 @@
-const client = require("prom-client");
-const logger = require("../utils/logger");
-
-class MonitoringSystem {
-    constructor(cacheManager) {
-        this.cacheManager = cacheManager;
-        this.register = new client.Registry();
-        this.metrics = {};
-        this.initialized = false;
-        this.collectInterval = null;
-        this.nodeId = process.env.NODE_ID || "node1";
-    }
-
-    /**
-     * Initialize the monitoring system
-     */
-    async initialize() {
-        logger.info("Initializing monitoring system");
-
-        // Add default metrics
-        client.collectDefaultMetrics({
-            register: this.register,
-            prefix: "redis_cache_",
-            labels: { node_id: this.nodeId },
-        });
-
-        // Define custom metrics
-        this.defineMetrics();
-
-        // Start collecting metrics
-        this.startMetricsCollection();
-
-        this.initialized = true;
-        logger.info("Monitoring system initialized successfully");
-        return true;
-    }
-
-    /**
-     * Define custom prometheus metrics
-     */
-    defineMetrics() {
-        // Cache operations counter
-        this.metrics.cacheOperations = new client.Counter({
-            name: "redis_cache_operations_total",
-            help: "Total number of cache operations",
-            labelNames: ["operation", "node_id", "status"],
-            registers: [this.register],
-        });
-
-        // Operation errors counter
-        this.metrics.operationErrors = new client.Counter({
-            name: "redis_cache_operations_errors_total",
-            help: "Total number of cache operation errors",
-            labelNames: ["operation", "node_id", "error_type"],
-            registers: [this.register],
-        });
-
-        // Cache hit ratio
-        this.metrics.cacheHits = new client.Counter({
-            name: "redis_cache_hits_total",
-            help: "Total number of cache hits",
-            labelNames: ["node_id"],
-            registers: [this.register],
-        });
-
-        this.metrics.cacheMisses = new client.Counter({
-            name: "redis_cache_misses_total",
-            help: "Total number of cache misses",
-            labelNames: ["node_id"],
-            registers: [this.register],
-        });
-
-        // Cache size
-        this.metrics.cacheSize = new client.Gauge({
-            name: "redis_cache_size_keys",
-            help: "Number of keys in the cache",
-            labelNames: ["node_id"],
-            registers: [this.register],
-        });
-
-        // Cache memory usage
-        this.metrics.cacheMemory = new client.Gauge({
-            name: "redis_cache_memory_bytes",
-            help: "Memory used by the cache in bytes",
-            labelNames: ["node_id"],
-            registers: [this.register],
-        });
-
-        // Node count
-        this.metrics.nodeCount = new client.Gauge({
-            name: "redis_cache_nodes_total",
-            help: "Total number of nodes in the cluster",
-            registers: [this.register],
-        });
-
-        // Response time
-        this.metrics.responseTime = new client.Histogram({
-            name: "redis_cache_op_duration_seconds",
-            help: "Operation duration in seconds",
-            labelNames: ["operation", "node_id"],
-            buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1],
-            registers: [this.register],
-        });
-    }
-
-    /**
-     * Start collecting metrics at regular intervals
-     */
-    startMetricsCollection() {
-        const interval = parseInt(process.env.METRICS_INTERVAL || "10000", 10);
-
-        this.collectInterval = setInterval(async () => {
-            try {
-                await this.collectMetrics();
-            } catch (error) {
-                logger.error(`Failed to collect metrics: ${error.message}`);
-            }
-        }, interval);
-    }
-
-    /**
-     * Collect metrics from Redis and update Prometheus metrics
-     */
-    async collectMetrics() {
-        try {
-            // Collect cache stats
-            const stats = await this.cacheManager.getStats();
-
-            // Update metrics
-            if (stats.keys !== undefined) {
-                this.metrics.cacheSize.set(
-                    { node_id: this.nodeId },
-                    stats.keys
-                );
-            }
-
-            if (stats.memory && stats.memory.used) {
-                // Parse memory string like "1.05M" to bytes
-                const memoryString = stats.memory.used;
-                let memoryBytes = 0;
-
-                if (memoryString.endsWith("K")) {
-                    memoryBytes = parseFloat(memoryString.slice(0, -1)) * 1024;
-                } else if (memoryString.endsWith("M")) {
-                    memoryBytes =
-                        parseFloat(memoryString.slice(0, -1)) * 1024 * 1024;
-                } else if (memoryString.endsWith("G")) {
-                    memoryBytes =
-                        parseFloat(memoryString.slice(0, -1)) *
-                        1024 *
-                        1024 *
-                        1024;
-                } else {
-                    memoryBytes = parseFloat(memoryString);
-                }
-
-                this.metrics.cacheMemory.set(
-                    { node_id: this.nodeId },
-                    memoryBytes
-                );
-            }
-
-            // Count nodes in the cluster
-            const nodes =
-                await this.cacheManager.coordinationService.getAllNodes();
-            this.metrics.nodeCount.set(Object.keys(nodes).length);
-
-            logger.debug("Metrics collected successfully");
-        } catch (error) {
-            logger.error(`Error collecting metrics: ${error.message}`);
-        }
-    }
-
-    /**
-     * Record a cache operation
-     * @param {string} operation - Operation type (get, set, delete)
-     * @param {boolean} success - Whether the operation was successful
-     */
-    recordOperation(operation, success) {
-        if (!this.initialized) {
-            return;
-        }
-
-        const status = success ? "success" : "failure";
-        this.metrics.cacheOperations.inc({
-            operation,
-            node_id: this.nodeId,
-            status,
-        });
-    }
-
-    /**
-     * Record an operation error
-     * @param {string} operation - Operation type (get, set, delete)
-     * @param {string} errorType - Type of error that occurred
-     */
-    recordError(operation, errorType) {
-        if (!this.initialized) {
-            return;
-        }
-
-        this.metrics.operationErrors.inc({
-            operation,
-            node_id: this.nodeId,
-            error_type: errorType || "unknown",
-        });
-    }
-
-    /**
-     * Record a cache hit or miss
-     * @param {boolean} hit - Whether the operation was a hit
-     */
-    recordHitOrMiss(hit) {
-        if (!this.initialized) {
-            return;
-        }
-
-        if (hit) {
-            this.metrics.cacheHits.inc({ node_id: this.nodeId });
-        } else {
-            this.metrics.cacheMisses.inc({ node_id: this.nodeId });
-        }
-    }
-
-    /**
-     * Record response time for an operation
-     * @param {string} operation - Operation type
-     * @param {number} timeInSeconds - Time taken in seconds
-     */
-    recordResponseTime(operation, timeInSeconds) {
-        if (!this.initialized) {
-            return;
-        }
-
-        this.metrics.responseTime.observe(
-            { operation, node_id: this.nodeId },
-            timeInSeconds
-        );
-    }
-
-    /**
-     * Get all metrics in Prometheus format
-     * @returns {Promise<string>} - Metrics in Prometheus format
-     */
-    async getMetrics() {
-        return this.register.metrics();
-    }
-
-    /**
-     * Shutdown the monitoring system
-     */
-    async shutdown() {
-        logger.info("Shutting down monitoring system");
-
-        if (this.collectInterval) {
-            clearInterval(this.collectInterval);
-        }
-
-        // Clear all metrics
-        this.register.clear();
-
-        logger.info("Monitoring system shutdown completed");
-    }
-}
-
-module.exports = MonitoringSystem;
+const client = require("prom-client");
+const logger = require("../utils/logger");
+
+class MonitoringSystem {
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.register = new client.Registry();
+        this.metrics = {};
+        this.initialized = false;
+        this.collectInterval = null;
+        this.nodeId = process.env.NODE_ID || "node1";
+    }
+
+    /**
+     * Initialize the monitoring system
+     */
+    async initialize() {
+        logger.info("Initializing monitoring system");
+
+        // Add default metrics
+        client.collectDefaultMetrics({
+            register: this.register,
+            prefix: "redis_cache_",
+            labels: { node_id: this.nodeId },
+        });
+
+        // Define custom metrics
+        this.defineMetrics();
+
+        // Follow leader elections as they happen
+        const { coordinationService } = this.cacheManager;
+        this.metrics.isLeader.set(
+            { node_id: this.nodeId },
+            coordinationService.isLeader() ? 1 : 0
+        );
+        coordinationService.onLeadershipChange(({ isLeader }) =>
+            this.metrics.isLeader.set(
+                { node_id: this.nodeId },
+                isLeader ? 1 : 0
+            )
+        );
+
+        // The ring may have been adopted before monitoring started
+        this.metrics.ringEpoch.set(
+            { node_id: this.nodeId },
+            this.cacheManager.ringVersion.epoch
+        );
+
+        // Start collecting metrics
+        this.startMetricsCollection();
+
+        this.initialized = true;
+        logger.info("Monitoring system initialized successfully");
+        return true;
+    }
+
+    /**
+     * Define custom prometheus metrics
+     */
+    defineMetrics() {
+        // Cache operations counter
+        this.metrics.cacheOperations = new client.Counter({
+            name: "redis_cache_operations_total",
+            help: "Total number of cache operations",
+            labelNames: ["operation", "node_id", "status"],
+            registers: [this.register],
+        });
+
+        // Operation errors counter
+        this.metrics.operationErrors = new client.Counter({
+            name: "redis_cache_operations_errors_total",
+            help: "Total number of cache operation errors",
+            labelNames: ["operation", "node_id", "error_type"],
+            registers: [this.register],
+        });
+
+        // Cache hit ratio
+        this.metrics.cacheHits = new client.Counter({
+            name: "redis_cache_hits_total",
+            help: "Total number of cache hits",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        this.metrics.cacheMisses = new client.Counter({
+            name: "redis_cache_misses_total",
+            help: "Total number of cache misses",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        // Hits and misses of the near-cache (l1) and of the replicas (l2)
+        this.metrics.tierHits = new client.Counter({
+            name: "redis_cache_tier_hits_total",
+            help: "Total number of reads that found the key, by tier (l1 is the near-cache, l2 the replicas)",
+            labelNames: ["node_id", "tier"],
+            registers: [this.register],
+        });
+
+        this.metrics.tierMisses = new client.Counter({
+            name: "redis_cache_tier_misses_total",
+            help: "Total number of reads that did not find the key, by tier (l1 is the near-cache, l2 the replicas)",
+            labelNames: ["node_id", "tier"],
+            registers: [this.register],
+        });
+
+        this.metrics.nearCacheEntries = new client.Gauge({
+            name: "redis_cache_near_cache_entries",
+            help: "Number of entries in the near-cache",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        this.metrics.nearCacheBytes = new client.Gauge({
+            name: "redis_cache_near_cache_bytes",
+            help: "Size of the keys and values in the near-cache in bytes",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        // Cache size
+        this.metrics.cacheSize = new client.Gauge({
+            name: "redis_cache_size_keys",
+            help: "Number of keys in the cache",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        // Cache memory usage
+        this.metrics.cacheMemory = new client.Gauge({
+            name: "redis_cache_memory_bytes",
+            help: "Memory used by the cache in bytes",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        // Node count
+        this.metrics.nodeCount = new client.Gauge({
+            name: "redis_cache_nodes_total",
+            help: "Total number of nodes in the cluster",
+            registers: [this.register],
+        });
+
+        // Leader election
+        this.metrics.isLeader = new client.Gauge({
+            name: "redis_cache_is_leader",
+            help: "Whether the node is the cluster leader (1) or not (0)",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        // Read repairs pushed to replicas that returned a stale or missing value
+        this.metrics.readRepairs = new client.Counter({
+            name: "redis_cache_read_repairs_total",
+            help: "Total number of replicas repaired during reads",
+            labelNames: ["node_id", "reason"],
+            registers: [this.register],
+        });
+
+        this.metrics.antiEntropyRepairs = new client.Counter({
+            name: "redis_cache_anti_entropy_repairs_total",
+            help: "Total number of keys repaired by anti-entropy",
+            labelNames: ["node_id", "peer", "direction"],
+            registers: [this.register],
+        });
+
+        this.metrics.migratedKeys = new client.Counter({
+            name: "redis_cache_migrated_keys_total",
+            help: "Total number of keys moved by rebalancing",
+            labelNames: ["node_id", "action"],
+            registers: [this.register],
+        });
+
+        this.metrics.activeMigrations = new client.Gauge({
+            name: "redis_cache_active_migrations",
+            help: "Number of migrations currently running on the node",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        this.metrics.migrationProgress = new client.Gauge({
+            name: "redis_cache_migration_progress",
+            help: "Share of local keys scanned by the running migration (1 when idle)",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        // Bounded-load routing of reads
+        this.metrics.inFlightRequests = new client.Gauge({
+            name: "redis_cache_in_flight_requests",
+            help: "Reads in flight that this node sends to a replica (target is itself for local reads) or forwards to another node",
+            labelNames: ["node_id", "target"],
+            registers: [this.register],
+        });
+
+        this.metrics.loadOverflows = new client.Counter({
+            name: "redis_cache_load_overflows_total",
+            help: "Total number of reads routed past a replica whose load was over the bound",
+            labelNames: ["node_id", "replica"],
+            registers: [this.register],
+        });
+
+        // Ring epochs
+        this.metrics.ringEpoch = new client.Gauge({
+            name: "redis_cache_ring_epoch",
+            help: "Epoch of the published ring the node uses",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        this.metrics.staleEpochWrites = new client.Counter({
+            name: "redis_cache_stale_epoch_writes_total",
+            help: "Total number of writes, migrations and range streams rejected because the sender routed them with an older ring epoch",
+            labelNames: ["node_id"],
+            registers: [this.register],
+        });
+
+        // Response time
+        this.metrics.responseTime = new client.Histogram({
+            name: "redis_cache_op_duration_seconds",
+            help: "Operation duration in seconds",
+            labelNames: ["operation", "node_id"],
+            buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1],
+            registers: [this.register],
+        });
+    }
+
+    /**
+     * Start collecting metrics at regular intervals
+     */
+    startMetricsCollection() {
+        const interval = parseInt(process.env.METRICS_INTERVAL || "10000", 10);
+
+        this.collectInterval = setInterval(async () => {
+            try {
+                await this.collectMetrics();
+            } catch (error) {
+                logger.error(`Failed to collect metrics: ${error.message}`);
+            }
+        }, interval);
+    }
+
+    /**
+     * Collect metrics from Redis and update Prometheus metrics
+     */
+    async collectMetrics() {
+        try {
+            // Collect cache stats
+            const stats = await this.cacheManager.getStats();
+
+            // Update metrics
+            if (stats.keys !== undefined) {
+                this.metrics.cacheSize.set(
+                    { node_id: this.nodeId },
+                    stats.keys
+                );
+            }
+
+            if (stats.memory && stats.memory.used) {
+                // Parse memory string like "1.05M" to bytes
+                const memoryString = stats.memory.used;
+                let memoryBytes = 0;
+
+                if (memoryString.endsWith("K")) {
+                    memoryBytes = parseFloat(memoryString.slice(0, -1)) * 1024;
+                } else if (memoryString.endsWith("M")) {
+                    memoryBytes =
+                        parseFloat(memoryString.slice(0, -1)) * 1024 * 1024;
+                } else if (memoryString.endsWith("G")) {
+                    memoryBytes =
+                        parseFloat(memoryString.slice(0, -1)) *
+                        1024 *
+                        1024 *
+                        1024;
+                } else {
+                    memoryBytes = parseFloat(memoryString);
+                }
+
+                this.metrics.cacheMemory.set(
+                    { node_id: this.nodeId },
+                    memoryBytes
+                );
+            }
+
+            if (stats.nearCache) {
+                this.metrics.nearCacheEntries.set(
+                    { node_id: this.nodeId },
+                    stats.nearCache.entries
+                );
+                this.metrics.nearCacheBytes.set(
+                    { node_id: this.nodeId },
+                    stats.nearCache.bytes
+                );
+            }
+
+            // Count nodes in the cluster
+            const nodes =
+                await this.cacheManager.coordinationService.getAllNodes();
+            this.metrics.nodeCount.set(Object.keys(nodes).length);
+
+            logger.debug("Metrics collected successfully");
+        } catch (error) {
+            logger.error(`Error collecting metrics: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a cache operation
+     * @param {string} operation - Operation type (get, set, delete)
+     * @param {boolean} success - Whether the operation was successful
+     */
+    recordOperation(operation, success) {
+        if (!this.initialized) {
+            return;
+        }
+
+        const status = success ? "success" : "failure";
+        this.metrics.cacheOperations.inc({
+            operation,
+            node_id: this.nodeId,
+            status,
+        });
+    }
+
+    /**
+     * Record an operation error
+     * @param {string} operation - Operation type (get, set, delete)
+     * @param {string} errorType - Type of error that occurred
+     */
+    recordError(operation, errorType) {
+        if (!this.initialized) {
+            return;
+        }
+
+        this.metrics.operationErrors.inc({
+            operation,
+            node_id: this.nodeId,
+            error_type: errorType || "unknown",
+        });
+    }
+
+    /**
+     * Record a hit or miss in one tier of the cache
+     * @param {string} tier - l1 for the near-cache, l2 for the replicas
+     * @param {boolean} hit - Whether the tier had the key
+     */
+    recordTierHitOrMiss(tier, hit) {
+        if (!this.initialized) {
+            return;
+        }
+
+        if (hit) {
+            this.metrics.tierHits.inc({ node_id: this.nodeId, tier });
+        } else {
+            this.metrics.tierMisses.inc({ node_id: this.nodeId, tier });
+        }
+    }
+
+    /**
+     * Record a cache hit or miss
+     * @param {boolean} hit - Whether the operation was a hit
+     */
+    recordHitOrMiss(hit) {
+        if (!this.initialized) {
+            return;
+        }
+
+        if (hit) {
+            this.metrics.cacheHits.inc({ node_id: this.nodeId });
+        } else {
+            this.metrics.cacheMisses.inc({ node_id: this.nodeId });
+        }
+    }
+
+    /**
+     * Record a replica repaired during a read
+     * @param {string} reason - Why the replica was repaired (stale, missing)
+     */
+    recordReadRepair(reason) {
+        if (!this.initialized) {
+            return;
+        }
+
+        this.metrics.readRepairs.inc({ node_id: this.nodeId, reason });
+    }
+
+    /**
+     * Record keys repaired by an anti-entropy round
+     * @param {string} peer - Peer node the keys were exchanged with
+     * @param {string} direction - push (sent to the peer) or pull (fetched from it)
+     * @param {number} count - Number of keys repaired
+     */
+    recordAntiEntropyRepair(peer, direction, count) {
+        if (!this.initialized || count === 0) {
+            return;
+        }
+
+        this.metrics.antiEntropyRepairs.inc(
+            { node_id: this.nodeId, peer, direction },
+            count
+        );
+    }
+
+    /**
+     * Record keys moved by rebalancing
+     * @param {string} action - sent, received or dropped
+     * @param {number} count - Number of keys
+     */
+    recordMigratedKeys(action, count) {
+        if (!this.initialized || count === 0) {
+            return;
+        }
+
+        this.metrics.migratedKeys.inc({ node_id: this.nodeId, action }, count);
+    }
+
+    /**
+     * Update the progress of running migrations
+     * @param {number} active - Number of running migrations
+     * @param {number} progress - Progress of the current migration between 0 and 1
+     */
+    updateMigrationProgress(active, progress) {
+        if (!this.initialized) {
+            return;
+        }
+
+        this.metrics.activeMigrations.set({ node_id: this.nodeId }, active);
+        this.metrics.migrationProgress.set({ node_id: this.nodeId }, progress);
+    }
+
+    /**
+     * Update the number of reads in flight to a node
+     * @param {string} target - Node the reads were routed to
+     * @param {number} count - Reads in flight
+     */
+    updateInFlight(target, count) {
+        if (!this.initialized) {
+            return;
+        }
+
+        this.metrics.inFlightRequests.set(
+            { node_id: this.nodeId, target },
+            count
+        );
+    }
+
+    /**
+     * Record a read routed past a replica over the load bound
+     * @param {string} replica - Replica that was passed over
+     */
+    recordLoadOverflow(replica) {
+        if (!this.initialized) {
+            return;
+        }
+
+        this.metrics.loadOverflows.inc({ node_id: this.nodeId, replica });
+    }
+
+    /**
+     * Update the epoch of the ring the node uses
+     * @param {number} epoch - Ring epoch
+     */
+    updateRingEpoch(epoch) {
+        if (!this.initialized) {
+            return;
+        }
+
+        this.metrics.ringEpoch.set({ node_id: this.nodeId }, epoch);
+    }
+
+    /**
+     * Record a write rejected for a stale ring epoch
+     */
+    recordStaleEpochWrite() {
+        if (!this.initialized) {
+            return;
+        }
+
+        this.metrics.staleEpochWrites.inc({ node_id: this.nodeId });
+    }
+
+    /**
+     * Record response time for an operation
+     * @param {string} operation - Operation type
+     * @param {number} timeInSeconds - Time taken in seconds
+     */
+    recordResponseTime(operation, timeInSeconds) {
+        if (!this.initialized) {
+            return;
+        }
+
+        this.metrics.responseTime.observe(
+            { operation, node_id: this.nodeId },
+            timeInSeconds
+        );
+    }
+
+    /**
+     * Get all metrics in Prometheus format
+     * @returns {Promise<string>} - Metrics in Prometheus format
+     */
+    async getMetrics() {
+        return this.register.metrics();
+    }
+
+    /**
+     * Shutdown the monitoring system
+     */
+    async shutdown() {
+        logger.info("Shutting down monitoring system");
+
+        if (this.collectInterval) {
+            clearInterval(this.collectInterval);
+        }
+
+        // Clear all metrics
+        this.register.clear();
+
+        logger.info("Monitoring system shutdown completed");
+    }
+}
+
+module.exports = MonitoringSystem;
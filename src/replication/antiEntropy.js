@@ -0,0 +1,570 @@
+const MerkleTree = require("../utils/merkleTree");
+const logger = require("../utils/logger");
+
+// Size of the hash ring key space, see ConsistentHashing._getHash
+const HASH_SPACE = 2 ** 32;
+const MAX_LEAF_COUNT = 4096;
+
+class AntiEntropy {
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.interval = parseInt(
+            process.env.ANTI_ENTROPY_INTERVAL || "60000",
+            10
+        );
+        this.leafCount = parseInt(process.env.ANTI_ENTROPY_LEAVES || "64", 10);
+        this.maxKeysPerRound = parseInt(
+            process.env.ANTI_ENTROPY_MAX_KEYS || "1000",
+            10
+        );
+        this.fetchBatchSize = 100;
+
+        // A peer asks for our tree and then for the digests of the differing
+        // leaves, so both answers are built from the same snapshot
+        this.snapshotTtl = 10000;
+        this.snapshots = new Map();
+
+        this.peers = new Map();
+        this.peerIndex = 0;
+        this.running = false;
+        this.timer = null;
+    }
+
+    /**
+     * Start periodic anti-entropy rounds, one peer per round
+     */
+    start() {
+        if (this.interval <= 0) {
+            logger.info("Anti-entropy is disabled");
+            return;
+        }
+
+        this.timer = setInterval(() => this.runRound(), this.interval);
+
+        logger.info(
+            `Anti-entropy started with interval of ${this.interval}ms and ${this.leafCount} leaves per tree`
+        );
+    }
+
+    /**
+     * Stop anti-entropy rounds
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Reconcile with the next peer in turn
+     */
+    async runRound() {
+        const peerIds = Array.from(this.cacheManager.nodeInfos.keys()).filter(
+            (nodeId) => nodeId !== this.cacheManager.nodeId
+        );
+
+        // Only one round at a time, a slow peer must not pile up rounds
+        if (this.running || peerIds.length === 0) {
+            return;
+        }
+
+        this._dropExpiredSnapshots();
+
+        const peerId = peerIds[this.peerIndex % peerIds.length];
+        this.peerIndex = (this.peerIndex + 1) % peerIds.length;
+
+        this.running = true;
+        try {
+            await this.syncWithPeer(
+                peerId,
+                this.cacheManager.nodeInfos.get(peerId)
+            );
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Compare the keys shared with a peer and exchange the ones that differ
+     * @param {string} peerId - Peer node identifier
+     * @param {Object} nodeInfo - Peer connection info
+     * @returns {Promise<Object>} - { pushed, pulled } key counts
+     */
+    async syncWithPeer(peerId, nodeInfo) {
+        const communicationLayer = this.cacheManager.communicationLayer;
+        if (!communicationLayer) {
+            return { pushed: 0, pulled: 0 };
+        }
+
+        const status = this._getPeerStatus(peerId);
+        status.lastRunAt = Date.now();
+
+        try {
+            const snapshot = await this._takeSnapshot(peerId, this.leafCount);
+            const remote = await communicationLayer.getMerkleTree(
+                peerId,
+                nodeInfo,
+                this.leafCount
+            );
+            const differing = snapshot.tree.diff(new MerkleTree(remote.leaves));
+            const syncedAt = Date.now();
+
+            // Leaves that already match are in sync without any transfer
+            const differingSet = new Set(differing);
+            for (let leaf = 0; leaf < this.leafCount; leaf++) {
+                if (!differingSet.has(leaf)) {
+                    this._getRangeStatus(status, leaf).lastSyncedAt = syncedAt;
+                }
+            }
+
+            let pushed = 0;
+            let pulled = 0;
+            if (differing.length > 0) {
+                ({ pushed, pulled } = await this._repairLeaves(
+                    peerId,
+                    nodeInfo,
+                    snapshot,
+                    differing,
+                    status
+                ));
+            }
+
+            status.lastCompletedAt = Date.now();
+            status.lastError = null;
+            status.keysPushed += pushed;
+            status.keysPulled += pulled;
+
+            if (this.cacheManager.monitoringSystem) {
+                this.cacheManager.monitoringSystem.recordAntiEntropyRepair(
+                    peerId,
+                    "push",
+                    pushed
+                );
+                this.cacheManager.monitoringSystem.recordAntiEntropyRepair(
+                    peerId,
+                    "pull",
+                    pulled
+                );
+            }
+
+            if (differing.length > 0) {
+                logger.info(
+                    `Anti-entropy with node ${peerId}: ${differing.length} ranges differed, pushed ${pushed} and pulled ${pulled} keys`
+                );
+            }
+            return { pushed, pulled };
+        } catch (error) {
+            status.lastError = error.message;
+            logger.warn(
+                `Anti-entropy with node ${peerId} failed: ${error.message}`
+            );
+            return { pushed: 0, pulled: 0 };
+        }
+    }
+
+    /**
+     * Get the Merkle tree over the keys shared with a peer
+     * @param {string} peerId - Peer node identifier
+     * @param {number} leafCount - Number of leaves in the tree
+     * @returns {Promise<MerkleTree>} - The tree
+     */
+    async getTree(peerId, leafCount) {
+        const snapshot = await this._getSnapshot(peerId, leafCount);
+        return snapshot.tree;
+    }
+
+    /**
+     * Get the versions of the keys shared with a peer in a set of leaves
+     * @param {string} peerId - Peer node identifier
+     * @param {number} leafCount - Number of leaves in the tree
+     * @param {Array<number>} leaves - Leaf indexes
+     * @returns {Promise<Array<Object>>} - Digests of the form { key, version }
+     */
+    async getRangeDigests(peerId, leafCount, leaves) {
+        const snapshot = await this._getSnapshot(peerId, leafCount);
+        const digests = [];
+
+        for (const leaf of leaves) {
+            const bucket = snapshot.buckets[leaf];
+            if (!bucket) {
+                continue;
+            }
+            for (const [key, version] of bucket) {
+                digests.push({ key, version });
+            }
+        }
+
+        return digests;
+    }
+
+    /**
+     * Get the anti-entropy state of every peer and range
+     * @returns {Object} - Status report
+     */
+    getStatus() {
+        const toDate = (time) => (time ? new Date(time).toISOString() : null);
+        const peers = {};
+
+        for (const [peerId, status] of this.peers) {
+            const ranges = [];
+            for (let leaf = 0; leaf < this.leafCount; leaf++) {
+                const range = status.ranges.get(leaf) || {};
+                const [start, end] = this._leafBounds(leaf, this.leafCount);
+                ranges.push({
+                    leaf,
+                    start,
+                    end,
+                    lastSyncedAt: toDate(range.lastSyncedAt),
+                    lastRepairedAt: toDate(range.lastRepairedAt),
+                    keysRepaired: range.keysRepaired || 0,
+                });
+            }
+
+            peers[peerId] = {
+                lastRunAt: toDate(status.lastRunAt),
+                lastCompletedAt: toDate(status.lastCompletedAt),
+                lastError: status.lastError,
+                keysPushed: status.keysPushed,
+                keysPulled: status.keysPulled,
+                ranges,
+            };
+        }
+
+        return {
+            enabled: this.interval > 0,
+            interval: this.interval,
+            leafCount: this.leafCount,
+            maxKeysPerRound: this.maxKeysPerRound,
+            running: this.running,
+            peers,
+        };
+    }
+
+    /**
+     * Exchange the differing keys of a set of leaves, at most maxKeysPerRound of them
+     * @private
+     * @param {string} peerId - Peer node identifier
+     * @param {Object} nodeInfo - Peer connection info
+     * @param {Object} snapshot - Local snapshot
+     * @param {Array<number>} differing - Indexes of the differing leaves
+     * @param {Object} status - Peer status
+     * @returns {Promise<Object>} - { pushed, pulled } key counts
+     */
+    async _repairLeaves(peerId, nodeInfo, snapshot, differing, status) {
+        const communicationLayer = this.cacheManager.communicationLayer;
+        const digests = await communicationLayer.getRangeDigests(
+            peerId,
+            nodeInfo,
+            this.leafCount,
+            differing
+        );
+        const remoteVersions = new Map(
+            digests.map(({ key, version }) => [key, version])
+        );
+
+        // Pick the keys to send or fetch, leaf by leaf, until the budget runs out.
+        // Leaves left over are repaired in a later round.
+        const plans = [];
+        let budget = this.maxKeysPerRound;
+        for (const leaf of differing) {
+            const plan = this._planLeaf(
+                snapshot.buckets[leaf],
+                remoteVersions,
+                leaf
+            );
+            const size = plan.push.length + plan.pull.length;
+            if (size > budget && plans.length > 0) {
+                break;
+            }
+            plan.push = plan.push.slice(0, budget);
+            plan.pull = plan.pull.slice(0, budget - plan.push.length);
+            plan.complete = plan.push.length + plan.pull.length === size;
+            budget -= plan.push.length + plan.pull.length;
+            plans.push(plan);
+        }
+
+        const pushedKeys = await this._pushKeys(
+            peerId,
+            nodeInfo,
+            plans.flatMap((plan) => plan.push)
+        );
+        const pulledKeys = await this._pullKeys(
+            peerId,
+            nodeInfo,
+            plans.flatMap((plan) => plan.pull)
+        );
+
+        const now = Date.now();
+        for (const plan of plans) {
+            const range = this._getRangeStatus(status, plan.leaf);
+            const repaired =
+                plan.push.filter((key) => pushedKeys.has(key)).length +
+                plan.pull.filter((key) => pulledKeys.has(key)).length;
+
+            if (repaired > 0) {
+                range.lastRepairedAt = now;
+                range.keysRepaired = (range.keysRepaired || 0) + repaired;
+            }
+            if (
+                plan.complete &&
+                repaired === plan.push.length + plan.pull.length
+            ) {
+                range.lastSyncedAt = now;
+            }
+        }
+
+        return { pushed: pushedKeys.size, pulled: pulledKeys.size };
+    }
+
+    /**
+     * Decide which keys of a leaf must be sent to or fetched from the peer
+     * @private
+     * @param {Map<string, string>} bucket - Local key versions in the leaf
+     * @param {Map<string, string>} remoteVersions - Peer key versions in the differing leaves
+     * @param {number} leaf - Leaf index
+     * @returns {Object} - { leaf, push, pull }
+     */
+    _planLeaf(bucket, remoteVersions, leaf) {
+        const push = [];
+        const pull = [];
+
+        for (const [key, version] of bucket) {
+            const remoteVersion = remoteVersions.get(key);
+            if (remoteVersion === undefined) {
+                push.push(key);
+                continue;
+            }
+
+            // Concurrent versions are merged on both sides
+            const order = this.cacheManager.compareVersions(
+                version,
+                remoteVersion
+            );
+            if (order === null || order > 0) {
+                push.push(key);
+            }
+            if (order === null || order < 0) {
+                pull.push(key);
+            }
+        }
+
+        for (const key of remoteVersions.keys()) {
+            if (!bucket.has(key) && this._leafFor(key) === leaf) {
+                pull.push(key);
+            }
+        }
+
+        return { leaf, push, pull };
+    }
+
+    /**
+     * Send local values to the peer
+     * @private
+     * @param {string} peerId - Peer node identifier
+     * @param {Object} nodeInfo - Peer connection info
+     * @param {Array<string>} keys - Keys to send
+     * @returns {Promise<Set<string>>} - Keys the peer accepted
+     */
+    async _pushKeys(peerId, nodeInfo, keys) {
+        const pushed = new Set();
+        const entries = await this.cacheManager.getLocalEntries(keys);
+
+        // One key at a time keeps the repair traffic from competing with client writes
+        for (const { key, value, ttl } of entries) {
+            const success =
+                await this.cacheManager.communicationLayer.replicateDataToNode(
+                    peerId,
+                    nodeInfo,
+                    key,
+                    value,
+                    ttl
+                );
+            if (!success) {
+                break;
+            }
+            pushed.add(key);
+        }
+
+        return pushed;
+    }
+
+    /**
+     * Fetch newer values from the peer and store them locally
+     * @private
+     * @param {string} peerId - Peer node identifier
+     * @param {Object} nodeInfo - Peer connection info
+     * @param {Array<string>} keys - Keys to fetch
+     * @returns {Promise<Set<string>>} - Keys that were fetched
+     */
+    async _pullKeys(peerId, nodeInfo, keys) {
+        const pulled = new Set();
+
+        for (let i = 0; i < keys.length; i += this.fetchBatchSize) {
+            const entries =
+                await this.cacheManager.communicationLayer.fetchKeys(
+                    peerId,
+                    nodeInfo,
+                    keys.slice(i, i + this.fetchBatchSize)
+                );
+
+            for (const { key, value, ttl } of entries) {
+                await this.cacheManager.applyReplicatedValue(key, value, ttl);
+                pulled.add(key);
+            }
+        }
+
+        return pulled;
+    }
+
+    /**
+     * Get a recent snapshot of the keys shared with a peer, or take a new one
+     * @private
+     * @param {string} peerId - Peer node identifier
+     * @param {number} leafCount - Number of leaves in the tree
+     * @returns {Promise<Object>} - { takenAt, leafCount, buckets, tree }
+     */
+    async _getSnapshot(peerId, leafCount) {
+        const snapshot = this.snapshots.get(peerId);
+        if (
+            snapshot &&
+            snapshot.leafCount === leafCount &&
+            Date.now() - snapshot.takenAt < this.snapshotTtl
+        ) {
+            return snapshot;
+        }
+        return this._takeSnapshot(peerId, leafCount);
+    }
+
+    /**
+     * Bucket the versions of every local key shared with a peer by leaf
+     * @private
+     * @param {string} peerId - Peer node identifier
+     * @param {number} leafCount - Number of leaves in the tree
+     * @returns {Promise<Object>} - { takenAt, leafCount, buckets, tree }
+     */
+    async _takeSnapshot(peerId, leafCount) {
+        if (
+            !Number.isInteger(leafCount) ||
+            leafCount < 1 ||
+            leafCount > MAX_LEAF_COUNT ||
+            (leafCount & (leafCount - 1)) !== 0
+        ) {
+            throw new Error(
+                `Leaf count must be a power of two up to ${MAX_LEAF_COUNT}, got ${leafCount}`
+            );
+        }
+
+        const { consistentHashing, localRedis, nodeId, replicaFactor } =
+            this.cacheManager;
+        const buckets = Array.from({ length: leafCount }, () => new Map());
+
+        await this.cacheManager.scanLocalKeys(async (keys) => {
+            const shared = keys.filter((key) => {
+                const replicas = consistentHashing.getReplicaNodes(
+                    key,
+                    replicaFactor
+                );
+                return replicas.includes(nodeId) && replicas.includes(peerId);
+            });
+            if (shared.length === 0) {
+                return;
+            }
+
+            // Keys may expire between SCAN and MGET
+            const values = await localRedis.mget(...shared);
+            shared.forEach((key, index) => {
+                if (values[index] !== null) {
+                    buckets[this._leafFor(key, leafCount)].set(
+                        key,
+                        this.cacheManager.getValueVersion(values[index])
+                    );
+                }
+            });
+        });
+
+        const snapshot = {
+            takenAt: Date.now(),
+            leafCount,
+            buckets,
+            tree: MerkleTree.fromBuckets(buckets),
+        };
+        this.snapshots.set(peerId, snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Forget snapshots too old to be reused
+     * @private
+     */
+    _dropExpiredSnapshots() {
+        const now = Date.now();
+        for (const [peerId, snapshot] of this.snapshots) {
+            if (now - snapshot.takenAt >= this.snapshotTtl) {
+                this.snapshots.delete(peerId);
+            }
+        }
+    }
+
+    /**
+     * Get the leaf covering a key's position on the hash ring
+     * @private
+     * @param {string} key - Cache key
+     * @param {number} leafCount - Number of leaves in the tree
+     * @returns {number} - Leaf index
+     */
+    _leafFor(key, leafCount = this.leafCount) {
+        const hash = this.cacheManager.consistentHashing.getKeyHash(key);
+        return Math.floor((hash * leafCount) / HASH_SPACE);
+    }
+
+    /**
+     * Get the first and last hash covered by a leaf
+     * @private
+     * @param {number} leaf - Leaf index
+     * @param {number} leafCount - Number of leaves in the tree
+     * @returns {Array<number>} - [start, end]
+     */
+    _leafBounds(leaf, leafCount) {
+        return [
+            (leaf * HASH_SPACE) / leafCount,
+            ((leaf + 1) * HASH_SPACE) / leafCount - 1,
+        ];
+    }
+
+    /**
+     * Get or create the status of a peer
+     * @private
+     * @param {string} peerId - Peer node identifier
+     * @returns {Object} - Peer status
+     */
+    _getPeerStatus(peerId) {
+        if (!this.peers.has(peerId)) {
+            this.peers.set(peerId, {
+                lastRunAt: null,
+                lastCompletedAt: null,
+                lastError: null,
+                keysPushed: 0,
+                keysPulled: 0,
+                ranges: new Map(),
+            });
+        }
+        return this.peers.get(peerId);
+    }
+
+    /**
+     * Get or create the status of a range
+     * @private
+     * @param {Object} status - Peer status
+     * @param {number} leaf - Leaf index
+     * @returns {Object} - Range status
+     */
+    _getRangeStatus(status, leaf) {
+        if (!status.ranges.has(leaf)) {
+            status.ranges.set(leaf, {});
+        }
+        return status.ranges.get(leaf);
+    }
+}
+
+module.exports = AntiEntropy;
@@ -0,0 +1,243 @@
+const ConsistentHashing = require("../utils/consistentHashing");
+const logger = require("../utils/logger");
+
+/**
+ * Fills a joining node with the keys of the token ranges it takes over. The
+ * current owners stream each range over StreamRange, and the keys are loaded
+ * with their version and remaining TTL at a bounded rate, so live traffic
+ * keeps priority over the bootstrap.
+ */
+class Bootstrapper {
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.batchSize = parseInt(
+            process.env.BOOTSTRAP_BATCH_SIZE || "100",
+            10
+        );
+        this.maxKeysPerSecond = parseInt(
+            process.env.BOOTSTRAP_MAX_KEYS_PER_SECOND || "1000",
+            10
+        );
+        this.state = this._initialState("idle");
+    }
+
+    /**
+     * Load every range this node owns in the current ring from the nodes
+     * that held it before this node joined
+     * @returns {Promise<Object>} - Status report
+     */
+    async run() {
+        const { nodeId, replicaFactor } = this.cacheManager;
+        const ring = this.cacheManager.consistentHashing.clone();
+        const previousRing = ring.clone();
+        previousRing.removeNode(nodeId);
+
+        const ranges = ConsistentHashing.diffRanges(
+            previousRing,
+            ring,
+            replicaFactor
+        ).filter(
+            // The first node of a cluster has nothing to load
+            ({ oldNodes, newNodes }) =>
+                newNodes.includes(nodeId) && oldNodes.length > 0
+        );
+
+        this.state = {
+            ...this._initialState("running"),
+            startedAt: Date.now(),
+            rangesTotal: ranges.length,
+        };
+        logger.info(
+            `Bootstrapping node ${nodeId}: ${ranges.length} token ranges to load`
+        );
+
+        // Each range is read from the first of its previous owners that answers
+        let pending = ranges.map((range) => ({
+            range: { start: range.start, end: range.end },
+            sources: this._orderSources(range),
+        }));
+        const refreshed = new Set();
+        while (pending.length > 0) {
+            const source = pending[0].sources[0];
+            const batch = pending.filter(
+                (entry) => entry.sources[0] === source
+            );
+            pending = pending.filter((entry) => entry.sources[0] !== source);
+
+            if (!source) {
+                this.state.rangesFailed += batch.length;
+                continue;
+            }
+
+            try {
+                await this._load(
+                    source,
+                    batch.map((entry) => entry.range)
+                );
+                this.state.rangesLoaded += batch.length;
+            } catch (error) {
+                // The source has a newer ring than this node, ask it again once refreshed
+                if (
+                    this.cacheManager.communicationLayer.isStaleEpoch(error) &&
+                    !refreshed.has(source)
+                ) {
+                    logger.info(
+                        `Node ${source} has a newer ring, refreshing before loading from it again`
+                    );
+                    refreshed.add(source);
+                    await this.cacheManager.ringVersion.refresh();
+                    pending.push(...batch);
+                    continue;
+                }
+
+                this._getSourceStatus(source).error = error.message;
+                logger.warn(
+                    `Bootstrap from node ${source} failed, trying other owners: ${error.message}`
+                );
+                for (const entry of batch) {
+                    entry.sources.shift();
+                    pending.push(entry);
+                }
+            }
+        }
+
+        this.state.status =
+            this.state.rangesFailed > 0 ? "incomplete" : "completed";
+        this.state.completedAt = Date.now();
+        logger.info(
+            `Bootstrap of node ${nodeId} ${this.state.status}: ${this.state.keysApplied} keys loaded, ${this.state.rangesFailed} ranges failed`
+        );
+        return this.getStatus();
+    }
+
+    /**
+     * Get the progress of the bootstrap
+     * @returns {Object} - Status report
+     */
+    getStatus() {
+        const toDate = (time) => (time ? new Date(time).toISOString() : null);
+
+        return {
+            ...this.state,
+            startedAt: toDate(this.state.startedAt),
+            completedAt: toDate(this.state.completedAt),
+        };
+    }
+
+    /**
+     * Stream ranges from a node and store their keys
+     * @private
+     * @param {string} source - Node to stream from
+     * @param {Array<Object>} ranges - Token ranges of the form { start, end }
+     */
+    async _load(source, ranges) {
+        const { cacheManager } = this;
+        const nodeInfo = cacheManager.nodeInfos.get(source);
+        if (!nodeInfo) {
+            throw new Error(`Node ${source} is not in the ring`);
+        }
+
+        const status = this._getSourceStatus(source);
+        const startedAt = Date.now();
+        let loaded = 0;
+
+        await cacheManager.communicationLayer.streamRange(
+            source,
+            nodeInfo,
+            ranges,
+            this.batchSize,
+            async (entries) => {
+                let applied = 0;
+                for (const { key, value, ttl } of entries) {
+                    if (
+                        await cacheManager.applyReplicatedValue(key, value, ttl)
+                    ) {
+                        applied++;
+                    }
+                }
+
+                loaded += entries.length;
+                status.keys += entries.length;
+                this.state.keysReceived += entries.length;
+                this.state.keysApplied += applied;
+                this.state.keysSkipped += entries.length - applied;
+                cacheManager.rebalancer.recordReceived(applied);
+
+                await this._throttle(loaded, startedAt);
+            }
+        );
+
+        status.ranges += ranges.length;
+    }
+
+    /**
+     * Wait until loading the keys received so far stays within the rate limit
+     * @private
+     * @param {number} loaded - Keys loaded from the current stream
+     * @param {number} startedAt - Time the stream started
+     */
+    async _throttle(loaded, startedAt) {
+        if (this.maxKeysPerSecond <= 0) {
+            return;
+        }
+
+        const wait =
+            startedAt + (loaded / this.maxKeysPerSecond) * 1000 - Date.now();
+        if (wait > 0) {
+            await new Promise((resolve) => setTimeout(resolve, wait));
+        }
+    }
+
+    /**
+     * Order the previous owners of a range to stream it from, preferring
+     * active nodes that keep the range over one it moves away from
+     * @private
+     * @param {Object} range - Range from ConsistentHashing.diffRanges
+     * @returns {Array<string>} - Node identifiers
+     */
+    _orderSources({ oldNodes, newNodes }) {
+        const candidates = oldNodes.filter(
+            (node) => this.cacheManager.getNodeState(node) === "active"
+        );
+        return [
+            ...candidates.filter((node) => newNodes.includes(node)),
+            ...candidates.filter((node) => !newNodes.includes(node)),
+        ];
+    }
+
+    /**
+     * Build the status of a bootstrap that has not loaded anything yet
+     * @private
+     * @param {string} status - Initial status
+     * @returns {Object} - Bootstrap state
+     */
+    _initialState(status) {
+        return {
+            status,
+            startedAt: null,
+            completedAt: null,
+            rangesTotal: 0,
+            rangesLoaded: 0,
+            rangesFailed: 0,
+            keysReceived: 0,
+            keysApplied: 0,
+            keysSkipped: 0,
+            sources: {},
+        };
+    }
+
+    /**
+     * Get or create the status of a source node
+     * @private
+     * @param {string} source - Node identifier
+     * @returns {Object} - Source status
+     */
+    _getSourceStatus(source) {
+        if (!this.state.sources[source]) {
+            this.state.sources[source] = { ranges: 0, keys: 0, error: null };
+        }
+        return this.state.sources[source];
+    }
+}
+
+module.exports = Bootstrapper;
@@ -0,0 +1,149 @@
+const logger = require("../utils/logger");
+
+/**
+ * Takes the local node out of the cluster without losing the keys it owns.
+ * The node moves to the draining state so every node drops it from the
+ * ring, its ranges are streamed to the nodes inheriting them, and only then
+ * is it unregistered.
+ */
+class Drainer {
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.state = {
+            status: "idle",
+            startedAt: null,
+            completedAt: null,
+            hintsDelivered: 0,
+            error: null,
+        };
+        this.running = null;
+    }
+
+    /**
+     * Start draining the local node, or join the drain already running
+     * @returns {Promise<Object>} - Status report once the drain has ended
+     */
+    drain() {
+        if (this.running) {
+            return this.running;
+        }
+        if (this.isDrained()) {
+            return Promise.resolve(this.getStatus());
+        }
+
+        // A failed drain can be retried, the node stays marked as draining
+        this.state = {
+            status: "draining",
+            startedAt: Date.now(),
+            completedAt: null,
+            hintsDelivered: 0,
+            error: null,
+        };
+        this.running = this._run().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    /**
+     * Check whether the node has left the cluster after a drain
+     * @returns {boolean} - True once the drain has completed
+     */
+    isDrained() {
+        return this.state.status === "drained";
+    }
+
+    /**
+     * Get the progress of the drain
+     * @returns {Object} - Status report
+     */
+    getStatus() {
+        const toDate = (time) => (time ? new Date(time).toISOString() : null);
+        const { nodeId } = this.cacheManager;
+
+        // The hand-over is run by the rebalancer like any other ring change
+        const migration =
+            this.state.startedAt &&
+            this.cacheManager.rebalancer
+                .getStatus()
+                .migrations.find(
+                    (candidate) =>
+                        candidate.type === "drain" &&
+                        candidate.nodeId === nodeId &&
+                        Date.parse(candidate.startedAt) >= this.state.startedAt
+                );
+
+        return {
+            nodeId,
+            ...this.state,
+            startedAt: toDate(this.state.startedAt),
+            completedAt: toDate(this.state.completedAt),
+            migration: migration || null,
+        };
+    }
+
+    /**
+     * Run the steps of the drain
+     * @private
+     * @returns {Promise<Object>} - Status report
+     */
+    async _run() {
+        const cacheManager = this.cacheManager;
+        const { nodeId, coordinationService } = cacheManager;
+        logger.info(`Draining node ${nodeId}`);
+
+        try {
+            // Other nodes stop sending new writes here once they see the state
+            await cacheManager.setState("draining");
+            cacheManager.antiEntropy.stop();
+
+            // Hand every range this node holds over to its new owners
+            const previousRing = cacheManager.consistentHashing.clone();
+            if (!previousRing.getAllNodes().has(nodeId)) {
+                previousRing.addNode(
+                    nodeId,
+                    cacheManager.weight,
+                    cacheManager.zone
+                );
+            }
+            cacheManager.consistentHashing.removeNode(nodeId);
+
+            const migration = await cacheManager.rebalancer.onRingChange(
+                previousRing,
+                cacheManager.consistentHashing.clone(),
+                { type: "drain", nodeId }
+            );
+            if (migration && migration.status === "failed") {
+                throw new Error(
+                    `Migration ${migration.id} failed, ${migration.keysFailed} keys were not handed over`
+                );
+            }
+
+            // Writes this node kept for unreachable nodes are lost once it leaves
+            for (const [peerId, peerInfo] of cacheManager.nodeInfos) {
+                this.state.hintsDelivered +=
+                    await cacheManager.hintedHandoff.replayHints(
+                        peerId,
+                        peerInfo
+                    );
+            }
+
+            await cacheManager.setState("leaving");
+            await coordinationService.stopLeaderElection();
+            await coordinationService.unregisterNode(nodeId);
+
+            this.state.status = "drained";
+            logger.info(`Node ${nodeId} drained and unregistered`);
+        } catch (error) {
+            this.state.status = "failed";
+            this.state.error = error.message;
+            logger.error(`Failed to drain node ${nodeId}: ${error.message}`);
+        } finally {
+            this.state.completedAt = Date.now();
+        }
+
+        return this.getStatus();
+    }
+}
+
+module.exports = Drainer;
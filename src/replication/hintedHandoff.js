@@ -0,0 +1,256 @@
+const logger = require("../utils/logger");
+
+// Hints live in the local Redis under this prefix, one hash per target node
+const HINT_KEY_PREFIX = "__hints:";
+
+class HintedHandoff {
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.maxHintsPerNode = parseInt(
+            process.env.MAX_HINTS_PER_NODE || "10000",
+            10
+        );
+        this.hintTtl = parseInt(process.env.HINT_TTL || "10800", 10); // 3 hours
+        this.replayInterval = parseInt(
+            process.env.HINT_REPLAY_INTERVAL || "30000",
+            10
+        );
+        this.replayBatchSize = 100;
+        this.replayTimer = null;
+        this.replaying = new Set();
+    }
+
+    /**
+     * Start periodically replaying hints to nodes that are back in the ring
+     */
+    start() {
+        this.replayTimer = setInterval(() => {
+            for (const [nodeId, nodeInfo] of this.cacheManager.nodeInfos) {
+                this.replayHints(nodeId, nodeInfo);
+            }
+        }, this.replayInterval);
+
+        logger.info(
+            `Hinted handoff started with replay interval of ${this.replayInterval}ms`
+        );
+    }
+
+    /**
+     * Stop replaying hints
+     */
+    stop() {
+        if (this.replayTimer) {
+            clearInterval(this.replayTimer);
+            this.replayTimer = null;
+        }
+    }
+
+    /**
+     * Store a write that could not be delivered to a node
+     * @param {string} nodeId - Node the write was meant for
+     * @param {string} key - Cache key
+     * @param {string} value - Serialized versioned value
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @returns {Promise<boolean>} - True if the hint was stored
+     */
+    async storeHint(nodeId, key, value, ttl) {
+        const localRedis = this.cacheManager.localRedis;
+        if (!localRedis || nodeId === this.cacheManager.nodeId) {
+            return false;
+        }
+
+        const hintKey = `${HINT_KEY_PREFIX}${nodeId}`;
+
+        // Hints for a key are compared and replaced one at a time
+        return this.cacheManager.withKeyLock(`${hintKey}:${key}`, async () => {
+            try {
+                // Hints are keyed by cache key, so a newer write replaces an older
+                // hint and only new keys count against the limit
+                const [size, existing] = await Promise.all([
+                    localRedis.hlen(hintKey),
+                    localRedis.hget(hintKey, key),
+                ]);
+                if (existing === null && size >= this.maxHintsPerNode) {
+                    logger.warn(
+                        `Dropping hint for key ${key}: node ${nodeId} already has ${size} pending hints`
+                    );
+                    return false;
+                }
+
+                let hint = {
+                    value,
+                    expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+                };
+                if (existing !== null) {
+                    hint = this._newerHint(JSON.parse(existing), hint);
+                    if (!hint) {
+                        logger.debug(
+                            `Kept the newer pending hint for key ${key} and node ${nodeId}`
+                        );
+                        return true;
+                    }
+                }
+
+                await localRedis
+                    .multi()
+                    .hset(hintKey, key, JSON.stringify(hint))
+                    .expire(hintKey, this.hintTtl)
+                    .exec();
+
+                logger.info(
+                    `Stored hint for key ${key} on behalf of node ${nodeId}`
+                );
+                return true;
+            } catch (error) {
+                logger.error(
+                    `Error storing hint for key ${key} and node ${nodeId}: ${error.message}`
+                );
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Decide what replaces a pending hint when another write of its key
+     * could not be delivered
+     * @private
+     * @param {Object} pending - Pending hint, { value, expiresAt }
+     * @param {Object} hint - New hint, { value, expiresAt }
+     * @returns {Object|null} - Hint to store, or null if the pending one is newer or equal
+     */
+    _newerHint(pending, hint) {
+        const { cacheManager } = this;
+        const order = cacheManager.compareVersions(
+            cacheManager.getValueVersion(hint.value),
+            cacheManager.getValueVersion(pending.value)
+        );
+        if (order !== null) {
+            return order > 0 ? hint : null;
+        }
+
+        // Concurrent writes are merged, as the node would merge them
+        const value = cacheManager.mergeStoredValues([
+            pending.value,
+            hint.value,
+        ]);
+        if (!value) {
+            return null;
+        }
+        return {
+            value,
+            expiresAt:
+                pending.expiresAt && hint.expiresAt
+                    ? Math.max(pending.expiresAt, hint.expiresAt)
+                    : null,
+        };
+    }
+
+    /**
+     * Remove a delivered hint, unless a newer one replaced it meanwhile
+     * @private
+     * @param {string} hintKey - Hash holding the node's hints
+     * @param {string} key - Cache key
+     * @param {string} delivered - Hint as it was read before delivery
+     */
+    async _removeHint(hintKey, key, delivered) {
+        const localRedis = this.cacheManager.localRedis;
+        await this.cacheManager.withKeyLock(`${hintKey}:${key}`, async () => {
+            if ((await localRedis.hget(hintKey, key)) === delivered) {
+                await localRedis.hdel(hintKey, key);
+            }
+        });
+    }
+
+    /**
+     * Deliver every pending hint to a node
+     * @param {string} nodeId - Node identifier
+     * @param {Object} nodeInfo - Node connection info
+     * @returns {Promise<number>} - Number of hints delivered
+     */
+    async replayHints(nodeId, nodeInfo) {
+        const localRedis = this.cacheManager.localRedis;
+        const communicationLayer = this.cacheManager.communicationLayer;
+
+        // Only one replay per node at a time
+        if (!localRedis || !communicationLayer || this.replaying.has(nodeId)) {
+            return 0;
+        }
+
+        const hintKey = `${HINT_KEY_PREFIX}${nodeId}`;
+        this.replaying.add(nodeId);
+        let delivered = 0;
+
+        try {
+            let cursor = "0";
+            do {
+                const [nextCursor, fields] = await localRedis.hscan(
+                    hintKey,
+                    cursor,
+                    "COUNT",
+                    this.replayBatchSize
+                );
+                cursor = nextCursor;
+
+                for (let i = 0; i < fields.length; i += 2) {
+                    const key = fields[i];
+                    const { value, expiresAt } = JSON.parse(fields[i + 1]);
+
+                    // Skip hints whose value would already have expired
+                    let ttl = 0;
+                    if (expiresAt) {
+                        ttl = Math.ceil((expiresAt - Date.now()) / 1000);
+                        if (ttl <= 0) {
+                            await this._removeHint(hintKey, key, fields[i + 1]);
+                            continue;
+                        }
+                    }
+
+                    const success =
+                        await communicationLayer.replicateDataToNode(
+                            nodeId,
+                            nodeInfo,
+                            key,
+                            value,
+                            ttl
+                        );
+
+                    // The node is still unreachable, keep the remaining hints for the next attempt
+                    if (!success) {
+                        logger.warn(
+                            `Hint replay to node ${nodeId} interrupted after ${delivered} hints`
+                        );
+                        return delivered;
+                    }
+
+                    await this._removeHint(hintKey, key, fields[i + 1]);
+                    delivered++;
+                }
+            } while (cursor !== "0");
+
+            if (delivered > 0) {
+                logger.info(`Replayed ${delivered} hints to node ${nodeId}`);
+            }
+            return delivered;
+        } catch (error) {
+            logger.error(
+                `Error replaying hints to node ${nodeId}: ${error.message}`
+            );
+            return delivered;
+        } finally {
+            this.replaying.delete(nodeId);
+        }
+    }
+
+    /**
+     * Get the number of hints waiting for a node
+     * @param {string} nodeId - Node identifier
+     * @returns {Promise<number>} - Number of pending hints
+     */
+    async getPendingCount(nodeId) {
+        return this.cacheManager.localRedis.hlen(`${HINT_KEY_PREFIX}${nodeId}`);
+    }
+}
+
+HintedHandoff.HINT_KEY_PREFIX = HINT_KEY_PREFIX;
+
+module.exports = HintedHandoff;
@@ -0,0 +1,466 @@
+const ConsistentHashing = require("../utils/consistentHashing");
+const logger = require("../utils/logger");
+
+class Rebalancer {
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.batchSize = parseInt(
+            process.env.REBALANCE_BATCH_SIZE || "100",
+            10
+        );
+        this.historySize = 20;
+        this.nextId = 1;
+
+        // Ring changes are migrated one after the other, in the order they happened
+        this.queue = Promise.resolve();
+        this.queued = 0;
+        this.migrations = [];
+    }
+
+    /**
+     * Schedule the migration of the keys affected by a ring change
+     * @param {ConsistentHashing} oldRing - Ring before the change
+     * @param {ConsistentHashing} newRing - Ring after the change
+     * @param {Object} change - { type, nodeId } of the change
+     * @returns {Promise<Object|null>} - The migration, or null if nothing moved
+     */
+    onRingChange(oldRing, newRing, change) {
+        // A node that has just started has nothing to hand over yet
+        if (oldRing.getAllNodes().size === 0) {
+            return Promise.resolve(null);
+        }
+
+        this.queued++;
+        const run = this.queue.then(async () => {
+            this.queued--;
+            const migration = await this.migrate(oldRing, newRing, change);
+            if (!migration || !migration.staleEpoch) {
+                return migration;
+            }
+
+            // A target with a newer ring rejected the keys, which this node kept,
+            // so plan the migration again from the refreshed ring
+            logger.info(
+                `Migration ${migration.id} was routed with a stale ring, retrying after a refresh`
+            );
+            await this.cacheManager.ringVersion.refresh();
+            return this.migrate(
+                oldRing,
+                this.cacheManager.consistentHashing.clone(),
+                change
+            );
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Stream the local keys of every moved range to their new owners, then drop
+     * the keys this node no longer owns
+     * @param {ConsistentHashing} oldRing - Ring before the change
+     * @param {ConsistentHashing} newRing - Ring after the change
+     * @param {Object} change - { type, nodeId } of the change
+     * @returns {Promise<Object|null>} - The migration, or null if nothing moved
+     */
+    async migrate(oldRing, newRing, change) {
+        const { nodeId, replicaFactor } = this.cacheManager;
+        const ranges = this._planRanges(
+            ConsistentHashing.diffRanges(oldRing, newRing, replicaFactor),
+            change
+        );
+        if (ranges.length === 0) {
+            return null;
+        }
+
+        const migration = {
+            id: `${nodeId}-${Date.now()}-${this.nextId++}`,
+            type: change.type,
+            nodeId: change.nodeId,
+            status: "running",
+            startedAt: Date.now(),
+            completedAt: null,
+            rangesMoved: ranges.length,
+            keysTotal: await this.cacheManager.localRedis.dbsize(),
+            keysScanned: 0,
+            keysSent: 0,
+            keysDropped: 0,
+            keysFailed: 0,
+            staleEpoch: false,
+            targets: {},
+            error: null,
+        };
+        this._addMigration(migration);
+        this._updateMetrics();
+
+        logger.info(
+            `Starting migration ${migration.id} after ${change.type} of node ${change.nodeId}: ${ranges.length} ranges moved`
+        );
+
+        const streams = new Map();
+        try {
+            await this.cacheManager.scanLocalKeys(async (keys) => {
+                migration.keysScanned += keys.length;
+                await this._sendBatch(migration, ranges, keys, streams);
+                this._updateMetrics();
+            }, this.batchSize);
+
+            await this._closeStreams(migration, streams);
+
+            // Drop moved keys only once their new owners have confirmed them
+            await this.cacheManager.scanLocalKeys(
+                (keys) => this._dropBatch(migration, ranges, keys),
+                this.batchSize
+            );
+
+            migration.status =
+                migration.keysFailed > 0 ? "failed" : "completed";
+        } catch (error) {
+            for (const { stream } of streams.values()) {
+                stream.cancel();
+            }
+            migration.status = "failed";
+            migration.error = error.message;
+            logger.error(`Migration ${migration.id} failed: ${error.message}`);
+        } finally {
+            migration.completedAt = Date.now();
+            this._updateMetrics();
+        }
+
+        logger.info(
+            `Migration ${migration.id} ${migration.status}: sent ${migration.keysSent} keys, dropped ${migration.keysDropped} keys`
+        );
+        return migration;
+    }
+
+    /**
+     * Count keys received from other nodes' migrations
+     * @param {number} count - Number of keys applied
+     */
+    recordReceived(count) {
+        if (this.cacheManager.monitoringSystem) {
+            this.cacheManager.monitoringSystem.recordMigratedKeys(
+                "received",
+                count
+            );
+        }
+    }
+
+    /**
+     * Get the running and recent migrations
+     * @returns {Object} - Status report
+     */
+    getStatus() {
+        const toDate = (time) => (time ? new Date(time).toISOString() : null);
+
+        return {
+            active: this.migrations.filter(
+                (migration) => migration.status === "running"
+            ).length,
+            queued: this.queued,
+            migrations: this.migrations.map((migration) => ({
+                ...migration,
+                startedAt: toDate(migration.startedAt),
+                completedAt: toDate(migration.completedAt),
+                progress: this._progress(migration),
+            })),
+        };
+    }
+
+    /**
+     * Send the keys of a scanned batch to their new owners
+     * @private
+     * @param {Object} migration - Migration being run
+     * @param {Array<Object>} ranges - Moved ranges relevant to this node
+     * @param {Array<string>} keys - Scanned keys
+     * @param {Map<string, Object>} streams - Open streams by target node
+     */
+    async _sendBatch(migration, ranges, keys, streams) {
+        const keysByTarget = new Map();
+
+        for (const key of keys) {
+            const range = this._findRange(
+                ranges,
+                this.cacheManager.consistentHashing.getKeyHash(key)
+            );
+            if (!range) {
+                continue;
+            }
+
+            for (const target of range.targets) {
+                if (!keysByTarget.has(target)) {
+                    keysByTarget.set(target, []);
+                }
+                keysByTarget.get(target).push(key);
+            }
+        }
+
+        for (const [target, targetKeys] of keysByTarget) {
+            const success = await this._send(
+                migration,
+                streams,
+                target,
+                targetKeys
+            );
+            if (!success) {
+                migration.keysFailed += targetKeys.length;
+            }
+        }
+    }
+
+    /**
+     * Drop the keys of a scanned batch that this node no longer owns
+     * @private
+     * @param {Object} migration - Migration being run
+     * @param {Array<Object>} ranges - Moved ranges relevant to this node
+     * @param {Array<string>} keys - Scanned keys
+     */
+    async _dropBatch(migration, ranges, keys) {
+        const droppable = keys.filter((key) => {
+            const range = this._findRange(
+                ranges,
+                this.cacheManager.consistentHashing.getKeyHash(key)
+            );
+
+            // Keep keys that did not reach one of their new owners
+            return (
+                range &&
+                range.drop &&
+                range.targets.every(
+                    (target) => !this._getTargetStatus(migration, target).error
+                )
+            );
+        });
+        if (droppable.length === 0) {
+            return;
+        }
+
+        const dropped = await this.cacheManager.localRedis.del(...droppable);
+        migration.keysDropped += dropped;
+        if (this.cacheManager.monitoringSystem) {
+            this.cacheManager.monitoringSystem.recordMigratedKeys(
+                "dropped",
+                dropped
+            );
+        }
+    }
+
+    /**
+     * Write keys to the migration stream of a target node
+     * @private
+     * @param {Object} migration - Migration being run
+     * @param {Map<string, Object>} streams - Open streams by target node
+     * @param {string} target - Target node identifier
+     * @param {Array<string>} keys - Keys to send
+     * @returns {Promise<boolean>} - True if the keys were written to the stream
+     */
+    async _send(migration, streams, target, keys) {
+        const status = this._getTargetStatus(migration, target);
+        if (status.error) {
+            return false;
+        }
+
+        try {
+            if (!streams.has(target)) {
+                const nodeInfo = this.cacheManager.nodeInfos.get(target);
+                if (!nodeInfo) {
+                    throw new Error(`Node ${target} is not in the ring`);
+                }
+                streams.set(target, {
+                    stream: this.cacheManager.communicationLayer.openMigrationStream(
+                        target,
+                        nodeInfo,
+                        migration.id
+                    ),
+                });
+            }
+
+            const entries = await this.cacheManager.getLocalEntries(keys);
+            await streams.get(target).stream.write(entries);
+
+            status.sent += entries.length;
+            migration.keysSent += entries.length;
+            if (this.cacheManager.monitoringSystem) {
+                this.cacheManager.monitoringSystem.recordMigratedKeys(
+                    "sent",
+                    entries.length
+                );
+            }
+            return true;
+        } catch (error) {
+            status.error = error.message;
+            migration.staleEpoch =
+                migration.staleEpoch ||
+                this.cacheManager.communicationLayer.isStaleEpoch(error);
+            logger.warn(
+                `Migration ${migration.id} to node ${target} failed: ${error.message}`
+            );
+            return false;
+        }
+    }
+
+    /**
+     * Finish every open stream and wait for the targets to apply the keys
+     * @private
+     * @param {Object} migration - Migration being run
+     * @param {Map<string, Object>} streams - Open streams by target node
+     */
+    async _closeStreams(migration, streams) {
+        await Promise.all(
+            Array.from(streams.entries()).map(async ([target, { stream }]) => {
+                const status = this._getTargetStatus(migration, target);
+                if (status.error) {
+                    stream.cancel();
+                    return;
+                }
+
+                try {
+                    const { applied, skipped } = await stream.end();
+                    status.applied = applied;
+                    status.skipped = skipped;
+                } catch (error) {
+                    status.error = error.message;
+                    migration.keysFailed += status.sent;
+                    migration.staleEpoch =
+                        migration.staleEpoch ||
+                        this.cacheManager.communicationLayer.isStaleEpoch(
+                            error
+                        );
+                }
+            })
+        );
+    }
+
+    /**
+     * Work out what this node has to do for each moved range. The first old
+     * replica that still owns the range sends it to the new replicas (or the
+     * first old replica still in the ring if none does), and old replicas that
+     * lost the range drop their copy. A draining node sends every range it
+     * held itself, since it is sure to have the keys.
+     * @private
+     * @param {Array<Object>} ranges - Result of ConsistentHashing.diffRanges
+     * @param {Object} change - { type, nodeId } of the change
+     * @returns {Array<Object>} - Ranges of the form { start, end, targets, drop }, sorted by end
+     */
+    _planRanges(ranges, change) {
+        const { nodeId } = this.cacheManager;
+        const liveNodes = this.cacheManager.consistentHashing.getAllNodes();
+        const planned = [];
+
+        for (const { start, end, oldNodes, newNodes } of ranges) {
+            if (!oldNodes.includes(nodeId)) {
+                continue;
+            }
+
+            const sender =
+                change.type === "drain" && oldNodes.includes(change.nodeId)
+                    ? change.nodeId
+                    : oldNodes.find((node) => newNodes.includes(node)) ||
+                      oldNodes.find((node) => liveNodes.has(node));
+            const targets =
+                sender === nodeId
+                    ? newNodes.filter((node) => !oldNodes.includes(node))
+                    : [];
+            const drop = !newNodes.includes(nodeId);
+
+            if (targets.length > 0 || drop) {
+                planned.push({ start, end, targets, drop });
+            }
+        }
+
+        return planned;
+    }
+
+    /**
+     * Find the planned range containing a position on the ring
+     * @private
+     * @param {Array<Object>} ranges - Planned ranges sorted by end
+     * @param {number} hash - Position on the ring
+     * @returns {Object|null} - The range or null
+     */
+    _findRange(ranges, hash) {
+        // Binary search for the first range ending at or after the hash
+        let low = 0;
+        let high = ranges.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (ranges[mid].end < hash) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const candidate = ranges[low % ranges.length];
+        return ConsistentHashing.rangeContains(candidate, hash)
+            ? candidate
+            : null;
+    }
+
+    /**
+     * Estimate how far a migration got
+     * @private
+     * @param {Object} migration - Migration
+     * @returns {number} - Progress between 0 and 1
+     */
+    _progress(migration) {
+        if (migration.status !== "running") {
+            return 1;
+        }
+        if (migration.keysTotal === 0) {
+            return 0;
+        }
+        return Math.min(migration.keysScanned / migration.keysTotal, 1);
+    }
+
+    /**
+     * Get or create the status of a migration target
+     * @private
+     * @param {Object} migration - Migration
+     * @param {string} target - Target node identifier
+     * @returns {Object} - Target status
+     */
+    _getTargetStatus(migration, target) {
+        if (!migration.targets[target]) {
+            migration.targets[target] = {
+                sent: 0,
+                applied: 0,
+                skipped: 0,
+                error: null,
+            };
+        }
+        return migration.targets[target];
+    }
+
+    /**
+     * Keep a migration in the bounded history
+     * @private
+     * @param {Object} migration - Migration
+     */
+    _addMigration(migration) {
+        this.migrations.unshift(migration);
+        if (this.migrations.length > this.historySize) {
+            this.migrations.pop();
+        }
+    }
+
+    /**
+     * Publish migration progress to the monitoring system
+     * @private
+     */
+    _updateMetrics() {
+        const monitoringSystem = this.cacheManager.monitoringSystem;
+        if (!monitoringSystem) {
+            return;
+        }
+
+        const running = this.migrations.filter(
+            (migration) => migration.status === "running"
+        );
+        monitoringSystem.updateMigrationProgress(
+            running.length,
+            running.length > 0 ? this._progress(running[0]) : 1
+        );
+    }
+}
+
+module.exports = Rebalancer;
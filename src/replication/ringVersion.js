@@ -0,0 +1,315 @@
+const CoordinationService = require("../coordination/coordinationService");
+const logger = require("../utils/logger");
+
+// Key of the published ring in the shared key/value store
+const RING_KEY = "ring";
+
+// Lock held while publishing, out of the namespace of client locks
+const RING_LOCK = `${CoordinationService.INTERNAL_LOCK_PREFIX}ring`;
+
+/**
+ * Keeps the ring of every node on one versioned membership. The leader
+ * publishes the members of its ring, with their weight and zone, under a new
+ * epoch whenever they change. Every node adopts the published ring when it
+ * finds a newer epoch, either while polling the coordination service or
+ * because a gRPC message carried it, so nodes that missed membership events
+ * converge on the same owners.
+ */
+class RingVersion {
+    constructor(cacheManager) {
+        this.cacheManager = cacheManager;
+        this.interval = parseInt(
+            process.env.RING_REFRESH_INTERVAL || "5000",
+            10
+        );
+        this.epoch = 0;
+        this.publishedBy = null;
+        this.publishedAt = null;
+        this.enabled = false;
+        this.timer = null;
+        this.refreshing = null;
+        this.publishing = null;
+    }
+
+    /**
+     * Adopt the published ring, then poll for newer epochs and let the
+     * leader publish changes. Needs a key/value store shared by the cluster.
+     */
+    async start() {
+        const { coordinationService } = this.cacheManager;
+        if (!coordinationService.hasSharedValues()) {
+            logger.info(
+                "Ring epochs are disabled, the coordination backend has no shared key/value store"
+            );
+            return;
+        }
+
+        this.enabled = true;
+        await this.refresh();
+
+        coordinationService.registerPeriodicControllerTask(
+            "ring-epoch",
+            this.interval,
+            () => this.publish()
+        );
+        this.timer = setInterval(() => {
+            this.refresh().catch((error) =>
+                logger.warn(`Failed to refresh the ring: ${error.message}`)
+            );
+        }, this.interval);
+
+        logger.info(
+            `Ring epochs started at epoch ${this.epoch}, refreshing every ${this.interval}ms`
+        );
+    }
+
+    /**
+     * Stop polling for newer epochs
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Note the epoch another node routed a message with, and refresh if it is newer
+     * @param {number} epoch - Epoch of the other node
+     */
+    observe(epoch) {
+        if (!this.enabled || !(epoch > this.epoch) || this.refreshing) {
+            return;
+        }
+
+        logger.info(
+            `Seen ring epoch ${epoch} newer than ${this.epoch}, refreshing the ring`
+        );
+        this.refresh().catch((error) =>
+            logger.warn(`Failed to refresh the ring: ${error.message}`)
+        );
+    }
+
+    /**
+     * Check whether a message was routed with an older ring than this node's
+     * @param {number|null} epoch - Epoch of the sender, null if it sent none
+     * @returns {boolean} - True if the sender's ring is stale
+     */
+    isStale(epoch) {
+        return this.enabled && epoch !== null && epoch < this.epoch;
+    }
+
+    /**
+     * Read the published ring and adopt it if its epoch is newer than this node's
+     * @returns {Promise<number>} - Epoch of this node afterwards
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this._refresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * Publish the members of this node's ring under a new epoch if they
+     * differ from the published ones. Run on the leader.
+     * @returns {Promise<number>} - Published epoch
+     */
+    publish() {
+        if (!this.publishing) {
+            this.publishing = this._publish().finally(() => {
+                this.publishing = null;
+            });
+        }
+        return this.publishing;
+    }
+
+    /**
+     * Publish the ring after a local change if this node leads the cluster
+     */
+    onRingChange() {
+        if (
+            !this.enabled ||
+            !this.cacheManager.coordinationService.isLeader()
+        ) {
+            return;
+        }
+
+        this.publish().catch((error) =>
+            logger.warn(`Failed to publish the ring: ${error.message}`)
+        );
+    }
+
+    /**
+     * Describe the epoch of this node's ring
+     * @returns {Object} - { enabled, epoch, publishedBy, publishedAt }
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            epoch: this.epoch,
+            publishedBy: this.publishedBy,
+            publishedAt: this.publishedAt,
+        };
+    }
+
+    /**
+     * Read the published ring and adopt it
+     * @private
+     * @returns {Promise<number>} - Epoch of this node afterwards
+     */
+    async _refresh() {
+        const ring = await this.cacheManager.coordinationService.getValue(
+            RING_KEY
+        );
+        if (ring && ring.epoch > this.epoch) {
+            await this._apply(ring);
+        }
+        return this.epoch;
+    }
+
+    /**
+     * Write the members of the local ring under the next epoch
+     * @private
+     * @returns {Promise<number>} - Published epoch
+     */
+    async _publish() {
+        const { coordinationService, nodeId } = this.cacheManager;
+
+        // A previous leader may still be publishing
+        const lock = await coordinationService.acquireLock(RING_LOCK, {
+            waitTimeout: this.interval,
+        });
+        if (!lock) {
+            logger.warn("Ring is being published by another node, skipping");
+            return this.epoch;
+        }
+
+        try {
+            const published = await coordinationService.getValue(RING_KEY);
+            const members = this._getMembers();
+            if (
+                published &&
+                JSON.stringify(published.members) === JSON.stringify(members)
+            ) {
+                if (published.epoch > this.epoch) {
+                    await this._apply(published);
+                }
+                return this.epoch;
+            }
+
+            const ring = {
+                epoch:
+                    Math.max(published ? published.epoch : 0, this.epoch) + 1,
+                members,
+                publishedBy: nodeId,
+                publishedAt: Date.now(),
+            };
+            await coordinationService.setValue(RING_KEY, ring);
+            logger.info(
+                `Published ring epoch ${ring.epoch} with ${
+                    Object.keys(members).length
+                } nodes`
+            );
+            this._setEpoch(ring);
+            return this.epoch;
+        } finally {
+            await coordinationService.releaseLock(lock);
+        }
+    }
+
+    /**
+     * Make the local ring match a published one and move the keys whose
+     * owners changed. This node keeps its own place, which its lifecycle state sets.
+     * @private
+     * @param {Object} ring - { epoch, members, publishedBy, publishedAt }
+     */
+    async _apply(ring) {
+        const { cacheManager } = this;
+        const { nodeId, consistentHashing } = cacheManager;
+        const previousRing = consistentHashing.clone();
+        const registered = await cacheManager.coordinationService.getAllNodes();
+
+        for (const member of consistentHashing.getAllNodes()) {
+            if (member !== nodeId && !ring.members[member]) {
+                logger.info(
+                    `Node ${member} is not in ring epoch ${ring.epoch}, removing it from the cache ring`
+                );
+                cacheManager.removeNodeFromRing(member);
+            }
+        }
+
+        for (const [member, { weight, zone }] of Object.entries(ring.members)) {
+            if (member === nodeId) {
+                continue;
+            }
+
+            // Connection details come from the registration of the node, and a
+            // node that started to leave since the ring was published stays out
+            const nodeInfo = registered[member];
+            if (!nodeInfo) {
+                logger.warn(
+                    `Node ${member} of ring epoch ${ring.epoch} is not registered, leaving it out`
+                );
+                continue;
+            }
+            if (
+                cacheManager.constructor.DEPARTING_STATES.includes(
+                    nodeInfo.state
+                )
+            ) {
+                continue;
+            }
+            cacheManager.addNodeToRing(member, { ...nodeInfo, weight, zone });
+        }
+
+        logger.info(
+            `Adopted ring epoch ${ring.epoch} published by ${ring.publishedBy}`
+        );
+        this._setEpoch(ring);
+
+        cacheManager.rebalancer.onRingChange(
+            previousRing,
+            consistentHashing.clone(),
+            { type: "epoch", nodeId: ring.publishedBy }
+        );
+    }
+
+    /**
+     * Get the members of the local ring with their weight and zone
+     * @private
+     * @returns {Object} - Map of nodeId to { weight, zone }, sorted by node ID
+     */
+    _getMembers() {
+        const { consistentHashing } = this.cacheManager;
+        const members = {};
+        for (const nodeId of Array.from(
+            consistentHashing.getAllNodes()
+        ).sort()) {
+            members[nodeId] = {
+                weight: consistentHashing.getWeight(nodeId),
+                zone: consistentHashing.getZone(nodeId),
+            };
+        }
+        return members;
+    }
+
+    /**
+     * Record the epoch of the ring this node now uses
+     * @private
+     * @param {Object} ring - Published ring
+     */
+    _setEpoch(ring) {
+        this.epoch = ring.epoch;
+        this.publishedBy = ring.publishedBy;
+        this.publishedAt = ring.publishedAt;
+
+        if (this.cacheManager.monitoringSystem) {
+            this.cacheManager.monitoringSystem.updateRingEpoch(this.epoch);
+        }
+    }
+}
+
+module.exports = RingVersion;
@@ -1,129 +1,457 @@
-const crypto = require("crypto");
-
-class ConsistentHashing {
-    constructor(replicas = 100) {
-        this.nodes = new Map();
-        this.keys = [];
-        this.replicas = replicas;
-    }
-
-    /**
-     * Add a node to the hash ring
-     * @param {string} nodeId - The node identifier
-     */
-    addNode(nodeId) {
-        for (let i = 0; i < this.replicas; i++) {
-            const hash = this._getHash(`${nodeId}:${i}`);
-            this.nodes.set(hash, nodeId);
-            this.keys.push(hash);
-        }
-
-        // Sort the keys
-        this.keys.sort((a, b) => a - b);
-        return true;
-    }
-
-    /**
-     * Remove a node from the hash ring
-     * @param {string} nodeId - The node identifier
-     */
-    removeNode(nodeId) {
-        for (let i = 0; i < this.replicas; i++) {
-            const hash = this._getHash(`${nodeId}:${i}`);
-            this.nodes.delete(hash);
-
-            const index = this.keys.indexOf(hash);
-            if (index !== -1) {
-                this.keys.splice(index, 1);
-            }
-        }
-        return true;
-    }
-
-    /**
-     * Get the node for a specific key
-     * @param {string} key - The cache key
-     * @returns {string|null} - The node ID or null if no nodes available
-     */
-    getNode(key) {
-        if (this.keys.length === 0) {
-            return null;
-        }
-
-        const hash = this._getHash(key);
-
-        // Find the first node with a hash greater than or equal to our key hash
-        for (let i = 0; i < this.keys.length; i++) {
-            if (this.keys[i] >= hash) {
-                return this.nodes.get(this.keys[i]);
-            }
-        }
-
-        // If we reach here, it means the hash is greater than all node hashes
-        // So we need to wrap around to the first node
-        return this.nodes.get(this.keys[0]);
-    }
-
-    /**
-     * Get all nodes that should contain this key (for replication)
-     * @param {string} key - The cache key
-     * @param {number} replicaCount - Number of replicas to return
-     * @returns {Array<string>} - Array of node IDs
-     */
-    getReplicaNodes(key, replicaCount = 2) {
-        if (this.nodes.size === 0) {
-            return [];
-        }
-
-        // Ensure we don't try to get more replicas than available nodes
-        const actualReplicaCount = Math.min(replicaCount, this.nodes.size);
-        const hash = this._getHash(key);
-        const nodes = new Set();
-
-        // Find the first node
-        let startIndex = 0;
-        for (let i = 0; i < this.keys.length; i++) {
-            if (this.keys[i] >= hash) {
-                startIndex = i;
-                break;
-            }
-        }
-
-        // Collect the required number of unique nodes
-        let currentIndex = startIndex;
-        while (nodes.size < actualReplicaCount) {
-            nodes.add(this.nodes.get(this.keys[currentIndex]));
-            currentIndex = (currentIndex + 1) % this.keys.length;
-
-            // Avoid infinite loop if we don't have enough unique nodes
-            if (currentIndex === startIndex) {
-                break;
-            }
-        }
-
-        return Array.from(nodes);
-    }
-
-    /**
-     * Get all nodes in the hash ring
-     * @returns {Set<string>} - Set of node IDs
-     */
-    getAllNodes() {
-        return new Set(this.nodes.values());
-    }
-
-    /**
-     * Calculate the hash of a key
-     * @private
-     * @param {string} key - The key to hash
-     * @returns {number} - The hash value
-     */
-    _getHash(key) {
-        return parseInt(
-            crypto.createHash("md5").update(key).digest("hex").substring(0, 8),
-            16
-        );
-    }
-}
-
-module.exports = ConsistentHashing;
+const crypto = require("crypto");
+
+// Hashes are the first 32 bits of an MD5 digest
+const RING_SIZE = 2 ** 32;
+
+/**
+ * Interface of a placement strategy: decides which nodes hold each position
+ * of the 32-bit hash space. Strategies extend this class and implement
+ * addNode, removeNode, _getBoundaries and _getCandidates; replica selection,
+ * zones, range diffs and ownership reports are shared. Placement only
+ * changes at the boundaries, so the keyspace can be handed over range by
+ * range when nodes join or leave.
+ */
+class ConsistentHashing {
+    constructor() {
+        this.strategy = null;
+        this.weights = new Map();
+        this.zones = new Map();
+    }
+
+    /**
+     * Add a node
+     * @param {string} nodeId - The node identifier
+     * @param {number} weight - Relative capacity of the node, its share of the keyspace scales with it
+     * @param {string|null} zone - Failure domain of the node, replicas are spread across zones
+     */
+    addNode(nodeId, weight = 1, zone = null) {
+        throw this._notImplemented("addNode");
+    }
+
+    /**
+     * Remove a node
+     * @param {string} nodeId - The node identifier
+     */
+    removeNode(nodeId) {
+        throw this._notImplemented("removeNode");
+    }
+
+    /**
+     * Describe the strategy and its settings
+     * @returns {Object} - { strategy } and the settings of the strategy
+     */
+    getSettings() {
+        return { strategy: this.strategy };
+    }
+
+    /**
+     * Change the weight of a node
+     * @param {string} nodeId - The node identifier
+     * @param {number} weight - New relative capacity of the node
+     * @returns {boolean} - True if the weight changed
+     */
+    setWeight(nodeId, weight) {
+        if (!this.weights.has(nodeId) || this.weights.get(nodeId) === weight) {
+            return false;
+        }
+
+        const zone = this.zones.get(nodeId);
+        this.removeNode(nodeId);
+        this.addNode(nodeId, weight, zone);
+        return true;
+    }
+
+    /**
+     * Get the weight of a node
+     * @param {string} nodeId - The node identifier
+     * @returns {number|null} - The weight, or null if the node is not placed
+     */
+    getWeight(nodeId) {
+        return this.weights.has(nodeId) ? this.weights.get(nodeId) : null;
+    }
+
+    /**
+     * Change the zone of a node. The positions it owns first stay, but the
+     * other replicas of its ranges may be placed differently.
+     * @param {string} nodeId - The node identifier
+     * @param {string|null} zone - New failure domain of the node
+     * @returns {boolean} - True if the zone changed
+     */
+    setZone(nodeId, zone) {
+        if (!this.zones.has(nodeId) || this.zones.get(nodeId) === zone) {
+            return false;
+        }
+
+        this.zones.set(nodeId, zone);
+        return true;
+    }
+
+    /**
+     * Get the zone of a node
+     * @param {string} nodeId - The node identifier
+     * @returns {string|null} - The zone, or null if the node has none or is not placed
+     */
+    getZone(nodeId) {
+        return this.zones.get(nodeId) || null;
+    }
+
+    /**
+     * Get the node for a specific key
+     * @param {string} key - The cache key
+     * @returns {string|null} - The node ID or null if no nodes available
+     */
+    getNode(key) {
+        const [nodeId = null] = this._getReplicaNodesForHash(
+            this._getHash(key),
+            1
+        );
+        return nodeId;
+    }
+
+    /**
+     * Get all nodes that should contain this key (for replication)
+     * @param {string} key - The cache key
+     * @param {number} replicaCount - Number of replicas to return
+     * @returns {Array<string>} - Array of node IDs
+     */
+    getReplicaNodes(key, replicaCount = 2) {
+        return this._getReplicaNodesForHash(this._getHash(key), replicaCount);
+    }
+
+    /**
+     * Get all placed nodes
+     * @returns {Set<string>} - Set of node IDs
+     */
+    getAllNodes() {
+        return new Set(this.weights.keys());
+    }
+
+    /**
+     * Get the boundaries of the hash space with the node owning the range
+     * that ends at each of them, in ring order
+     * @returns {Array<Object>} - Tokens of the form { token, nodeId }
+     */
+    getTokens() {
+        return this._getBoundaries().map((token) => ({
+            token,
+            nodeId: this._getReplicaNodesForHash(token, 1)[0],
+        }));
+    }
+
+    /**
+     * Get the share of the keyspace each node owns. With one replica, the
+     * share it owns as first replica; with more, the share it holds a replica
+     * of divided by the number of replicas, so the shares still add up to 1.
+     * @param {number} replicaCount - Number of replicas per key
+     * @returns {Object} - Map of nodeId to a fraction between 0 and 1
+     */
+    getOwnership(replicaCount = 1) {
+        const ownership = {};
+        for (const nodeId of this.getAllNodes()) {
+            ownership[nodeId] = 0;
+        }
+
+        for (const range of this.getRanges(replicaCount)) {
+            const share = ConsistentHashing.rangeShare(range);
+            for (const nodeId of range.nodes) {
+                ownership[nodeId] += share / range.nodes.length;
+            }
+        }
+
+        return ownership;
+    }
+
+    /**
+     * Get the share of the keyspace each node should own given the weights
+     * @returns {Object} - Map of nodeId to a fraction between 0 and 1
+     */
+    getExpectedOwnership() {
+        let total = 0;
+        for (const weight of this.weights.values()) {
+            total += weight;
+        }
+
+        const ownership = {};
+        for (const [nodeId, weight] of this.weights) {
+            ownership[nodeId] = weight / total;
+        }
+        return ownership;
+    }
+
+    /**
+     * Measure how evenly the keyspace is spread. The load of a node is the
+     * share it owns divided by the share its weight entitles it to, so a
+     * perfectly balanced cluster has a load of 1 on every node and a
+     * standard deviation of 0.
+     * @param {number} replicaCount - Number of replicas per key
+     * @returns {Object} - { strategy, replicaCount, nodes, mean, standardDeviation, min, max }
+     *                     where nodes maps each node to { expectedShare, share, load }
+     */
+    getBalanceReport(replicaCount = 1) {
+        const ownership = this.getOwnership(replicaCount);
+        const expected = this.getExpectedOwnership();
+        const nodes = {};
+        const loads = [];
+
+        for (const [nodeId, share] of Object.entries(ownership)) {
+            const load = share / expected[nodeId];
+            nodes[nodeId] = { expectedShare: expected[nodeId], share, load };
+            loads.push(load);
+        }
+
+        const mean = loads.length
+            ? loads.reduce((sum, load) => sum + load, 0) / loads.length
+            : 0;
+        const variance = loads.length
+            ? loads.reduce((sum, load) => sum + (load - mean) ** 2, 0) /
+              loads.length
+            : 0;
+
+        return {
+            strategy: this.strategy,
+            replicaCount,
+            nodes,
+            mean,
+            standardDeviation: Math.sqrt(variance),
+            min: loads.length ? Math.min(...loads) : 0,
+            max: loads.length ? Math.max(...loads) : 0,
+        };
+    }
+
+    /**
+     * Split the hash space into the ranges that share a replica set
+     * @param {number} replicaCount - Number of replicas per key
+     * @returns {Array<Object>} - Ranges of the form { start, end, nodes }, see diffRanges
+     */
+    getRanges(replicaCount) {
+        const boundaries = this._getBoundaries();
+        const ranges = [];
+
+        boundaries.forEach((end, index) => {
+            const start =
+                boundaries[(index - 1 + boundaries.length) % boundaries.length];
+            const nodes = this._getReplicaNodesForHash(end, replicaCount);
+
+            // Merge with the previous range when the replica sets are the same
+            const previous = ranges[ranges.length - 1];
+            if (previous && previous.nodes.join() === nodes.join()) {
+                previous.end = end;
+                return;
+            }
+
+            ranges.push({ start, end, nodes });
+        });
+
+        return ranges;
+    }
+
+    /**
+     * Create an independent copy
+     * @returns {ConsistentHashing} - The copy
+     */
+    clone() {
+        const copy = this._createEmpty();
+        copy.weights = new Map(this.weights);
+        copy.zones = new Map(this.zones);
+        return copy;
+    }
+
+    /**
+     * Find the ranges whose replica set differs between two placements of
+     * the same strategy. A range covers the hashes after `start` up to and
+     * including `end`, wrapping around the ring when `start` is not below `end`.
+     * @param {ConsistentHashing} oldRing - Placement before the change
+     * @param {ConsistentHashing} newRing - Placement after the change
+     * @param {number} replicaCount - Number of replicas per key
+     * @returns {Array<Object>} - Ranges of the form { start, end, oldNodes, newNodes }
+     */
+    static diffRanges(oldRing, newRing, replicaCount) {
+        const points = Array.from(
+            new Set([...oldRing._getBoundaries(), ...newRing._getBoundaries()])
+        ).sort((a, b) => a - b);
+        const ranges = [];
+
+        points.forEach((end, index) => {
+            const start = points[(index - 1 + points.length) % points.length];
+            const oldNodes = oldRing._getReplicaNodesForHash(end, replicaCount);
+            const newNodes = newRing._getReplicaNodesForHash(end, replicaCount);
+
+            const unchanged =
+                oldNodes.length === newNodes.length &&
+                oldNodes.every((nodeId) => newNodes.includes(nodeId));
+            if (unchanged) {
+                return;
+            }
+
+            // Merge with the previous range when the replica sets are the same
+            const previous = ranges[ranges.length - 1];
+            if (
+                previous &&
+                previous.end === start &&
+                previous.oldNodes.join() === oldNodes.join() &&
+                previous.newNodes.join() === newNodes.join()
+            ) {
+                previous.end = end;
+                return;
+            }
+
+            ranges.push({ start, end, oldNodes, newNodes });
+        });
+
+        return ranges;
+    }
+
+    /**
+     * Check whether a token range contains a position on the ring
+     * @param {Object} range - Range of the form { start, end }, see diffRanges
+     * @param {number} hash - Position on the ring
+     * @returns {boolean} - True if the position is in the range
+     */
+    static rangeContains({ start, end }, hash) {
+        return start < end
+            ? hash > start && hash <= end
+            : hash > start || hash <= end;
+    }
+
+    /**
+     * Get the share of the keyspace a token range covers
+     * @param {Object} range - Range of the form { start, end }, see diffRanges
+     * @returns {number} - Fraction between 0 and 1
+     */
+    static rangeShare({ start, end }) {
+        return (
+            (start < end ? end - start : end - start + RING_SIZE) / RING_SIZE
+        );
+    }
+
+    /**
+     * Get the position of a key on the hash ring
+     * @param {string} key - The key to hash
+     * @returns {number} - 32-bit hash value
+     */
+    getKeyHash(key) {
+        return this._getHash(key);
+    }
+
+    /**
+     * Get the positions after which placement may change, sorted
+     * @protected
+     * @returns {Array<number>} - Positions in the hash space
+     */
+    _getBoundaries() {
+        throw this._notImplemented("_getBoundaries");
+    }
+
+    /**
+     * List the nodes in the order they are preferred for a position. Nodes
+     * may repeat; replica selection skips the ones already seen.
+     * @protected
+     * @param {number} hash - Position on the ring
+     * @returns {Iterable<string>} - Node IDs
+     */
+    _getCandidates(hash) {
+        throw this._notImplemented("_getCandidates");
+    }
+
+    /**
+     * Create an empty placement with the same settings, used by clone
+     * @protected
+     * @returns {ConsistentHashing} - The empty placement
+     */
+    _createEmpty() {
+        return new this.constructor();
+    }
+
+    /**
+     * Get the nodes that should contain a position on the ring
+     * @private
+     * @param {number} hash - Position on the ring
+     * @param {number} replicaCount - Number of replicas to return
+     * @returns {Array<string>} - Array of node IDs
+     */
+    _getReplicaNodesForHash(hash, replicaCount) {
+        if (this.weights.size === 0) {
+            return [];
+        }
+
+        // Ensure we don't try to get more replicas than available nodes
+        const actualReplicaCount = Math.min(replicaCount, this.weights.size);
+        const nodes = [];
+        const seen = new Set();
+
+        // A node without a zone is a failure domain of its own
+        const usedZones = new Set();
+        let unzonedUsed = 0;
+        const zones = Array.from(this.zones.values());
+        const domainCount =
+            new Set(zones.filter(Boolean)).size +
+            zones.filter((zone) => !zone).length;
+
+        // Nodes passed over because their zone already holds a replica,
+        // used once every zone has one
+        const skipped = [];
+
+        // Take nodes in order of preference from zones without a replica yet
+        for (const nodeId of this._getCandidates(hash)) {
+            if (nodes.length === actualReplicaCount) {
+                break;
+            }
+            if (
+                usedZones.size + unzonedUsed === domainCount &&
+                nodes.length + skipped.length >= actualReplicaCount
+            ) {
+                break;
+            }
+            if (seen.has(nodeId)) {
+                continue;
+            }
+            seen.add(nodeId);
+
+            const zone = this.zones.get(nodeId);
+            if (zone && usedZones.has(zone)) {
+                skipped.push(nodeId);
+                continue;
+            }
+            if (zone) {
+                usedZones.add(zone);
+            } else {
+                unzonedUsed++;
+            }
+            nodes.push(nodeId);
+        }
+
+        // Fewer zones than replicas: reuse zones in order of preference
+        return nodes.concat(
+            skipped.slice(0, actualReplicaCount - nodes.length)
+        );
+    }
+
+    /**
+     * Calculate the hash of a key
+     * @private
+     * @param {string} key - The key to hash
+     * @returns {number} - The hash value
+     */
+    _getHash(key) {
+        return parseInt(
+            crypto.createHash("md5").update(key).digest("hex").substring(0, 8),
+            16
+        );
+    }
+
+    /**
+     * Build the error thrown by methods a strategy does not implement
+     * @private
+     * @param {string} method - Method name
+     * @returns {Error} - The error
+     */
+    _notImplemented(method) {
+        return new Error(
+            `${this.constructor.name} does not implement ${method}`
+        );
+    }
+}
+
+ConsistentHashing.RING_SIZE = RING_SIZE;
+
+module.exports = ConsistentHashing;
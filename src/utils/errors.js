@@ -0,0 +1,67 @@
+/**
+ * Raised when a request names a consistency level that does not exist
+ */
+class InvalidConsistencyLevelError extends Error {
+    /**
+     * @param {string} level - The requested consistency level
+     */
+    constructor(level) {
+        super(
+            `Invalid consistency level "${level}", expected one of: one, quorum, all`
+        );
+        this.name = "InvalidConsistencyLevelError";
+        this.level = level;
+    }
+}
+
+/**
+ * Raised when fewer replicas than required acknowledge a read or write
+ */
+class QuorumNotReachedError extends Error {
+    /**
+     * @param {string} operation - Operation type (read, write)
+     * @param {number} required - Number of replicas required
+     * @param {number} acknowledged - Number of replicas that acknowledged
+     */
+    constructor(operation, required, acknowledged) {
+        super(
+            `Quorum not reached for ${operation}: ${acknowledged} of ${required} required replicas acknowledged`
+        );
+        this.name = "QuorumNotReachedError";
+        this.operation = operation;
+        this.required = required;
+        this.acknowledged = acknowledged;
+    }
+}
+
+/**
+ * Raised when a write passes a causal context token that cannot be decoded
+ */
+class InvalidContextError extends Error {
+    constructor() {
+        super("Invalid causal context token");
+        this.name = "InvalidContextError";
+    }
+}
+
+/**
+ * Raised when a lease is renewed or released after it expired, was released
+ * or was never granted
+ */
+class LockNotHeldError extends Error {
+    /**
+     * @param {string} name - Lock name
+     */
+    constructor(name) {
+        super(`Lease on lock ${name} is not held`);
+        this.name = "LockNotHeldError";
+        this.lockName = name;
+    }
+}
+
+module.exports = {
+    InvalidConsistencyLevelError,
+    QuorumNotReachedError,
+    InvalidContextError,
+    LockNotHeldError,
+};
@@ -0,0 +1,162 @@
+const logger = require("./logger");
+
+/**
+ * Hybrid logical clock. Timestamps follow physical time closely, but never go
+ * backwards and always move past every timestamp the node has observed, so a
+ * write made after reading or receiving a value is ordered after it even when
+ * the wall clocks of the nodes disagree. The node ID breaks remaining ties.
+ *
+ * A timestamp is an object of the form { wallTime, logical, nodeId }.
+ */
+class HybridLogicalClock {
+    /**
+     * @param {string} nodeId - Identifier of the local node
+     * @param {number} maxDrift - Milliseconds a remote clock may be ahead of ours before it is ignored
+     */
+    constructor(
+        nodeId,
+        maxDrift = parseInt(process.env.HLC_MAX_DRIFT || "60000", 10)
+    ) {
+        this.nodeId = nodeId;
+        this.maxDrift = maxDrift;
+        this.wallTime = 0;
+        this.logical = 0;
+    }
+
+    /**
+     * Get a timestamp for a local event, such as a write or a sent message
+     * @returns {Object} - Timestamp
+     */
+    now() {
+        const physicalTime = Date.now();
+
+        if (physicalTime > this.wallTime) {
+            this.wallTime = physicalTime;
+            this.logical = 0;
+        } else {
+            this.logical++;
+        }
+
+        return this._current();
+    }
+
+    /**
+     * Move the clock past a timestamp received from another node
+     * @param {Object} remote - Received timestamp
+     * @returns {Object} - Timestamp of the receive event
+     */
+    update(remote) {
+        const physicalTime = Date.now();
+
+        // A clock far in the future would drag every node along with it
+        if (!remote || remote.wallTime - physicalTime > this.maxDrift) {
+            if (remote) {
+                logger.warn(
+                    `Ignoring clock from node ${remote.nodeId}: ${
+                        remote.wallTime - physicalTime
+                    }ms ahead`
+                );
+            }
+            return this.now();
+        }
+
+        const wallTime = Math.max(this.wallTime, remote.wallTime, physicalTime);
+        if (wallTime === this.wallTime && wallTime === remote.wallTime) {
+            this.logical = Math.max(this.logical, remote.logical) + 1;
+        } else if (wallTime === this.wallTime) {
+            this.logical++;
+        } else if (wallTime === remote.wallTime) {
+            this.logical = remote.logical + 1;
+        } else {
+            this.logical = 0;
+        }
+        this.wallTime = wallTime;
+
+        return this._current();
+    }
+
+    /**
+     * Merge an encoded timestamp received from another node, ignoring missing or malformed ones
+     * @param {string} encoded - Encoded timestamp
+     */
+    observe(encoded) {
+        const remote = HybridLogicalClock.decode(encoded);
+        if (remote) {
+            this.update(remote);
+        }
+    }
+
+    /**
+     * Order two timestamps
+     * @param {Object} a - First timestamp
+     * @param {Object} b - Second timestamp
+     * @returns {number} - Negative if a is older, positive if a is newer, 0 if equal
+     */
+    static compare(a, b) {
+        if (a.wallTime !== b.wallTime) {
+            return a.wallTime - b.wallTime;
+        }
+        if (a.logical !== b.logical) {
+            return a.logical - b.logical;
+        }
+        if (a.nodeId === b.nodeId) {
+            return 0;
+        }
+        return a.nodeId < b.nodeId ? -1 : 1;
+    }
+
+    /**
+     * Encode a timestamp as a string
+     * @param {Object} timestamp - Timestamp
+     * @returns {string} - Encoded timestamp, wallTime:logical:nodeId
+     */
+    static encode(timestamp) {
+        return `${timestamp.wallTime}:${timestamp.logical}:${timestamp.nodeId}`;
+    }
+
+    /**
+     * Decode a string produced by encode
+     * @param {string} encoded - Encoded timestamp
+     * @returns {Object|null} - Timestamp, or null if the string is not a timestamp
+     */
+    static decode(encoded) {
+        if (typeof encoded !== "string") {
+            return null;
+        }
+
+        const match = /^(-?\d+):(\d+):(.*)$/s.exec(encoded);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            wallTime: parseInt(match[1], 10),
+            logical: parseInt(match[2], 10),
+            nodeId: match[3],
+        };
+    }
+
+    /**
+     * Build the timestamp of a value written before hybrid logical clocks were used
+     * @param {number} wallTime - Wall-clock timestamp in milliseconds, -1 if unknown
+     * @returns {Object} - Timestamp ordered before any clock timestamp with the same wall time
+     */
+    static fromWallTime(wallTime) {
+        return { wallTime, logical: 0, nodeId: "" };
+    }
+
+    /**
+     * Copy of the current clock value
+     * @private
+     * @returns {Object} - Timestamp
+     */
+    _current() {
+        return {
+            wallTime: this.wallTime,
+            logical: this.logical,
+            nodeId: this.nodeId,
+        };
+    }
+}
+
+module.exports = HybridLogicalClock;
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+
+class MerkleTree {
+    /**
+     * Build a Merkle tree from its leaf hashes
+     * @param {Array<string>} leaves - Leaf hashes, the count must be a power of two
+     */
+    constructor(leaves) {
+        if (
+            leaves.length === 0 ||
+            (leaves.length & (leaves.length - 1)) !== 0
+        ) {
+            throw new Error(
+                `Merkle tree needs a power of two leaves, got ${leaves.length}`
+            );
+        }
+
+        // levels[0] holds the leaves, the last level holds the root
+        this.levels = [leaves.slice()];
+        while (this.levels[this.levels.length - 1].length > 1) {
+            const below = this.levels[this.levels.length - 1];
+            const level = [];
+            for (let i = 0; i < below.length; i += 2) {
+                level.push(MerkleTree.hash(below[i] + below[i + 1]));
+            }
+            this.levels.push(level);
+        }
+    }
+
+    /**
+     * Build a tree whose leaves summarize buckets of key/version pairs
+     * @param {Array<Map<string, string>>} buckets - One map of key to version per leaf
+     * @returns {MerkleTree} - The tree
+     */
+    static fromBuckets(buckets) {
+        return new MerkleTree(
+            buckets.map((bucket) => MerkleTree.hashBucket(bucket))
+        );
+    }
+
+    /**
+     * Hash the content of a leaf bucket, independently of insertion order
+     * @param {Map<string, string>} bucket - Map of key to version
+     * @returns {string} - Leaf hash
+     */
+    static hashBucket(bucket) {
+        const entries = Array.from(bucket.entries())
+            .map(([key, version]) => `${key}\u0000${version}`)
+            .sort();
+        return MerkleTree.hash(entries.join("\n"));
+    }
+
+    /**
+     * Hash a string
+     * @param {string} data - Data to hash
+     * @returns {string} - Hex digest
+     */
+    static hash(data) {
+        return crypto.createHash("md5").update(data).digest("hex");
+    }
+
+    /**
+     * Get the root hash
+     * @returns {string} - Root hash
+     */
+    get root() {
+        return this.levels[this.levels.length - 1][0];
+    }
+
+    /**
+     * Get the leaf hashes
+     * @returns {Array<string>} - Leaf hashes
+     */
+    get leaves() {
+        return this.levels[0];
+    }
+
+    /**
+     * Find the leaves that differ from another tree of the same size,
+     * descending only into subtrees whose hashes differ
+     * @param {MerkleTree} other - Tree to compare with
+     * @returns {Array<number>} - Indexes of the differing leaves
+     */
+    diff(other) {
+        if (other.leaves.length !== this.leaves.length) {
+            throw new Error("Cannot compare Merkle trees of different sizes");
+        }
+
+        const differing = [];
+        const visit = (depth, index) => {
+            if (this.levels[depth][index] === other.levels[depth][index]) {
+                return;
+            }
+            if (depth === 0) {
+                differing.push(index);
+                return;
+            }
+            visit(depth - 1, index * 2);
+            visit(depth - 1, index * 2 + 1);
+        };
+
+        visit(this.levels.length - 1, 0);
+        return differing;
+    }
+}
+
+module.exports = MerkleTree;
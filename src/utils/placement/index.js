@@ -0,0 +1,42 @@
+const TokenRing = require("./tokenRing");
+const RendezvousHashing = require("./rendezvousHashing");
+const JumpHashing = require("./jumpHashing");
+
+const STRATEGIES = {
+    ring: TokenRing,
+    rendezvous: RendezvousHashing,
+    jump: JumpHashing,
+};
+
+/**
+ * Create the placement strategy named by PLACEMENT_STRATEGY. Every node of a
+ * cluster must use the same strategy and settings.
+ * @param {string} name - Strategy name, one of the keys of STRATEGIES
+ * @returns {ConsistentHashing} - An empty placement
+ */
+function createPlacementStrategy(
+    name = process.env.PLACEMENT_STRATEGY || "ring"
+) {
+    const Strategy = STRATEGIES[name.toLowerCase()];
+    if (!Strategy) {
+        throw new Error(
+            `Unknown placement strategy ${name}, expected one of ${Object.keys(
+                STRATEGIES
+            ).join(", ")}`
+        );
+    }
+
+    if (Strategy === TokenRing) {
+        return new TokenRing(
+            parseInt(process.env.PLACEMENT_VIRTUAL_NODES || "100", 10)
+        );
+    }
+    return new Strategy(
+        parseInt(process.env.PLACEMENT_PARTITIONS || "4096", 10)
+    );
+}
+
+module.exports = {
+    STRATEGIES,
+    createPlacementStrategy,
+};
@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const PartitionedHashing = require("./partitionedHashing");
+
+// Multiplier of the linear congruential generator of jump consistent hash
+const JUMP_MULTIPLIER = 2862933555777941757n;
+const UINT64_MASK = 2n ** 64n - 1n;
+
+/**
+ * Jump consistent hash (Lamping and Veach) over a list of buckets: a
+ * partition lands in one bucket, and its other replicas in the buckets that
+ * follow. Nodes get one bucket per unit of weight, rounded, and the buckets
+ * are ordered by node ID in natural order. Jump hash moves the fewest
+ * partitions when buckets are added or removed at the end of the list, so it
+ * suits clusters that grow and shrink by their highest node IDs, such as
+ * the pods of a Kubernetes StatefulSet.
+ */
+class JumpHashing extends PartitionedHashing {
+    /**
+     * @param {number} partitions - Number of partitions of the hash space
+     */
+    constructor(partitions = 4096) {
+        super(partitions);
+        this.strategy = "jump";
+        this.buckets = null;
+    }
+
+    /**
+     * Get the share of the keyspace each node should own given its buckets
+     * @returns {Object} - Map of nodeId to a fraction between 0 and 1
+     */
+    getExpectedOwnership() {
+        const buckets = this._getBuckets();
+        const ownership = {};
+        for (const nodeId of buckets) {
+            ownership[nodeId] = (ownership[nodeId] || 0) + 1 / buckets.length;
+        }
+        return ownership;
+    }
+
+    /**
+     * Order the buckets from the one a partition jumps to
+     * @protected
+     * @param {number} partition - Partition index
+     * @returns {Array<string>} - Node IDs, repeated for nodes with several buckets
+     */
+    _orderNodes(partition) {
+        const buckets = this._getBuckets();
+        const first = this._jump(this._getKey(partition), buckets.length);
+        return buckets.map(
+            (nodeId, index) => buckets[(first + index) % buckets.length]
+        );
+    }
+
+    /**
+     * Forget the buckets and orders computed for the previous set of nodes
+     * @protected
+     */
+    _reset() {
+        super._reset();
+        this.buckets = null;
+    }
+
+    /**
+     * Get the bucket list, one entry per bucket
+     * @private
+     * @returns {Array<string>} - Node IDs
+     */
+    _getBuckets() {
+        if (!this.buckets) {
+            this.buckets = [];
+            const nodeIds = Array.from(this.weights.keys()).sort((a, b) =>
+                a.localeCompare(b, undefined, { numeric: true })
+            );
+            for (const nodeId of nodeIds) {
+                const count = Math.max(1, Math.round(this.weights.get(nodeId)));
+                for (let i = 0; i < count; i++) {
+                    this.buckets.push(nodeId);
+                }
+            }
+        }
+        return this.buckets;
+    }
+
+    /**
+     * Get the 64-bit key jump hash uses for a partition
+     * @private
+     * @param {number} partition - Partition index
+     * @returns {bigint} - Key
+     */
+    _getKey(partition) {
+        const digest = crypto
+            .createHash("md5")
+            .update(String(partition))
+            .digest("hex");
+        return BigInt(`0x${digest.substring(0, 16)}`);
+    }
+
+    /**
+     * Map a key to one of a number of buckets
+     * @private
+     * @param {bigint} key - 64-bit key
+     * @param {number} bucketCount - Number of buckets
+     * @returns {number} - Bucket index
+     */
+    _jump(key, bucketCount) {
+        let bucket = -1;
+        let next = 0;
+        while (next < bucketCount) {
+            bucket = next;
+            key = (key * JUMP_MULTIPLIER + 1n) & UINT64_MASK;
+            next = Math.floor(
+                ((bucket + 1) * 2 ** 31) / (Number(key >> 33n) + 1)
+            );
+        }
+        return bucket;
+    }
+}
+
+module.exports = JumpHashing;
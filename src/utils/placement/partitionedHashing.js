@@ -0,0 +1,122 @@
+const ConsistentHashing = require("../consistentHashing");
+
+/**
+ * Base of the strategies that split the hash space into a fixed number of
+ * equal partitions and place each partition as a whole. Placement only
+ * changes at partition boundaries, and a partition is a key for the hash
+ * functions that have no notion of a ring.
+ */
+class PartitionedHashing extends ConsistentHashing {
+    /**
+     * @param {number} partitions - Number of partitions of the hash space
+     */
+    constructor(partitions = 4096) {
+        super();
+        if (!Number.isInteger(partitions) || partitions < 1) {
+            throw new Error(
+                `Invalid number of partitions ${partitions}, expected a positive integer`
+            );
+        }
+
+        this.partitions = partitions;
+
+        // Partition p covers the hashes h with floor(h * partitions / RING_SIZE) === p
+        this.boundaries = [];
+        for (let partition = 0; partition < partitions; partition++) {
+            this.boundaries.push(
+                Math.ceil(
+                    ((partition + 1) * ConsistentHashing.RING_SIZE) / partitions
+                ) - 1
+            );
+        }
+
+        // Order of preference of the nodes for each partition, computed on first use
+        this.orders = new Map();
+    }
+
+    /**
+     * Add a node
+     * @param {string} nodeId - The node identifier
+     * @param {number} weight - Relative capacity of the node, its share of the partitions scales with it
+     * @param {string|null} zone - Failure domain of the node, replicas are spread across zones
+     */
+    addNode(nodeId, weight = 1, zone = null) {
+        this.weights.set(nodeId, weight);
+        this.zones.set(nodeId, zone);
+        this._reset();
+        return true;
+    }
+
+    /**
+     * Remove a node
+     * @param {string} nodeId - The node identifier
+     */
+    removeNode(nodeId) {
+        this.weights.delete(nodeId);
+        this.zones.delete(nodeId);
+        this._reset();
+        return true;
+    }
+
+    /**
+     * Describe the strategy and its settings
+     * @returns {Object} - { strategy, partitions }
+     */
+    getSettings() {
+        return { strategy: this.strategy, partitions: this.partitions };
+    }
+
+    /**
+     * Get the last position of every partition, sorted
+     * @protected
+     * @returns {Array<number>} - Partition boundaries
+     */
+    _getBoundaries() {
+        return this.boundaries;
+    }
+
+    /**
+     * Get the order of preference of the nodes for the partition of a position
+     * @protected
+     * @param {number} hash - Position on the ring
+     * @returns {Iterable<string>} - Node IDs
+     */
+    _getCandidates(hash) {
+        const partition = Math.floor(
+            (hash * this.partitions) / ConsistentHashing.RING_SIZE
+        );
+        if (!this.orders.has(partition)) {
+            this.orders.set(partition, this._orderNodes(partition));
+        }
+        return this.orders.get(partition);
+    }
+
+    /**
+     * Order the nodes by preference for a partition
+     * @protected
+     * @param {number} partition - Partition index
+     * @returns {Array<string>} - Node IDs
+     */
+    _orderNodes(partition) {
+        throw this._notImplemented("_orderNodes");
+    }
+
+    /**
+     * Create an empty placement with the same number of partitions
+     * @protected
+     * @returns {PartitionedHashing} - The empty placement
+     */
+    _createEmpty() {
+        return new this.constructor(this.partitions);
+    }
+
+    /**
+     * Forget what was computed for the previous set of nodes
+     * @protected
+     */
+    _reset() {
+        this.orders.clear();
+    }
+}
+
+module.exports = PartitionedHashing;
@@ -0,0 +1,51 @@
+const ConsistentHashing = require("../consistentHashing");
+const PartitionedHashing = require("./partitionedHashing");
+
+/**
+ * Rendezvous (highest random weight) hashing: every node draws a score for
+ * each partition and the highest scores hold it. Adding or removing a node
+ * only moves the partitions it wins or held.
+ */
+class RendezvousHashing extends PartitionedHashing {
+    /**
+     * @param {number} partitions - Number of partitions of the hash space
+     */
+    constructor(partitions = 4096) {
+        super(partitions);
+        this.strategy = "rendezvous";
+    }
+
+    /**
+     * Order the nodes by their score for a partition, highest first
+     * @protected
+     * @param {number} partition - Partition index
+     * @returns {Array<string>} - Node IDs
+     */
+    _orderNodes(partition) {
+        return Array.from(this.weights, ([nodeId, weight]) => ({
+            nodeId,
+            score: this._getScore(partition, nodeId, weight),
+        }))
+            .sort((a, b) => b.score - a.score || (a.nodeId < b.nodeId ? -1 : 1))
+            .map(({ nodeId }) => nodeId);
+    }
+
+    /**
+     * Score a node for a partition. Weighted rendezvous hashing scores
+     * -weight / ln(u) for a uniform u in (0, 1), so a node wins a share of
+     * the partitions proportional to its weight.
+     * @private
+     * @param {number} partition - Partition index
+     * @param {string} nodeId - The node identifier
+     * @param {number} weight - Weight of the node
+     * @returns {number} - Score
+     */
+    _getScore(partition, nodeId, weight) {
+        const u =
+            (this._getHash(`${partition}:${nodeId}`) + 0.5) /
+            ConsistentHashing.RING_SIZE;
+        return -weight / Math.log(u);
+    }
+}
+
+module.exports = RendezvousHashing;
@@ -0,0 +1,157 @@
+const ConsistentHashing = require("../consistentHashing");
+
+/**
+ * Classic consistent hashing: every node places virtual-node tokens on the
+ * ring, and a position belongs to the first tokens clockwise from it. The
+ * tokens of a node are numbered, so when its weight changes it keeps the
+ * tokens it already had and only the difference changes hands.
+ */
+class TokenRing extends ConsistentHashing {
+    /**
+     * @param {number} replicas - Virtual nodes of a node with weight 1
+     */
+    constructor(replicas = 100) {
+        super();
+        this.strategy = "ring";
+        this.nodes = new Map();
+        this.keys = [];
+        this.replicas = replicas;
+    }
+
+    /**
+     * Add a node to the hash ring
+     * @param {string} nodeId - The node identifier
+     * @param {number} weight - Relative capacity of the node, its number of virtual nodes scales with it
+     * @param {string|null} zone - Failure domain of the node, replicas are spread across zones
+     */
+    addNode(nodeId, weight = 1, zone = null) {
+        this.weights.set(nodeId, weight);
+        this.zones.set(nodeId, zone);
+        for (let i = 0; i < this._getTokenCount(weight); i++) {
+            const hash = this._getHash(`${nodeId}:${i}`);
+            this.nodes.set(hash, nodeId);
+            this.keys.push(hash);
+        }
+
+        // Sort the keys
+        this.keys.sort((a, b) => a - b);
+        return true;
+    }
+
+    /**
+     * Remove a node from the hash ring
+     * @param {string} nodeId - The node identifier
+     */
+    removeNode(nodeId) {
+        const weight = this.weights.has(nodeId) ? this.weights.get(nodeId) : 1;
+        this.weights.delete(nodeId);
+        this.zones.delete(nodeId);
+
+        for (let i = 0; i < this._getTokenCount(weight); i++) {
+            const hash = this._getHash(`${nodeId}:${i}`);
+            this.nodes.delete(hash);
+
+            const index = this.keys.indexOf(hash);
+            if (index !== -1) {
+                this.keys.splice(index, 1);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Describe the strategy and its settings
+     * @returns {Object} - { strategy, virtualNodes }
+     */
+    getSettings() {
+        return { strategy: this.strategy, virtualNodes: this.replicas };
+    }
+
+    /**
+     * Get the virtual-node tokens of the ring in ring order
+     * @returns {Array<Object>} - Tokens of the form { token, nodeId }
+     */
+    getTokens() {
+        return this.keys.map((token) => ({
+            token,
+            nodeId: this.nodes.get(token),
+        }));
+    }
+
+    /**
+     * Create an independent copy of the hash ring
+     * @returns {TokenRing} - The copy
+     */
+    clone() {
+        const copy = super.clone();
+        copy.nodes = new Map(this.nodes);
+        copy.keys = this.keys.slice();
+        return copy;
+    }
+
+    /**
+     * Get the positions of the tokens, sorted
+     * @protected
+     * @returns {Array<number>} - Token positions
+     */
+    _getBoundaries() {
+        return this.keys;
+    }
+
+    /**
+     * Walk the ring clockwise from a position
+     * @protected
+     * @param {number} hash - Position on the ring
+     * @returns {Iterable<string>} - Owners of the tokens met on the way
+     */
+    *_getCandidates(hash) {
+        const startIndex = this._findTokenIndex(hash);
+        for (let step = 0; step < this.keys.length; step++) {
+            yield this.nodes.get(
+                this.keys[(startIndex + step) % this.keys.length]
+            );
+        }
+    }
+
+    /**
+     * Create an empty ring with the same number of virtual nodes
+     * @protected
+     * @returns {TokenRing} - The empty ring
+     */
+    _createEmpty() {
+        return new TokenRing(this.replicas);
+    }
+
+    /**
+     * Find the first token at or after a position, wrapping around to the
+     * first token of the ring
+     * @private
+     * @param {number} hash - Position on the ring
+     * @returns {number} - Index in this.keys
+     */
+    _findTokenIndex(hash) {
+        let low = 0;
+        let high = this.keys.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (this.keys[middle] < hash) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low === this.keys.length ? 0 : low;
+    }
+
+    /**
+     * Get the number of virtual nodes of a node
+     * @private
+     * @param {number} weight - Weight of the node
+     * @returns {number} - Number of virtual nodes, at least one
+     */
+    _getTokenCount(weight) {
+        return Math.max(1, Math.round(this.replicas * weight));
+    }
+}
+
+module.exports = TokenRing;
@@ -0,0 +1,163 @@
+const HybridLogicalClock = require("./hybridLogicalClock");
+
+/**
+ * Vector clock with one entry per node that wrote a value. Each entry holds
+ * the hybrid logical clock timestamp of that node's latest write, so entries
+ * keep growing across restarts without a persisted counter.
+ */
+class VectorClock {
+    /**
+     * @param {Object} entries - Map of nodeId to encoded clock timestamp
+     */
+    constructor(entries = {}) {
+        this.entries = { ...entries };
+    }
+
+    /**
+     * Record a write made by a node
+     * @param {string} nodeId - Node making the write
+     * @param {Object} timestamp - Hybrid logical clock timestamp of the write
+     * @returns {VectorClock} - New clock that descends from this one
+     */
+    increment(nodeId, timestamp) {
+        return new VectorClock({
+            ...this.entries,
+            [nodeId]: HybridLogicalClock.encode(timestamp),
+        });
+    }
+
+    /**
+     * Combine two clocks, keeping the latest entry of every node
+     * @param {VectorClock} other - Clock to merge
+     * @returns {VectorClock} - Clock that descends from both
+     */
+    merge(other) {
+        const entries = { ...this.entries };
+        for (const [nodeId, entry] of Object.entries(other.entries)) {
+            if (
+                !entries[nodeId] ||
+                VectorClock._compareEntries(entry, entries[nodeId]) > 0
+            ) {
+                entries[nodeId] = entry;
+            }
+        }
+        return new VectorClock(entries);
+    }
+
+    /**
+     * Find the causal order of two clocks
+     * @param {VectorClock} other - Clock to compare with
+     * @returns {string} - One of VectorClock.BEFORE, AFTER, EQUAL or CONCURRENT
+     */
+    compare(other) {
+        let newer = false;
+        let older = false;
+
+        const nodeIds = new Set([
+            ...Object.keys(this.entries),
+            ...Object.keys(other.entries),
+        ]);
+        for (const nodeId of nodeIds) {
+            const order = VectorClock._compareEntries(
+                this.entries[nodeId],
+                other.entries[nodeId]
+            );
+            if (order > 0) {
+                newer = true;
+            } else if (order < 0) {
+                older = true;
+            }
+        }
+
+        if (newer && older) {
+            return VectorClock.CONCURRENT;
+        }
+        if (newer) {
+            return VectorClock.AFTER;
+        }
+        return older ? VectorClock.BEFORE : VectorClock.EQUAL;
+    }
+
+    /**
+     * Encode the clock as JSON with sorted node IDs, identical for equal clocks
+     * @returns {string} - Encoded clock
+     */
+    toString() {
+        const sorted = {};
+        for (const nodeId of Object.keys(this.entries).sort()) {
+            sorted[nodeId] = this.entries[nodeId];
+        }
+        return JSON.stringify(sorted);
+    }
+
+    /**
+     * Get the entries for JSON serialization
+     * @returns {Object} - Map of nodeId to encoded clock timestamp
+     */
+    toJSON() {
+        return this.entries;
+    }
+
+    /**
+     * Build the causal context token handed to clients, covering every sibling they read
+     * @param {Array<VectorClock>} clocks - Clocks of the siblings
+     * @returns {string} - Base64 token
+     */
+    static encodeContext(clocks) {
+        const merged = clocks.reduce(
+            (result, clock) => result.merge(clock),
+            new VectorClock()
+        );
+        return Buffer.from(JSON.stringify(merged.entries)).toString("base64");
+    }
+
+    /**
+     * Read a causal context token produced by encodeContext
+     * @param {string} token - Base64 token
+     * @returns {VectorClock|null} - The clock, or null if the token is malformed
+     */
+    static decodeContext(token) {
+        try {
+            const entries = JSON.parse(
+                Buffer.from(token, "base64").toString("utf8")
+            );
+            if (
+                !entries ||
+                typeof entries !== "object" ||
+                Array.isArray(entries) ||
+                !Object.values(entries).every((entry) =>
+                    HybridLogicalClock.decode(entry)
+                )
+            ) {
+                return null;
+            }
+            return new VectorClock(entries);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Order two entries of the same node, a missing entry is the oldest
+     * @private
+     * @param {string|undefined} a - First encoded timestamp
+     * @param {string|undefined} b - Second encoded timestamp
+     * @returns {number} - Negative if a is older, positive if a is newer, 0 if equal
+     */
+    static _compareEntries(a, b) {
+        if (!a || !b) {
+            return (a ? 1 : 0) - (b ? 1 : 0);
+        }
+        return HybridLogicalClock.compare(
+            HybridLogicalClock.decode(a),
+            HybridLogicalClock.decode(b)
+        );
+    }
+}
+
+VectorClock.BEFORE = "before";
+VectorClock.AFTER = "after";
+VectorClock.EQUAL = "equal";
+VectorClock.CONCURRENT = "concurrent";
+
+module.exports = VectorClock;
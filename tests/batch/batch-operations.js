@@ -0,0 +1,162 @@
+const axios = require("axios");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const KEY_COUNT = parseInt(process.env.BATCH_KEY_COUNT || "20", 10);
+const TEST_PREFIX = "batch-test-" + Date.now();
+const TEST_KEYS = Array.from(
+    { length: KEY_COUNT },
+    (_, i) => `${TEST_PREFIX}-${i}`
+);
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        await batchDelete(TEST_KEYS).catch(() => {});
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to set several cache values at once
+async function batchSet(entries) {
+    try {
+        const response = await axios.post(`${BASE_URL}/cache/mset`, {
+            entries,
+        });
+        console.log(
+            `✅ Batch Set: status ${response.status}, failed ${response.data.failed}`
+        );
+        return response.data;
+    } catch (error) {
+        console.error(
+            "❌ Error in batch set:",
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Function to get several cache values at once
+async function batchGet(keys) {
+    try {
+        const response = await axios.post(`${BASE_URL}/cache/mget`, { keys });
+        console.log(
+            `✅ Batch Get: status ${response.status}, failed ${response.data.failed}`
+        );
+        return response.data;
+    } catch (error) {
+        console.error(
+            "❌ Error in batch get:",
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Function to delete several cache values at once
+async function batchDelete(keys) {
+    try {
+        const response = await axios.post(`${BASE_URL}/cache/mdel`, { keys });
+        console.log(
+            `✅ Batch Delete: status ${response.status}, failed ${response.data.failed}`
+        );
+        return response.data;
+    } catch (error) {
+        console.error(
+            "❌ Error in batch delete:",
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Run batch operation tests
+async function runBatchTests() {
+    console.log("🚀 Starting Batch Operation Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(
+        `Test keys: ${TEST_PREFIX}-0 .. ${TEST_PREFIX}-${KEY_COUNT - 1}`
+    );
+
+    try {
+        // Test 1: Set all keys in one request
+        console.log(`\n📝 Test 1: Setting ${KEY_COUNT} keys in one request`);
+        const setResult = await batchSet(
+            TEST_KEYS.map((key, i) => ({
+                key,
+                value: { index: i, label: `value-${i}` },
+                ttl: 3600,
+            }))
+        );
+        if (setResult.failed !== 0) {
+            throw new Error(`${setResult.failed} keys failed to store`);
+        }
+
+        // Test 2: Get all keys plus one that does not exist
+        console.log("\n📝 Test 2: Getting all keys plus a missing key");
+        const missingKey = `${TEST_PREFIX}-missing`;
+        const getResult = await batchGet([...TEST_KEYS, missingKey]);
+
+        const mismatches = getResult.results.filter(
+            (result, i) =>
+                i < KEY_COUNT && (!result.found || result.value.index !== i)
+        );
+        if (mismatches.length > 0) {
+            console.error("❌ Mismatched results:", mismatches);
+            throw new Error(`${mismatches.length} keys returned wrong values`);
+        }
+        console.log("✅ All stored values verified!");
+
+        const missingResult = getResult.results[KEY_COUNT];
+        if (missingResult.key !== missingKey || missingResult.found) {
+            throw new Error("Missing key should be reported as not found");
+        }
+        console.log("✅ Missing key reported as not found!");
+
+        // Test 3: Invalid requests are rejected
+        console.log("\n📝 Test 3: Verifying invalid batches are rejected");
+        try {
+            await axios.post(`${BASE_URL}/cache/mget`, { keys: [] });
+            throw new Error("Empty batch should be rejected");
+        } catch (error) {
+            if (error.response?.status !== 400) {
+                throw error;
+            }
+            console.log("✅ Empty batch rejected with 400");
+        }
+
+        // Test 4: Delete all keys in one request
+        console.log(`\n📝 Test 4: Deleting ${KEY_COUNT} keys in one request`);
+        const deleteResult = await batchDelete(TEST_KEYS);
+        if (deleteResult.failed !== 0) {
+            throw new Error(`${deleteResult.failed} keys failed to delete`);
+        }
+
+        // Test 5: Verify deletion
+        console.log("\n📝 Test 5: Verifying deletion");
+        const afterDelete = await batchGet(TEST_KEYS);
+        const remaining = afterDelete.results.filter((result) => result.found);
+        if (remaining.length > 0) {
+            throw new Error(
+                `${remaining.length} keys still exist after delete`
+            );
+        }
+        console.log("✅ All keys successfully deleted!");
+
+        console.log("\n🎉 All batch operation tests completed successfully!");
+    } catch (error) {
+        console.error("❌ Tests failed:", error.message);
+
+        // Attempt cleanup even if tests fail
+        await batchDelete(TEST_KEYS).catch(() => {});
+
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runBatchTests();
@@ -0,0 +1,134 @@
+const axios = require("axios");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+// Highest load any node may carry, as a multiple of the share it is entitled to
+const MAX_LOAD = parseFloat(process.env.BALANCE_MAX_LOAD || "1.5");
+
+// Function to check a number is within rounding of the expected one
+function isClose(actual, expected) {
+    return Math.abs(actual - expected) < 0.001;
+}
+
+// Function to check one part of the balance report against the ring
+function checkReport(name, report, ringNodes) {
+    const nodes = Object.keys(report.nodes).sort();
+    if (JSON.stringify(nodes) !== JSON.stringify(ringNodes)) {
+        throw new Error(
+            `${name} report lists ${nodes.join(
+                ", "
+            )}, ring holds ${ringNodes.join(", ")}`
+        );
+    }
+
+    const loads = [];
+    let totalShare = 0;
+    let totalExpected = 0;
+    for (const [nodeId, node] of Object.entries(report.nodes)) {
+        console.log(
+            `${name} ${nodeId}: share ${node.share.toFixed(
+                3
+            )} of ${node.expectedShare.toFixed(3)}, load ${node.load.toFixed(
+                3
+            )}`
+        );
+        if (!isClose(node.load, node.share / node.expectedShare)) {
+            throw new Error(`${name} load of ${nodeId} is not share/expected`);
+        }
+        loads.push(node.load);
+        totalShare += node.share;
+        totalExpected += node.expectedShare;
+    }
+    if (!isClose(totalShare, 1) || !isClose(totalExpected, 1)) {
+        throw new Error(`${name} shares do not add up to the whole keyspace`);
+    }
+
+    const mean = loads.reduce((sum, load) => sum + load, 0) / loads.length;
+    const deviation = Math.sqrt(
+        loads.reduce((sum, load) => sum + (load - mean) ** 2, 0) / loads.length
+    );
+    if (
+        !isClose(report.mean, mean) ||
+        !isClose(report.standardDeviation, deviation) ||
+        !isClose(report.min, Math.min(...loads)) ||
+        !isClose(report.max, Math.max(...loads))
+    ) {
+        throw new Error(`${name} statistics do not match the node loads`);
+    }
+    console.log(
+        `${name}: mean ${report.mean.toFixed(
+            3
+        )}, standard deviation ${report.standardDeviation.toFixed(3)}`
+    );
+}
+
+// Run balance report tests
+async function runBalanceTests() {
+    console.log("🚀 Starting Balance Report Tests...");
+    console.log("Using base URL:", BASE_URL);
+
+    try {
+        // Test 1: The report follows the ring's strategy and replica factor
+        console.log("\n📝 Test 1: Getting the balance report");
+        const balance = (await axios.get(`${BASE_URL}/cluster/balance`)).data;
+        const ring = (await axios.get(`${BASE_URL}/cluster/ring`)).data;
+        console.log(
+            `Strategy ${balance.strategy}, replica factor ${balance.replicaFactor}`
+        );
+        if (
+            balance.strategy !== ring.strategy ||
+            balance.replicaFactor !== ring.replicaFactor
+        ) {
+            throw new Error("Balance report does not describe the ring");
+        }
+        if (
+            balance.primary.replicaCount !== 1 ||
+            balance.replicas.replicaCount !== balance.replicaFactor
+        ) {
+            throw new Error("Unexpected replica counts in the report");
+        }
+        console.log("✅ Report matches the ring!");
+
+        // Test 2: Shares, loads and statistics are consistent
+        console.log("\n📝 Test 2: Checking the primary and replica loads");
+        const ringNodes = Object.keys(ring.nodes).sort();
+        checkReport("Primary", balance.primary, ringNodes);
+        checkReport("Replicas", balance.replicas, ringNodes);
+        for (const nodeId of ringNodes) {
+            if (
+                !isClose(
+                    balance.primary.nodes[nodeId].share,
+                    ring.nodes[nodeId].share
+                )
+            ) {
+                throw new Error(
+                    `Primary share of ${nodeId} differs from /cluster/ring`
+                );
+            }
+        }
+        console.log("✅ Loads and statistics are consistent!");
+
+        // Test 3: No node carries far more than its share
+        console.log(`\n📝 Test 3: Checking no load exceeds ${MAX_LOAD}`);
+        if (balance.primary.max > MAX_LOAD || balance.replicas.max > MAX_LOAD) {
+            throw new Error(
+                `Load up to ${Math.max(
+                    balance.primary.max,
+                    balance.replicas.max
+                ).toFixed(3)} with the ${balance.strategy} strategy`
+            );
+        }
+        console.log("✅ Keyspace spread within bounds!");
+
+        console.log("\n🎉 All balance report tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runBalanceTests();
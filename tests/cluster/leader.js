@@ -0,0 +1,161 @@
+const axios = require("axios");
+const { exec } = require("child_process");
+
+// Configuration
+const NODE_URLS = [
+    process.env.NODE1_URL || "http://localhost:3000",
+    process.env.NODE2_URL || "http://localhost:3001",
+    process.env.NODE3_URL || "http://localhost:3002",
+];
+// Docker Compose services running the nodes above, in the same order
+const SERVICES = ["cache-service1", "cache-service2", "cache-service3"];
+const ELECTION_WAIT = parseInt(process.env.LEADER_ELECTION_WAIT || "60", 10);
+
+// Track node state for proper cleanup
+let stoppedService = null;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        await cleanup();
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to execute shell commands
+function executeCommand(command) {
+    return new Promise((resolve, reject) => {
+        console.log(`Executing: ${command}`);
+        exec(command, (error, stdout) => {
+            if (error) {
+                console.error(`Error executing command: ${error.message}`);
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Function to get the leader each node reports
+async function getLeaders(nodeUrls) {
+    const leaders = [];
+    for (const nodeUrl of nodeUrls) {
+        const response = await axios.get(`${nodeUrl}/cluster/leader`);
+        leaders.push(response.data);
+    }
+    return leaders;
+}
+
+// Function to check the nodes agree on a leader that is one of them
+function agreeOnLeader(leaders) {
+    const names = new Set(leaders.map((status) => status.leader));
+    const leading = leaders.filter((status) => status.isLeader);
+    return (
+        names.size === 1 &&
+        leading.length === 1 &&
+        leading[0].nodeId === leaders[0].leader
+    );
+}
+
+// Function to wait until the nodes agree on a leader
+async function waitForLeader(nodeUrls) {
+    let leaders = [];
+    for (let i = 0; i < ELECTION_WAIT; i++) {
+        leaders = await getLeaders(nodeUrls).catch(() => []);
+        if (leaders.length === nodeUrls.length && agreeOnLeader(leaders)) {
+            return leaders[0].leader;
+        }
+        await wait(1);
+    }
+    throw new Error(
+        `No leader agreed on after ${ELECTION_WAIT}s: ${JSON.stringify(
+            leaders
+        )}`
+    );
+}
+
+// Function to read the leader gauge of a node
+async function getLeaderGauge(nodeUrl) {
+    const response = await axios.get(`${nodeUrl}/metrics`);
+    const match = response.data.match(/^redis_cache_is_leader\{.*\} (\d+)/m);
+    if (!match) {
+        throw new Error(`${nodeUrl} does not export redis_cache_is_leader`);
+    }
+    return parseInt(match[1], 10);
+}
+
+// Restart the stopped leader and wait until every node agrees again
+async function cleanup() {
+    if (stoppedService) {
+        await executeCommand(`docker-compose start ${stoppedService}`);
+        stoppedService = null;
+        await waitForLeader(NODE_URLS);
+    }
+}
+
+// Run leader election tests
+async function runLeaderTests() {
+    console.log("🚀 Starting Leader Election Tests...");
+    console.log("Using nodes:", NODE_URLS.join(", "));
+
+    try {
+        // Test 1: Every node agrees on a single leader
+        console.log("\n📝 Test 1: Getting the leader from every node");
+        const leader = await waitForLeader(NODE_URLS);
+        for (const status of await getLeaders(NODE_URLS)) {
+            console.log(
+                `${status.nodeId}: leader ${status.leader}, is leader ${status.isLeader}`
+            );
+        }
+        console.log(`✅ Every node agrees ${leader} is the leader!`);
+
+        // Test 2: Only the leader reports itself in the leader gauge
+        console.log("\n📝 Test 2: Checking redis_cache_is_leader");
+        let gauges = 0;
+        for (const nodeUrl of NODE_URLS) {
+            gauges += await getLeaderGauge(nodeUrl);
+        }
+        if (gauges !== 1) {
+            throw new Error(`${gauges} nodes report being the leader`);
+        }
+        console.log("✅ Exactly one node reports being the leader!");
+
+        // Test 3: Another node takes over when the leader stops
+        const leaderIndex = (await getLeaders(NODE_URLS)).findIndex(
+            (status) => status.isLeader
+        );
+        const followers = NODE_URLS.filter((_, i) => i !== leaderIndex);
+        console.log(`\n📝 Test 3: Stopping the leader ${leader}`);
+        await executeCommand(`docker-compose stop ${SERVICES[leaderIndex]}`);
+        stoppedService = SERVICES[leaderIndex];
+
+        const newLeader = await waitForLeader(followers);
+        if (newLeader === leader) {
+            throw new Error(`${leader} is still reported as the leader`);
+        }
+        console.log(`✅ ${newLeader} took over the leadership!`);
+
+        await cleanup();
+        console.log("\n🎉 All leader election tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await cleanup().catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runLeaderTests();
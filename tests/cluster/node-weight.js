@@ -0,0 +1,143 @@
+const axios = require("axios");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const WEIGHTED_URL = process.env.NODE3_URL || "http://localhost:3002";
+const TEST_WEIGHT = 2;
+
+// Track node state for proper cleanup
+let weightChanged = false;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await restoreWeight().catch(() => {});
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Function to change the weight of the weighted node
+async function setWeight(weight) {
+    const response = await axios.put(`${WEIGHTED_URL}/admin/weight`, {
+        weight,
+    });
+    return response.data;
+}
+
+// Function to wait until the base node's ring gives a node the expected weight
+async function waitForWeight(nodeId, weight) {
+    let ring = null;
+    for (let i = 0; i < 30; i++) {
+        ring = (await axios.get(`${BASE_URL}/cluster/ring`)).data;
+        if (ring.nodes[nodeId] && ring.nodes[nodeId].weight === weight) {
+            return ring;
+        }
+        await wait(1);
+    }
+    throw new Error(`${nodeId} did not reach weight ${weight} in the ring`);
+}
+
+// Function to compute the share a node should own for the ring's weights
+function weightedShare(ring, nodeId) {
+    const nodes = Object.values(ring.nodes);
+    const total = nodes.reduce((sum, node) => sum + node.weight, 0);
+    return ring.nodes[nodeId].weight / total;
+}
+
+// Put the weighted node back to the default weight
+async function restoreWeight() {
+    if (weightChanged) {
+        const { nodeId } = await setWeight(1);
+        weightChanged = false;
+        await waitForWeight(nodeId, 1);
+    }
+}
+
+// Run node weight tests
+async function runNodeWeightTests() {
+    console.log("🚀 Starting Node Weight Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(`Weighting the node at ${WEIGHTED_URL}`);
+
+    try {
+        // Test 1: Weights that are not positive numbers are rejected
+        console.log("\n📝 Test 1: Setting invalid weights");
+        for (const weight of [0, -1, "heavy"]) {
+            try {
+                await setWeight(weight);
+                throw new Error(`Weight ${weight} was accepted`);
+            } catch (error) {
+                if (error.response?.status !== 400) {
+                    throw error;
+                }
+            }
+        }
+        console.log("✅ Invalid weights rejected with 400");
+
+        // Test 2: A heavier node owns a larger share of the ring
+        console.log(`\n📝 Test 2: Setting the weight to ${TEST_WEIGHT}`);
+        const before = (await axios.get(`${BASE_URL}/cluster/ring`)).data;
+        const { nodeId } = await setWeight(TEST_WEIGHT);
+        weightChanged = true;
+        const ring = await waitForWeight(nodeId, TEST_WEIGHT);
+
+        const node = ring.nodes[nodeId];
+        console.log(
+            `${nodeId}: weight ${
+                node.weight
+            }, expected share ${node.expectedShare.toFixed(
+                3
+            )}, share ${node.share.toFixed(3)}, ${node.tokens.length} tokens`
+        );
+        if (
+            Math.abs(node.expectedShare - weightedShare(ring, nodeId)) > 0.001
+        ) {
+            throw new Error("Expected share does not follow the weights");
+        }
+        if (node.share <= before.nodes[nodeId].share) {
+            throw new Error("The heavier node did not gain a larger share");
+        }
+        if (
+            ring.strategy === "ring" &&
+            node.tokens.length !== TEST_WEIGHT * ring.virtualNodes
+        ) {
+            throw new Error(
+                `Expected ${TEST_WEIGHT * ring.virtualNodes} tokens, got ${
+                    node.tokens.length
+                }`
+            );
+        }
+        console.log(`✅ ${nodeId} owns a larger share of the ring!`);
+
+        // Test 3: Restoring the weight gives back the even split
+        console.log("\n📝 Test 3: Restoring the weight to 1");
+        await restoreWeight();
+        const restored = (await axios.get(`${BASE_URL}/cluster/ring`)).data;
+        if (
+            Math.abs(
+                restored.nodes[nodeId].expectedShare -
+                    before.nodes[nodeId].expectedShare
+            ) > 0.001
+        ) {
+            throw new Error("Expected share was not restored");
+        }
+        console.log(`✅ ${nodeId} is back to its previous share!`);
+
+        console.log("\n🎉 All node weight tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await restoreWeight().catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runNodeWeightTests();
@@ -0,0 +1,130 @@
+const axios = require("axios");
+
+// Configuration
+const NODE_URLS = [
+    process.env.NODE1_URL || "http://localhost:3000",
+    process.env.NODE2_URL || "http://localhost:3001",
+    process.env.NODE3_URL || "http://localhost:3002",
+];
+const TEST_KEY_PREFIX = "ring-epoch-test-" + Date.now();
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await cleanup();
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to delete the keys written by the test
+async function cleanup() {
+    for (let i = 0; i < NODE_URLS.length; i++) {
+        await axios
+            .delete(`${NODE_URLS[0]}/cache/${TEST_KEY_PREFIX}-${i}`)
+            .catch(() => {});
+    }
+}
+
+// Function to get the ring epoch every node uses
+async function getEpochs() {
+    const epochs = [];
+    for (const nodeUrl of NODE_URLS) {
+        const response = await axios.get(`${nodeUrl}/cluster/ring`);
+        epochs.push(response.data.epoch);
+    }
+    return epochs;
+}
+
+// Function to check every node reports the same ring epoch
+function checkEpochs(epochs) {
+    for (const [i, epoch] of epochs.entries()) {
+        console.log(`${NODE_URLS[i]}: ring epoch ${epoch}`);
+        if (!Number.isInteger(epoch) || epoch < 0) {
+            throw new Error(`${NODE_URLS[i]} reports ring epoch ${epoch}`);
+        }
+    }
+    if (new Set(epochs).size !== 1) {
+        throw new Error(`Nodes report different ring epochs: ${epochs}`);
+    }
+}
+
+// Run ring epoch tests
+async function runRingEpochTests() {
+    console.log("🚀 Starting Ring Epoch Tests...");
+    console.log("Using nodes:", NODE_URLS.join(", "));
+
+    try {
+        // Test 1: Every node uses the same ring epoch
+        console.log("\n📝 Test 1: Comparing the ring epoch of every node");
+        const epochs = await getEpochs();
+        checkEpochs(epochs);
+        if (epochs[0] === 0) {
+            console.log(
+                "ℹ️ Ring epoch 0, the coordination backend has no shared key/value store"
+            );
+        }
+        console.log("✅ Every node uses the same ring epoch!");
+
+        // Test 2: Writes through every node are accepted by their replicas
+        console.log("\n📝 Test 2: Writing through every node");
+        for (const [i, nodeUrl] of NODE_URLS.entries()) {
+            const key = `${TEST_KEY_PREFIX}-${i}`;
+            await axios.post(`${nodeUrl}/cache?consistency=all`, {
+                key,
+                value: `written through ${nodeUrl}`,
+                ttl: 3600,
+            });
+            const response = await axios.get(
+                `${
+                    NODE_URLS[(i + 1) % NODE_URLS.length]
+                }/cache/${key}?consistency=all`
+            );
+            if (response.data.value !== `written through ${nodeUrl}`) {
+                throw new Error(`Write through ${nodeUrl} was not replicated`);
+            }
+            console.log(`✅ Write through ${nodeUrl} reached every replica`);
+        }
+
+        // Test 3: Writes do not move the ring to a new epoch
+        console.log("\n📝 Test 3: Comparing the ring epochs after the writes");
+        const after = await getEpochs();
+        checkEpochs(after);
+        if (after[0] !== epochs[0]) {
+            throw new Error(
+                `Ring epoch moved from ${epochs[0]} to ${after[0]} without a membership change`
+            );
+        }
+        console.log("✅ The ring epoch did not change!");
+
+        // Test 4: Clients cannot take the lock the ring is published under
+        console.log("\n📝 Test 4: Acquiring the reserved ring lock");
+        try {
+            await axios.post(`${NODE_URLS[0]}/locks/__cluster:ring`, {
+                ttl: 1000,
+            });
+            throw new Error("The reserved ring lock was granted to a client");
+        } catch (error) {
+            const status = error.response?.status;
+            if (status !== 400 && status !== 501) {
+                throw error;
+            }
+            console.log(
+                `✅ Reserved lock rejected with ${status}:`,
+                error.response.data
+            );
+        }
+
+        await cleanup();
+        console.log("\n🎉 All ring epoch tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await cleanup();
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runRingEpochTests();
@@ -0,0 +1,133 @@
+const axios = require("axios");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const TEST_KEY = "topology-test-" + Date.now();
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`).catch(() => {});
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to get a cluster endpoint
+async function getCluster(path) {
+    try {
+        const response = await axios.get(`${BASE_URL}/cluster/${path}`);
+        return response.data;
+    } catch (error) {
+        console.error(
+            `❌ Error getting /cluster/${path}:`,
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Run cluster topology tests
+async function runTopologyTests() {
+    console.log("🚀 Starting Cluster Topology Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(`Test key: ${TEST_KEY}`);
+
+    try {
+        // Test 1: Every registered node is listed, active and in the ring
+        console.log("\n📝 Test 1: Listing the cluster nodes");
+        const { nodeId, nodes } = await getCluster("nodes");
+        for (const node of nodes) {
+            console.log(
+                `Node ${node.nodeId}: state ${node.state}, in ring ${node.inRing}, healthy ${node.healthy}`
+            );
+        }
+        if (nodes.filter((node) => node.local).length !== 1) {
+            throw new Error("Exactly one node should be marked as local");
+        }
+        if (!nodes.some((node) => node.local && node.nodeId === nodeId)) {
+            throw new Error(`The local node is not ${nodeId}`);
+        }
+        const unhealthy = nodes.filter(
+            (node) => node.state === "active" && (!node.inRing || !node.healthy)
+        );
+        if (unhealthy.length > 0) {
+            throw new Error(
+                `Active nodes missing from the ring or unhealthy: ${unhealthy
+                    .map((node) => node.nodeId)
+                    .join(", ")}`
+            );
+        }
+        console.log(`✅ ${nodes.length} nodes listed!`);
+
+        // Test 2: The ring lists the same nodes and their shares cover the keyspace
+        console.log("\n📝 Test 2: Getting the ring layout");
+        const ring = await getCluster("ring");
+        const ringNodes = Object.keys(ring.nodes);
+        console.log(
+            `✅ Strategy ${ring.strategy}, replica factor ${
+                ring.replicaFactor
+            }, nodes ${ringNodes.join(", ")}`
+        );
+        const active = nodes
+            .filter((node) => node.state === "active")
+            .map((node) => node.nodeId);
+        if (active.some((node) => !ringNodes.includes(node))) {
+            throw new Error("An active node is missing from the ring layout");
+        }
+        const totalShare = Object.values(ring.nodes).reduce(
+            (total, node) => total + node.share,
+            0
+        );
+        if (Math.abs(totalShare - 1) > 0.001) {
+            throw new Error(`Ring shares add up to ${totalShare}`);
+        }
+        console.log("✅ Ring shares cover the whole keyspace!");
+
+        // Test 3: A written key is found on each of its replicas
+        console.log("\n📝 Test 3: Locating a written key");
+        await axios.post(`${BASE_URL}/cache?consistency=all`, {
+            key: TEST_KEY,
+            value: "located",
+            ttl: 3600,
+        });
+        const location = await getCluster(`locate/${TEST_KEY}`);
+        console.log(`Key hash: ${location.hash}`);
+        const expected = Math.min(ring.replicaFactor, ringNodes.length);
+        if (location.replicas.length !== expected) {
+            throw new Error(
+                `Expected ${expected} replicas, got ${location.replicas.length}`
+            );
+        }
+        const versions = new Set();
+        for (const replica of location.replicas) {
+            console.log(
+                `Replica ${replica.nodeId}: holds key ${replica.holdsKey}, version ${replica.version}, ttl ${replica.ttl}`
+            );
+            if (!replica.reachable || !replica.holdsKey) {
+                throw new Error(
+                    `Replica ${replica.nodeId} does not hold the key`
+                );
+            }
+            if (!(replica.ttl > 0 && replica.ttl <= 3600)) {
+                throw new Error(
+                    `Replica ${replica.nodeId} reports ttl ${replica.ttl}`
+                );
+            }
+            versions.add(replica.version);
+        }
+        if (versions.size !== 1) {
+            throw new Error("Replicas hold different versions of the key");
+        }
+        console.log("✅ Every replica holds the same version!");
+
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`);
+        console.log("\n🎉 All cluster topology tests completed successfully!");
+    } catch (error) {
+        console.error("❌ Tests failed:", error.message);
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`).catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTopologyTests();
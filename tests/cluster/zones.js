@@ -0,0 +1,126 @@
+const axios = require("axios");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const TEST_KEY = "zones-test-" + Date.now();
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`).catch(() => {});
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to map every node to its failure domain, nodes without a zone
+// counting as a zone of their own
+function getNodeZones(report) {
+    const nodeZones = {};
+    for (const [zone, nodes] of Object.entries(report.zones)) {
+        for (const nodeId of nodes) {
+            nodeZones[nodeId] = zone === "none" ? `none:${nodeId}` : zone;
+        }
+    }
+    return nodeZones;
+}
+
+// Run zone placement tests
+async function runZoneTests() {
+    console.log("🚀 Starting Zone Placement Tests...");
+    console.log("Using base URL:", BASE_URL);
+
+    try {
+        // Test 1: The report lists every node of the ring in one zone
+        console.log("\n📝 Test 1: Getting the zone report");
+        const report = (await axios.get(`${BASE_URL}/admin/zones`)).data;
+        const ring = (await axios.get(`${BASE_URL}/cluster/ring`)).data;
+        for (const [zone, nodes] of Object.entries(report.zones)) {
+            console.log(`Zone ${zone}: ${nodes.join(", ")}`);
+        }
+
+        const listed = Object.values(report.zones).flat().sort();
+        const ringNodes = Object.keys(ring.nodes).sort();
+        if (JSON.stringify(listed) !== JSON.stringify(ringNodes)) {
+            throw new Error(
+                `Zones list ${listed.join(", ")}, ring holds ${ringNodes.join(
+                    ", "
+                )}`
+            );
+        }
+        if (report.replicaFactor !== ring.replicaFactor) {
+            throw new Error(
+                `Replica factor ${report.replicaFactor} differs from the ring's ${ring.replicaFactor}`
+            );
+        }
+        console.log("✅ Every node of the ring listed in one zone!");
+
+        // Test 2: Ranges share a zone only when there are fewer zones than replicas
+        console.log(
+            "\n📝 Test 2: Checking the ranges whose replicas share a zone"
+        );
+        const nodeZones = getNodeZones(report);
+        const zoneCount = new Set(Object.values(nodeZones)).size;
+        const replicaCount = Math.min(report.replicaFactor, ringNodes.length);
+        console.log(
+            `${zoneCount} zones for ${replicaCount} replicas: ${
+                report.sharedRanges.length
+            } shared ranges covering ${(report.sharedShare * 100).toFixed(
+                1
+            )}% of the keyspace`
+        );
+
+        for (const range of report.sharedRanges) {
+            for (const zone of range.sharedZones) {
+                const copies = range.replicas.filter(
+                    (replica) => replica.zone === zone
+                );
+                if (copies.length < 2) {
+                    throw new Error(
+                        `Range ${range.start}-${range.end} flags zone ${zone} held once`
+                    );
+                }
+            }
+        }
+        const expectedShare = zoneCount >= replicaCount ? 0 : 1;
+        if (Math.abs(report.sharedShare - expectedShare) > 0.001) {
+            throw new Error(
+                `Expected shared ranges to cover ${
+                    expectedShare * 100
+                }% of the keyspace`
+            );
+        }
+        console.log("✅ Shared ranges match the zones available!");
+
+        // Test 3: The replicas of a key are spread across as many zones as possible
+        console.log("\n📝 Test 3: Locating the replicas of a key");
+        await axios.post(`${BASE_URL}/cache?consistency=all`, {
+            key: TEST_KEY,
+            value: "Spread across zones",
+            ttl: 3600,
+        });
+        const located = (
+            await axios.get(`${BASE_URL}/cluster/locate/${TEST_KEY}`)
+        ).data;
+        const replicaZones = located.replicas.map(
+            (replica) => nodeZones[replica.nodeId]
+        );
+        console.log(`Replica zones: ${replicaZones.join(", ")}`);
+        if (new Set(replicaZones).size !== Math.min(replicaCount, zoneCount)) {
+            throw new Error("Replicas reuse a zone while another is free");
+        }
+        console.log("✅ Replicas spread across the zones!");
+
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`);
+        console.log("\n🎉 All zone placement tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`).catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runZoneTests();
@@ -0,0 +1,177 @@
+const axios = require("axios");
+const { exec } = require("child_process");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const NODE_TO_STOP = process.env.CONSISTENCY_TEST_NODE || "redis-node2";
+const TEST_KEY = "consistency-test-" + Date.now();
+const TEST_VALUE = "Value written at consistency all";
+
+// Track node state for proper cleanup
+let nodeWasStopped = false;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        if (nodeWasStopped) {
+            await executeCommand(`docker-compose start ${NODE_TO_STOP}`).catch(
+                () => {}
+            );
+        }
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`).catch(() => {});
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to set a cache value at a consistency level
+async function setCache(key, value, consistency) {
+    const response = await axios.post(
+        `${BASE_URL}/cache?consistency=${consistency}`,
+        { key, value, ttl: 3600 }
+    );
+    console.log(`✅ Set at ${consistency}: status ${response.status}`);
+    return response.data;
+}
+
+// Function to get a cache value at a consistency level
+async function getCache(key, consistency) {
+    const response = await axios.get(
+        `${BASE_URL}/cache/${key}?consistency=${consistency}`
+    );
+    console.log(`✅ Get at ${consistency}:`, response.data);
+    return response.data;
+}
+
+// Expect a request to fail with the given status
+async function expectStatus(request, status, description) {
+    try {
+        await request();
+    } catch (error) {
+        if (error.response?.status !== status) {
+            throw error;
+        }
+        console.log(
+            `✅ ${description} rejected with ${status}:`,
+            error.response.data
+        );
+        return;
+    }
+    throw new Error(`${description} should be rejected with ${status}`);
+}
+
+// Function to execute shell commands
+function executeCommand(command) {
+    return new Promise((resolve, reject) => {
+        console.log(`Executing: ${command}`);
+        exec(command, (error, stdout) => {
+            if (error) {
+                console.error(`Error executing command: ${error.message}`);
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Run consistency level tests
+async function runConsistencyTests() {
+    console.log("🚀 Starting Consistency Level Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(`Test key: ${TEST_KEY}`);
+
+    try {
+        // Test 1: Write at consistency all and read it back at every level
+        console.log("\n📝 Test 1: Writing and reading at every level");
+        await setCache(TEST_KEY, TEST_VALUE, "all");
+        for (const consistency of ["one", "quorum", "all"]) {
+            const result = await getCache(TEST_KEY, consistency);
+            if (result.value !== TEST_VALUE) {
+                throw new Error(
+                    `Read at ${consistency} returned ${JSON.stringify(
+                        result.value
+                    )}`
+                );
+            }
+        }
+        console.log("✅ Every level returned the written value!");
+
+        // Test 2: The level can be set with a header
+        console.log("\n📝 Test 2: Setting the level with a header");
+        const response = await axios.get(`${BASE_URL}/cache/${TEST_KEY}`, {
+            headers: { "X-Consistency-Level": "all" },
+        });
+        if (response.data.value !== TEST_VALUE) {
+            throw new Error("Read with the header returned another value");
+        }
+        console.log("✅ Header level accepted!");
+
+        // Test 3: Unknown levels are rejected
+        console.log("\n📝 Test 3: Requesting an unknown level");
+        await expectStatus(
+            () => getCache(TEST_KEY, "most"),
+            400,
+            "Read at an unknown level"
+        );
+
+        // Test 4: Consistency all fails while a replica is down, quorum does not
+        console.log(`\n📝 Test 4: Stopping ${NODE_TO_STOP}`);
+        await executeCommand(`docker-compose stop ${NODE_TO_STOP}`);
+        nodeWasStopped = true;
+        await wait(2);
+
+        await expectStatus(
+            () => getCache(TEST_KEY, "all"),
+            503,
+            "Read at consistency all"
+        );
+        await expectStatus(
+            () => setCache(TEST_KEY, TEST_VALUE, "all"),
+            503,
+            "Write at consistency all"
+        );
+
+        const quorumResult = await getCache(TEST_KEY, "quorum");
+        if (quorumResult.value !== TEST_VALUE) {
+            throw new Error("Read at quorum returned another value");
+        }
+        console.log("✅ Quorum reads still succeed with one replica down!");
+
+        // Test 5: Consistency all succeeds again once the replica is back
+        console.log(`\n📝 Test 5: Restarting ${NODE_TO_STOP}`);
+        await executeCommand(`docker-compose start ${NODE_TO_STOP}`);
+        nodeWasStopped = false;
+        await wait(5);
+
+        await setCache(TEST_KEY, TEST_VALUE, "all");
+        await getCache(TEST_KEY, "all");
+        console.log("✅ Consistency all succeeds again!");
+
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`);
+        console.log("\n🎉 All consistency level tests completed successfully!");
+    } catch (error) {
+        console.error("❌ Tests failed:", error.message);
+
+        // Always make sure the Redis node is running again
+        if (nodeWasStopped) {
+            await executeCommand(`docker-compose start ${NODE_TO_STOP}`).catch(
+                () => {}
+            );
+        }
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`).catch(() => {});
+
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runConsistencyTests();
@@ -0,0 +1,162 @@
+const axios = require("axios");
+const { exec } = require("child_process");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const DRAIN_URL = process.env.DRAIN_NODE_URL || "http://localhost:3002";
+const SERVICE_TO_DRAIN = process.env.DRAIN_TEST_SERVICE || "cache-service3";
+const TEST_KEY_PREFIX = "drain-test-" + Date.now();
+const TEST_KEY_COUNT = 20;
+
+// Track node state for proper cleanup
+let drainStarted = false;
+let ringSize = 0;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        await cleanup();
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to execute shell commands
+function executeCommand(command) {
+    return new Promise((resolve, reject) => {
+        console.log(`Executing: ${command}`);
+        exec(command, (error, stdout) => {
+            if (error) {
+                console.error(`Error executing command: ${error.message}`);
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Function to get the drain status of the drained node
+async function getDrainStatus() {
+    const response = await axios.get(`${DRAIN_URL}/admin/drain`);
+    return response.data;
+}
+
+// Function to list the nodes in the ring of the base node
+async function getRingNodes() {
+    const response = await axios.get(`${BASE_URL}/cluster/ring`);
+    return Object.keys(response.data.nodes);
+}
+
+// Restart the drained node so it joins the ring again, and delete the keys
+async function cleanup() {
+    if (drainStarted) {
+        await executeCommand(`docker-compose restart ${SERVICE_TO_DRAIN}`);
+        drainStarted = false;
+        for (let i = 0; i < 30; i++) {
+            await wait(2);
+            const nodes = await getRingNodes().catch(() => []);
+            if (nodes.length === ringSize) {
+                console.log(`✅ ${SERVICE_TO_DRAIN} is back in the ring`);
+                break;
+            }
+        }
+    }
+    for (let i = 0; i < TEST_KEY_COUNT; i++) {
+        await axios
+            .delete(`${BASE_URL}/cache/${TEST_KEY_PREFIX}-${i}`)
+            .catch(() => {});
+    }
+}
+
+// Run drain tests
+async function runDrainTests() {
+    console.log("🚀 Starting Drain Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(`Draining ${SERVICE_TO_DRAIN} at ${DRAIN_URL}`);
+
+    try {
+        // Test 1: An idle node reports no drain
+        console.log("\n📝 Test 1: Getting the drain status of an idle node");
+        const idle = await getDrainStatus();
+        console.log(`✅ ${idle.nodeId} drain status: ${idle.status}`);
+        if (idle.status !== "idle") {
+            throw new Error(`Expected status idle, got ${idle.status}`);
+        }
+
+        ringSize = (await getRingNodes()).length;
+
+        // Test 2: Write keys so some of them are owned by the drained node
+        console.log(`\n📝 Test 2: Writing ${TEST_KEY_COUNT} keys`);
+        for (let i = 0; i < TEST_KEY_COUNT; i++) {
+            await axios.post(`${BASE_URL}/cache?consistency=all`, {
+                key: `${TEST_KEY_PREFIX}-${i}`,
+                value: `value-${i}`,
+                ttl: 3600,
+            });
+        }
+        console.log("✅ Keys written");
+
+        // Test 3: Starting a drain answers 202 and the drain completes
+        console.log("\n📝 Test 3: Draining the node");
+        const response = await axios.post(`${DRAIN_URL}/admin/drain`);
+        drainStarted = true;
+        if (response.status !== 202) {
+            throw new Error(`Expected status 202, got ${response.status}`);
+        }
+        console.log(`✅ Drain started: ${response.data.status}`);
+
+        let status = response.data;
+        for (let i = 0; i < 60 && status.status === "draining"; i++) {
+            await wait(1);
+            status = await getDrainStatus();
+        }
+        console.log("Drain status:", status);
+        if (status.status !== "drained") {
+            throw new Error(`Drain ended with status ${status.status}`);
+        }
+        console.log("✅ Node drained!");
+
+        // Test 4: The other nodes dropped the drained node from their ring
+        console.log("\n📝 Test 4: Checking the ring of the other nodes");
+        const nodes = await getRingNodes();
+        console.log(`Ring nodes: ${nodes.join(", ")}`);
+        if (nodes.includes(idle.nodeId)) {
+            throw new Error(`${idle.nodeId} is still in the ring`);
+        }
+        console.log(`✅ ${idle.nodeId} left the ring!`);
+
+        // Test 5: Every key is still readable
+        console.log("\n📝 Test 5: Reading the keys after the drain");
+        for (let i = 0; i < TEST_KEY_COUNT; i++) {
+            const result = await axios.get(
+                `${BASE_URL}/cache/${TEST_KEY_PREFIX}-${i}?consistency=all`
+            );
+            if (result.data.value !== `value-${i}`) {
+                throw new Error(`Key ${TEST_KEY_PREFIX}-${i} was lost`);
+            }
+        }
+        console.log("✅ No key was lost!");
+
+        await cleanup();
+        console.log("\n🎉 All drain tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await cleanup().catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runDrainTests();
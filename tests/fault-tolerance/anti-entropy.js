@@ -0,0 +1,154 @@
+const axios = require("axios");
+const Redis = require("ioredis");
+
+// Configuration
+const NODE_URLS = [
+    process.env.NODE1_URL || "http://localhost:3000",
+    process.env.NODE2_URL || "http://localhost:3001",
+    process.env.NODE3_URL || "http://localhost:3002",
+];
+const STALE_NODE_ID = process.env.REPAIR_TEST_NODE_ID || "node3";
+const STALE_REDIS_HOST = process.env.REPAIR_TEST_REDIS_HOST || "localhost";
+const STALE_REDIS_PORT = parseInt(
+    process.env.REPAIR_TEST_REDIS_PORT || "6381",
+    10
+);
+const REPAIR_WAIT = parseInt(process.env.ANTI_ENTROPY_WAIT || "150", 10);
+const TEST_KEY = "anti-entropy-test-" + Date.now();
+const TEST_VALUE = "Value lost by one replica";
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await axios.delete(`${NODE_URLS[0]}/cache/${TEST_KEY}`).catch(() => {});
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to check whether the stale replica holds the key
+async function staleReplicaHoldsKey() {
+    const response = await axios.get(
+        `${NODE_URLS[0]}/cluster/locate/${TEST_KEY}`
+    );
+    const replica = response.data.replicas.find(
+        (candidate) => candidate.nodeId === STALE_NODE_ID
+    );
+    if (!replica) {
+        throw new Error(`${STALE_NODE_ID} is not a replica of the key`);
+    }
+    return replica.holdsKey;
+}
+
+// Function to sum the keys repaired by anti-entropy on every node
+async function getAntiEntropyRepairs() {
+    let total = 0;
+    for (const nodeUrl of NODE_URLS) {
+        const response = await axios.get(`${nodeUrl}/metrics`);
+        for (const line of response.data.split("\n")) {
+            const match = line.match(
+                /^redis_cache_anti_entropy_repairs_total\{.*\} (\d+)/
+            );
+            if (match) {
+                total += parseInt(match[1], 10);
+            }
+        }
+    }
+    return total;
+}
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Run anti-entropy tests
+async function runAntiEntropyTests() {
+    console.log("🚀 Starting Anti-Entropy Tests...");
+    console.log("Using nodes:", NODE_URLS.join(", "));
+    console.log(`Test key: ${TEST_KEY}`);
+
+    // Each node stores its keys under its node ID in its own Redis
+    const staleRedis = new Redis({
+        host: STALE_REDIS_HOST,
+        port: STALE_REDIS_PORT,
+        keyPrefix: `${STALE_NODE_ID}:`,
+    });
+
+    try {
+        // Test 1: Anti-entropy runs on every node
+        console.log("\n📝 Test 1: Getting the anti-entropy status");
+        for (const nodeUrl of NODE_URLS) {
+            const response = await axios.get(`${nodeUrl}/admin/anti-entropy`);
+            const status = response.data;
+            console.log(
+                `${nodeUrl}: enabled ${status.enabled}, every ${
+                    status.interval
+                }ms, peers ${Object.keys(status.peers).join(", ")}`
+            );
+            if (!status.enabled) {
+                throw new Error(`Anti-entropy is disabled on ${nodeUrl}`);
+            }
+        }
+        console.log("✅ Anti-entropy enabled on every node!");
+
+        // Test 2: Make one replica lose the key behind the cluster's back
+        console.log(
+            `\n📝 Test 2: Deleting the key from the Redis of ${STALE_NODE_ID}`
+        );
+        await axios.post(`${NODE_URLS[0]}/cache?consistency=all`, {
+            key: TEST_KEY,
+            value: TEST_VALUE,
+            ttl: 3600,
+        });
+        // Let the secondary replication of the write land before the delete
+        await wait(3);
+        const repairsBefore = await getAntiEntropyRepairs();
+        if ((await staleRedis.del(TEST_KEY)) !== 1) {
+            throw new Error(`${STALE_NODE_ID} did not hold the key`);
+        }
+        if (await staleReplicaHoldsKey()) {
+            throw new Error(`${STALE_NODE_ID} still holds the key`);
+        }
+        console.log(`✅ ${STALE_NODE_ID} no longer holds the key`);
+
+        // Test 3: Anti-entropy restores the key without any read
+        console.log(
+            `\n📝 Test 3: Waiting up to ${REPAIR_WAIT}s for anti-entropy`
+        );
+        const startTime = Date.now();
+        let repaired = false;
+        let counted = 0;
+        // Repairs are counted once the whole round with the peer completes
+        for (let i = 0; i < REPAIR_WAIT / 5 && !(repaired && counted); i++) {
+            await wait(5);
+            repaired = await staleReplicaHoldsKey();
+            counted = (await getAntiEntropyRepairs()) - repairsBefore;
+        }
+        if (!repaired) {
+            throw new Error(`The key was not restored after ${REPAIR_WAIT}s`);
+        }
+        if (counted < 1) {
+            throw new Error("No anti-entropy repair was counted");
+        }
+        console.log(
+            `✅ Key restored after ${Math.round(
+                (Date.now() - startTime) / 1000
+            )}s, ${counted} keys repaired by anti-entropy!`
+        );
+
+        await axios.delete(`${NODE_URLS[0]}/cache/${TEST_KEY}`);
+        console.log("\n🎉 All anti-entropy tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await axios.delete(`${NODE_URLS[0]}/cache/${TEST_KEY}`).catch(() => {});
+        process.exitCode = 1;
+    } finally {
+        staleRedis.disconnect();
+    }
+}
+
+// Run the tests
+runAntiEntropyTests();
@@ -0,0 +1,186 @@
+const axios = require("axios");
+const Redis = require("ioredis");
+const { exec } = require("child_process");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const COORDINATOR_NODE_ID = process.env.HANDOFF_COORDINATOR_ID || "node1";
+const COORDINATOR_REDIS_HOST = process.env.HANDOFF_REDIS_HOST || "localhost";
+const COORDINATOR_REDIS_PORT = parseInt(
+    process.env.HANDOFF_REDIS_PORT || "6379",
+    10
+);
+const SERVICE_TO_KILL = process.env.HANDOFF_TEST_SERVICE || "cache-service3";
+const KILLED_NODE_ID = process.env.HANDOFF_TEST_NODE_ID || "node3";
+const REPLAY_WAIT = parseInt(process.env.HANDOFF_REPLAY_WAIT || "60", 10);
+const TEST_KEY_PREFIX = "handoff-test-" + Date.now();
+const TEST_KEY_COUNT = 10;
+
+// Track node state for proper cleanup
+let serviceWasKilled = false;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        await cleanup();
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to execute shell commands
+function executeCommand(command) {
+    return new Promise((resolve, reject) => {
+        console.log(`Executing: ${command}`);
+        exec(command, (error, stdout) => {
+            if (error) {
+                console.error(`Error executing command: ${error.message}`);
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Restart the killed service if it is still down, and delete the keys
+async function cleanup() {
+    if (serviceWasKilled) {
+        await executeCommand(`docker-compose start ${SERVICE_TO_KILL}`);
+        serviceWasKilled = false;
+    }
+    for (let i = 0; i < TEST_KEY_COUNT; i++) {
+        await axios
+            .delete(`${BASE_URL}/cache/${TEST_KEY_PREFIX}-${i}`)
+            .catch(() => {});
+    }
+}
+
+// Function to list the test keys the coordinator holds hints for
+async function getPendingHints(redis) {
+    const fields = await redis.hkeys(`__hints:${KILLED_NODE_ID}`);
+    return fields.filter((key) => key.startsWith(TEST_KEY_PREFIX));
+}
+
+// Function to check whether the killed node holds a key
+async function killedNodeHoldsKey(key) {
+    const response = await axios.get(`${BASE_URL}/cluster/locate/${key}`);
+    const replica = response.data.replicas.find(
+        (candidate) => candidate.nodeId === KILLED_NODE_ID
+    );
+    return Boolean(replica && replica.holdsKey);
+}
+
+// Run hinted handoff tests
+async function runHintedHandoffTests() {
+    console.log("🚀 Starting Hinted Handoff Tests...");
+    console.log("Using base URL:", BASE_URL);
+
+    // Hints are kept in the coordinator's Redis, under its node ID
+    const coordinatorRedis = new Redis({
+        host: COORDINATOR_REDIS_HOST,
+        port: COORDINATOR_REDIS_PORT,
+        keyPrefix: `${COORDINATOR_NODE_ID}:`,
+    });
+
+    try {
+        // Test 1: Writes meant for a crashed node are kept as hints
+        console.log(`\n📝 Test 1: Writing while ${SERVICE_TO_KILL} is down`);
+        await executeCommand(`docker-compose kill ${SERVICE_TO_KILL}`);
+        serviceWasKilled = true;
+        await wait(1);
+
+        for (let i = 0; i < TEST_KEY_COUNT; i++) {
+            await axios.post(`${BASE_URL}/cache?consistency=quorum`, {
+                key: `${TEST_KEY_PREFIX}-${i}`,
+                value: `value-${i}`,
+                ttl: 3600,
+            });
+        }
+        const pending = await getPendingHints(coordinatorRedis);
+        console.log(
+            `✅ ${pending.length} of ${TEST_KEY_COUNT} writes kept as hints for ${KILLED_NODE_ID}`
+        );
+        if (pending.length === 0) {
+            throw new Error(
+                `No hint was stored, ${KILLED_NODE_ID} left the ring before the writes`
+            );
+        }
+
+        // Test 2: The hints are delivered once the node is back
+        console.log(`\n📝 Test 2: Restarting ${SERVICE_TO_KILL}`);
+        await executeCommand(`docker-compose start ${SERVICE_TO_KILL}`);
+        serviceWasKilled = false;
+
+        let remaining = pending;
+        for (let i = 0; i < REPLAY_WAIT && remaining.length > 0; i++) {
+            await wait(1);
+            remaining = await getPendingHints(coordinatorRedis);
+        }
+        if (remaining.length > 0) {
+            throw new Error(
+                `${remaining.length} hints still pending after ${REPLAY_WAIT}s`
+            );
+        }
+        console.log("✅ Every hint was delivered and dropped!");
+
+        for (const key of pending) {
+            if (!(await killedNodeHoldsKey(key))) {
+                throw new Error(`${KILLED_NODE_ID} does not hold ${key}`);
+            }
+        }
+        console.log(`✅ ${KILLED_NODE_ID} holds every hinted key!`);
+
+        // Test 3: Clients cannot reach the hints through the cache API
+        console.log("\n📝 Test 3: Using a hint key as a cache key");
+        const hintKey = `__hints:${KILLED_NODE_ID}`;
+        const attempts = {
+            set: axios.post(`${BASE_URL}/cache`, {
+                key: hintKey,
+                value: "Not a hint",
+            }),
+            get: axios.get(`${BASE_URL}/cache/${hintKey}`),
+            delete: axios.delete(`${BASE_URL}/cache/${hintKey}`),
+            mset: axios.post(`${BASE_URL}/cache/mset`, {
+                entries: [{ key: hintKey, value: "Not a hint" }],
+            }),
+        };
+        for (const [operation, attempt] of Object.entries(attempts)) {
+            const status = await attempt.then(
+                (response) => response.status,
+                (error) => error.response && error.response.status
+            );
+            if (status !== 400) {
+                throw new Error(
+                    `Expected ${operation} of ${hintKey} to answer 400, got ${status}`
+                );
+            }
+        }
+        // Fails with WRONGTYPE if a write replaced the hash of hints
+        await getPendingHints(coordinatorRedis);
+        console.log("✅ Hint keys rejected with status 400!");
+
+        await cleanup();
+        console.log("\n🎉 All hinted handoff tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await cleanup().catch(() => {});
+        process.exitCode = 1;
+    } finally {
+        coordinatorRedis.disconnect();
+    }
+}
+
+// Run the tests
+runHintedHandoffTests();
@@ -1,432 +1,432 @@
-const axios = require("axios");
-const { exec } = require("child_process");
-
-// Configuration
-const BASE_URL = process.env.API_URL || "http://localhost:3000";
-const NODE2_URL = process.env.NODE2_URL || "http://localhost:3001";
-const NODE3_URL = process.env.NODE3_URL || "http://localhost:3002";
-const TEST_KEY = "fault-tolerance-" + Date.now();
-const TEST_VALUE = "This value should survive node failure";
-
-// Track node state for proper cleanup
-let nodeWasStopped = false;
-let nodeToStop = "redis-node2"; // Default node to stop
-
-// Cleanup handler for interruptions
-process.on("SIGINT", async () => {
-    console.log("\n⚠️ Test interrupted, cleaning up...");
-    try {
-        // Ensure redis node is running if we stopped it
-        if (nodeWasStopped) {
-            console.log(`Ensuring ${nodeToStop} is restarted`);
-            await executeCommand(`docker-compose start ${nodeToStop}`).catch(
-                () => {}
-            );
-        }
-        // Clean up test key
-        await deleteCache(TEST_KEY).catch(() => {});
-        console.log("✅ Cleanup completed");
-    } catch (error) {
-        console.error("⚠️ Cleanup error:", error.message);
-    }
-    process.exit(1);
-});
-
-// Function to set a cache value
-async function setCache(key, value, ttl = 3600, url = BASE_URL) {
-    try {
-        const response = await axios.post(`${url}/cache`, {
-            key,
-            value,
-            ttl,
-        });
-        console.log(`✅ Set Cache on ${url}:`, response.data);
-        return response.data;
-    } catch (error) {
-        console.error(
-            `❌ Error setting cache on ${url}:`,
-            error.response?.data || error.message
-        );
-        throw error;
-    }
-}
-
-// Function to get a cache value
-async function getCache(key, url = BASE_URL) {
-    try {
-        const response = await axios.get(`${url}/cache/${key}`);
-        console.log(`✅ Get Cache from ${url}:`, response.data);
-        return response.data;
-    } catch (error) {
-        console.error(
-            `❌ Error getting cache from ${url}:`,
-            error.response?.data || error.message
-        );
-        throw error;
-    }
-}
-
-// Function to delete a cache value
-async function deleteCache(key, url = BASE_URL) {
-    try {
-        const response = await axios.delete(`${url}/cache/${key}`);
-        console.log(`✅ Delete Cache from ${url}:`, response.data);
-        return response.data;
-    } catch (error) {
-        console.error(
-            `❌ Error deleting cache from ${url}:`,
-            error.response?.data || error.message
-        );
-        throw error;
-    }
-}
-
-// Function to check where a key is stored (which Redis nodes)
-async function checkKeyLocation(key) {
-    try {
-        // Try to get information about key storage
-        console.log("\n📋 Checking key distribution across nodes");
-
-        // We have to make some assumptions about how to check key distribution
-        // This might need to be adjusted based on your actual implementation
-
-        // Try to get node information
-        try {
-            const response = await axios.get(`${BASE_URL}/nodes`);
-            console.log("Node information:", response.data);
-        } catch (error) {
-            console.log("Node information endpoint not available");
-        }
-
-        // Try using direct Redis commands if your API supports them
-        try {
-            const response = await axios.get(`${BASE_URL}/debug/keys/${key}`);
-            console.log("Key location debug info:", response.data);
-        } catch (error) {
-            console.log("Debug endpoint not available");
-        }
-
-        // If we can't get direct information, check key availability across nodes
-        console.log("Checking key availability on different nodes:");
-        let locations = [];
-
-        try {
-            await getCache(key, BASE_URL);
-            locations.push("node1");
-        } catch (error) {
-            console.log("Key not available on node1");
-        }
-
-        try {
-            await getCache(key, NODE2_URL);
-            locations.push("node2");
-        } catch (error) {
-            console.log("Key not available on node2");
-        }
-
-        try {
-            await getCache(key, NODE3_URL);
-            locations.push("node3");
-        } catch (error) {
-            console.log("Key not available on node3");
-        }
-
-        if (locations.length > 0) {
-            console.log(`Key appears to be stored on: ${locations.join(", ")}`);
-            return locations;
-        } else {
-            console.log("Key not found on any node!");
-            return [];
-        }
-    } catch (error) {
-        console.error("Error checking key location:", error.message);
-        return [];
-    }
-}
-
-// Function to execute shell commands
-function executeCommand(command) {
-    return new Promise((resolve, reject) => {
-        console.log(`Executing: ${command}`);
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                console.error(`Error executing command: ${error.message}`);
-                reject(error);
-                return;
-            }
-            if (stderr) {
-                console.log(`Command stderr: ${stderr}`);
-            }
-            console.log(`Command stdout: ${stdout}`);
-            resolve(stdout);
-        });
-    });
-}
-
-// Function to wait for a specific amount of time
-function wait(seconds) {
-    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
-}
-
-// Function to check the environment variables
-async function checkEnv() {
-    try {
-        console.log("\n📋 Checking environment settings");
-
-        // Check .env file if possible
-        try {
-            const result = await executeCommand(
-                "type .env | findstr REPLICA_FACTOR"
-            );
-            console.log("REPLICA_FACTOR setting:", result);
-        } catch (error) {
-            console.log("Could not read .env file directly");
-        }
-
-        // Try to get configuration from API if available
-        try {
-            const response = await axios.get(`${BASE_URL}/config`);
-            console.log("Configuration from API:", response.data);
-        } catch (error) {
-            console.log("Config endpoint not available");
-        }
-
-        // Get docker-compose configuration to check Redis setup
-        try {
-            await executeCommand("type docker-compose.yml | findstr redis");
-        } catch (error) {
-            console.log("Could not read docker-compose.yml");
-        }
-
-        // Check active services
-        await executeCommand("docker-compose ps");
-    } catch (error) {
-        console.error("Error checking environment:", error.message);
-    }
-}
-
-// Cleanup function
-async function cleanup() {
-    console.log("\n📝 Cleaning up test data and environment");
-
-    let cleanupSuccessful = true;
-
-    try {
-        // First ensure redis node is running if we stopped it
-        if (nodeWasStopped) {
-            console.log(`Ensuring ${nodeToStop} is running`);
-            await executeCommand(`docker-compose start ${nodeToStop}`);
-            nodeWasStopped = false;
-        }
-
-        // Wait a bit for the node to be fully back
-        await wait(2);
-
-        // Then clean up test key
-        try {
-            await deleteCache(TEST_KEY);
-            console.log("✅ Test data cleaned up successfully");
-        } catch (error) {
-            console.error("⚠️ Test data cleanup warning:", error.message);
-            cleanupSuccessful = false;
-        }
-
-        return cleanupSuccessful;
-    } catch (error) {
-        console.error("⚠️ Cleanup error:", error.message);
-        return false;
-    }
-}
-
-// Run fault tolerance tests
-async function runFaultToleranceTests() {
-    console.log("🚀 Starting Fault Tolerance Tests...");
-    console.log("Using base URL:", BASE_URL);
-    console.log("Test key:", TEST_KEY);
-
-    try {
-        // Check environment configuration
-        await checkEnv();
-
-        // Test 1: Set a value in the cache
-        console.log("\n📝 Test 1: Setting test value in cache");
-        await setCache(TEST_KEY, TEST_VALUE);
-
-        // Check where the key is stored
-        await checkKeyLocation(TEST_KEY);
-
-        // Test 2: Verify the value exists
-        console.log("\n📝 Test 2: Verifying value exists");
-        const getValue = await getCache(TEST_KEY);
-        if (getValue.value === TEST_VALUE) {
-            console.log("✅ Value verification passed!");
-        } else {
-            console.error("❌ Value verification failed!");
-            console.error("Expected:", TEST_VALUE);
-            console.error("Received:", getValue.value);
-            throw new Error("Value verification failed");
-        }
-
-        // New Test 3: Set same value from a different node to ensure replication
-        console.log(
-            "\n📝 Test 3: Setting same value from node 2 to enhance replication"
-        );
-        await setCache(TEST_KEY, TEST_VALUE, 3600, NODE2_URL);
-
-        // Verify distribution after setting from multiple nodes
-        await checkKeyLocation(TEST_KEY);
-
-        // Wait for replication to complete
-        console.log("Waiting for replication...");
-
-        // Test 4: Determine which node to stop based on key location
-        console.log("\n📝 Test 4: Determining the best node to stop");
-        const locations = await checkKeyLocation(TEST_KEY);
-
-        // Logic to choose which node to stop:
-        // If the key is on multiple nodes, we can stop one that has the key
-        // If the key is only on one node, we should stop a different node
-        if (locations.includes("node2")) {
-            nodeToStop = "redis-node2";
-        } else if (locations.includes("node3")) {
-            nodeToStop = "redis-node3";
-        } else {
-            // If we can't clearly determine, stick with the default node2
-            nodeToStop = "redis-node2";
-        }
-
-        console.log(`Choosing to stop ${nodeToStop} for the test`);
-
-        // Test 5: Stop the chosen Redis node
-        console.log(
-            `\n📝 Test 5: Stopping ${nodeToStop} to simulate node failure`
-        );
-        await executeCommand(`docker-compose stop ${nodeToStop}`);
-        nodeWasStopped = true;
-
-        // Wait for the system to detect the node failure
-        console.log("Waiting 5 seconds for system to detect node failure...");
-        await wait(5);
-
-        // Test 6: Verify the value is still accessible after node failure
-        console.log(
-            "\n📝 Test 6: Verifying value is still accessible after node failure"
-        );
-
-        let valueAccessible = false;
-
-        // Try all nodes to see if the value is available anywhere
-        try {
-            console.log("Trying to access value from node 1:");
-            const getValueAfterFailure = await getCache(TEST_KEY, BASE_URL);
-            if (getValueAfterFailure.value === TEST_VALUE) {
-                console.log(
-                    "✅ Value still accessible from node 1 after node failure!"
-                );
-                valueAccessible = true;
-            } else {
-                console.error("❌ Value changed after node failure!");
-                console.error("Expected:", TEST_VALUE);
-                console.error("Received:", getValueAfterFailure.value);
-            }
-        } catch (error) {
-            console.error("❌ Value not accessible from node 1");
-        }
-
-        // Only try node2 if that's not the one we stopped
-        if (nodeToStop !== "redis-node2") {
-            try {
-                console.log("Trying to access value from node 2:");
-                const getValueNode2 = await getCache(TEST_KEY, NODE2_URL);
-                if (getValueNode2.value === TEST_VALUE) {
-                    console.log(
-                        "✅ Value still accessible from node 2 after node failure!"
-                    );
-                    valueAccessible = true;
-                }
-            } catch (error) {
-                console.error("❌ Value not accessible from node 2");
-            }
-        }
-
-        // Only try node3 if that's not the one we stopped
-        if (nodeToStop !== "redis-node3") {
-            try {
-                console.log("Trying to access value from node 3:");
-                const getValueNode3 = await getCache(TEST_KEY, NODE3_URL);
-                if (getValueNode3.value === TEST_VALUE) {
-                    console.log(
-                        "✅ Value still accessible from node 3 after node failure!"
-                    );
-                    valueAccessible = true;
-                }
-            } catch (error) {
-                console.error("❌ Value not accessible from node 3");
-            }
-        }
-
-        // Report overall accessibility
-        if (!valueAccessible) {
-            console.error(
-                "❌ Value not accessible from any node after node failure!"
-            );
-            console.log(
-                "\n⚠️ This indicates the replication or fault tolerance isn't working as expected."
-            );
-            console.log("Possibilities:");
-            console.log("1. Replication factor may be set too low");
-            console.log("2. Hash routing doesn't consider node failures");
-            console.log(
-                "3. Nodes may not be properly configured for replication"
-            );
-        }
-
-        // Test 7: Restart the Redis node we stopped
-        console.log(`\n📝 Test 7: Restarting ${nodeToStop}`);
-        await executeCommand(`docker-compose start ${nodeToStop}`);
-        nodeWasStopped = false;
-
-        // Wait for the node to be back online
-        console.log("Waiting 5 seconds for node to come back online...");
-        await wait(5);
-
-        // Test 8: Verify the value is accessible after restart
-        console.log(
-            "\n📝 Test 8: Verifying value is accessible after node restart"
-        );
-        try {
-            const getValueAfterRestart = await getCache(TEST_KEY);
-            if (getValueAfterRestart.value === TEST_VALUE) {
-                console.log("✅ Value accessible after node restart!");
-            } else {
-                console.error("❌ Value changed after node restart!");
-                console.error("Expected:", TEST_VALUE);
-                console.error("Received:", getValueAfterRestart.value);
-            }
-        } catch (error) {
-            console.error("❌ Value not accessible after restart!");
-            // This test can pass even if the previous one failed
-        }
-
-        if (valueAccessible) {
-            console.log("\n🎉 Fault tolerance tests completed successfully!");
-        } else {
-            console.log(
-                "\n⚠️ Fault tolerance tests completed with issues - replication may not be working correctly."
-            );
-        }
-
-        // Clean up after tests
-        await cleanup();
-    } catch (error) {
-        console.error("❌ Tests failed:", error.message);
-
-        // Always make sure to clean up, especially to restart redis node
-        await cleanup();
-
-        process.exit(1);
-    }
-}
-
-// Run the tests
-runFaultToleranceTests();
+const axios = require("axios");
+const { exec } = require("child_process");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const NODE2_URL = process.env.NODE2_URL || "http://localhost:3001";
+const NODE3_URL = process.env.NODE3_URL || "http://localhost:3002";
+const TEST_KEY = "fault-tolerance-" + Date.now();
+const TEST_VALUE = "This value should survive node failure";
+
+// Track node state for proper cleanup
+let nodeWasStopped = false;
+let nodeToStop = "redis-node2"; // Default node to stop
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        // Ensure redis node is running if we stopped it
+        if (nodeWasStopped) {
+            console.log(`Ensuring ${nodeToStop} is restarted`);
+            await executeCommand(`docker-compose start ${nodeToStop}`).catch(
+                () => {}
+            );
+        }
+        // Clean up test key
+        await deleteCache(TEST_KEY).catch(() => {});
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to set a cache value
+async function setCache(key, value, ttl = 3600, url = BASE_URL) {
+    try {
+        const response = await axios.post(`${url}/cache`, {
+            key,
+            value,
+            ttl,
+        });
+        console.log(`✅ Set Cache on ${url}:`, response.data);
+        return response.data;
+    } catch (error) {
+        console.error(
+            `❌ Error setting cache on ${url}:`,
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Function to get a cache value
+async function getCache(key, url = BASE_URL) {
+    try {
+        const response = await axios.get(`${url}/cache/${key}`);
+        console.log(`✅ Get Cache from ${url}:`, response.data);
+        return response.data;
+    } catch (error) {
+        console.error(
+            `❌ Error getting cache from ${url}:`,
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Function to delete a cache value
+async function deleteCache(key, url = BASE_URL) {
+    try {
+        const response = await axios.delete(`${url}/cache/${key}`);
+        console.log(`✅ Delete Cache from ${url}:`, response.data);
+        return response.data;
+    } catch (error) {
+        console.error(
+            `❌ Error deleting cache from ${url}:`,
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Function to check where a key is stored (which Redis nodes)
+async function checkKeyLocation(key) {
+    try {
+        // Try to get information about key storage
+        console.log("\n📋 Checking key distribution across nodes");
+
+        // We have to make some assumptions about how to check key distribution
+        // This might need to be adjusted based on your actual implementation
+
+        // Try to get node information
+        try {
+            const response = await axios.get(`${BASE_URL}/nodes`);
+            console.log("Node information:", response.data);
+        } catch (error) {
+            console.log("Node information endpoint not available");
+        }
+
+        // Try using direct Redis commands if your API supports them
+        try {
+            const response = await axios.get(`${BASE_URL}/debug/keys/${key}`);
+            console.log("Key location debug info:", response.data);
+        } catch (error) {
+            console.log("Debug endpoint not available");
+        }
+
+        // If we can't get direct information, check key availability across nodes
+        console.log("Checking key availability on different nodes:");
+        let locations = [];
+
+        try {
+            await getCache(key, BASE_URL);
+            locations.push("node1");
+        } catch (error) {
+            console.log("Key not available on node1");
+        }
+
+        try {
+            await getCache(key, NODE2_URL);
+            locations.push("node2");
+        } catch (error) {
+            console.log("Key not available on node2");
+        }
+
+        try {
+            await getCache(key, NODE3_URL);
+            locations.push("node3");
+        } catch (error) {
+            console.log("Key not available on node3");
+        }
+
+        if (locations.length > 0) {
+            console.log(`Key appears to be stored on: ${locations.join(", ")}`);
+            return locations;
+        } else {
+            console.log("Key not found on any node!");
+            return [];
+        }
+    } catch (error) {
+        console.error("Error checking key location:", error.message);
+        return [];
+    }
+}
+
+// Function to execute shell commands
+function executeCommand(command) {
+    return new Promise((resolve, reject) => {
+        console.log(`Executing: ${command}`);
+        exec(command, (error, stdout, stderr) => {
+            if (error) {
+                console.error(`Error executing command: ${error.message}`);
+                reject(error);
+                return;
+            }
+            if (stderr) {
+                console.log(`Command stderr: ${stderr}`);
+            }
+            console.log(`Command stdout: ${stdout}`);
+            resolve(stdout);
+        });
+    });
+}
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Function to check the environment variables
+async function checkEnv() {
+    try {
+        console.log("\n📋 Checking environment settings");
+
+        // Check .env file if possible
+        try {
+            const result = await executeCommand(
+                "type .env | findstr REPLICA_FACTOR"
+            );
+            console.log("REPLICA_FACTOR setting:", result);
+        } catch (error) {
+            console.log("Could not read .env file directly");
+        }
+
+        // Try to get configuration from API if available
+        try {
+            const response = await axios.get(`${BASE_URL}/config`);
+            console.log("Configuration from API:", response.data);
+        } catch (error) {
+            console.log("Config endpoint not available");
+        }
+
+        // Get docker-compose configuration to check Redis setup
+        try {
+            await executeCommand("type docker-compose.yml | findstr redis");
+        } catch (error) {
+            console.log("Could not read docker-compose.yml");
+        }
+
+        // Check active services
+        await executeCommand("docker-compose ps");
+    } catch (error) {
+        console.error("Error checking environment:", error.message);
+    }
+}
+
+// Cleanup function
+async function cleanup() {
+    console.log("\n📝 Cleaning up test data and environment");
+
+    let cleanupSuccessful = true;
+
+    try {
+        // First ensure redis node is running if we stopped it
+        if (nodeWasStopped) {
+            console.log(`Ensuring ${nodeToStop} is running`);
+            await executeCommand(`docker-compose start ${nodeToStop}`);
+            nodeWasStopped = false;
+        }
+
+        // Wait a bit for the node to be fully back
+        await wait(2);
+
+        // Then clean up test key
+        try {
+            await deleteCache(TEST_KEY);
+            console.log("✅ Test data cleaned up successfully");
+        } catch (error) {
+            console.error("⚠️ Test data cleanup warning:", error.message);
+            cleanupSuccessful = false;
+        }
+
+        return cleanupSuccessful;
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+        return false;
+    }
+}
+
+// Run fault tolerance tests
+async function runFaultToleranceTests() {
+    console.log("🚀 Starting Fault Tolerance Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log("Test key:", TEST_KEY);
+
+    try {
+        // Check environment configuration
+        await checkEnv();
+
+        // Test 1: Set a value in the cache
+        console.log("\n📝 Test 1: Setting test value in cache");
+        await setCache(TEST_KEY, TEST_VALUE);
+
+        // Check where the key is stored
+        await checkKeyLocation(TEST_KEY);
+
+        // Test 2: Verify the value exists
+        console.log("\n📝 Test 2: Verifying value exists");
+        const getValue = await getCache(TEST_KEY);
+        if (getValue.value === TEST_VALUE) {
+            console.log("✅ Value verification passed!");
+        } else {
+            console.error("❌ Value verification failed!");
+            console.error("Expected:", TEST_VALUE);
+            console.error("Received:", getValue.value);
+            throw new Error("Value verification failed");
+        }
+
+        // New Test 3: Set same value from a different node to ensure replication
+        console.log(
+            "\n📝 Test 3: Setting same value from node 2 to enhance replication"
+        );
+        await setCache(TEST_KEY, TEST_VALUE, 3600, NODE2_URL);
+
+        // Verify distribution after setting from multiple nodes
+        await checkKeyLocation(TEST_KEY);
+
+        // Wait for replication to complete
+        console.log("Waiting for replication...");
+
+        // Test 4: Determine which node to stop based on key location
+        console.log("\n📝 Test 4: Determining the best node to stop");
+        const locations = await checkKeyLocation(TEST_KEY);
+
+        // Logic to choose which node to stop:
+        // If the key is on multiple nodes, we can stop one that has the key
+        // If the key is only on one node, we should stop a different node
+        if (locations.includes("node2")) {
+            nodeToStop = "redis-node2";
+        } else if (locations.includes("node3")) {
+            nodeToStop = "redis-node3";
+        } else {
+            // If we can't clearly determine, stick with the default node2
+            nodeToStop = "redis-node2";
+        }
+
+        console.log(`Choosing to stop ${nodeToStop} for the test`);
+
+        // Test 5: Stop the chosen Redis node
+        console.log(
+            `\n📝 Test 5: Stopping ${nodeToStop} to simulate node failure`
+        );
+        await executeCommand(`docker-compose stop ${nodeToStop}`);
+        nodeWasStopped = true;
+
+        // Wait for the system to detect the node failure
+        console.log("Waiting 5 seconds for system to detect node failure...");
+        await wait(5);
+
+        // Test 6: Verify the value is still accessible after node failure
+        console.log(
+            "\n📝 Test 6: Verifying value is still accessible after node failure"
+        );
+
+        let valueAccessible = false;
+
+        // Try all nodes to see if the value is available anywhere
+        try {
+            console.log("Trying to access value from node 1:");
+            const getValueAfterFailure = await getCache(TEST_KEY, BASE_URL);
+            if (getValueAfterFailure.value === TEST_VALUE) {
+                console.log(
+                    "✅ Value still accessible from node 1 after node failure!"
+                );
+                valueAccessible = true;
+            } else {
+                console.error("❌ Value changed after node failure!");
+                console.error("Expected:", TEST_VALUE);
+                console.error("Received:", getValueAfterFailure.value);
+            }
+        } catch (error) {
+            console.error("❌ Value not accessible from node 1");
+        }
+
+        // Only try node2 if that's not the one we stopped
+        if (nodeToStop !== "redis-node2") {
+            try {
+                console.log("Trying to access value from node 2:");
+                const getValueNode2 = await getCache(TEST_KEY, NODE2_URL);
+                if (getValueNode2.value === TEST_VALUE) {
+                    console.log(
+                        "✅ Value still accessible from node 2 after node failure!"
+                    );
+                    valueAccessible = true;
+                }
+            } catch (error) {
+                console.error("❌ Value not accessible from node 2");
+            }
+        }
+
+        // Only try node3 if that's not the one we stopped
+        if (nodeToStop !== "redis-node3") {
+            try {
+                console.log("Trying to access value from node 3:");
+                const getValueNode3 = await getCache(TEST_KEY, NODE3_URL);
+                if (getValueNode3.value === TEST_VALUE) {
+                    console.log(
+                        "✅ Value still accessible from node 3 after node failure!"
+                    );
+                    valueAccessible = true;
+                }
+            } catch (error) {
+                console.error("❌ Value not accessible from node 3");
+            }
+        }
+
+        // Report overall accessibility
+        if (!valueAccessible) {
+            console.error(
+                "❌ Value not accessible from any node after node failure!"
+            );
+            console.log(
+                "\n⚠️ This indicates the replication or fault tolerance isn't working as expected."
+            );
+            console.log("Possibilities:");
+            console.log("1. Replication factor may be set too low");
+            console.log("2. Hash routing doesn't consider node failures");
+            console.log(
+                "3. Nodes may not be properly configured for replication"
+            );
+        }
+
+        // Test 7: Restart the Redis node we stopped
+        console.log(`\n📝 Test 7: Restarting ${nodeToStop}`);
+        await executeCommand(`docker-compose start ${nodeToStop}`);
+        nodeWasStopped = false;
+
+        // Wait for the node to be back online
+        console.log("Waiting 5 seconds for node to come back online...");
+        await wait(5);
+
+        // Test 8: Verify the value is accessible after restart
+        console.log(
+            "\n📝 Test 8: Verifying value is accessible after node restart"
+        );
+        try {
+            const getValueAfterRestart = await getCache(TEST_KEY);
+            if (getValueAfterRestart.value === TEST_VALUE) {
+                console.log("✅ Value accessible after node restart!");
+            } else {
+                console.error("❌ Value changed after node restart!");
+                console.error("Expected:", TEST_VALUE);
+                console.error("Received:", getValueAfterRestart.value);
+            }
+        } catch (error) {
+            console.error("❌ Value not accessible after restart!");
+            // This test can pass even if the previous one failed
+        }
+
+        if (valueAccessible) {
+            console.log("\n🎉 Fault tolerance tests completed successfully!");
+        } else {
+            console.log(
+                "\n⚠️ Fault tolerance tests completed with issues - replication may not be working correctly."
+            );
+        }
+
+        // Clean up after tests
+        await cleanup();
+    } catch (error) {
+        console.error("❌ Tests failed:", error.message);
+
+        // Always make sure to clean up, especially to restart redis node
+        await cleanup();
+
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runFaultToleranceTests();
@@ -0,0 +1,138 @@
+const axios = require("axios");
+const Redis = require("ioredis");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const STALE_NODE_ID = process.env.REPAIR_TEST_NODE_ID || "node3";
+const STALE_REDIS_HOST = process.env.REPAIR_TEST_REDIS_HOST || "localhost";
+const STALE_REDIS_PORT = parseInt(
+    process.env.REPAIR_TEST_REDIS_PORT || "6381",
+    10
+);
+const TEST_KEY = "read-repair-test-" + Date.now();
+const TEST_VALUE = "Value lost by one replica";
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`).catch(() => {});
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to find what each replica stores for a key
+async function locateKey(key) {
+    const response = await axios.get(`${BASE_URL}/cluster/locate/${key}`);
+    return response.data.replicas;
+}
+
+// Function to sum the read repairs counted by the coordinating node
+async function getReadRepairs() {
+    const response = await axios.get(`${BASE_URL}/metrics`);
+    let total = 0;
+    for (const line of response.data.split("\n")) {
+        const match = line.match(/^redis_cache_read_repairs_total\{.*\} (\d+)/);
+        if (match) {
+            total += parseInt(match[1], 10);
+        }
+    }
+    return total;
+}
+
+// Function to wait for a specific amount of time
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run read repair tests
+async function runReadRepairTests() {
+    console.log("🚀 Starting Read Repair Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(`Test key: ${TEST_KEY}`);
+
+    // Each node stores its keys under its node ID in its own Redis
+    const staleRedis = new Redis({
+        host: STALE_REDIS_HOST,
+        port: STALE_REDIS_PORT,
+        keyPrefix: `${STALE_NODE_ID}:`,
+    });
+
+    try {
+        // Test 1: Make one replica lose the key behind the cluster's back
+        console.log(
+            `\n📝 Test 1: Deleting the key from the Redis of ${STALE_NODE_ID}`
+        );
+        await axios.post(`${BASE_URL}/cache?consistency=all`, {
+            key: TEST_KEY,
+            value: TEST_VALUE,
+            ttl: 3600,
+        });
+        // Let the secondary replication of the write land before the delete
+        await wait(3000);
+        if ((await staleRedis.del(TEST_KEY)) !== 1) {
+            throw new Error(`${STALE_NODE_ID} did not hold the key`);
+        }
+        const stale = (await locateKey(TEST_KEY)).find(
+            (replica) => replica.nodeId === STALE_NODE_ID
+        );
+        if (!stale || stale.holdsKey) {
+            throw new Error(
+                `${STALE_NODE_ID} is not a replica missing the key`
+            );
+        }
+        console.log(`✅ ${STALE_NODE_ID} no longer holds the key`);
+
+        // Test 2: A read at consistency all puts the key back on the replica
+        console.log("\n📝 Test 2: Reading the key at consistency all");
+        const repairsBefore = await getReadRepairs();
+        const response = await axios.get(
+            `${BASE_URL}/cache/${TEST_KEY}?consistency=all`
+        );
+        if (response.data.value !== TEST_VALUE) {
+            throw new Error("Read returned another value");
+        }
+
+        // Repairs are written after the read answers
+        let replicas = [];
+        for (let i = 0; i < 20; i++) {
+            await wait(250);
+            replicas = await locateKey(TEST_KEY);
+            if (replicas.every((replica) => replica.holdsKey)) {
+                break;
+            }
+        }
+        for (const replica of replicas) {
+            console.log(
+                `Replica ${replica.nodeId}: holds key ${replica.holdsKey}, version ${replica.version}`
+            );
+        }
+        if (!replicas.every((replica) => replica.holdsKey)) {
+            throw new Error("The read did not repair the replica");
+        }
+        if (new Set(replicas.map((replica) => replica.version)).size !== 1) {
+            throw new Error(
+                "Replicas hold different versions after the repair"
+            );
+        }
+        const repaired = (await getReadRepairs()) - repairsBefore;
+        if (repaired < 1) {
+            throw new Error("No read repair was counted");
+        }
+        console.log(`✅ ${STALE_NODE_ID} repaired by the read!`);
+
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`);
+        console.log("\n🎉 All read repair tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await axios.delete(`${BASE_URL}/cache/${TEST_KEY}`).catch(() => {});
+        process.exitCode = 1;
+    } finally {
+        staleRedis.disconnect();
+    }
+}
+
+// Run the tests
+runReadRepairTests();
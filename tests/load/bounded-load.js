@@ -0,0 +1,136 @@
+const axios = require("axios");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const CONCURRENT_READS = parseInt(process.env.CONCURRENT_READS || "200", 10);
+const HOT_KEY = "bounded-load-" + Date.now();
+
+// Function to read the load bound and the reads in flight per node
+async function getLoadStatus() {
+    try {
+        const response = await axios.get(`${BASE_URL}/admin/load`);
+        return response.data;
+    } catch (error) {
+        console.error(
+            "❌ Error getting load status:",
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Function to sum the load overflows in the metrics, per replica passed over
+async function getOverflows() {
+    const response = await axios.get(`${BASE_URL}/metrics`);
+    const overflows = {};
+    for (const line of response.data.split("\n")) {
+        const match = line.match(
+            /^redis_cache_load_overflows_total\{.*replica="([^"]+)".*\} (\d+)/
+        );
+        if (match) {
+            overflows[match[1]] =
+                (overflows[match[1]] || 0) + parseInt(match[2], 10);
+        }
+    }
+    return overflows;
+}
+
+// Function to read the hot key, a miss so every read reaches the replicas
+async function readHotKey() {
+    try {
+        await axios.get(`${BASE_URL}/cache/${HOT_KEY}?consistency=quorum`);
+    } catch (error) {
+        if (error.response?.status !== 404) {
+            throw error;
+        }
+    }
+}
+
+// Run bounded-load routing tests
+async function runBoundedLoadTests() {
+    console.log("🚀 Starting Bounded-Load Routing Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(`Hot key: ${HOT_KEY}`);
+
+    try {
+        // Test 1: The load status lists every node
+        console.log("\n📝 Test 1: Getting the load status");
+        const status = await getLoadStatus();
+        console.log(
+            `✅ Epsilon ${status.epsilon}, bound ${
+                status.bound
+            }, nodes: ${Object.keys(status.inFlight).join(", ")}`
+        );
+        if (Object.keys(status.inFlight).length === 0) {
+            throw new Error("Load status lists no nodes");
+        }
+
+        // Test 2: Sequential reads stay on their preferred replicas
+        console.log("\n📝 Test 2: Reading the hot key sequentially");
+        const beforeSequential = await getOverflows();
+        for (let i = 0; i < 10; i++) {
+            await readHotKey();
+        }
+        const afterSequential = await getOverflows();
+        for (const replica of Object.keys(afterSequential)) {
+            if (afterSequential[replica] !== (beforeSequential[replica] || 0)) {
+                throw new Error(
+                    `Sequential reads were routed past replica ${replica}`
+                );
+            }
+        }
+        console.log("✅ Sequential reads stayed on their preferred replicas!");
+
+        // Test 3: Concurrent reads move past replicas at the bound
+        console.log(
+            `\n📝 Test 3: Reading the hot key with ${CONCURRENT_READS} concurrent requests`
+        );
+        const startTime = Date.now();
+        await Promise.all(
+            Array.from({ length: CONCURRENT_READS }, () => readHotKey())
+        );
+        console.log(
+            `✅ ${CONCURRENT_READS} reads completed in ${
+                Date.now() - startTime
+            }ms`
+        );
+
+        const afterConcurrent = await getOverflows();
+        console.log("✅ Overflows after:", afterConcurrent);
+        const moved = Object.keys(afterConcurrent).reduce(
+            (total, replica) =>
+                total +
+                afterConcurrent[replica] -
+                (afterSequential[replica] || 0),
+            0
+        );
+        if (moved === 0) {
+            throw new Error(
+                "No read was routed past a replica over the load bound"
+            );
+        }
+        console.log(`✅ ${moved} reads were routed past a loaded replica!`);
+
+        // Test 4: Nothing is left in flight
+        console.log("\n📝 Test 4: Checking the reads in flight drained");
+        const drained = await getLoadStatus();
+        const inFlight = Object.values(drained.inFlight).reduce(
+            (total, count) => total + count,
+            0
+        );
+        if (inFlight !== 0) {
+            throw new Error(`${inFlight} reads still counted in flight`);
+        }
+        console.log("✅ No reads left in flight!");
+
+        console.log(
+            "\n🎉 All bounded-load routing tests completed successfully!"
+        );
+    } catch (error) {
+        console.error("❌ Tests failed:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runBoundedLoadTests();
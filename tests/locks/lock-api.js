@@ -0,0 +1,159 @@
+const axios = require("axios");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const LOCK_TTL = parseInt(process.env.LOCK_TEST_TTL || "2000", 10);
+const LOCK_NAME = "lock-test-" + Date.now();
+
+let currentLeaseId = null;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        if (currentLeaseId) {
+            await releaseLock(currentLeaseId).catch(() => {});
+        }
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to acquire the test lock
+async function acquireLock(ttl) {
+    try {
+        const response = await axios.post(`${BASE_URL}/locks/${LOCK_NAME}`, {
+            ttl,
+        });
+        console.log(
+            `✅ Acquire: status ${response.status}, token ${response.data.token}`
+        );
+        return response.data;
+    } catch (error) {
+        console.error(
+            "❌ Error acquiring lock:",
+            error.response?.data || error.message
+        );
+        throw error;
+    }
+}
+
+// Function to renew the test lock
+async function renewLock(leaseId, ttl) {
+    const response = await axios.put(`${BASE_URL}/locks/${LOCK_NAME}/renew`, {
+        leaseId,
+        ttl,
+    });
+    console.log(
+        `✅ Renew: status ${response.status}, expires at ${response.data.expiresAt}`
+    );
+    return response.data;
+}
+
+// Function to release the test lock
+async function releaseLock(leaseId) {
+    const response = await axios.delete(`${BASE_URL}/locks/${LOCK_NAME}`, {
+        data: { leaseId },
+    });
+    console.log(`✅ Release: status ${response.status}`);
+    return response.data;
+}
+
+// Expect a request to fail with the given status
+async function expectStatus(request, status, description) {
+    try {
+        await request();
+    } catch (error) {
+        if (error.response?.status !== status) {
+            throw error;
+        }
+        console.log(`✅ ${description} rejected with ${status}`);
+        return;
+    }
+    throw new Error(`${description} should be rejected with ${status}`);
+}
+
+// Run lock API tests
+async function runLockTests() {
+    console.log("🚀 Starting Lock API Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(`Test lock: ${LOCK_NAME}`);
+
+    try {
+        // Test 1: Acquire the lock
+        console.log("\n📝 Test 1: Acquiring the lock");
+        const first = await acquireLock(LOCK_TTL);
+        currentLeaseId = first.leaseId;
+
+        // Test 2: A second client cannot acquire it
+        console.log("\n📝 Test 2: Verifying the lock is exclusive");
+        await expectStatus(
+            () => axios.post(`${BASE_URL}/locks/${LOCK_NAME}`, {}),
+            409,
+            "Second acquire"
+        );
+
+        // Test 3: Renew the lease
+        console.log("\n📝 Test 3: Renewing the lease");
+        await renewLock(first.leaseId, LOCK_TTL);
+        await expectStatus(
+            () => renewLock("not-a-lease", LOCK_TTL),
+            409,
+            "Renew with an unknown lease"
+        );
+
+        // Test 4: Release and reacquire with a higher fencing token
+        console.log("\n📝 Test 4: Releasing and reacquiring the lock");
+        await releaseLock(first.leaseId);
+        currentLeaseId = null;
+
+        const second = await acquireLock(LOCK_TTL);
+        currentLeaseId = second.leaseId;
+        if (!(Number(second.token) > Number(first.token))) {
+            throw new Error(
+                `Fencing token did not increase: ${first.token} -> ${second.token}`
+            );
+        }
+        console.log("✅ Fencing token increased!");
+
+        await expectStatus(
+            () => renewLock(first.leaseId, LOCK_TTL),
+            409,
+            "Renew of a released lease"
+        );
+
+        // Test 5: The lease expires on its own
+        console.log(
+            `\n📝 Test 5: Waiting ${LOCK_TTL}ms for the lease to expire`
+        );
+        await new Promise((resolve) => setTimeout(resolve, LOCK_TTL + 1000));
+        await expectStatus(
+            () => renewLock(second.leaseId, LOCK_TTL),
+            409,
+            "Renew of an expired lease"
+        );
+        currentLeaseId = null;
+
+        const third = await acquireLock(LOCK_TTL);
+        currentLeaseId = third.leaseId;
+        await releaseLock(third.leaseId);
+        currentLeaseId = null;
+        console.log("✅ Lock can be acquired after the lease expired!");
+
+        console.log("\n🎉 All lock API tests completed successfully!");
+    } catch (error) {
+        console.error("❌ Tests failed:", error.message);
+
+        // Attempt cleanup even if tests fail
+        if (currentLeaseId) {
+            await releaseLock(currentLeaseId).catch(() => {});
+        }
+
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runLockTests();
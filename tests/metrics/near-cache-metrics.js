@@ -0,0 +1,134 @@
+const axios = require("axios");
+
+// Configuration
+const NODE1_URL = process.env.NODE1_URL || "http://localhost:3000";
+const NODE2_URL = process.env.NODE2_URL || "http://localhost:3001";
+const TEST_KEY = "near-cache-test-" + Date.now();
+const TEST_VALUE = "Value read into the near-cache";
+const NEW_VALUE = "Value written through another node";
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await axios.delete(`${NODE1_URL}/cache/${TEST_KEY}`).catch(() => {});
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to read the near-cache (l1) and replica (l2) counters of a node
+async function getTierCounters(nodeUrl) {
+    const response = await axios.get(`${nodeUrl}/metrics`);
+    const counters = { l1: { hits: 0, misses: 0 }, l2: { hits: 0, misses: 0 } };
+    for (const line of response.data.split("\n")) {
+        const match = line.match(
+            /^redis_cache_tier_(hits|misses)_total\{.*tier="(l1|l2)".*\} (\d+)/
+        );
+        if (match) {
+            counters[match[2]][match[1]] += parseInt(match[3], 10);
+        }
+    }
+    return counters;
+}
+
+// Function to read a key at quorum, the level that uses the near-cache
+async function getCache(nodeUrl, key) {
+    const response = await axios.get(
+        `${nodeUrl}/cache/${key}?consistency=quorum`
+    );
+    return response.data.value;
+}
+
+// Function to check how much each counter grew
+function expectGrowth(before, after, expected) {
+    for (const tier of ["l1", "l2"]) {
+        for (const kind of ["hits", "misses"]) {
+            const growth = after[tier][kind] - before[tier][kind];
+            if (growth !== expected[tier][kind]) {
+                throw new Error(
+                    `Expected ${expected[tier][kind]} ${tier} ${kind}, counted ${growth}`
+                );
+            }
+        }
+    }
+}
+
+// Function to wait for a specific amount of time
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run near-cache metrics tests
+async function runNearCacheTests() {
+    console.log("🚀 Starting Near-Cache Metrics Tests...");
+    console.log(`Reading through ${NODE1_URL}, writing through ${NODE2_URL}`);
+    console.log(`Test key: ${TEST_KEY}`);
+
+    try {
+        await axios.post(`${NODE1_URL}/cache?consistency=all`, {
+            key: TEST_KEY,
+            value: TEST_VALUE,
+            ttl: 3600,
+        });
+
+        // Test 1: The first read misses the near-cache and hits the replicas
+        console.log("\n📝 Test 1: Reading the key for the first time");
+        const beforeFirst = await getTierCounters(NODE1_URL);
+        if ((await getCache(NODE1_URL, TEST_KEY)) !== TEST_VALUE) {
+            throw new Error("First read returned another value");
+        }
+        const afterFirst = await getTierCounters(NODE1_URL);
+        expectGrowth(beforeFirst, afterFirst, {
+            l1: { hits: 0, misses: 1 },
+            l2: { hits: 1, misses: 0 },
+        });
+        console.log("✅ Counted an l1 miss and an l2 hit!");
+
+        // Test 2: The second read is served by the near-cache
+        console.log("\n📝 Test 2: Reading the key again");
+        if ((await getCache(NODE1_URL, TEST_KEY)) !== TEST_VALUE) {
+            throw new Error("Second read returned another value");
+        }
+        const afterSecond = await getTierCounters(NODE1_URL);
+        expectGrowth(afterFirst, afterSecond, {
+            l1: { hits: 1, misses: 0 },
+            l2: { hits: 0, misses: 0 },
+        });
+        console.log("✅ Counted an l1 hit!");
+
+        // Test 3: A write through another node evicts the near-cache copy
+        console.log("\n📝 Test 3: Writing the key through another node");
+        await axios.post(`${NODE2_URL}/cache`, {
+            key: TEST_KEY,
+            value: NEW_VALUE,
+            ttl: 3600,
+        });
+        await wait(500);
+        const beforeEvicted = await getTierCounters(NODE1_URL);
+        const value = await getCache(NODE1_URL, TEST_KEY);
+        if (value !== NEW_VALUE) {
+            throw new Error(
+                `Read after the write returned ${JSON.stringify(value)}`
+            );
+        }
+        expectGrowth(beforeEvicted, await getTierCounters(NODE1_URL), {
+            l1: { hits: 0, misses: 1 },
+            l2: { hits: 1, misses: 0 },
+        });
+        console.log("✅ The evicted copy was read again from the replicas!");
+
+        await axios.delete(`${NODE1_URL}/cache/${TEST_KEY}`);
+        console.log(
+            "\n🎉 All near-cache metrics tests completed successfully!"
+        );
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await axios.delete(`${NODE1_URL}/cache/${TEST_KEY}`).catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runNearCacheTests();
@@ -0,0 +1,236 @@
+const assert = require("assert");
+const GossipBackend = require("../../src/coordination/gossipBackend");
+
+const SUSPICION_TIMEOUT = 300;
+
+// Gossip handlers by node ID, the nodes that are down and the links that are cut
+const handlers = new Map();
+const downNodes = new Set();
+const cutLinks = new Set();
+
+// Messages delivered between the nodes, as "from>to" or "from>to:target"
+const messages = [];
+
+// Function to wait for a specific amount of time
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Function to deliver a gossip message the way the gRPC server would
+async function deliver(from, to, request) {
+    if (
+        downNodes.has(from) ||
+        downNodes.has(to) ||
+        cutLinks.has(`${from}>${to}`)
+    ) {
+        throw new Error(`14 UNAVAILABLE: ${to} unreachable from ${from}`);
+    }
+    messages.push(
+        request.target ? `${from}>${to}:${request.target}` : `${from}>${to}`
+    );
+    const response = await handlers.get(to)(
+        JSON.parse(JSON.stringify(request))
+    );
+    return JSON.parse(JSON.stringify(response));
+}
+
+// Function to create a communication layer routing gossip between in-process nodes
+function createCommunicationLayer(nodeId) {
+    return {
+        setGossipHandler: (handler) => handlers.set(nodeId, handler),
+        gossip: (targetId, targetInfo, request) =>
+            deliver(nodeId, targetId, request),
+        // Seeds are gRPC addresses, the host being the node ID here
+        gossipSeed: (seed, request) =>
+            deliver(nodeId, seed.split(":")[0], request),
+    };
+}
+
+// Function to start a node on a seed list, recording its node events. The
+// probe and sync timers are left idle, the checks run the rounds themselves.
+async function startNode(nodeId, seeds) {
+    const backend = new GossipBackend();
+    backend.seeds = seeds;
+    backend.protocolPeriod = 3600000;
+    backend.syncInterval = 3600000;
+    backend.suspicionTimeout = SUSPICION_TIMEOUT;
+    backend.events = [];
+    await backend.initialize();
+    backend.setCommunicationLayer(createCommunicationLayer(nodeId));
+    await backend.subscribeToNodeUpdates((event) =>
+        backend.events.push(`${event.type} ${event.nodeId}`)
+    );
+    await backend.registerNode(nodeId, {
+        host: nodeId,
+        port: 6379,
+        grpcHost: nodeId,
+        grpcPort: 50051,
+    });
+    return backend;
+}
+
+// Function to get the status a node holds for a member
+function statusOf(backend, nodeId) {
+    const member = backend.members.get(nodeId);
+    return member ? member.status : null;
+}
+
+// Function to run probe rounds on a node until a member reaches a status
+async function probeUntil(backend, nodeId, status) {
+    for (let i = 0; i < 10 && statusOf(backend, nodeId) !== status; i++) {
+        await backend._probeRound();
+    }
+    assert.strictEqual(statusOf(backend, nodeId), status);
+}
+
+// Run gossip coordination backend checks
+async function runGossipBackendChecks() {
+    console.log("🚀 Starting Gossip Coordination Backend Checks...");
+
+    const backends = [];
+    try {
+        // Check 1: Nodes join through their seeds, skipping themselves
+        console.log("\n📝 Check 1: Joining through the seeds");
+        const node1 = await startNode("node1", ["node1:50051"]);
+        backends.push(node1);
+        await node1._sync();
+        assert.strictEqual(node1.members.size, 0);
+
+        const node2 = await startNode("node2", ["node1:50051"]);
+        const node3 = await startNode("node3", ["node3:50051", "node2:50051"]);
+        backends.push(node2, node3);
+        await node2._sync();
+        await node3._sync();
+        assert.ok(messages.includes("node3>node2"));
+        assert.deepStrictEqual(Object.keys(await node3.getAllNodes()).sort(), [
+            "node1",
+            "node2",
+            "node3",
+        ]);
+
+        // node1 hears of node3 through the updates piggybacked on the probes
+        for (let i = 0; i < 10 && statusOf(node1, "node3") !== "alive"; i++) {
+            await node2._probeRound();
+            await node1._probeRound();
+        }
+        for (const backend of backends) {
+            assert.deepStrictEqual(
+                Object.keys(await backend.getAllNodes()).sort(),
+                ["node1", "node2", "node3"]
+            );
+        }
+        assert.ok(node1.events.includes("add node3"));
+        console.log("✅ Every node knows the three members!");
+
+        // Check 2: A member that answers its pings stays alive
+        console.log("\n📝 Check 2: Probing members directly");
+        // Two rounds of a fresh round-robin order visit both members
+        node1.probeOrder = [];
+        messages.length = 0;
+        await node1._probeRound();
+        await node1._probeRound();
+        assert.ok(messages.includes("node1>node2"));
+        assert.ok(messages.includes("node1>node3"));
+        assert.ok(!messages.some((message) => message.includes(":")));
+        assert.strictEqual(statusOf(node1, "node2"), "alive");
+        assert.strictEqual(statusOf(node1, "node3"), "alive");
+        console.log("✅ Both members acknowledged their pings!");
+
+        // Check 3: A member unreachable from one node is probed through another
+        console.log("\n📝 Check 3: Probing a member through another node");
+        cutLinks.add("node1>node3");
+        messages.length = 0;
+        for (
+            let i = 0;
+            i < 10 && !messages.includes("node1>node2:node3");
+            i++
+        ) {
+            await node1._probeRound();
+        }
+        assert.ok(messages.includes("node1>node2:node3"));
+        assert.ok(messages.includes("node2>node3"));
+        assert.strictEqual(statusOf(node1, "node3"), "alive");
+        console.log("✅ node2 reached node3 on behalf of node1, no suspicion!");
+
+        // Check 4: A suspected member refutes the suspicion with a higher incarnation
+        console.log("\n📝 Check 4: Refuting a suspicion");
+        cutLinks.add("node2>node3");
+        await probeUntil(node1, "node3", "suspect");
+        assert.ok("node3" in (await node1.getAllNodes()));
+        const suspected = node1.members.get("node3").incarnation;
+
+        cutLinks.clear();
+        assert.strictEqual(await node1._ping(node1.members.get("node3")), true);
+        assert.strictEqual(node3.self.incarnation, suspected + 1);
+        assert.strictEqual(statusOf(node1, "node3"), "alive");
+        assert.strictEqual(
+            node1.members.get("node3").incarnation,
+            suspected + 1
+        );
+        await wait(SUSPICION_TIMEOUT + 100);
+        assert.strictEqual(statusOf(node1, "node3"), "alive");
+        console.log(
+            `✅ node3 refuted at incarnation ${suspected + 1} and stayed alive!`
+        );
+
+        // Check 5: A suspect that does not refute in time is declared dead
+        console.log("\n📝 Check 5: Stopping a member");
+        downNodes.add("node3");
+        await probeUntil(node1, "node3", "suspect");
+        assert.ok(!node1.events.includes("remove node3"));
+        await wait(SUSPICION_TIMEOUT + 100);
+        assert.strictEqual(statusOf(node1, "node3"), "dead");
+        assert.ok(!("node3" in (await node1.getAllNodes())));
+        assert.ok(node1.events.includes("remove node3"));
+        console.log(
+            `✅ node3 declared dead ${SUSPICION_TIMEOUT}ms after the suspicion!`
+        );
+
+        // Check 6: Stale gossip cannot revive a dead member
+        console.log(
+            "\n📝 Check 6: Receiving stale gossip about the dead member"
+        );
+        const dead = node1.members.get("node3");
+        await node1.handleGossip({
+            node_id: "node2",
+            target: "",
+            target_info: "",
+            sync: false,
+            updates: [
+                {
+                    node_id: "node3",
+                    node_info: JSON.stringify(dead.nodeInfo),
+                    incarnation: dead.incarnation,
+                    status: "alive",
+                },
+            ],
+        });
+        assert.strictEqual(statusOf(node1, "node3"), "dead");
+        assert.ok(!("node3" in (await node1.getAllNodes())));
+
+        // Dead members are only forgotten after the retention
+        node1._pruneDead();
+        assert.ok(node1.members.has("node3"));
+        node1.deadRetention = 0;
+        await wait(5);
+        node1._pruneDead();
+        assert.ok(!node1.members.has("node3"));
+        console.log("✅ node3 kept dead until the retention ran out!");
+
+        for (const backend of backends) {
+            await backend.shutdown();
+        }
+        console.log(
+            "\n🎉 All gossip coordination backend checks completed successfully!"
+        );
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        for (const backend of backends) {
+            await backend.shutdown().catch(() => {});
+        }
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runGossipBackendChecks();
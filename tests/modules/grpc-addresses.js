@@ -0,0 +1,120 @@
+const assert = require("assert");
+const CommunicationLayer = require("../../src/communication/communicationLayer");
+
+// Node info as registered by node2 in the Docker Compose setup
+const NODE2_INFO = {
+    host: "redis-node2",
+    port: 6380,
+    grpcHost: "10.0.0.7",
+    grpcPort: 50052,
+};
+
+// Function to create a communication layer recording the clients it creates
+// instead of opening gRPC channels
+function createLayer(addressTemplate = null) {
+    const layer = new CommunicationLayer(null);
+    layer.addressTemplate = addressTemplate;
+    layer.created = [];
+    layer._createClient = (address) => {
+        const client = {
+            address,
+            closed: false,
+            close() {
+                this.closed = true;
+            },
+        };
+        layer.created.push(client);
+        return client;
+    };
+    return layer;
+}
+
+// Run gRPC address checks
+async function runGrpcAddressChecks() {
+    console.log("🚀 Starting gRPC Address Checks...");
+
+    try {
+        // Check 1: Nodes are dialed at the address they advertise
+        console.log("\n📝 Check 1: Resolving advertised addresses");
+        const layer = createLayer();
+        assert.strictEqual(
+            layer.getNodeAddress("node2", NODE2_INFO),
+            "10.0.0.7:50052"
+        );
+        // Nodes registered before addresses were advertised only list their Redis host
+        assert.strictEqual(
+            layer.getNodeAddress("node2", { host: "redis-node2", port: 6380 }),
+            "redis-node2:50051"
+        );
+        // The service name is not derived from the node ID any more
+        assert.strictEqual(
+            layer.getNodeAddress("node7", {
+                ...NODE2_INFO,
+                grpcHost: "cache-a",
+            }),
+            "cache-a:50052"
+        );
+        console.log("✅ Advertised address used, not the Docker service name!");
+
+        // Check 2: The template overrides the advertised addresses
+        console.log("\n📝 Check 2: Resolving addresses from a template");
+        const templated = createLayer(
+            "{nodeId}.cache.default.svc.cluster.local:{grpcPort}"
+        );
+        assert.strictEqual(
+            templated.getNodeAddress("node2", NODE2_INFO),
+            "node2.cache.default.svc.cluster.local:50052"
+        );
+        assert.strictEqual(
+            createLayer("{grpcHost}:{grpcPort}").getNodeAddress("node2", {
+                host: "redis-node2",
+                port: 6380,
+            }),
+            "redis-node2:50051"
+        );
+        console.log(
+            "✅ Addresses built from {nodeId}, {grpcHost} and {grpcPort}!"
+        );
+
+        // Check 3: A client is reused until its node moves to another address
+        console.log("\n📝 Check 3: Reusing and rebuilding clients");
+        const first = layer.getClient("node2", NODE2_INFO);
+        assert.strictEqual(layer.getClient("node2", { ...NODE2_INFO }), first);
+        assert.strictEqual(layer.created.length, 1);
+
+        const moved = layer.getClient("node2", {
+            ...NODE2_INFO,
+            grpcHost: "10.0.0.8",
+        });
+        assert.notStrictEqual(moved, first);
+        assert.ok(first.closed);
+        assert.strictEqual(moved.address, "10.0.0.8:50052");
+        assert.strictEqual(
+            layer.clients.get("node2").address,
+            "10.0.0.8:50052"
+        );
+        assert.strictEqual(layer.created.length, 2);
+        console.log(
+            "✅ Client rebuilt at the new address, the old one closed!"
+        );
+
+        // Check 4: Closed clients are created again on the next call
+        console.log("\n📝 Check 4: Closing clients");
+        layer.closeClient("node2");
+        assert.ok(moved.closed);
+        assert.ok(!layer.clients.has("node2"));
+        const reopened = layer.getClient("node2", NODE2_INFO);
+        await layer.shutdown();
+        assert.ok(reopened.closed);
+        assert.strictEqual(layer.clients.size, 0);
+        console.log("✅ Clients closed and created again on demand!");
+
+        console.log("\n🎉 All gRPC address checks completed successfully!");
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runGrpcAddressChecks();
@@ -0,0 +1,103 @@
+const assert = require("assert");
+const HybridLogicalClock = require("../../src/utils/hybridLogicalClock");
+
+// Run hybrid logical clock checks
+function runClockChecks() {
+    console.log("🚀 Starting Hybrid Logical Clock Checks...");
+
+    try {
+        // Check 1: Local timestamps always move forward
+        console.log("\n📝 Check 1: Taking local timestamps");
+        const clock = new HybridLogicalClock("node1");
+        let previous = clock.now();
+        for (let i = 0; i < 1000; i++) {
+            const next = clock.now();
+            assert.ok(
+                HybridLogicalClock.compare(next, previous) > 0,
+                `${HybridLogicalClock.encode(
+                    next
+                )} is not after ${HybridLogicalClock.encode(previous)}`
+            );
+            previous = next;
+        }
+        console.log("✅ 1000 timestamps in increasing order!");
+
+        // Check 2: A received timestamp ahead of the wall clock is passed
+        console.log("\n📝 Check 2: Receiving a timestamp from a fast clock");
+        const remote = {
+            wallTime: Date.now() + 10000,
+            logical: 5,
+            nodeId: "node2",
+        };
+        const received = clock.update(remote);
+        assert.strictEqual(received.wallTime, remote.wallTime);
+        assert.strictEqual(received.logical, 6);
+        assert.ok(HybridLogicalClock.compare(clock.now(), remote) > 0);
+        console.log("✅ Local timestamps order after the received one!");
+
+        // Check 3: A clock too far ahead is ignored
+        console.log(
+            "\n📝 Check 3: Receiving a timestamp past the maximum drift"
+        );
+        const bounded = new HybridLogicalClock("node1", 1000);
+        const ignored = bounded.update({
+            wallTime: Date.now() + 60000,
+            logical: 0,
+            nodeId: "node2",
+        });
+        assert.ok(ignored.wallTime <= Date.now());
+        console.log("✅ The drifting clock was ignored!");
+
+        // Check 4: Timestamps survive encoding, malformed ones are rejected
+        console.log("\n📝 Check 4: Encoding and decoding timestamps");
+        const timestamp = {
+            wallTime: 1700000000000,
+            logical: 3,
+            nodeId: "a:b",
+        };
+        assert.deepStrictEqual(
+            HybridLogicalClock.decode(HybridLogicalClock.encode(timestamp)),
+            timestamp
+        );
+        for (const malformed of [undefined, 42, "", "abc", "1:x:node1"]) {
+            assert.strictEqual(HybridLogicalClock.decode(malformed), null);
+        }
+        const observed = new HybridLogicalClock("node1");
+        observed.observe("not a timestamp");
+        assert.strictEqual(observed.wallTime, 0);
+        console.log(
+            "✅ Round trip kept the timestamp, malformed input ignored!"
+        );
+
+        // Check 5: Equal times are ordered by logical counter, then node ID
+        console.log("\n📝 Check 5: Ordering timestamps");
+        const at = (logical, nodeId) => ({ wallTime: 1000, logical, nodeId });
+        assert.ok(
+            HybridLogicalClock.compare(at(1, "node2"), at(2, "node1")) < 0
+        );
+        assert.ok(
+            HybridLogicalClock.compare(at(1, "node1"), at(1, "node2")) < 0
+        );
+        assert.strictEqual(
+            HybridLogicalClock.compare(at(1, "node1"), at(1, "node1")),
+            0
+        );
+        assert.ok(
+            HybridLogicalClock.compare(
+                HybridLogicalClock.fromWallTime(1000),
+                at(0, "node1")
+            ) < 0
+        );
+        console.log("✅ Timestamps ordered as expected!");
+
+        console.log(
+            "\n🎉 All hybrid logical clock checks completed successfully!"
+        );
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runClockChecks();
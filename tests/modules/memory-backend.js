@@ -0,0 +1,114 @@
+const assert = require("assert");
+const MemoryBackend = require("../../src/coordination/memoryBackend");
+
+const CLUSTER_NAME = "memory-backend-check-" + Date.now();
+
+// Function to let the asynchronous node notifications run
+function settle() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Function to start a backend with a registered node, recording its node events
+async function startNode(nodeId, clusterName = CLUSTER_NAME) {
+    const backend = new MemoryBackend(clusterName);
+    backend.events = [];
+    await backend.initialize();
+    await backend.subscribeToNodeUpdates((event) =>
+        backend.events.push(`${event.type} ${event.nodeId}`)
+    );
+    await backend.registerNode(nodeId, { host: nodeId, port: 6379 });
+    return backend;
+}
+
+// Run memory coordination backend checks
+async function runMemoryBackendChecks() {
+    console.log("🚀 Starting Memory Coordination Backend Checks...");
+    console.log(`Cluster: ${CLUSTER_NAME}`);
+
+    const backends = [];
+    try {
+        // Check 1: Backends of the same cluster see each other's nodes
+        console.log("\n📝 Check 1: Registering two nodes");
+        const first = await startNode("node1");
+        const second = await startNode("node2");
+        backends.push(first, second);
+        await settle();
+        for (const backend of [first, second]) {
+            assert.deepStrictEqual(
+                Object.keys(await backend.getAllNodes()).sort(),
+                ["node1", "node2"]
+            );
+        }
+        assert.ok(first.events.includes("add node2"));
+        const leaders = [];
+        await second.startElection("node2", (leader) => leaders.push(leader));
+        assert.deepStrictEqual(leaders, ["node1"]);
+        console.log("✅ Both nodes see each other and agree on node1 leading!");
+
+        // Check 2: Another cluster name is isolated
+        console.log("\n📝 Check 2: Registering a node in another cluster");
+        const isolated = await startNode("node3", `${CLUSTER_NAME}-other`);
+        backends.push(isolated);
+        await settle();
+        assert.deepStrictEqual(Object.keys(await first.getAllNodes()).sort(), [
+            "node1",
+            "node2",
+        ]);
+        console.log("✅ The other cluster stayed separate!");
+
+        // Check 3: Locks are exclusive and waiters get a higher fencing token
+        console.log("\n📝 Check 3: Acquiring a lock from both nodes");
+        const held = await first.acquireLock("check");
+        assert.ok(held);
+        assert.strictEqual(await second.acquireLock("check"), null);
+        assert.strictEqual(
+            await second.acquireLock("check", { waitTimeout: 50 }),
+            null
+        );
+        const waiting = second.acquireLock("check", { waitTimeout: 5000 });
+        assert.strictEqual(await first.releaseLock(held), true);
+        const granted = await waiting;
+        assert.ok(granted && granted.token > held.token);
+        assert.strictEqual(await first.isLockHeld(held), false);
+        assert.strictEqual(await second.isLockHeld(granted), true);
+        assert.strictEqual(await first.releaseLock(held), false);
+        console.log(
+            `✅ Lock handed over with fencing token ${held.token} then ${granted.token}!`
+        );
+
+        // Check 4: Values are shared by the nodes of the cluster only
+        console.log("\n📝 Check 4: Sharing values");
+        assert.strictEqual(first.hasSharedValues(), true);
+        await first.setValue("ring", { epoch: 3 });
+        assert.deepStrictEqual(await second.getValue("ring"), { epoch: 3 });
+        assert.strictEqual(await isolated.getValue("ring"), null);
+        assert.strictEqual(await second.deleteValue("ring"), true);
+        assert.strictEqual(await first.getValue("ring"), null);
+        console.log("✅ Values shared within the cluster!");
+
+        // Check 5: Shutting a backend down drops its nodes and locks
+        console.log("\n📝 Check 5: Shutting the second node down");
+        await second.shutdown();
+        await settle();
+        assert.deepStrictEqual(Object.keys(await first.getAllNodes()), [
+            "node1",
+        ]);
+        assert.ok(first.events.includes("remove node2"));
+        assert.strictEqual(await first.isLockHeld(granted), false);
+        assert.ok(await first.acquireLock("check"));
+        console.log("✅ The node left and its lock was released!");
+
+        for (const backend of backends) {
+            await backend.shutdown();
+        }
+        console.log(
+            "\n🎉 All memory coordination backend checks completed successfully!"
+        );
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runMemoryBackendChecks();
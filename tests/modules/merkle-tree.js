@@ -0,0 +1,66 @@
+const assert = require("assert");
+const MerkleTree = require("../../src/utils/merkleTree");
+
+const LEAF_COUNT = 64;
+
+// Function to spread key/version pairs over buckets by key suffix
+function buildBuckets(entries) {
+    const buckets = Array.from({ length: LEAF_COUNT }, () => new Map());
+    for (const [key, version] of entries) {
+        buckets[parseInt(key.split("-")[1], 10) % LEAF_COUNT].set(key, version);
+    }
+    return buckets;
+}
+
+// Run Merkle tree checks
+function runMerkleTreeChecks() {
+    console.log("🚀 Starting Merkle Tree Checks...");
+
+    try {
+        const entries = Array.from({ length: 500 }, (_, i) => [
+            `key-${i}`,
+            `${1000 + i}:0:node1`,
+        ]);
+
+        // Check 1: Replicas with the same keys build the same tree
+        console.log("\n📝 Check 1: Building trees from the same keys");
+        const tree = MerkleTree.fromBuckets(buildBuckets(entries));
+        const same = MerkleTree.fromBuckets(
+            buildBuckets(entries.slice().reverse())
+        );
+        assert.strictEqual(tree.root, same.root);
+        assert.deepStrictEqual(tree.diff(same), []);
+        console.log(`✅ Same root ${tree.root} regardless of key order!`);
+
+        // Check 2: Only the leaves holding changed keys differ
+        console.log("\n📝 Check 2: Comparing trees after changing keys");
+        const changed = entries.map(([key, version]) =>
+            key === "key-3" ? [key, "2000:0:node2"] : [key, version]
+        );
+        changed.push(["key-130", "2001:0:node2"]);
+        const other = MerkleTree.fromBuckets(buildBuckets(changed));
+        assert.notStrictEqual(tree.root, other.root);
+        assert.deepStrictEqual(
+            tree.diff(other).sort((a, b) => a - b),
+            [2, 3]
+        );
+        console.log("✅ Only leaves 2 and 3 differ!");
+
+        // Check 3: Trees of other shapes are rejected
+        console.log("\n📝 Check 3: Building and comparing malformed trees");
+        assert.throws(() => new MerkleTree([]));
+        assert.throws(() => new MerkleTree(["a", "b", "c"]));
+        assert.throws(() =>
+            tree.diff(MerkleTree.fromBuckets([new Map(), new Map()]))
+        );
+        console.log("✅ Malformed trees rejected!");
+
+        console.log("\n🎉 All Merkle tree checks completed successfully!");
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runMerkleTreeChecks();
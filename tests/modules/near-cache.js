@@ -0,0 +1,98 @@
+const assert = require("assert");
+const NearCache = require("../../src/cache/nearCache");
+
+// Function to wait for a specific amount of time
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run near-cache checks
+async function runNearCacheChecks() {
+    console.log("🚀 Starting Near-Cache Checks...");
+
+    try {
+        // Check 1: Values are served until they are invalidated
+        console.log("\n📝 Check 1: Caching and invalidating a value");
+        const cache = new NearCache({ maxEntries: 3, maxStaleness: 5000 });
+        assert.strictEqual(cache.set("a", { n: 1 }, cache.begin(), -1), true);
+        assert.deepStrictEqual(cache.get("a"), { value: { n: 1 } });
+        cache.invalidate("a");
+        assert.strictEqual(cache.get("a"), null);
+        console.log("✅ Invalidated value no longer served!");
+
+        // Check 2: A read that overlapped an invalidation is not cached
+        console.log("\n📝 Check 2: Caching a read that overlapped a write");
+        const since = cache.begin();
+        cache.invalidate("a");
+        assert.strictEqual(cache.set("a", "stale", since, -1), false);
+        assert.strictEqual(cache.set("a", "fresh", cache.begin(), -1), true);
+        assert.deepStrictEqual(cache.get("a"), { value: "fresh" });
+        console.log("✅ Value read before the write refused!");
+
+        // Check 3: The least recently used entry leaves first
+        console.log("\n📝 Check 3: Filling the cache past its limit");
+        cache.set("b", 2, cache.begin(), -1);
+        cache.set("c", 3, cache.begin(), -1);
+        cache.get("a");
+        cache.set("d", 4, cache.begin(), -1);
+        assert.strictEqual(cache.get("b"), null);
+        assert.deepStrictEqual(
+            ["a", "c", "d"].map((key) => cache.get(key).value),
+            ["fresh", 3, 4]
+        );
+        assert.strictEqual(cache.getStats().entries, 3);
+        const small = new NearCache({ maxBytes: 16 });
+        assert.strictEqual(
+            small.set("big", "x".repeat(32), small.begin(), -1),
+            false
+        );
+        console.log("✅ Entry and byte limits enforced!");
+
+        // Check 4: Entries expire with the key or at the maximum staleness
+        console.log("\n📝 Check 4: Expiring entries");
+        const short = new NearCache({ maxStaleness: 100 });
+        short.set("ttl", 1, short.begin(), 50);
+        short.set("stale", 2, short.begin(), -1);
+        assert.strictEqual(short.set("unknown", 3, short.begin(), -2), false);
+        await wait(60);
+        assert.strictEqual(short.get("ttl"), null);
+        assert.deepStrictEqual(short.get("stale"), { value: 2 });
+        await wait(60);
+        assert.strictEqual(short.get("stale"), null);
+        console.log("✅ Entries expired on time!");
+
+        // Check 5: Readers are returned once per write
+        console.log("\n📝 Check 5: Tracking the nodes reading a key");
+        cache.trackReader("a", "node2");
+        cache.trackReader("a", "node3");
+        cache.trackReader("a", "node2");
+        assert.deepStrictEqual(cache.takeReaders("a").sort(), [
+            "node2",
+            "node3",
+        ]);
+        assert.deepStrictEqual(cache.takeReaders("a"), []);
+        for (const key of ["k1", "k2", "k3", "k4"]) {
+            cache.trackReader(key, "node2");
+        }
+        assert.deepStrictEqual(cache.takeReaders("k1"), []);
+        assert.deepStrictEqual(cache.takeReaders("k4"), ["node2"]);
+        console.log("✅ Readers tracked for the latest keys only!");
+
+        // Check 6: A disabled cache stores nothing
+        console.log("\n📝 Check 6: Disabling the cache");
+        const disabled = new NearCache({ maxEntries: 0 });
+        assert.strictEqual(disabled.enabled, false);
+        assert.strictEqual(disabled.set("a", 1, disabled.begin(), -1), false);
+        disabled.trackReader("a", "node2");
+        assert.deepStrictEqual(disabled.takeReaders("a"), []);
+        console.log("✅ Disabled cache stored nothing!");
+
+        console.log("\n🎉 All near-cache checks completed successfully!");
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runNearCacheChecks();
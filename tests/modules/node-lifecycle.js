@@ -0,0 +1,149 @@
+const assert = require("assert");
+const CacheManager = require("../../src/cache/cacheManager");
+const CoordinationService = require("../../src/coordination/coordinationService");
+const MemoryBackend = require("../../src/coordination/memoryBackend");
+
+const CLUSTER_NAME = "node-lifecycle-check-" + Date.now();
+const TEST_KEY = "lifecycle-check-key";
+
+// Function to let the asynchronous node notifications run
+function settle() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Function to start a cache manager on the in-process cluster. It opens no
+// Redis connection and records the replicas it reads instead of reading them.
+async function startManager(nodeId) {
+    const coordinationService = new CoordinationService(
+        new MemoryBackend(CLUSTER_NAME)
+    );
+    await coordinationService.initialize();
+
+    const manager = new CacheManager(coordinationService);
+    manager.nodeId = nodeId;
+    manager.replicaFactor = 2;
+    manager.nodeInfo = {
+        host: nodeId,
+        port: 6379,
+        grpcHost: nodeId,
+        grpcPort: 50051,
+        weight: 1,
+        zone: null,
+        placement: manager.consistentHashing.getSettings(),
+    };
+    manager._createNodeRedis = () => ({ quit: () => Promise.resolve() });
+    manager.reads = [];
+    manager._readFromNode = async (replica) => {
+        manager.reads.push(replica);
+        return { nodeId: replica, value: null, raw: null, pttl: -2 };
+    };
+    await coordinationService.subscribeToNodeUpdates(
+        manager.handleNodeUpdates.bind(manager)
+    );
+    return manager;
+}
+
+// Function to read the test key at consistency all, returning the replicas read
+async function readReplicas(manager) {
+    manager.reads = [];
+    await manager._quorumRead(TEST_KEY, { consistency: "all" });
+    return manager.reads.sort();
+}
+
+// Run node lifecycle checks
+async function runNodeLifecycleChecks() {
+    console.log("🚀 Starting Node Lifecycle Checks...");
+    console.log(`Cluster: ${CLUSTER_NAME}`);
+
+    // Records every state and epoch published through the coordination backend
+    const observer = new MemoryBackend(CLUSTER_NAME);
+    const published = [];
+    const backends = [observer];
+    try {
+        await observer.initialize();
+        await observer.subscribeToNodeUpdates((event) => {
+            if (event.type === "add") {
+                published.push({
+                    nodeId: event.nodeId,
+                    state: event.nodeInfo.state,
+                    epoch: event.nodeInfo.epoch,
+                });
+            }
+        });
+
+        // Check 1: A node registers as joining and publishes each state with a new epoch
+        console.log("\n📝 Check 1: Publishing lifecycle states");
+        const node1 = await startManager("node1");
+        backends.push(node1.coordinationService.backend);
+        await node1.setState("joining");
+        await settle();
+        await node1.setState("active");
+        await settle();
+        const node1States = published.filter(
+            (update) => update.nodeId === "node1"
+        );
+        assert.deepStrictEqual(
+            node1States.map((update) => update.state),
+            ["joining", "active"]
+        );
+        assert.ok(node1States[1].epoch > node1States[0].epoch);
+        assert.strictEqual(node1States[1].epoch, node1.epoch);
+        await assert.rejects(node1.setState("resting"), /Unknown node state/);
+        console.log("✅ joining then active published with increasing epochs!");
+
+        // Check 2: A joining replica takes no reads
+        console.log("\n📝 Check 2: Reading while node2 is joining");
+        const node2 = await startManager("node2");
+        backends.push(node2.coordinationService.backend);
+        await node2.setState("joining");
+        await settle();
+        assert.strictEqual(node1.getNodeState("node2"), "joining");
+        assert.deepStrictEqual(node1.getReplicaNodes(TEST_KEY).sort(), [
+            "node1",
+            "node2",
+        ]);
+        assert.deepStrictEqual(await readReplicas(node1), ["node1"]);
+        console.log("✅ node2 is a replica, but only node1 was read!");
+
+        // Check 3: The replica is read once it is active
+        console.log("\n📝 Check 3: Reading once node2 is active");
+        await node2.setState("active");
+        await settle();
+        assert.strictEqual(node1.getNodeState("node2"), "active");
+        assert.strictEqual(node1.nodeInfos.get("node2").epoch, node2.epoch);
+        assert.deepStrictEqual(await readReplicas(node1), ["node1", "node2"]);
+        console.log("✅ Both replicas read!");
+
+        // Check 4: A state from an older epoch delivered late is ignored
+        console.log("\n📝 Check 4: Receiving a state from an older epoch");
+        const joining = published.find(
+            (update) => update.nodeId === "node2" && update.state === "joining"
+        );
+        await node1.handleNodeUpdates({
+            type: "add",
+            nodeId: "node2",
+            nodeInfo: {
+                ...node2.nodeInfo,
+                state: "joining",
+                epoch: joining.epoch,
+            },
+        });
+        assert.strictEqual(node1.getNodeState("node2"), "active");
+        assert.deepStrictEqual(await readReplicas(node1), ["node1", "node2"]);
+        console.log(`✅ State from epoch ${joining.epoch} ignored!`);
+
+        for (const backend of backends) {
+            await backend.shutdown();
+        }
+        console.log("\n🎉 All node lifecycle checks completed successfully!");
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        for (const backend of backends) {
+            await backend.shutdown().catch(() => {});
+        }
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runNodeLifecycleChecks();
@@ -0,0 +1,119 @@
+const assert = require("assert");
+const ConsistentHashing = require("../../src/utils/consistentHashing");
+const {
+    STRATEGIES,
+    createPlacementStrategy,
+} = require("../../src/utils/placement");
+
+const KEY_COUNT = 2000;
+const KEYS = Array.from({ length: KEY_COUNT }, (_, i) => `placement-key-${i}`);
+
+// Function to build a placement with the given nodes, in the given order
+function buildPlacement(strategy, nodes) {
+    const placement = createPlacementStrategy(strategy);
+    for (const [nodeId, weight, zone] of nodes) {
+        placement.addNode(nodeId, weight, zone);
+    }
+    return placement;
+}
+
+// Check one placement strategy
+function checkStrategy(strategy) {
+    console.log(`\n📝 Checking the ${strategy} strategy`);
+    const nodes = [
+        ["node1", 1, null],
+        ["node2", 1, null],
+        ["node3", 2, null],
+    ];
+    const placement = buildPlacement(strategy, nodes);
+
+    // Every key gets distinct replicas, whatever order the nodes joined in
+    const reversed = buildPlacement(strategy, nodes.slice().reverse());
+    for (const key of KEYS) {
+        const replicas = placement.getReplicaNodes(key, 3);
+        assert.strictEqual(new Set(replicas).size, 3, `${key}: ${replicas}`);
+        assert.deepStrictEqual(reversed.getReplicaNodes(key, 3), replicas);
+    }
+    console.log("✅ Distinct replicas, independent of the join order");
+
+    // Shares add up to the whole keyspace and follow the weights
+    const ownership = placement.getOwnership(1);
+    const total = Object.values(ownership).reduce((sum, share) => sum + share);
+    assert.ok(Math.abs(total - 1) < 1e-9, `Shares add up to ${total}`);
+    const expected = placement.getExpectedOwnership();
+    for (const nodeId of Object.keys(expected)) {
+        assert.ok(
+            Math.abs(ownership[nodeId] - expected[nodeId]) < 0.1,
+            `${nodeId} owns ${ownership[nodeId]}, expected ${expected[nodeId]}`
+        );
+    }
+    console.log(
+        `✅ Shares follow the weights: ${Object.entries(ownership)
+            .map(([nodeId, share]) => `${nodeId} ${share.toFixed(3)}`)
+            .join(", ")}`
+    );
+
+    // A joining node only takes keys, and the diff covers every moved key
+    const grown = placement.clone();
+    grown.addNode("node4", 1, null);
+    const diff = ConsistentHashing.diffRanges(placement, grown, 2);
+    let moved = 0;
+    for (const key of KEYS) {
+        const before = placement.getNode(key);
+        const after = grown.getNode(key);
+        if (before !== after) {
+            assert.strictEqual(after, "node4", `${key} moved to ${after}`);
+            moved++;
+        }
+        const changed =
+            placement.getReplicaNodes(key, 2).join() !==
+            grown.getReplicaNodes(key, 2).join();
+        if (changed) {
+            const hash = placement.getKeyHash(key);
+            assert.ok(
+                diff.some((range) =>
+                    ConsistentHashing.rangeContains(range, hash)
+                ),
+                `${key} moved outside the diff ranges`
+            );
+        }
+    }
+    assert.ok(moved > 0 && moved < KEY_COUNT / 2, `${moved} keys moved`);
+    console.log(`✅ ${moved} of ${KEY_COUNT} keys moved, all to the new node`);
+
+    // Replicas are spread over every zone
+    const zoned = buildPlacement(strategy, [
+        ["node1", 1, "zone-a"],
+        ["node2", 1, "zone-a"],
+        ["node3", 1, "zone-b"],
+    ]);
+    for (const key of KEYS) {
+        const zones = zoned
+            .getReplicaNodes(key, 2)
+            .map((nodeId) => zoned.getZone(nodeId));
+        assert.deepStrictEqual(zones.sort(), ["zone-a", "zone-b"], key);
+    }
+    console.log("✅ Replicas spread over both zones");
+}
+
+// Run placement strategy checks
+function runPlacementChecks() {
+    console.log("🚀 Starting Placement Strategy Checks...");
+
+    try {
+        assert.throws(() => createPlacementStrategy("modulo"));
+        for (const strategy of Object.keys(STRATEGIES)) {
+            checkStrategy(strategy);
+        }
+
+        console.log(
+            "\n🎉 All placement strategy checks completed successfully!"
+        );
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runPlacementChecks();
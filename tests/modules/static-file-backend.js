@@ -0,0 +1,148 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const StaticFileBackend = require("../../src/coordination/staticFileBackend");
+
+const CHECK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "static-backend-"));
+
+// Function to wait for a specific amount of time
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Function to wait until a backend has seen a node event
+async function waitForEvent(backend, event) {
+    for (let i = 0; i < 50 && !backend.events.includes(event); i++) {
+        await wait(50);
+    }
+    assert.ok(backend.events.includes(event), `No "${event}" event`);
+}
+
+// Function to start a backend on a member list, recording its node events
+async function startBackend(filePath) {
+    const backend = new StaticFileBackend(filePath);
+    backend.pollInterval = 50;
+    backend.events = [];
+    await backend.initialize();
+    await backend.subscribeToNodeUpdates((event) =>
+        backend.events.push(`${event.type} ${event.nodeId}`)
+    );
+    return backend;
+}
+
+// Run static file coordination backend checks
+async function runStaticFileBackendChecks() {
+    console.log("🚀 Starting Static File Coordination Backend Checks...");
+    console.log(`Member lists in: ${CHECK_DIR}`);
+
+    let backend = null;
+    try {
+        // Check 1: Member lists are read as a map or as an array, in JSON or YAML
+        console.log("\n📝 Check 1: Reading member lists");
+        const jsonPath = path.join(CHECK_DIR, "cluster.json");
+        fs.writeFileSync(
+            jsonPath,
+            JSON.stringify({
+                nodes: {
+                    node1: { host: "redis1", port: 6379 },
+                    node2: { host: "redis2", port: 6379 },
+                },
+            })
+        );
+        const yamlPath = path.join(CHECK_DIR, "cluster.yaml");
+        fs.writeFileSync(
+            yamlPath,
+            "nodes:\n  - id: node1\n    host: redis1\n    port: 6379\n"
+        );
+        const fromYaml = await startBackend(yamlPath);
+        assert.deepStrictEqual(await fromYaml.getAllNodes(), {
+            node1: { host: "redis1", port: 6379 },
+        });
+        await fromYaml.shutdown();
+
+        backend = await startBackend(jsonPath);
+        assert.deepStrictEqual(Object.keys(await backend.getAllNodes()), [
+            "node1",
+            "node2",
+        ]);
+        console.log("✅ Map and array member lists read!");
+
+        // Check 2: Invalid member lists are refused at startup
+        console.log("\n📝 Check 2: Reading invalid member lists");
+        const invalidPath = path.join(CHECK_DIR, "invalid.json");
+        fs.writeFileSync(invalidPath, JSON.stringify({ members: [] }));
+        await assert.rejects(
+            new StaticFileBackend(invalidPath).initialize(),
+            /nodes map or array/
+        );
+        await assert.rejects(
+            new StaticFileBackend(
+                path.join(CHECK_DIR, "missing.json")
+            ).initialize(),
+            /ENOENT/
+        );
+        console.log("✅ Invalid and missing member lists refused!");
+
+        // Check 3: A registered node publishes its state on top of its file entry
+        console.log("\n📝 Check 3: Registering nodes");
+        await backend.registerNode("node1", {
+            host: "elsewhere",
+            port: 1,
+            state: "active",
+            epoch: 7,
+        });
+        await backend.registerNode("node9", { host: "redis9", port: 6379 });
+        const nodes = await backend.getAllNodes();
+        assert.deepStrictEqual(nodes.node1, {
+            host: "redis1",
+            port: 6379,
+            state: "active",
+            epoch: 7,
+        });
+        assert.deepStrictEqual(nodes.node9, { host: "redis9", port: 6379 });
+        assert.strictEqual(backend.hasSharedValues(), false);
+        console.log("✅ File entries kept, local state and nodes added!");
+
+        // Check 4: Edits to the file are reported as node changes
+        console.log("\n📝 Check 4: Editing the member list");
+        fs.writeFileSync(
+            jsonPath,
+            JSON.stringify({
+                nodes: {
+                    node1: { host: "redis1", port: 6379 },
+                    node3: { host: "redis3", port: 6379 },
+                },
+            })
+        );
+        await waitForEvent(backend, "add node3");
+        await waitForEvent(backend, "remove node2");
+        console.log("✅ Added and removed nodes reported!");
+
+        // Check 5: An invalid edit keeps the previous member list
+        console.log("\n📝 Check 5: Saving an invalid member list");
+        fs.writeFileSync(jsonPath, "{ not json");
+        await wait(300);
+        assert.deepStrictEqual(
+            Object.keys(await backend.getAllNodes()).sort(),
+            ["node1", "node3", "node9"]
+        );
+        console.log("✅ Previous member list kept!");
+
+        await backend.shutdown();
+        fs.rmSync(CHECK_DIR, { recursive: true, force: true });
+        console.log(
+            "\n🎉 All static file coordination backend checks completed successfully!"
+        );
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        if (backend) {
+            await backend.shutdown().catch(() => {});
+        }
+        fs.rmSync(CHECK_DIR, { recursive: true, force: true });
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runStaticFileBackendChecks();
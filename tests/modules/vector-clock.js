@@ -0,0 +1,76 @@
+const assert = require("assert");
+const VectorClock = require("../../src/utils/vectorClock");
+
+// Function to build a clock timestamp at a fixed wall time
+function at(wallTime, nodeId) {
+    return { wallTime, logical: 0, nodeId };
+}
+
+// Run vector clock checks
+function runVectorClockChecks() {
+    console.log("🚀 Starting Vector Clock Checks...");
+
+    try {
+        // Check 1: A write orders after the clock it was made from
+        console.log("\n📝 Check 1: Ordering a write after its context");
+        const base = new VectorClock().increment("node1", at(1000, "node1"));
+        const next = base.increment("node1", at(2000, "node1"));
+        assert.strictEqual(next.compare(base), VectorClock.AFTER);
+        assert.strictEqual(base.compare(next), VectorClock.BEFORE);
+        assert.strictEqual(
+            base.compare(new VectorClock(base.entries)),
+            VectorClock.EQUAL
+        );
+        console.log("✅ Descending clocks ordered!");
+
+        // Check 2: Writes made from the same context on two nodes are concurrent
+        console.log("\n📝 Check 2: Comparing writes from the same context");
+        const left = base.increment("node1", at(3000, "node1"));
+        const right = base.increment("node2", at(3000, "node2"));
+        assert.strictEqual(left.compare(right), VectorClock.CONCURRENT);
+        assert.strictEqual(right.compare(left), VectorClock.CONCURRENT);
+        console.log("✅ Sibling clocks are concurrent!");
+
+        // Check 3: A merged clock descends from both siblings
+        console.log("\n📝 Check 3: Merging concurrent clocks");
+        const merged = left.merge(right);
+        assert.strictEqual(merged.compare(left), VectorClock.AFTER);
+        assert.strictEqual(merged.compare(right), VectorClock.AFTER);
+        assert.strictEqual(
+            merged.increment("node3", at(4000, "node3")).compare(left),
+            VectorClock.AFTER
+        );
+        assert.strictEqual(
+            left.merge(right).toString(),
+            right.merge(left).toString()
+        );
+        console.log("✅ Merged clock descends from both!");
+
+        // Check 4: A context token covers every sibling it was built from
+        console.log("\n📝 Check 4: Encoding and decoding a causal context");
+        const token = VectorClock.encodeContext([left, right]);
+        const context = VectorClock.decodeContext(token);
+        assert.strictEqual(context.compare(merged), VectorClock.EQUAL);
+        const encode = (value) =>
+            Buffer.from(JSON.stringify(value)).toString("base64");
+        for (const malformed of [
+            "not base64 json",
+            encode([1, 2]),
+            encode({ node1: 5 }),
+            encode(null),
+        ]) {
+            assert.strictEqual(VectorClock.decodeContext(malformed), null);
+        }
+        console.log(
+            "✅ Context round trip kept the clock, malformed tokens rejected!"
+        );
+
+        console.log("\n🎉 All vector clock checks completed successfully!");
+    } catch (error) {
+        console.error("❌ Checks failed:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the checks
+runVectorClockChecks();
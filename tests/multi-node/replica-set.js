@@ -0,0 +1,162 @@
+const axios = require("axios");
+const Redis = require("ioredis");
+
+// Configuration
+const NODE_URLS = [
+    process.env.NODE1_URL || "http://localhost:3000",
+    process.env.NODE2_URL || "http://localhost:3001",
+    process.env.NODE3_URL || "http://localhost:3002",
+];
+const REDIS_HOST = process.env.REPLICA_SET_REDIS_HOST || "localhost";
+const TEST_KEY_PREFIX = "replica-set-test-" + Date.now();
+const TEST_VALUE = "Value held by its replicas only";
+const MAX_CANDIDATE_KEYS = 100;
+
+// Key written by the tests, once one is found
+let testKey = null;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    if (testKey) {
+        await axios.delete(`${NODE_URLS[0]}/cache/${testKey}`).catch(() => {});
+    }
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Function to map every node ID to its API URL and Redis port
+async function getNodes() {
+    const nodes = {};
+    for (const nodeUrl of NODE_URLS) {
+        const response = await axios.get(`${nodeUrl}/cluster/nodes`);
+        const local = response.data.nodes.find((node) => node.local);
+        nodes[local.nodeId] = { url: nodeUrl, redisPort: local.info.port };
+    }
+    return nodes;
+}
+
+// Function to get the replica node IDs of a key
+async function getReplicas(key) {
+    const response = await axios.get(`${NODE_URLS[0]}/cluster/locate/${key}`);
+    return response.data.replicas;
+}
+
+// Function to check whether a node holds a key in its own Redis
+async function nodeHoldsKey(nodeId, node, key) {
+    // Each node stores its keys under its node ID in its own Redis
+    const redis = new Redis({
+        host: REDIS_HOST,
+        port: node.redisPort,
+        keyPrefix: `${nodeId}:`,
+    });
+    try {
+        return (await redis.exists(key)) === 1;
+    } finally {
+        redis.disconnect();
+    }
+}
+
+// Run replica set tests
+async function runReplicaSetTests() {
+    console.log("🚀 Starting Replica Set Tests...");
+    console.log("Using nodes:", NODE_URLS.join(", "));
+
+    try {
+        // Test 1: Find a key some node is not a replica of
+        console.log("\n📝 Test 1: Locating a key outside one node's ranges");
+        const nodes = await getNodes();
+        let nonReplicas = [];
+        for (let i = 0; i < MAX_CANDIDATE_KEYS; i++) {
+            const key = `${TEST_KEY_PREFIX}-${i}`;
+            const replicas = (await getReplicas(key)).map(
+                (replica) => replica.nodeId
+            );
+            nonReplicas = Object.keys(nodes).filter(
+                (nodeId) => !replicas.includes(nodeId)
+            );
+            if (nonReplicas.length > 0) {
+                testKey = key;
+                console.log(
+                    `✅ ${key} is held by ${replicas.join(
+                        ", "
+                    )}, not by ${nonReplicas.join(", ")}`
+                );
+                break;
+            }
+        }
+        if (!testKey) {
+            console.log(
+                "⚠️ Every node is a replica of every key, run the cluster with a REPLICA_FACTOR below its node count. Skipping the replica set tests."
+            );
+            return;
+        }
+        const outsider = nonReplicas[0];
+
+        // Test 2: A write through a non-replica reaches the replicas only
+        console.log(`\n📝 Test 2: Writing the key through ${outsider}`);
+        await axios.post(`${nodes[outsider].url}/cache?consistency=all`, {
+            key: testKey,
+            value: TEST_VALUE,
+            ttl: 3600,
+        });
+        // Let the secondary replication of the write land before looking
+        await wait(3);
+        for (const replica of await getReplicas(testKey)) {
+            if (!replica.holdsKey) {
+                throw new Error(
+                    `Replica ${replica.nodeId} does not hold the key`
+                );
+            }
+        }
+        for (const nodeId of nonReplicas) {
+            if (await nodeHoldsKey(nodeId, nodes[nodeId], testKey)) {
+                throw new Error(
+                    `${nodeId} holds a copy of a key it does not own`
+                );
+            }
+        }
+        console.log("✅ Key held by its replicas and by no other node!");
+
+        // Test 3: A read through a non-replica is forwarded to an owner
+        console.log(`\n📝 Test 3: Reading the key through ${outsider}`);
+        const response = await axios.get(
+            `${nodes[outsider].url}/cache/${testKey}`
+        );
+        if (response.data.value !== TEST_VALUE) {
+            throw new Error(
+                `Expected "${TEST_VALUE}", got ${JSON.stringify(
+                    response.data.value
+                )}`
+            );
+        }
+        if (await nodeHoldsKey(outsider, nodes[outsider], testKey)) {
+            throw new Error(`Reading the key stored a copy on ${outsider}`);
+        }
+        console.log(
+            `✅ Value read through ${outsider}, which still holds no copy!`
+        );
+
+        await axios.delete(`${NODE_URLS[0]}/cache/${testKey}`);
+        console.log("\n🎉 All replica set tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        if (testKey) {
+            await axios
+                .delete(`${NODE_URLS[0]}/cache/${testKey}`)
+                .catch(() => {});
+        }
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runReplicaSetTests();
@@ -0,0 +1,191 @@
+const axios = require("axios");
+const { exec } = require("child_process");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const JOINING_URL = process.env.BOOTSTRAP_NODE_URL || "http://localhost:3002";
+const SERVICE_TO_RESTART =
+    process.env.BOOTSTRAP_TEST_SERVICE || "cache-service3";
+const TEST_KEY_PREFIX = "bootstrap-test-" + Date.now();
+const TEST_KEY_COUNT = 20;
+
+// Track node state for proper cleanup
+let serviceStopped = false;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        await cleanup();
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to execute shell commands
+function executeCommand(command) {
+    return new Promise((resolve, reject) => {
+        console.log(`Executing: ${command}`);
+        exec(command, (error, stdout) => {
+            if (error) {
+                console.error(`Error executing command: ${error.message}`);
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Function to get the bootstrap status of the joining node
+async function getBootstrapStatus() {
+    const response = await axios.get(`${JOINING_URL}/admin/bootstrap`);
+    return response.data;
+}
+
+// Function to get the entry the joining node reports for itself
+async function getLocalNode() {
+    const response = await axios.get(`${JOINING_URL}/cluster/nodes`);
+    return response.data.nodes.find((node) => node.local);
+}
+
+// Start the stopped service, and delete the keys
+async function cleanup() {
+    if (serviceStopped) {
+        await executeCommand(`docker-compose start ${SERVICE_TO_RESTART}`);
+        serviceStopped = false;
+    }
+    for (let i = 0; i < TEST_KEY_COUNT; i++) {
+        await axios
+            .delete(`${BASE_URL}/cache/${TEST_KEY_PREFIX}-${i}`)
+            .catch(() => {});
+    }
+}
+
+// Run bootstrap tests
+async function runBootstrapTests() {
+    console.log("🚀 Starting Bootstrap Tests...");
+    console.log("Using base URL:", BASE_URL);
+    console.log(`Restarting ${SERVICE_TO_RESTART} at ${JOINING_URL}`);
+
+    try {
+        // Test 1: A node that has joined reports a finished bootstrap
+        console.log("\n📝 Test 1: Getting the bootstrap status");
+        const before = await getBootstrapStatus();
+        const { nodeId } = await getLocalNode();
+        console.log(`✅ ${nodeId} bootstrap status: ${before.status}`);
+        if (before.status !== "completed") {
+            throw new Error(`Expected status completed, got ${before.status}`);
+        }
+
+        // Test 2: Write keys the node misses while it is stopped
+        console.log(
+            `\n📝 Test 2: Writing while ${SERVICE_TO_RESTART} is stopped`
+        );
+        await executeCommand(`docker-compose stop ${SERVICE_TO_RESTART}`);
+        serviceStopped = true;
+        await wait(2);
+
+        for (let i = 0; i < TEST_KEY_COUNT; i++) {
+            await axios.post(`${BASE_URL}/cache?consistency=quorum`, {
+                key: `${TEST_KEY_PREFIX}-${i}`,
+                value: `value-${i}`,
+                ttl: 3600,
+            });
+        }
+        console.log(`✅ ${TEST_KEY_COUNT} keys written`);
+
+        // Test 3: The restarted node loads its ranges before becoming active
+        console.log(`\n📝 Test 3: Starting ${SERVICE_TO_RESTART}`);
+        const restartedAt = Date.now();
+        await executeCommand(`docker-compose start ${SERVICE_TO_RESTART}`);
+        serviceStopped = false;
+
+        let status = null;
+        for (let i = 0; i < 60; i++) {
+            await wait(1);
+            status = await getBootstrapStatus().catch(() => null);
+            if (
+                status &&
+                Date.parse(status.startedAt) >= restartedAt &&
+                status.status !== "running"
+            ) {
+                break;
+            }
+        }
+        console.log("Bootstrap status:", {
+            status: status && status.status,
+            rangesTotal: status && status.rangesTotal,
+            rangesLoaded: status && status.rangesLoaded,
+            rangesFailed: status && status.rangesFailed,
+            keysReceived: status && status.keysReceived,
+            keysApplied: status && status.keysApplied,
+        });
+        if (!status || status.status !== "completed") {
+            throw new Error(
+                `Bootstrap ended with status ${status && status.status}`
+            );
+        }
+        if (
+            status.rangesTotal === 0 ||
+            status.rangesLoaded !== status.rangesTotal
+        ) {
+            throw new Error("The node did not load its ranges");
+        }
+        for (const [source, progress] of Object.entries(status.sources)) {
+            if (progress.error) {
+                throw new Error(
+                    `Loading from ${source} failed: ${progress.error}`
+                );
+            }
+        }
+        if (status.keysApplied === 0) {
+            throw new Error(
+                "No key written while the node was stopped was loaded"
+            );
+        }
+        console.log(`✅ ${status.keysApplied} keys loaded from the owners!`);
+
+        const { state } = await getLocalNode();
+        if (state !== "active") {
+            throw new Error(`Expected the node to be active, it is ${state}`);
+        }
+        console.log("✅ Node active after its bootstrap!");
+
+        // Test 4: The restarted node holds every key it is a replica of
+        console.log(`\n📝 Test 4: Locating the keys on ${nodeId}`);
+        for (let i = 0; i < TEST_KEY_COUNT; i++) {
+            const key = `${TEST_KEY_PREFIX}-${i}`;
+            const response = await axios.get(
+                `${BASE_URL}/cluster/locate/${key}`
+            );
+            const replica = response.data.replicas.find(
+                (candidate) => candidate.nodeId === nodeId
+            );
+            if (replica && !replica.holdsKey) {
+                throw new Error(`${nodeId} did not load ${key}`);
+            }
+        }
+        console.log(`✅ ${nodeId} holds the keys it owns!`);
+
+        await cleanup();
+        console.log("\n🎉 All bootstrap tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await cleanup().catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runBootstrapTests();
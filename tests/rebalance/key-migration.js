@@ -0,0 +1,200 @@
+const axios = require("axios");
+const { exec } = require("child_process");
+
+// Configuration
+const BASE_URL = process.env.API_URL || "http://localhost:3000";
+const SERVICE_TO_STOP = process.env.MIGRATION_TEST_SERVICE || "cache-service3";
+const STOPPED_NODE_ID = process.env.MIGRATION_TEST_NODE_ID || "node3";
+const TEST_KEY_PREFIX = "migration-test-" + Date.now();
+const TEST_KEY_COUNT = 20;
+
+// Track node state for proper cleanup
+let serviceStopped = false;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    try {
+        await cleanup();
+        console.log("✅ Cleanup completed");
+    } catch (error) {
+        console.error("⚠️ Cleanup error:", error.message);
+    }
+    process.exit(1);
+});
+
+// Function to execute shell commands
+function executeCommand(command) {
+    return new Promise((resolve, reject) => {
+        console.log(`Executing: ${command}`);
+        exec(command, (error, stdout) => {
+            if (error) {
+                console.error(`Error executing command: ${error.message}`);
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Function to wait for a specific amount of time
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+// Function to wait until the base node's ring holds the node, or not
+async function waitForRing(present) {
+    for (let i = 0; i < 30; i++) {
+        const response = await axios.get(`${BASE_URL}/cluster/ring`);
+        if (STOPPED_NODE_ID in response.data.nodes === present) {
+            return;
+        }
+        await wait(1);
+    }
+    throw new Error(
+        `${STOPPED_NODE_ID} ${
+            present ? "did not join" : "did not leave"
+        } the ring`
+    );
+}
+
+// Function to get the migrations run by the base node
+async function getMigrations() {
+    const response = await axios.get(`${BASE_URL}/admin/migrations`);
+    return response.data;
+}
+
+// Function to sum the keys the base node sent to other nodes
+async function getSentKeys() {
+    const response = await axios.get(`${BASE_URL}/metrics`);
+    const match = response.data.match(
+        /^redis_cache_migrated_keys_total\{.*action="sent".*\} (\d+)/m
+    );
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+// Restart the stopped service, and delete the keys
+async function cleanup() {
+    if (serviceStopped) {
+        await executeCommand(`docker-compose start ${SERVICE_TO_STOP}`);
+        serviceStopped = false;
+        await waitForRing(true);
+    }
+    for (let i = 0; i < TEST_KEY_COUNT; i++) {
+        await axios
+            .delete(`${BASE_URL}/cache/${TEST_KEY_PREFIX}-${i}`)
+            .catch(() => {});
+    }
+}
+
+// Run key migration tests
+async function runMigrationTests() {
+    console.log("🚀 Starting Key Migration Tests...");
+    console.log("Using base URL:", BASE_URL);
+
+    try {
+        // Test 1: The migration status lists no migration in progress
+        console.log("\n📝 Test 1: Getting the migration status");
+        const before = await getMigrations();
+        console.log(
+            `✅ ${before.active} active, ${before.queued} queued, ${before.migrations.length} recent migrations`
+        );
+        if (before.active !== 0 || before.queued !== 0) {
+            throw new Error("A migration is already in progress");
+        }
+        const known = new Set(
+            before.migrations.map((migration) => migration.id)
+        );
+
+        // Test 2: Write keys while a node is out of the ring
+        console.log(`\n📝 Test 2: Writing while ${SERVICE_TO_STOP} is stopped`);
+        await executeCommand(`docker-compose stop ${SERVICE_TO_STOP}`);
+        serviceStopped = true;
+        await waitForRing(false);
+
+        for (let i = 0; i < TEST_KEY_COUNT; i++) {
+            await axios.post(`${BASE_URL}/cache?consistency=quorum`, {
+                key: `${TEST_KEY_PREFIX}-${i}`,
+                value: `value-${i}`,
+                ttl: 3600,
+            });
+        }
+        console.log(`✅ ${TEST_KEY_COUNT} keys written`);
+
+        // Test 3: The keys are migrated to the node once it is back
+        console.log(`\n📝 Test 3: Restarting ${SERVICE_TO_STOP}`);
+        const sentBefore = await getSentKeys();
+        await executeCommand(`docker-compose start ${SERVICE_TO_STOP}`);
+        serviceStopped = false;
+        await waitForRing(true);
+
+        let migration = null;
+        for (let i = 0; i < 60; i++) {
+            migration = (await getMigrations()).migrations.find(
+                (candidate) =>
+                    !known.has(candidate.id) &&
+                    candidate.type === "add" &&
+                    candidate.nodeId === STOPPED_NODE_ID
+            );
+            if (migration && migration.status !== "running") {
+                break;
+            }
+            await wait(1);
+        }
+        if (!migration) {
+            throw new Error(`No migration ran after ${STOPPED_NODE_ID} joined`);
+        }
+        console.log("Migration:", {
+            id: migration.id,
+            status: migration.status,
+            rangesMoved: migration.rangesMoved,
+            keysSent: migration.keysSent,
+            keysFailed: migration.keysFailed,
+            progress: migration.progress,
+        });
+        if (
+            migration.status !== "completed" ||
+            migration.keysFailed > 0 ||
+            migration.progress !== 1
+        ) {
+            throw new Error(`Migration ended with status ${migration.status}`);
+        }
+        const sent = (await getSentKeys()) - sentBefore;
+        if (sent < migration.keysSent) {
+            throw new Error(
+                `${migration.keysSent} keys sent, ${sent} counted in redis_cache_migrated_keys_total`
+            );
+        }
+        console.log(`✅ Migration completed, ${sent} keys sent!`);
+
+        // Test 4: The returning node holds every key written while it was away
+        console.log(`\n📝 Test 4: Locating the keys on ${STOPPED_NODE_ID}`);
+        for (let i = 0; i < TEST_KEY_COUNT; i++) {
+            const key = `${TEST_KEY_PREFIX}-${i}`;
+            const response = await axios.get(
+                `${BASE_URL}/cluster/locate/${key}`
+            );
+            const replica = response.data.replicas.find(
+                (candidate) => candidate.nodeId === STOPPED_NODE_ID
+            );
+            if (replica && !replica.holdsKey) {
+                throw new Error(`${STOPPED_NODE_ID} does not hold ${key}`);
+            }
+        }
+        console.log(`✅ ${STOPPED_NODE_ID} holds the keys it owns!`);
+
+        await cleanup();
+        console.log("\n🎉 All key migration tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await cleanup().catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runMigrationTests();
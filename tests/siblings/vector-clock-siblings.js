@@ -0,0 +1,109 @@
+const axios = require("axios");
+
+// Configuration
+const NODE1_URL = process.env.NODE1_URL || "http://localhost:3000";
+const NODE2_URL = process.env.NODE2_URL || "http://localhost:3001";
+const KEY_PREFIX = process.env.SIBLINGS_TEST_PREFIX || "cart:";
+const TEST_KEY = `${KEY_PREFIX}siblings-test-${Date.now()}`;
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await axios.delete(`${NODE1_URL}/cache/${TEST_KEY}`).catch(() => {});
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to write the key through a node, with an optional causal context
+async function setCache(nodeUrl, value, context) {
+    await axios.post(`${nodeUrl}/cache?consistency=all`, {
+        key: TEST_KEY,
+        value,
+        ttl: 3600,
+        context,
+    });
+    console.log(
+        `✅ Wrote ${JSON.stringify(value)} through ${nodeUrl} ${
+            context ? "with" : "without"
+        } a context`
+    );
+}
+
+// Function to read every sibling of the key and its causal context
+async function getSiblings() {
+    const response = await axios.get(
+        `${NODE1_URL}/cache/${TEST_KEY}?consistency=all`
+    );
+    if (!Array.isArray(response.data.siblings)) {
+        throw new Error(
+            `No siblings returned, is ${KEY_PREFIX} listed in VECTOR_CLOCK_PREFIXES?`
+        );
+    }
+    return response.data;
+}
+
+// Function to sort siblings so they compare independently of their order
+function sortSiblings(siblings) {
+    return siblings.map((sibling) => JSON.stringify(sibling)).sort();
+}
+
+// Run vector clock sibling tests
+async function runSiblingTests() {
+    console.log("🚀 Starting Sibling Tests...");
+    console.log(`Test key: ${TEST_KEY}`);
+
+    try {
+        // Test 1: Writes without a context through two nodes are kept as siblings
+        console.log("\n📝 Test 1: Writing concurrently through two nodes");
+        await setCache(NODE1_URL, ["book"]);
+        await setCache(NODE2_URL, ["pen"]);
+        const concurrent = await getSiblings();
+        console.log("Read:", concurrent);
+        if (
+            concurrent.value !== null ||
+            JSON.stringify(sortSiblings(concurrent.siblings)) !==
+                JSON.stringify(sortSiblings([["book"], ["pen"]]))
+        ) {
+            throw new Error("Expected both writes as siblings");
+        }
+        console.log("✅ Both writes kept as siblings!");
+
+        // Test 2: A write passing the context replaces the siblings it covers
+        console.log("\n📝 Test 2: Resolving the siblings");
+        await setCache(NODE2_URL, ["book", "pen"], concurrent.context);
+        const resolved = await getSiblings();
+        console.log("Read:", resolved);
+        if (
+            resolved.siblings.length !== 1 ||
+            JSON.stringify(resolved.value) !== JSON.stringify(["book", "pen"])
+        ) {
+            throw new Error("The merged value did not replace the siblings");
+        }
+        console.log("✅ Siblings resolved to the merged value!");
+
+        // Test 3: A malformed context is rejected
+        console.log("\n📝 Test 3: Writing with a malformed context");
+        try {
+            await setCache(NODE1_URL, ["lamp"], "not a context");
+            throw new Error("Write with a malformed context was accepted");
+        } catch (error) {
+            if (error.response?.status !== 400) {
+                throw error;
+            }
+            console.log("✅ Malformed context rejected with 400");
+        }
+
+        await axios.delete(`${NODE1_URL}/cache/${TEST_KEY}`);
+        console.log("\n🎉 All sibling tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await axios.delete(`${NODE1_URL}/cache/${TEST_KEY}`).catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runSiblingTests();
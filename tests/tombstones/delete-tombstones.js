@@ -0,0 +1,135 @@
+const axios = require("axios");
+
+// Configuration
+const NODE_URLS = [
+    process.env.NODE1_URL || "http://localhost:3000",
+    process.env.NODE2_URL || "http://localhost:3001",
+    process.env.NODE3_URL || "http://localhost:3002",
+];
+const TEST_KEY = "tombstone-test-" + Date.now();
+const TEST_VALUE = "Value that must stay deleted";
+const NEW_VALUE = "Value written after the delete";
+
+// Cleanup handler for interruptions
+process.on("SIGINT", async () => {
+    console.log("\n⚠️ Test interrupted, cleaning up...");
+    await axios.delete(`${NODE_URLS[0]}/cache/${TEST_KEY}`).catch(() => {});
+    console.log("✅ Cleanup completed");
+    process.exit(1);
+});
+
+// Function to read a key at consistency all, null on a miss
+async function getCache(nodeUrl, key) {
+    try {
+        const response = await axios.get(
+            `${nodeUrl}/cache/${key}?consistency=all`
+        );
+        return response.data.value;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Function to find what each replica stores for a key
+async function locateKey(key) {
+    const response = await axios.get(`${NODE_URLS[0]}/cluster/locate/${key}`);
+    return response.data.replicas;
+}
+
+// Function to wait for a specific amount of time
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run tombstone tests
+async function runTombstoneTests() {
+    console.log("🚀 Starting Tombstone Tests...");
+    console.log("Using nodes:", NODE_URLS.join(", "));
+    console.log(`Test key: ${TEST_KEY}`);
+
+    try {
+        // Test 1: Write the key and delete it through another node
+        console.log("\n📝 Test 1: Writing and deleting the key");
+        await axios.post(`${NODE_URLS[0]}/cache?consistency=all`, {
+            key: TEST_KEY,
+            value: TEST_VALUE,
+            ttl: 3600,
+        });
+        await axios.delete(`${NODE_URLS[1]}/cache/${TEST_KEY}?consistency=all`);
+        console.log("✅ Key written and deleted");
+
+        // Test 2: Every node reads the deleted key as a miss
+        console.log("\n📝 Test 2: Reading the deleted key from every node");
+        for (const nodeUrl of NODE_URLS) {
+            const value = await getCache(nodeUrl, TEST_KEY);
+            if (value !== null) {
+                throw new Error(
+                    `${nodeUrl} returned ${JSON.stringify(
+                        value
+                    )} for a deleted key`
+                );
+            }
+            console.log(`✅ ${nodeUrl} answered 404`);
+        }
+
+        // Test 3: The replicas keep a tombstone instead of the value
+        console.log("\n📝 Test 3: Checking the replicas keep a tombstone");
+        const replicas = await locateKey(TEST_KEY);
+        for (const replica of replicas) {
+            console.log(
+                `Replica ${replica.nodeId}: tombstone ${replica.tombstone}, version ${replica.version}`
+            );
+            if (!replica.tombstone || replica.holdsKey) {
+                throw new Error(
+                    `Replica ${replica.nodeId} does not hold a tombstone`
+                );
+            }
+        }
+        console.log("✅ Every replica holds a tombstone!");
+
+        // Test 4: The key stays deleted once late replication had time to arrive
+        console.log("\n📝 Test 4: Waiting for late replication");
+        await wait(3000);
+        for (const nodeUrl of NODE_URLS) {
+            if ((await getCache(nodeUrl, TEST_KEY)) !== null) {
+                throw new Error(`${nodeUrl} resurrected the deleted key`);
+            }
+        }
+        console.log("✅ The deleted key was not resurrected!");
+
+        // Test 5: A newer write replaces the tombstone
+        console.log("\n📝 Test 5: Writing the key again");
+        await axios.post(`${NODE_URLS[2]}/cache?consistency=all`, {
+            key: TEST_KEY,
+            value: NEW_VALUE,
+            ttl: 3600,
+        });
+        for (const nodeUrl of NODE_URLS) {
+            const value = await getCache(nodeUrl, TEST_KEY);
+            if (value !== NEW_VALUE) {
+                throw new Error(
+                    `${nodeUrl} returned ${JSON.stringify(
+                        value
+                    )} after the key was written again`
+                );
+            }
+        }
+        console.log("✅ The new value replaced the tombstone!");
+
+        await axios.delete(`${NODE_URLS[0]}/cache/${TEST_KEY}`);
+        console.log("\n🎉 All tombstone tests completed successfully!");
+    } catch (error) {
+        console.error(
+            "❌ Tests failed:",
+            error.response?.data || error.message
+        );
+        await axios.delete(`${NODE_URLS[0]}/cache/${TEST_KEY}`).catch(() => {});
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTombstoneTests();